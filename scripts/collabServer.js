@@ -0,0 +1,62 @@
+// Local stand-in for the backend's collaboration events. It relays every
+// collab:* event to the other sockets editing the same story and announces
+// collab:leave when a socket drops. Generation events are not served.
+//
+//   npm run collab:server
+//   REACT_APP_SOCKET_URL=http://localhost:4001 npm start
+//
+// then open the same story in two tabs or browsers.
+
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+
+const PORT = Number(process.env.COLLAB_PORT) || 4001;
+
+const RELAYED_EVENTS = [
+  'collab:presence',
+  'collab:operations',
+  'collab:lock',
+  'collab:unlock',
+];
+
+const httpServer = createServer();
+const io = new Server(httpServer, { cors: { origin: '*' } });
+
+const roomOf = storyId => `story:${storyId}`;
+
+io.on('connection', socket => {
+  // { storyId, clientId, name, color } once the socket joined a story
+  let member = null;
+
+  const leave = () => {
+    if (!member) return;
+    socket.to(roomOf(member.storyId)).emit('collab:leave', member);
+    socket.leave(roomOf(member.storyId));
+    console.log(`${member.name} left ${member.storyId}`);
+    member = null;
+  };
+
+  socket.on('collab:join', data => {
+    if (!data?.storyId || !data.clientId) return;
+    leave();
+    member = data;
+    socket.join(roomOf(data.storyId));
+    socket.to(roomOf(data.storyId)).emit('collab:join', data);
+    console.log(`${data.name} joined ${data.storyId}`);
+  });
+
+  socket.on('collab:leave', leave);
+
+  RELAYED_EVENTS.forEach(event => {
+    socket.on(event, data => {
+      if (!data?.storyId) return;
+      socket.to(roomOf(data.storyId)).emit(event, data);
+    });
+  });
+
+  socket.on('disconnect', leave);
+});
+
+httpServer.listen(PORT, () => {
+  console.log(`Collaboration stand-in server on http://localhost:${PORT}`);
+});
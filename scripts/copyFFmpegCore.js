@@ -0,0 +1,19 @@
+// Copies the FFmpeg.wasm core from node_modules into public/ffmpeg so local
+// exports load it from our own origin. Runs before `npm start` and
+// `npm run build`; the copy is git-ignored.
+
+const fs = require('fs');
+const path = require('path');
+
+// The package only exports its entry files; the ESM build sits next to them
+const source = path.join(
+  path.dirname(require.resolve('@ffmpeg/core/wasm')),
+  '..',
+  'esm'
+);
+const target = path.join(__dirname, '..', 'public', 'ffmpeg');
+
+fs.mkdirSync(target, { recursive: true });
+['ffmpeg-core.js', 'ffmpeg-core.wasm'].forEach(file => {
+  fs.copyFileSync(path.join(source, file), path.join(target, file));
+});
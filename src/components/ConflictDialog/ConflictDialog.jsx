@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { IoCloseOutline, IoGitMergeOutline } from 'react-icons/io5';
+import {
+  resolveConflict,
+  selectSyncConflict,
+} from '../../redux/sync/syncSlice';
+import styles from './ConflictDialog.module.scss';
+
+const FIELD_LABELS = {
+  timeFrame: 'timing',
+  placement: 'position',
+  row: 'row',
+  properties: 'settings',
+};
+
+// 'properties.text' -> 'text', 'timeFrame' -> 'timing'
+const describeFields = fields =>
+  [
+    ...new Set(
+      fields.map(field => {
+        const [root, nested] = field.split('.');
+        return nested || FIELD_LABELS[root] || root;
+      })
+    ),
+  ].join(', ');
+
+const describeChange = conflict => {
+  if (conflict.localDeleted) return 'You deleted it, it was edited elsewhere';
+  if (conflict.remoteDeleted) return 'You edited it, it was deleted elsewhere';
+  if (conflict.fields.length > 0) {
+    return `Both changed: ${describeFields(conflict.fields)}`;
+  }
+  return 'Changed on both sides';
+};
+
+/**
+ * Shown next to SyncIndicator when another tab or user saved changes that
+ * overlap ours. Each conflict keeps our version or theirs; everything that
+ * didn't overlap has already been merged.
+ */
+const ConflictDialog = () => {
+  const dispatch = useDispatch();
+  const conflict = useSelector(selectSyncConflict);
+  const [isOpen, setIsOpen] = useState(false);
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    setChoices({});
+    setIsOpen(!!conflict);
+  }, [conflict]);
+
+  if (!conflict) return null;
+
+  const { conflicts } = conflict;
+  const chooseAll = side =>
+    setChoices(
+      conflicts.reduce((all, item) => {
+        all[item.key] = side;
+        return all;
+      }, {})
+    );
+
+  const handleApply = () => {
+    dispatch(resolveConflict(choices));
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        className={styles.conflictBadge}
+        onClick={() => setIsOpen(true)}
+      >
+        <IoGitMergeOutline size={16} />
+        {conflicts.length} conflict{conflicts.length === 1 ? '' : 's'}
+      </button>
+
+      {isOpen && (
+        <div className={styles.overlay}>
+          <div className={styles.modal}>
+            <div className={styles.header}>
+              <div className={styles.headerContent}>
+                <IoGitMergeOutline size={22} className={styles.mergeIcon} />
+                <h2 className={styles.title}>Resolve editing conflicts</h2>
+              </div>
+              <button
+                className={styles.closeButton}
+                onClick={() => setIsOpen(false)}
+                aria-label="Close"
+              >
+                <IoCloseOutline size={22} />
+              </button>
+            </div>
+
+            <p className={styles.description}>
+              This story was changed in another tab or by someone else. Their
+              other changes were merged with yours; choose which version to keep
+              where you both changed the same thing. Saving is paused until you
+              apply.
+            </p>
+
+            <div className={styles.bulkActions}>
+              <button type="button" onClick={() => chooseAll('local')}>
+                Keep all mine
+              </button>
+              <button type="button" onClick={() => chooseAll('remote')}>
+                Keep all theirs
+              </button>
+            </div>
+
+            <ul className={styles.conflictList}>
+              {conflicts.map(item => {
+                const side = choices[item.key] || 'local';
+                return (
+                  <li key={item.key} className={styles.conflictItem}>
+                    <div className={styles.conflictInfo}>
+                      <span className={styles.conflictLabel}>
+                        {item.label || item.key}
+                      </span>
+                      <span className={styles.conflictChange}>
+                        {describeChange(item)}
+                      </span>
+                    </div>
+                    <div className={styles.choice}>
+                      <button
+                        type="button"
+                        className={side === 'local' ? styles.selected : ''}
+                        onClick={() =>
+                          setChoices({ ...choices, [item.key]: 'local' })
+                        }
+                      >
+                        Keep mine
+                      </button>
+                      <button
+                        type="button"
+                        className={side === 'remote' ? styles.selected : ''}
+                        onClick={() =>
+                          setChoices({ ...choices, [item.key]: 'remote' })
+                        }
+                      >
+                        Keep theirs
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+
+            <div className={styles.footer}>
+              <button
+                type="button"
+                className={styles.applyButton}
+                onClick={handleApply}
+              >
+                Apply and save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,179 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../mobx';
+import {
+  EXPORT_CONTAINERS,
+  EXPORT_FRAME_RATES,
+  EXPORT_QUALITIES,
+  EXPORT_RESOLUTIONS,
+} from '../../constants/export';
+import styles from './ExportSettings.module.scss';
+
+const toSeconds = ms => Math.round(ms) / 1000;
+
+// Shared editor for store.exportSettings, used by the export panel and the
+// render option modal so local and cloud renders use the same values
+export const ExportSettings = observer(({ showQuality = true }) => {
+  const store = React.useContext(StoreContext);
+  const settings = store.exportSettings;
+  const resolved = store.getResolvedExportSettings();
+  const timelineEnd = store.lastElementEnd;
+
+  const handleRangeChange = (key, value) => {
+    const ms = Math.max(0, Number(value) * 1000);
+    if (Number.isNaN(ms)) return;
+
+    store.setExportSettings({
+      range: {
+        [key]: key === 'end' && ms >= timelineEnd ? null : ms,
+      },
+    });
+  };
+
+  return (
+    <div className={styles.settings}>
+      <div className={styles.row}>
+        <label className={styles.label}>Resolution</label>
+        <select
+          className={styles.select}
+          value={settings.resolution}
+          onChange={e =>
+            store.setExportSettings({ resolution: e.target.value })
+          }
+        >
+          {EXPORT_RESOLUTIONS.map(resolution => (
+            <option key={resolution.value} value={resolution.value}>
+              {resolution.label}
+            </option>
+          ))}
+        </select>
+        <span className={styles.hint}>
+          {resolved.width}×{resolved.height}
+        </span>
+      </div>
+
+      <div className={styles.row}>
+        <label className={styles.label}>Frame rate</label>
+        <select
+          className={styles.select}
+          value={settings.fps}
+          onChange={e =>
+            store.setExportSettings({ fps: Number(e.target.value) })
+          }
+        >
+          {EXPORT_FRAME_RATES.map(fps => (
+            <option key={fps} value={fps}>
+              {fps} fps
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className={styles.row}>
+        <label className={styles.label}>Format</label>
+        <select
+          className={styles.select}
+          value={settings.container}
+          onChange={e => store.setExportSettings({ container: e.target.value })}
+        >
+          {Object.entries(EXPORT_CONTAINERS).map(([value, container]) => (
+            <option key={value} value={value}>
+              {container.label}
+            </option>
+          ))}
+        </select>
+        <select
+          className={styles.select}
+          value={settings.codec}
+          onChange={e => store.setExportSettings({ codec: e.target.value })}
+        >
+          {EXPORT_CONTAINERS[settings.container].codecs.map(codec => (
+            <option key={codec} value={codec}>
+              {codec.toUpperCase()}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className={styles.row}>
+        <label className={styles.label}>Rate control</label>
+        <select
+          className={styles.select}
+          value={settings.rateControl}
+          onChange={e =>
+            store.setExportSettings({ rateControl: e.target.value })
+          }
+        >
+          <option value="quality">Quality</option>
+          <option value="bitrate">Bitrate</option>
+        </select>
+        {settings.rateControl === 'bitrate' ? (
+          <>
+            <input
+              type="number"
+              min={500}
+              step={500}
+              className={styles.input}
+              value={settings.videoBitrate}
+              onChange={e =>
+                store.setExportSettings({
+                  videoBitrate: Math.max(500, Number(e.target.value) || 0),
+                })
+              }
+            />
+            <span className={styles.hint}>kbps</span>
+          </>
+        ) : (
+          showQuality && (
+            <select
+              className={styles.select}
+              value={settings.quality}
+              onChange={e =>
+                store.setExportSettings({ quality: e.target.value })
+              }
+            >
+              {EXPORT_QUALITIES.map(quality => (
+                <option key={quality} value={quality}>
+                  {quality}
+                </option>
+              ))}
+            </select>
+          )
+        )}
+      </div>
+
+      <div className={styles.row}>
+        <label className={styles.label}>Range</label>
+        <input
+          type="number"
+          min={0}
+          step={0.1}
+          className={styles.input}
+          value={toSeconds(resolved.range.start)}
+          onChange={e => handleRangeChange('start', e.target.value)}
+        />
+        <span className={styles.hint}>to</span>
+        <input
+          type="number"
+          min={0}
+          step={0.1}
+          className={styles.input}
+          value={toSeconds(resolved.range.end)}
+          onChange={e => handleRangeChange('end', e.target.value)}
+        />
+        <span className={styles.hint}>secs</span>
+        <button
+          type="button"
+          className={styles.resetButton}
+          onClick={() =>
+            store.setExportSettings({ range: { start: 0, end: null } })
+          }
+        >
+          Full
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default ExportSettings;
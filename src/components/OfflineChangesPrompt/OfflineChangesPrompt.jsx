@@ -0,0 +1,100 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { observer } from 'mobx-react';
+import { IoCloudOfflineOutline } from 'react-icons/io5';
+import { StoreContext } from '../../mobx';
+import offlineQueue, { isStaleEntry } from '../../utils/offlineQueue';
+import loadStoryIntoEditor from '../../utils/loadStoryIntoEditor';
+import { handleCatchError } from '../../utils/errorHandler';
+import styles from './OfflineChangesPrompt.module.scss';
+
+const formatTime = time =>
+  new Date(time).toLocaleString([], {
+    dateStyle: 'short',
+    timeStyle: 'short',
+  });
+
+/**
+ * Offers to bring back changes that were saved on this device but never
+ * reached the server, e.g. after a reload while offline. Changes made on top
+ * of a sync older than the story's last server save are discarded without
+ * asking, using the same rule as the replay.
+ */
+const OfflineChangesPrompt = observer(({ storyId, serverUpdatedAt }) => {
+  const store = useContext(StoreContext);
+  const dispatch = useDispatch();
+  const [latestChange, setLatestChange] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  useEffect(() => {
+    let isCancelled = false;
+    setLatestChange(null);
+
+    const checkPendingChanges = async () => {
+      const pending = await offlineQueue.getPending(storyId);
+      const stale = pending.filter(entry =>
+        isStaleEntry(entry, serverUpdatedAt)
+      );
+      await Promise.all(stale.map(entry => offlineQueue.remove(entry.seq)));
+
+      const fresh = pending.filter(
+        entry => !isStaleEntry(entry, serverUpdatedAt)
+      );
+      if (!isCancelled && fresh.length > 0) {
+        setLatestChange(fresh[fresh.length - 1]);
+      }
+    };
+
+    if (storyId) checkPendingChanges();
+    return () => {
+      isCancelled = true;
+    };
+  }, [storyId, serverUpdatedAt]);
+
+  if (!latestChange) return null;
+
+  // The queued changes stay queued and are sent with the next sync
+  const handleRestore = async () => {
+    setIsRestoring(true);
+    try {
+      await loadStoryIntoEditor(latestChange.payload, store, dispatch);
+      setLatestChange(null);
+    } catch (error) {
+      handleCatchError(error, 'Failed to restore local changes');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    await offlineQueue.clear(storyId);
+    setLatestChange(null);
+  };
+
+  return (
+    <div className={styles.offlineChangesPrompt}>
+      <IoCloudOfflineOutline size={16} />
+      <span className={styles.message}>
+        Unsynced changes from {formatTime(latestChange.createdAt)}
+      </span>
+      <button
+        type="button"
+        className={styles.restoreButton}
+        disabled={isRestoring || store.isInitializationInProgress}
+        onClick={handleRestore}
+      >
+        {isRestoring ? 'Restoring...' : 'Restore'}
+      </button>
+      <button
+        type="button"
+        className={styles.discardButton}
+        disabled={isRestoring}
+        onClick={handleDiscard}
+      >
+        Discard
+      </button>
+    </div>
+  );
+});
+
+export default OfflineChangesPrompt;
@@ -0,0 +1,77 @@
+import React, { forwardRef, useContext, useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { StoreContext } from '../../../mobx';
+import {
+  jumpTo,
+  selectHistoryEntries,
+  selectHistoryIndex,
+} from '../../../redux/history/historySlice';
+import styles from './HistoryPanel.module.scss';
+
+const formatTime = timestamp =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+/**
+ * Labeled list of undoable commands. Clicking an entry undoes or redoes
+ * everything up to it; entries past the current one are shown dimmed until
+ * a new edit drops them.
+ */
+const HistoryPanel = forwardRef(({ onClose }, ref) => {
+  const dispatch = useDispatch();
+  const store = useContext(StoreContext);
+  const entries = useSelector(selectHistoryEntries);
+  const currentIndex = useSelector(selectHistoryIndex);
+  const currentItemRef = useRef(null);
+
+  useEffect(() => {
+    currentItemRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [currentIndex]);
+
+  const handleJump = index => {
+    if (index === currentIndex) return;
+    dispatch(jumpTo(index));
+    setTimeout(() => {
+      if (store.scheduleAnimationRefresh) {
+        store.scheduleAnimationRefresh();
+      }
+    }, 50);
+  };
+
+  const renderItem = (index, label, timestamp) => (
+    <li
+      key={index}
+      ref={index === currentIndex ? currentItemRef : null}
+      className={`${styles.historyItem} ${
+        index === currentIndex ? styles.current : ''
+      } ${index > currentIndex ? styles.undone : ''}`}
+      onClick={() => handleJump(index)}
+    >
+      <span className={styles.label}>{label}</span>
+      {timestamp && (
+        <span className={styles.time}>{formatTime(timestamp)}</span>
+      )}
+    </li>
+  );
+
+  return (
+    <div className={styles.panel} ref={ref}>
+      <div className={styles.header}>
+        <p className={styles.title}>History</p>
+        <button type="button" className={styles.closeButton} onClick={onClose}>
+          ×
+        </button>
+      </div>
+      <ul className={styles.list}>
+        {renderItem(-1, 'Opened project')}
+        {entries.map((entry, index) =>
+          renderItem(index, entry.label, entry.timestamp)
+        )}
+      </ul>
+    </div>
+  );
+});
+
+export default HistoryPanel;
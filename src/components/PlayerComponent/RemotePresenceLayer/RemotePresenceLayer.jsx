@@ -0,0 +1,86 @@
+import React, { useRef } from 'react';
+import { observer } from 'mobx-react';
+import { useSelector } from 'react-redux';
+import { StoreContext } from '../../../mobx';
+import { selectCollaborationPeers } from '../../../redux/collaboration/collaborationSlice';
+import styles from './RemotePresenceLayer.module.scss';
+
+// Canvas coordinates to pixels inside the layer, which covers the canvas
+// wrapper while the canvas itself may be scaled down and centered in it
+const getCanvasFrame = (canvas, layer) => {
+  const canvasRect = canvas.upperCanvasEl.getBoundingClientRect();
+  const layerRect = layer.getBoundingClientRect();
+  return {
+    left: canvasRect.left - layerRect.left,
+    top: canvasRect.top - layerRect.top,
+    scale: canvasRect.width / canvas.getWidth(),
+  };
+};
+
+/**
+ * Collaborators on the canvas: their pointer, and an outline in their color
+ * around the elements they have selected.
+ */
+const RemotePresenceLayer = observer(() => {
+  const store = React.useContext(StoreContext);
+  const peers = Object.values(useSelector(selectCollaborationPeers));
+  const layerRef = useRef(null);
+
+  const canvas = store.canvas;
+  const layer = layerRef.current;
+  const frame = canvas?.upperCanvasEl && layer && getCanvasFrame(canvas, layer);
+
+  const renderSelection = peer =>
+    (peer.selection || []).map(elementId => {
+      const element = store.editorElements.find(el => el.id === elementId);
+      // Read placement so the outline follows the element when it moves
+      if (!element?.fabricObject || !element.placement) return null;
+      const rect = element.fabricObject.getBoundingRect();
+      return (
+        <div
+          key={`${peer.clientId}-${elementId}`}
+          className={styles.selection}
+          style={{
+            '--peer-color': peer.color,
+            left: frame.left + rect.left * frame.scale,
+            top: frame.top + rect.top * frame.scale,
+            width: rect.width * frame.scale,
+            height: rect.height * frame.scale,
+          }}
+        />
+      );
+    });
+
+  const renderPointer = peer => {
+    const point = peer.cursor?.canvas;
+    if (!point) return null;
+    const [a, b, c, d, e, f] = canvas.viewportTransform;
+    return (
+      <div
+        key={`${peer.clientId}-pointer`}
+        className={styles.pointer}
+        style={{
+          '--peer-color': peer.color,
+          left: frame.left + (a * point.x + c * point.y + e) * frame.scale,
+          top: frame.top + (b * point.x + d * point.y + f) * frame.scale,
+        }}
+      >
+        <span className={styles.pointerLabel}>{peer.name}</span>
+      </div>
+    );
+  };
+
+  return (
+    <div ref={layerRef} className={styles.remotePresenceLayer}>
+      {frame &&
+        peers.map(peer => (
+          <React.Fragment key={peer.clientId}>
+            {renderSelection(peer)}
+            {renderPointer(peer)}
+          </React.Fragment>
+        ))}
+    </div>
+  );
+});
+
+export default RemotePresenceLayer;
@@ -16,6 +16,7 @@ import { resetActiveScene } from '../../redux/scene/sceneSlice';
 import TimeLineControlPanel from './TimeLineControlPanel/TimeLineControlPanel';
 import { useCheckboxStates } from 'hooks/timeline/useCheckboxStates';
 import { useKeyboardShortcuts } from 'hooks/useKeyboardShortcuts';
+import { useProjectFile } from 'hooks/useProjectFile';
 import Lottie from 'lottie-react';
 import { createPortal } from 'react-dom';
 import videfyAnime from '../../data/videfyAnime.json';
@@ -639,8 +640,14 @@ export const TimeLine = observer(
     const [controlsPosition, setControlsPosition] = useState(0); // Store exact pixel position
     const [isControlsDragging, setIsControlsDragging] = useState(false);
     const timelineControlsRef = useRef(null);
+    const subtitleFileInputRef = useRef(null);
+    const projectFileInputRef = useRef(null);
     const timelineControlsOptionsRef = useRef(null); // Add ref for the draggable controls
 
+    const store = React.useContext(StoreContext);
+    const { exportProject, importProject, isBusy: isProjectFileBusy } =
+      useProjectFile();
+
     // Settings menu checkbox states
     const STORAGE_KEY = 'settingsMenuCheckboxStates';
     const menuOptions = [
@@ -661,6 +668,24 @@ export const TimeLine = observer(
       { id: 2, name: 'Regenerate audio', icon: 'RegenerateIcon' },
       { id: 3, name: 'Regenerate subtitles', icon: 'RegenerateIcon' },
       { id: 4, name: 'Visual effects', icon: 'ThreeCirclesIcon' },
+      { id: 5, name: 'Import subtitles (SRT/VTT)', icon: 'UploadIcon' },
+      { id: 6, name: 'Export subtitles (SRT)', icon: 'DownloadIcon' },
+      { id: 7, name: 'Export subtitles (VTT)', icon: 'DownloadIcon' },
+      { id: 8, name: 'Export transcript (TXT)', icon: 'DownloadIcon' },
+      { id: 9, name: 'Add marker (M)', icon: 'PlusIcon' },
+      { id: 10, name: 'Export chapters (YouTube)', icon: 'DownloadIcon' },
+      {
+        id: 11,
+        name: `Ripple edit: ${store.rippleMode ? 'on' : 'off'} (R)`,
+        icon: 'CompactIcon',
+      },
+      {
+        id: 12,
+        name: `Sync-lock rows: ${store.rippleSyncLock ? 'on' : 'off'}`,
+        icon: 'CompactIcon',
+      },
+      { id: 13, name: 'Save project as file', icon: 'DownloadIcon' },
+      { id: 14, name: 'Open project file', icon: 'UploadIcon' },
     ];
 
     // Speed control options
@@ -692,8 +717,6 @@ export const TimeLine = observer(
       );
     }, [controlsPosition]);
 
-    const store = React.useContext(StoreContext);
-
     // Effect to sync preserved selection with store selection, but prevent clearing during preview
     useEffect(() => {
       // Only update preserved selection if we're not currently playing animation preview
@@ -848,6 +871,17 @@ export const TimeLine = observer(
             store.setPlaying(!store.playing);
           }
         },
+        // Markers: M adds one at the playhead, [ and ] jump between them
+        KeyM: (event, store) => {
+          if (event.ctrlKey || event.metaKey || event.altKey) return;
+          store.addMarker();
+        },
+        BracketLeft: (event, store) => store.jumpToMarker(-1),
+        BracketRight: (event, store) => store.jumpToMarker(1),
+        KeyR: (event, store) => {
+          if (event.ctrlKey || event.metaKey || event.altKey) return;
+          store.setRippleMode(!store.rippleMode);
+        },
       },
       {
         store: store,
@@ -1214,6 +1248,36 @@ export const TimeLine = observer(
         case 3: // Compact Audio
           store.compactAudioElements();
 
+          break;
+        case 5: // Import subtitles
+          subtitleFileInputRef.current?.click();
+          break;
+        case 6: // Export subtitles
+          store.exportSubtitles('srt');
+          break;
+        case 7:
+          store.exportSubtitles('vtt');
+          break;
+        case 8:
+          store.exportSubtitles('txt');
+          break;
+        case 9: // Add marker at playhead
+          store.addMarker();
+          break;
+        case 10: // Export chapters
+          store.exportChapters();
+          break;
+        case 11: // Ripple edit
+          store.setRippleMode(!store.rippleMode);
+          break;
+        case 12: // Ripple every unlocked row
+          store.setRippleSyncLock(!store.rippleSyncLock);
+          break;
+        case 13: // Project .zip with media
+          if (!isProjectFileBusy) exportProject();
+          break;
+        case 14:
+          if (!isProjectFileBusy) projectFileInputRef.current?.click();
           break;
         default:
           break;
@@ -1279,6 +1343,37 @@ export const TimeLine = observer(
             onDraggingChange={setIsControlsDragging}
             onReset={resetTimeline}
           />
+          <input
+            ref={subtitleFileInputRef}
+            type="file"
+            accept=".srt,.vtt,text/vtt,application/x-subrip"
+            style={{ display: 'none' }}
+            onChange={e => {
+              const file = e.target.files?.[0];
+              if (file) {
+                store.importSubtitleFile(file);
+              }
+              e.target.value = '';
+            }}
+          />
+          <input
+            ref={projectFileInputRef}
+            type="file"
+            accept=".zip,application/zip"
+            style={{ display: 'none' }}
+            onChange={e => {
+              const file = e.target.files?.[0];
+              if (
+                file &&
+                window.confirm(
+                  'Opening a project file replaces the current project. Continue?'
+                )
+              ) {
+                importProject(file);
+              }
+              e.target.value = '';
+            }}
+          />
           {!isControlsDragging && (
             <div className={styles.playbackControls}>
               <div className={styles.playbackControlsItem}>
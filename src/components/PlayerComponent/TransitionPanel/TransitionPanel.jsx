@@ -15,6 +15,9 @@ import { useDrag } from 'react-dnd';
 import { useDispatch } from 'react-redux';
 import { StoreContext } from '../../../mobx';
 import { getUid } from '../../../utils';
+import { DEFAULT_KEY_SETTINGS, KEY_TYPES } from '../../../utils/chromaKey';
+import { DEFAULT_MASK_SETTINGS, MASK_TYPES } from '../../../utils/masks';
+import { BUILT_IN_LUTS } from '../../../utils/lut';
 import {
   applyGlitchFilter,
   applyPixiFilter,
@@ -1332,6 +1335,82 @@ const TransitionPanel = observer(
         icon: 'NoneIcon',
         properties: {},
       },
+      // Keys cut out part of the picture and combine with any other filter
+      {
+        type: KEY_TYPES.CHROMA,
+        name: 'Chroma Key',
+        image: transitionImage1,
+        category: 'Key',
+        icon: 'FadeIcon',
+        isKeyFilter: true,
+        properties: DEFAULT_KEY_SETTINGS[KEY_TYPES.CHROMA],
+      },
+      {
+        type: KEY_TYPES.LUMA,
+        name: 'Luma Key',
+        image: transitionImage2,
+        category: 'Key',
+        icon: 'FadeIcon',
+        isKeyFilter: true,
+        properties: DEFAULT_KEY_SETTINGS[KEY_TYPES.LUMA],
+      },
+      // Masks, like keys, are kept apart from the other filter
+      {
+        type: MASK_TYPES.RECTANGLE,
+        name: 'Rectangle Mask',
+        image: transitionImage,
+        category: 'Mask',
+        icon: 'FadeIcon',
+        isMaskFilter: true,
+        properties: DEFAULT_MASK_SETTINGS[MASK_TYPES.RECTANGLE],
+      },
+      {
+        type: MASK_TYPES.ELLIPSE,
+        name: 'Ellipse Mask',
+        image: transitionImage1,
+        category: 'Mask',
+        icon: 'FadeIcon',
+        isMaskFilter: true,
+        properties: DEFAULT_MASK_SETTINGS[MASK_TYPES.ELLIPSE],
+      },
+      {
+        type: MASK_TYPES.ROUNDED,
+        name: 'Rounded Mask',
+        image: transitionImage2,
+        category: 'Mask',
+        icon: 'FadeIcon',
+        isMaskFilter: true,
+        properties: DEFAULT_MASK_SETTINGS[MASK_TYPES.ROUNDED],
+      },
+      {
+        type: MASK_TYPES.DRAWN,
+        name: 'Drawn Mask',
+        image: transitionImage,
+        category: 'Mask',
+        icon: 'FadeIcon',
+        isMaskFilter: true,
+        properties: DEFAULT_MASK_SETTINGS[MASK_TYPES.DRAWN],
+      },
+      {
+        type: MASK_TYPES.MATTE,
+        name: 'Track Matte',
+        image: transitionImage1,
+        category: 'Mask',
+        icon: 'FadeIcon',
+        isMaskFilter: true,
+        properties: DEFAULT_MASK_SETTINGS[MASK_TYPES.MATTE],
+      },
+      // LUT grading stacks with the other filter; the look is picked in its
+      // settings
+      {
+        type: 'lut',
+        name: 'Color LUT',
+        image: transitionImage2,
+        category: 'Color',
+        icon: 'FadeIcon',
+        isLutFilter: true,
+        properties: { ...BUILT_IN_LUTS[0], intensity: 1 },
+      },
       // PIXI Filters - Advanced Effects
       {
         type: 'adjustment',
@@ -2294,6 +2373,15 @@ const TransitionPanel = observer(
 
       // Handle filters
       if (activeTab === 'filters') {
+        if (animation.isKeyFilter) {
+          return selectedElement?.properties?.key?.type === animation.type;
+        }
+        if (animation.isMaskFilter) {
+          return selectedElement?.properties?.mask?.type === animation.type;
+        }
+        if (animation.isLutFilter) {
+          return !!selectedElement?.properties?.lut;
+        }
         return animation.type === currentFilter;
       }
 
@@ -2333,6 +2421,19 @@ const TransitionPanel = observer(
 
       // Handle filters - count applied filters (max 1)
       if (activeTab === 'filters') {
+        if (animation.isKeyFilter) {
+          return selectedElement.properties?.key?.type === animation.type
+            ? 1
+            : 0;
+        }
+        if (animation.isMaskFilter) {
+          return selectedElement.properties?.mask?.type === animation.type
+            ? 1
+            : 0;
+        }
+        if (animation.isLutFilter) {
+          return selectedElement.properties?.lut ? 1 : 0;
+        }
         return animation.type === currentFilter ? 1 : 0;
       }
 
@@ -2497,6 +2598,38 @@ const TransitionPanel = observer(
         return;
       }
 
+      // Keys toggle on and off without touching the other filter
+      if (filter.isKeyFilter) {
+        if (!selectedElement) return;
+        const isApplied = selectedElement.properties?.key?.type === filter.type;
+        store.setElementKey(
+          selectedElement.id,
+          isApplied ? null : { ...filter.properties, type: filter.type }
+        );
+        return;
+      }
+
+      // An element has one mask; picking another mask type replaces it
+      if (filter.isMaskFilter) {
+        if (!selectedElement) return;
+        const isApplied =
+          selectedElement.properties?.mask?.type === filter.type;
+        store.setElementMask(
+          selectedElement.id,
+          isApplied ? null : { ...filter.properties, type: filter.type }
+        );
+        return;
+      }
+
+      if (filter.isLutFilter) {
+        if (!selectedElement) return;
+        store.setElementLut(
+          selectedElement.id,
+          selectedElement.properties?.lut ? null : filter.properties
+        );
+        return;
+      }
+
       try {
         // Apply filter to the active canvas image
         if (filter.isPixiFilter) {
@@ -20,6 +20,7 @@ import styles from './ColorPicker.module.scss';
 import { ChromePicker } from 'react-color';
 import { throttle } from 'throttle-debounce';
 import PipetteIcon from 'components/Icons/PipetteIcon';
+import { pickScreenColor } from '../../../../utils/eyeDropper';
 import { useDispatch } from 'react-redux';
 import {
   saveTimelineState,
@@ -1334,44 +1335,28 @@ export const ColorPicker = ({
   }, [isBoldActive, isSubtitlesPanel, store]);
 
   const handlePipetteClick = useCallback(async () => {
-    if ('EyeDropper' in window) {
-      try {
-        const eyeDropper = new window.EyeDropper();
-        const result = await eyeDropper.open();
-
-        if (result && result.sRGBHex) {
-          const selectedColor = result.sRGBHex;
-
-          setHexColor(selectedColor);
-          setSelectedColor(selectedColor);
-
-          if (activeButton) {
-            setButtonColors(prev => ({
-              ...prev,
-              [activeButton]: selectedColor,
-            }));
-            store.updateColorPickerButtonColor(activeButton, selectedColor);
-            updateStyleByButton(
-              store,
-              isSubtitlesPanel,
-              activeButton,
-              selectedColor,
-              {
-                opacity: opacities[activeButton],
-                shadowDistance,
-                shadowBlur,
-                backgroundRadius,
-                strokeWidth,
-                agle,
-              }
-            );
-          } else {
-            onChange?.(selectedColor);
-          }
-        }
-      } catch (error) {}
+    const selectedColor = await pickScreenColor();
+    if (!selectedColor) return;
+
+    setHexColor(selectedColor);
+    setSelectedColor(selectedColor);
+
+    if (activeButton) {
+      setButtonColors(prev => ({
+        ...prev,
+        [activeButton]: selectedColor,
+      }));
+      store.updateColorPickerButtonColor(activeButton, selectedColor);
+      updateStyleByButton(store, isSubtitlesPanel, activeButton, selectedColor, {
+        opacity: opacities[activeButton],
+        shadowDistance,
+        shadowBlur,
+        backgroundRadius,
+        strokeWidth,
+        agle,
+      });
     } else {
-      console.warn('EyeDropper API is not supported in this browser');
+      onChange?.(selectedColor);
     }
   }, [
     activeButton,
@@ -8,6 +8,7 @@ import '../../utils/fabric-utils';
 import styles from './Player.module.scss';
 import { TypographyPanel } from '../../components/PlayerComponent/TypographyPanel/TypographyPanel';
 import { CanvasDropZone } from './CanvasDropZone';
+import RemotePresenceLayer from './RemotePresenceLayer/RemotePresenceLayer';
 
 import { PlayerFullscreen } from 'components/PlayerComponent/PlayerFullscreen/PlayerFullscreen';
 import { ButtonWithIcon } from 'components/reusableComponents/ButtonWithIcon';
@@ -244,6 +245,7 @@ export const VideoPanel = observer(
             <CanvasDropZone className={styles.canvasWrapper}>
               <canvas id="canvas" className={styles.canvasElement} />
               <div id="selection-layer" className={styles.selectionLayer}></div>
+              <RemotePresenceLayer />
             </CanvasDropZone>
             {isRendering && (
               <div className={styles.renderingOverlay}>
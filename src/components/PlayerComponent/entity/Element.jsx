@@ -105,10 +105,11 @@ export const Element = observer(props => {
       <button
         className={styles.deleteButton}
         onClick={e => {
-          store.removeEditorElement(element.id);
-          store.refreshElements();
           e.preventDefault();
           e.stopPropagation();
+          if (store.isRowLocked(element.row)) return;
+          store.removeEditorElement(element.id);
+          store.refreshElements();
         }}
       >
         X
@@ -7,10 +7,24 @@ import { RangeInput } from 'components/reusableComponents/RangeInput/RangeInput'
 import { CustomCheckbox } from 'components/reusableComponents/CustomCheckbox/CustomCheckbox';
 import { ButtonWithDropdown } from 'components/ButtonWithDropdown/ButtonWithDropdown';
 import { applyPixiFilter, applyGlitchFilter, removePixiFilters } from '../../../utils/pixi-filters';
+import {
+  FILTER_KEYFRAME_PREFIX,
+  MASK_KEYFRAME_PREFIX,
+} from '../../../utils/keyframes';
 import { getFilterFromEffectType } from '../../../utils/fabric-utils';
+import { KEY_TYPES } from '../../../utils/chromaKey';
+import {
+  MASK_ANIMATABLE_PARAMS,
+  MASK_TYPES,
+  MATTE_MODES,
+} from '../../../utils/masks';
+import { BUILT_IN_LUTS } from '../../../utils/lut';
+import { isEyeDropperSupported, pickScreenColor } from '../../../utils/eyeDropper';
+import PipetteIcon from 'components/Icons/PipetteIcon';
 
 // Default filter values
 const DEFAULT_FILTER_VALUES = {
+  lut: { ...BUILT_IN_LUTS[0], intensity: 1 },
   glitch: {
     slices: 5,
     offset: 100,
@@ -119,15 +133,30 @@ export const FilterResource = observer(props => {
   const { filterConfig, activeCanvasImage, onClose } = props;
   const [inputValues, setInputValues] = useState({});
   const [isMoreOpen, setIsMoreOpen] = useState(false);
+  const [maskBrushSize, setMaskBrushSize] = useState(30);
+  const [isImportingLut, setIsImportingLut] = useState(false);
   const debounceRef = useRef(null);
+  const lutInputRef = useRef(null);
+
+  const getSelectedElement = () =>
+    store.editorElements.find(el => el.fabricObject === activeCanvasImage);
 
   // Initialize input values
   useEffect(() => {
     if (filterConfig && filterConfig.properties) {
       const defaultValues = DEFAULT_FILTER_VALUES[filterConfig.type] || {};
+      // Keys, masks and LUTs live on the element, so edit the settings it has
+      const element = getSelectedElement();
+      const current = filterConfig.isKeyFilter
+        ? element?.properties?.key
+        : filterConfig.isMaskFilter
+        ? element?.properties?.mask
+        : null;
       setInputValues({
         ...defaultValues,
         ...filterConfig.properties,
+        ...(current?.type === filterConfig.type ? current : {}),
+        ...(filterConfig.isLutFilter ? element?.properties?.lut : {}),
       });
     }
   }, [filterConfig]);
@@ -145,6 +174,36 @@ export const FilterResource = observer(props => {
       }
 
       try {
+        if (filterConfig.isKeyFilter) {
+          const element = getSelectedElement();
+          if (element) {
+            store.setElementKey(element.id, { ...properties, type: filterType });
+          }
+          return;
+        }
+
+        if (filterConfig.isLutFilter) {
+          const element = getSelectedElement();
+          if (element) store.setElementLut(element.id, properties);
+          return;
+        }
+
+        if (filterConfig.isMaskFilter) {
+          const element = getSelectedElement();
+          if (!element) return;
+          const currentMask = element.properties?.mask;
+          store.setElementMask(element.id, {
+            ...properties,
+            type: filterType,
+            // Strokes are painted on the canvas, not set from these controls
+            ...(filterType === MASK_TYPES.DRAWN && {
+              strokes:
+                currentMask?.type === filterType ? currentMask.strokes : [],
+            }),
+          });
+          return;
+        }
+
         if (filterType === 'glitch') {
           await applyGlitchFilter(activeCanvasImage, properties);
         } else if (filterConfig.isPixiFilter) {
@@ -186,6 +245,27 @@ export const FilterResource = observer(props => {
     if (!activeCanvasImage) return;
 
     try {
+      if (filterConfig.isKeyFilter) {
+        const element = getSelectedElement();
+        if (element) store.setElementKey(element.id, null);
+        if (onClose) onClose();
+        return;
+      }
+
+      if (filterConfig.isMaskFilter) {
+        const element = getSelectedElement();
+        if (element) store.setElementMask(element.id, null);
+        if (onClose) onClose();
+        return;
+      }
+
+      if (filterConfig.isLutFilter) {
+        const element = getSelectedElement();
+        if (element) store.setElementLut(element.id, null);
+        if (onClose) onClose();
+        return;
+      }
+
       if (filterConfig.isPixiFilter) {
         removePixiFilters(activeCanvasImage);
       } else {
@@ -207,6 +287,33 @@ export const FilterResource = observer(props => {
     }
   };
 
+  // Key every numeric filter parameter at the playhead
+  const handleAddKeyframe = () => {
+    const element = store.editorElements.find(
+      el => el.fabricObject === activeCanvasImage
+    );
+    if (!element) return;
+
+    if (filterConfig.isMaskFilter) {
+      MASK_ANIMATABLE_PARAMS.forEach(param => {
+        if (typeof inputValues[param] === 'number') {
+          store.addKeyframe(element.id, `${MASK_KEYFRAME_PREFIX}${param}`, {
+            value: inputValues[param],
+          });
+        }
+      });
+      return;
+    }
+
+    Object.entries(inputValues).forEach(([param, value]) => {
+      if (typeof value === 'number') {
+        store.addKeyframe(element.id, `${FILTER_KEYFRAME_PREFIX}${param}`, {
+          value,
+        });
+      }
+    });
+  };
+
   const handlePreview = () => {
     if (activeCanvasImage && store.canvas) {
       // Simple preview - just re-render the canvas
@@ -214,10 +321,327 @@ export const FilterResource = observer(props => {
     }
   };
 
+  const isDrawingMask =
+    !!store.maskDrawingElementId &&
+    store.maskDrawingElementId === getSelectedElement()?.id;
+
+  const handleToggleMaskDrawing = () => {
+    const element = getSelectedElement();
+    if (!element) return;
+    if (isDrawingMask) {
+      store.stopMaskDrawing();
+    } else {
+      store.startMaskDrawing(element.id, { width: maskBrushSize });
+    }
+  };
+
+  const handleClearMaskStrokes = () => {
+    const element = getSelectedElement();
+    const mask = element?.properties?.mask;
+    if (mask?.type !== MASK_TYPES.DRAWN) return;
+    store.setElementMask(element.id, { ...mask, strokes: [] });
+  };
+
+  // Switch look, keeping the intensity
+  const handleLutChange = value => {
+    const lut = [...BUILT_IN_LUTS, ...store.projectLuts].find(
+      option => (option.url || option.id) === value
+    );
+    if (!lut) return;
+    const newInputValues = {
+      id: lut.id,
+      name: lut.name,
+      intensity: inputValues.intensity ?? 1,
+    };
+    if (lut.url) newInputValues.url = lut.url;
+    setInputValues(newInputValues);
+    applyFilterDebounced(filterConfig.type, newInputValues);
+  };
+
+  const handleLutFileChange = async e => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsImportingLut(true);
+    const lut = await store.importLutFile(file);
+    setIsImportingLut(false);
+    if (lut) handleLutChange(lut.url);
+  };
+
+  // Position and size are fractions of the element, shown as percentages
+  const renderMaskPercentInput = (label, param, min, max) => (
+    <RangeInput
+      label={label}
+      currentValue={Math.round((inputValues[param] ?? 0) * 100)}
+      onValueChange={e =>
+        handleParameterChange(param, parseFloat(e.target.value) / 100)
+      }
+      step={1}
+      min={min}
+      max={max}
+      measure={'%'}
+    />
+  );
+
+  const renderMaskEdgeControls = () => (
+    <>
+      <RangeInput
+        label="Feather"
+        currentValue={inputValues.feather ?? 0}
+        onValueChange={e =>
+          handleParameterChange('feather', parseFloat(e.target.value))
+        }
+        step={1}
+        min={0}
+        max={200}
+        measure={'px'}
+      />
+      <div className={styles.sidebarAnimationInputRow}>
+        <div className={styles.sidebarInputLabel}>Invert</div>
+        <CustomCheckbox
+          checked={inputValues.invert || false}
+          onChange={() => handleParameterChange('invert', !inputValues.invert)}
+        />
+      </div>
+    </>
+  );
+
+  const renderMaskControls = () => (
+    <>
+      {renderMaskPercentInput('Position X', 'x', -50, 150)}
+      {renderMaskPercentInput('Position Y', 'y', -50, 150)}
+      {renderMaskPercentInput('Width', 'width', 1, 200)}
+      {renderMaskPercentInput('Height', 'height', 1, 200)}
+      <RangeInput
+        label="Rotation"
+        currentValue={inputValues.rotation ?? 0}
+        onValueChange={e =>
+          handleParameterChange('rotation', parseFloat(e.target.value))
+        }
+        step={1}
+        min={-180}
+        max={180}
+        measure={'°'}
+      />
+      {filterConfig.type === MASK_TYPES.ROUNDED &&
+        renderMaskPercentInput('Corner radius', 'radius', 0, 100)}
+      {renderMaskEdgeControls()}
+    </>
+  );
+
   const renderFilterControls = () => {
     if (!filterConfig) return null;
 
     switch (filterConfig.type) {
+      case MASK_TYPES.RECTANGLE:
+      case MASK_TYPES.ELLIPSE:
+      case MASK_TYPES.ROUNDED:
+        return renderMaskControls();
+
+      case MASK_TYPES.DRAWN:
+        return (
+          <>
+            <RangeInput
+              label="Brush size"
+              currentValue={maskBrushSize}
+              onValueChange={e => {
+                const size = parseInt(e.target.value, 10);
+                setMaskBrushSize(size);
+                if (isDrawingMask) {
+                  store.updateBrushSettings({
+                    color: '#ffffff',
+                    width: size,
+                    opacity: 0.6,
+                  });
+                }
+              }}
+              step={1}
+              min={1}
+              max={200}
+              measure={'px'}
+            />
+            <div className={styles.sidebarAnimationInputRow}>
+              <button
+                className={styles.maskActionButton}
+                onClick={handleToggleMaskDrawing}
+              >
+                {isDrawingMask ? 'Stop drawing' : 'Draw on canvas'}
+              </button>
+              <button
+                className={styles.maskActionButton}
+                onClick={handleClearMaskStrokes}
+              >
+                Clear strokes
+              </button>
+            </div>
+            {renderMaskControls()}
+          </>
+        );
+
+      case 'lut':
+        return (
+          <>
+            <div className={styles.sidebarAnimationInputRow}>
+              <div className={styles.sidebarInputLabel}>Look</div>
+              <select
+                className={styles.lutSelect}
+                value={inputValues.url || inputValues.id || ''}
+                onChange={e => handleLutChange(e.target.value)}
+              >
+                {BUILT_IN_LUTS.map(lut => (
+                  <option key={lut.id} value={lut.id}>
+                    {lut.name}
+                  </option>
+                ))}
+                {store.projectLuts.map(lut => (
+                  <option key={lut.url} value={lut.url}>
+                    {lut.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className={styles.sidebarAnimationInputRow}>
+              <input
+                ref={lutInputRef}
+                type="file"
+                accept=".cube"
+                hidden
+                onChange={handleLutFileChange}
+              />
+              <button
+                className={styles.maskActionButton}
+                disabled={isImportingLut}
+                onClick={() => lutInputRef.current?.click()}
+              >
+                {isImportingLut ? 'Importing...' : 'Import .cube LUT'}
+              </button>
+            </div>
+            <RangeInput
+              label="Intensity"
+              currentValue={Math.round((inputValues.intensity ?? 1) * 100)}
+              onValueChange={e => handleParameterChange('intensity', parseFloat(e.target.value) / 100)}
+              step={1}
+              min={0}
+              max={100}
+              measure={'%'}
+            />
+          </>
+        );
+
+      case MASK_TYPES.MATTE:
+        return (
+          <>
+            <div className={styles.sidebarAnimationInputRow}>
+              <div className={styles.sidebarInputLabel}>
+                Uses the element on the row above
+              </div>
+            </div>
+            <div className={styles.sidebarAnimationInputRow}>
+              <div className={styles.sidebarInputLabel}>Luma matte</div>
+              <CustomCheckbox
+                checked={inputValues.matteMode === MATTE_MODES.LUMA}
+                onChange={() =>
+                  handleParameterChange(
+                    'matteMode',
+                    inputValues.matteMode === MATTE_MODES.LUMA
+                      ? MATTE_MODES.ALPHA
+                      : MATTE_MODES.LUMA
+                  )
+                }
+              />
+            </div>
+            {renderMaskEdgeControls()}
+          </>
+        );
+
+      case KEY_TYPES.CHROMA:
+        return (
+          <>
+            <div className={styles.sidebarAnimationInputRow}>
+              <div className={styles.sidebarInputLabel}>Key color</div>
+              <div className={styles.keyColorControls}>
+                <input
+                  type="color"
+                  className={styles.keyColorInput}
+                  value={inputValues.color || '#00ff00'}
+                  onChange={e => handleParameterChange('color', e.target.value)}
+                />
+                {isEyeDropperSupported() && (
+                  <button
+                    className={styles.keyPipetteButton}
+                    title="Pick the key color from the screen"
+                    onClick={async () => {
+                      const color = await pickScreenColor();
+                      if (color) handleParameterChange('color', color);
+                    }}
+                  >
+                    <PipetteIcon size="12px" color="rgba(255, 255, 255, 0.6)" />
+                  </button>
+                )}
+              </div>
+            </div>
+            <RangeInput
+              label="Tolerance"
+              currentValue={inputValues.tolerance ?? 0.3}
+              onValueChange={e => handleParameterChange('tolerance', parseFloat(e.target.value))}
+              step={0.01}
+              min={0}
+              max={1}
+              measure={''}
+            />
+            <RangeInput
+              label="Softness"
+              currentValue={inputValues.softness ?? 0.1}
+              onValueChange={e => handleParameterChange('softness', parseFloat(e.target.value))}
+              step={0.01}
+              min={0}
+              max={1}
+              measure={''}
+            />
+            <RangeInput
+              label="Spill suppression"
+              currentValue={inputValues.spill ?? 0.5}
+              onValueChange={e => handleParameterChange('spill', parseFloat(e.target.value))}
+              step={0.01}
+              min={0}
+              max={1}
+              measure={''}
+            />
+          </>
+        );
+
+      case KEY_TYPES.LUMA:
+        return (
+          <>
+            <RangeInput
+              label="Threshold"
+              currentValue={inputValues.threshold ?? 0.1}
+              onValueChange={e => handleParameterChange('threshold', parseFloat(e.target.value))}
+              step={0.01}
+              min={0}
+              max={1}
+              measure={''}
+            />
+            <RangeInput
+              label="Softness"
+              currentValue={inputValues.softness ?? 0.1}
+              onValueChange={e => handleParameterChange('softness', parseFloat(e.target.value))}
+              step={0.01}
+              min={0}
+              max={1}
+              measure={''}
+            />
+            <div className={styles.sidebarAnimationInputRow}>
+              <div className={styles.sidebarInputLabel}>Key out brights</div>
+              <CustomCheckbox
+                checked={inputValues.invert || false}
+                onChange={() => handleParameterChange('invert', !inputValues.invert)}
+              />
+            </div>
+          </>
+        );
+
       case 'glitch':
         return (
           <>
@@ -2030,6 +2454,7 @@ export const FilterResource = observer(props => {
       if (debounceRef.current) {
         clearTimeout(debounceRef.current);
       }
+      store.stopMaskDrawing();
     };
   }, []);
 
@@ -2111,6 +2536,20 @@ export const FilterResource = observer(props => {
           tooltipPosition="top"
           classNameButton={styles.resetButton}
         />
+        {!filterConfig.isLutFilter && (
+          <ButtonWithIcon
+            icon="PlusIcon"
+            text="Keyframe"
+            size="14px"
+            color="#FFFFFFB2"
+            accentColor="white"
+            marginLeft="0px"
+            onClick={handleAddKeyframe}
+            tooltipText="Keyframe filter values at the playhead"
+            tooltipPosition="top"
+            classNameButton={styles.resetButton}
+          />
+        )}
         <ButtonWithIcon
           icon="TrashIcon"
           text="Remove"
@@ -0,0 +1,155 @@
+import React, { useContext, useState } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import {
+  AUDIO_EFFECTS,
+  AUDIO_EFFECT_PRESETS,
+  createEffect,
+  normalizeEffects,
+} from '../../../utils/audioEffects';
+import styles from './AudioEffectsRack.module.scss';
+
+// Effects chain of an audio or video clip: presets, add, reorder, bypass and
+// tweak each effect. Changes are heard live and rendered into the export.
+export const AudioEffectsRack = observer(({ element }) => {
+  const store = useContext(StoreContext);
+  const [expandedId, setExpandedId] = useState(null);
+  const effects = normalizeEffects(element.properties?.audioEffects);
+
+  const setEffects = next => store.setElementAudioEffects(element.id, next);
+
+  const updateEffect = (effectId, changes) =>
+    setEffects(
+      effects.map(effect =>
+        effect.id === effectId ? { ...effect, ...changes } : effect
+      )
+    );
+
+  const moveEffect = (index, direction) => {
+    const next = [...effects];
+    [next[index], next[index + direction]] = [
+      next[index + direction],
+      next[index],
+    ];
+    setEffects(next);
+  };
+
+  const addEffect = type => {
+    const effect = createEffect(type);
+    setEffects([...effects, effect]);
+    setExpandedId(effect.id);
+  };
+
+  return (
+    <div className={styles.effectsRack}>
+      <div className={styles.header}>
+        <span className={styles.title}>Effects</span>
+        <select
+          className={styles.select}
+          value=""
+          onChange={e =>
+            store.applyAudioEffectsPreset(element.id, e.target.value)
+          }
+        >
+          <option value="" disabled>
+            Preset...
+          </option>
+          {AUDIO_EFFECT_PRESETS.map(preset => (
+            <option key={preset.id} value={preset.id}>
+              {preset.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {effects.map((effect, index) => {
+        const definition = AUDIO_EFFECTS[effect.type];
+        const isExpanded = expandedId === effect.id;
+        return (
+          <div key={effect.id} className={styles.effect}>
+            <div className={styles.effectHeader}>
+              <input
+                type="checkbox"
+                checked={effect.enabled}
+                title={effect.enabled ? 'Bypass' : 'Enable'}
+                onChange={e =>
+                  updateEffect(effect.id, { enabled: e.target.checked })
+                }
+              />
+              <button
+                className={styles.effectName}
+                onClick={() => setExpandedId(isExpanded ? null : effect.id)}
+              >
+                {definition.label}
+              </button>
+              <button
+                className={styles.iconButton}
+                disabled={index === 0}
+                title="Move up"
+                onClick={() => moveEffect(index, -1)}
+              >
+                ↑
+              </button>
+              <button
+                className={styles.iconButton}
+                disabled={index === effects.length - 1}
+                title="Move down"
+                onClick={() => moveEffect(index, 1)}
+              >
+                ↓
+              </button>
+              <button
+                className={styles.iconButton}
+                title="Remove"
+                onClick={() =>
+                  setEffects(effects.filter(({ id }) => id !== effect.id))
+                }
+              >
+                ×
+              </button>
+            </div>
+
+            {isExpanded &&
+              Object.entries(definition.params).map(([key, param]) => (
+                <div key={key} className={styles.sliderRow}>
+                  <span className={styles.label}>{param.label}</span>
+                  <input
+                    type="range"
+                    className={styles.slider}
+                    min={param.min}
+                    max={param.max}
+                    step={param.step}
+                    value={effect[key]}
+                    onChange={e =>
+                      updateEffect(effect.id, { [key]: Number(e.target.value) })
+                    }
+                  />
+                  <span className={styles.value}>
+                    {effect[key]}
+                    {param.unit}
+                  </span>
+                </div>
+              ))}
+          </div>
+        );
+      })}
+
+      <select
+        className={styles.select}
+        value=""
+        onChange={e => addEffect(e.target.value)}
+      >
+        <option value="" disabled>
+          Add effect...
+        </option>
+        {Object.entries(AUDIO_EFFECTS).map(([type, { label }]) => (
+          <option key={type} value={type}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+});
+
+export default AudioEffectsRack;
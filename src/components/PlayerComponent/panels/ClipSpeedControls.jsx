@@ -0,0 +1,66 @@
+import React, { useContext } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import {
+  SPEED_OPTIONS,
+  SPEED_RAMP_PRESETS,
+  formatSpeed,
+} from '../../../utils/retime';
+import styles from './ClipSpeedControls.module.scss';
+
+const isSameCurve = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Speed, speed ramp and direction of a video clip
+export const ClipSpeedControls = observer(({ element }) => {
+  const store = useContext(StoreContext);
+  const properties = element?.properties || {};
+  const curve = properties.speedCurve;
+  const rate = properties.playbackRate || 1;
+
+  const setSpeed = changes => store.setClipSpeed(element.id, changes);
+
+  return (
+    <div className={styles.clipSpeedControls}>
+      <span className={styles.label}>Speed</span>
+      <div className={styles.options}>
+        {SPEED_OPTIONS.map(speed => (
+          <button
+            key={speed}
+            className={`${styles.option} ${
+              !curve && rate === speed ? styles.selected : ''
+            }`}
+            onClick={() => setSpeed({ playbackRate: speed })}
+          >
+            {formatSpeed(speed)}
+          </button>
+        ))}
+      </div>
+
+      <span className={styles.label}>Speed ramp</span>
+      <div className={styles.options}>
+        {SPEED_RAMP_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            className={`${styles.option} ${styles.wide} ${
+              curve && isSameCurve(curve, preset.curve) ? styles.selected : ''
+            }`}
+            onClick={() => setSpeed({ speedCurve: preset.curve })}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <button
+        className={`${styles.option} ${styles.wide} ${
+          properties.reversed ? styles.selected : ''
+        }`}
+        onClick={() => setSpeed({ reversed: !properties.reversed })}
+      >
+        Reverse
+      </button>
+    </div>
+  );
+});
+
+export default ClipSpeedControls;
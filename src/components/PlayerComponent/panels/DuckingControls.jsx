@@ -0,0 +1,54 @@
+import React, { useContext } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { DUCKING_LIMITS, normalizeDucking } from '../../../utils/ducking';
+import styles from './DuckingControls.module.scss';
+
+const SLIDERS = [
+  { key: 'depth', label: 'Depth', unit: 'dB', step: 1 },
+  { key: 'attack', label: 'Attack', unit: 'ms', step: 10 },
+  { key: 'release', label: 'Release', unit: 'ms', step: 10 },
+];
+
+// Automatic ducking of a music element under voiceover
+export const DuckingControls = observer(({ element }) => {
+  const store = useContext(StoreContext);
+  const ducking = normalizeDucking(element.properties?.ducking);
+
+  const setDucking = updates => store.setElementDucking(element.id, updates);
+
+  return (
+    <div className={styles.duckingControls}>
+      <label className={styles.toggle}>
+        <input
+          type="checkbox"
+          checked={ducking.enabled}
+          onChange={e => setDucking({ enabled: e.target.checked })}
+        />
+        Duck under voiceover
+      </label>
+
+      {ducking.enabled &&
+        SLIDERS.map(({ key, label, unit, step }) => (
+          <div key={key} className={styles.sliderRow}>
+            <span className={styles.label}>{label}</span>
+            <input
+              type="range"
+              className={styles.slider}
+              min={DUCKING_LIMITS[key].min}
+              max={DUCKING_LIMITS[key].max}
+              step={step}
+              value={ducking[key]}
+              onChange={e => setDucking({ [key]: Number(e.target.value) })}
+            />
+            <span className={styles.value}>
+              {ducking[key]}
+              {unit}
+            </span>
+          </div>
+        ))}
+    </div>
+  );
+});
+
+export default DuckingControls;
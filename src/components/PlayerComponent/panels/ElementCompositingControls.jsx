@@ -0,0 +1,67 @@
+import React, { useContext } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { BLEND_MODES, DEFAULT_BLEND_MODE } from '../../../utils/blendModes';
+import {
+  getKeyframeBaseValue,
+  interpolateTrack,
+} from '../../../utils/keyframes';
+import styles from './ElementCompositingControls.module.scss';
+
+// Blend mode and opacity of a canvas element
+export const ElementCompositingControls = observer(({ element }) => {
+  const store = useContext(StoreContext);
+  const opacityTrack = element?.keyframes?.opacity;
+  const isOpacityKeyframed = opacityTrack?.length > 0;
+  const opacity = isOpacityKeyframed
+    ? interpolateTrack(
+        opacityTrack,
+        store.getElementLocalTime(element, store.currentTimeInMs)
+      )
+    : getKeyframeBaseValue(element, 'opacity');
+
+  return (
+    <div className={styles.compositingControls}>
+      <span className={styles.label}>Blend mode</span>
+      <select
+        className={styles.select}
+        value={element.properties?.blendMode || DEFAULT_BLEND_MODE}
+        onChange={e => store.setElementBlendMode(element.id, e.target.value)}
+      >
+        {BLEND_MODES.map(mode => (
+          <option key={mode.value} value={mode.value}>
+            {mode.label}
+          </option>
+        ))}
+      </select>
+
+      <span className={styles.label}>Opacity</span>
+      <div className={styles.opacityRow}>
+        <input
+          type="range"
+          className={styles.slider}
+          min={0}
+          max={100}
+          value={Math.round(opacity * 100)}
+          onChange={e =>
+            store.setElementOpacity(element.id, Number(e.target.value) / 100)
+          }
+        />
+        <span className={styles.value}>{Math.round(opacity * 100)}%</span>
+        <button
+          className={`${styles.keyframeButton} ${
+            isOpacityKeyframed ? styles.keyed : ''
+          }`}
+          title="Keyframe opacity at the playhead"
+          onClick={() =>
+            store.addKeyframe(element.id, 'opacity', { value: opacity })
+          }
+        >
+          ◆
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default ElementCompositingControls;
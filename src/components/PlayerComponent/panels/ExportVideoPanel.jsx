@@ -1,10 +1,12 @@
 import React from 'react';
 import { StoreContext } from '../../../mobx';
 import { observer } from 'mobx-react';
+import { ExportSettings } from '../../ExportSettings/ExportSettings';
 import styles from '../Player.module.scss';
 
 export const ExportVideoPanel = observer(() => {
   const store = React.useContext(StoreContext);
+  const { range } = store.getResolvedExportSettings();
 
   return (
     <div>
@@ -23,50 +25,24 @@ export const ExportVideoPanel = observer(() => {
           />
           <div>secs</div>
         </div>
-        <div className={styles.inputRow}>
-          <div className={styles.inputLabel}>Canvas Resolution:</div>
-          <div className={styles.videoFormatLabel}>Todo</div>
-        </div>
       </div>
       <div className={styles.inputContainer}>
-        <div className={styles.videoFormatLabel}>Video Format:</div>
-        <div className={styles.inputRow}>
-          <input
-            type="radio"
-            className={styles.radioInput}
-            name="video-format"
-            value="mp4"
-            checked={store.selectedVideoFormat === 'mp4'}
-            onChange={() => {
-              store.setVideoFormat('mp4');
-            }}
-          />
-          <div className={styles.videoFormatLabel}>MP4</div>
-          <input
-            type="radio"
-            className={styles.radioInput}
-            name="video-format"
-            value="webm"
-            checked={store.selectedVideoFormat === 'webm'}
-            onChange={() => {
-              store.setVideoFormat('webm');
-            }}
-          />
-          <div className={styles.videoFormatLabel}>webm</div>
-        </div>
+        <ExportSettings />
       </div>
       <button
         className={styles.exportButton}
         onClick={() => {
           store.handleSeek(0);
-          setTimeout(() => {
-            store.setPlaying(true);
-            store.saveCanvasToVideoWithAudio();
-          }, 1000);
+          store.saveCanvasToVideoWithAudio();
         }}
       >
-        Export Video ({store.maxTime / 1000} secs){' '}
-        {store.selectedVideoFormat === 'mp4' ? 'ALPHA' : ''}
+        Export Video ({(range.end - range.start) / 1000} secs)
+      </button>
+      <button
+        className={styles.exportButton}
+        onClick={() => store.exportAudioOnly()}
+      >
+        Export audio only (WAV)
       </button>
     </div>
   );
@@ -0,0 +1,120 @@
+import React, { useContext, useState } from 'react';
+import { observer } from 'mobx-react';
+import { StoreContext } from '../../../mobx';
+import { LOUDNESS_TARGETS } from '../../../utils/loudness';
+import styles from './LoudnessControls.module.scss';
+
+const formatReading = reading =>
+  reading && Number.isFinite(reading.integrated)
+    ? `${reading.integrated.toFixed(1)} LUFS, ${reading.truePeak.toFixed(
+        1
+      )} dBTP`
+    : 'Silent';
+
+// Loudness meter of a clip and of the mix, and normalization to a target
+export const LoudnessControls = observer(({ element }) => {
+  const store = useContext(StoreContext);
+  const [targetId, setTargetId] = useState(LOUDNESS_TARGETS[0].id);
+  const [busyAction, setBusyAction] = useState(null);
+
+  const clipReading = store.getLoudnessReading(element.id);
+  const mixReading = store.getLoudnessReading();
+  const gainDb = element.properties?.gainDb || 0;
+  const target = LOUDNESS_TARGETS.find(({ id }) => id === targetId);
+
+  const run = async (action, task) => {
+    if (busyAction) return;
+    setBusyAction(action);
+    try {
+      await task();
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  return (
+    <div className={styles.loudnessControls}>
+      <div className={styles.meterRow}>
+        <span className={styles.label}>Clip</span>
+        <span className={styles.value}>
+          {clipReading ? formatReading(clipReading) : '—'}
+        </span>
+        <button
+          className={styles.smallButton}
+          disabled={!!busyAction}
+          onClick={() => run('clip', () => store.measureLoudness(element.id))}
+        >
+          {busyAction === 'clip' ? '...' : 'Measure'}
+        </button>
+      </div>
+
+      <div className={styles.meterRow}>
+        <span className={styles.label}>Mix</span>
+        <span className={styles.value}>
+          {mixReading ? formatReading(mixReading) : '—'}
+        </span>
+        <button
+          className={styles.smallButton}
+          disabled={!!busyAction}
+          onClick={() => run('mix', () => store.measureLoudness())}
+        >
+          {busyAction === 'mix' ? '...' : 'Measure'}
+        </button>
+      </div>
+
+      <div className={styles.meterRow}>
+        <span className={styles.label}>Gain</span>
+        <span className={styles.value}>
+          {gainDb > 0 ? '+' : ''}
+          {gainDb.toFixed(1)} dB
+        </span>
+        {gainDb !== 0 && (
+          <button
+            className={styles.smallButton}
+            disabled={!!busyAction}
+            onClick={() => store.setElementGain(element.id, 0)}
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      <select
+        className={styles.targetSelect}
+        value={targetId}
+        onChange={e => setTargetId(e.target.value)}
+      >
+        {LOUDNESS_TARGETS.map(({ id, label, lufs }) => (
+          <option key={id} value={id}>
+            {label} ({lufs} LUFS)
+          </option>
+        ))}
+      </select>
+
+      <div className={styles.buttonRow}>
+        <button
+          className={styles.smallButton}
+          disabled={!!busyAction}
+          onClick={() =>
+            run('normalizeClip', () =>
+              store.normalizeLoudness(target.lufs, [element.id])
+            )
+          }
+        >
+          {busyAction === 'normalizeClip' ? 'Normalizing...' : 'Normalize clip'}
+        </button>
+        <button
+          className={styles.smallButton}
+          disabled={!!busyAction}
+          onClick={() =>
+            run('normalizeAll', () => store.normalizeLoudness(target.lufs))
+          }
+        >
+          {busyAction === 'normalizeAll' ? 'Normalizing...' : 'Normalize all'}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default LoudnessControls;
@@ -1,5 +1,11 @@
 import styles from '../Player.module.scss';
 import { useEffect, useRef } from 'react';
+import AudioEffectsRack from './AudioEffectsRack';
+import ClipSpeedControls from './ClipSpeedControls';
+import DuckingControls from './DuckingControls';
+import ElementCompositingControls from './ElementCompositingControls';
+import LoudnessControls from './LoudnessControls';
+import { isDuckableElement } from '../../../utils/ducking';
 
 const PopupPanel = ({
   isOpen,
@@ -10,10 +16,14 @@ const PopupPanel = ({
   onRegenerateAudio,
   isAudioType,
   isImageType,
+  isVideoType,
   deleteElement,
   splitPoint,
   onSplitAudio,
   onSplitImage,
+  onSplitVideo,
+  onFreezeFrame,
+  canFreezeFrame,
   element, // renamed from selectedElement for clarity
 }) => {
   const popupRef = useRef(null);
@@ -110,9 +120,55 @@ const PopupPanel = ({
               Regenerate audio
             </button>
           )}
+          {element && isDuckableElement(element) && (
+            <DuckingControls element={element} />
+          )}
+          {element && <LoudnessControls element={element} />}
+          {element && <AudioEffectsRack element={element} />}
+        </>
+      ) : isVideoType ? (
+        <>
+          <button
+            className={styles.popupButton}
+            onClick={() => {
+              onSplitVideo(splitPoint);
+              onClose();
+            }}
+          >
+            Split
+          </button>
+          <ClipSpeedControls element={element} />
+          {element && <LoudnessControls element={element} />}
+          {element && <AudioEffectsRack element={element} />}
+          <button
+            className={styles.popupButton}
+            disabled={!canFreezeFrame}
+            title={
+              canFreezeFrame ? undefined : 'Move the playhead over this clip'
+            }
+            onClick={() => {
+              onFreezeFrame();
+              onClose();
+            }}
+          >
+            Freeze frame
+          </button>
+          {element && <ElementCompositingControls element={element} />}
+          <button className={styles.popupButton} onClick={handleVisualEffects}>
+            Visual effects
+          </button>
+          <button
+            className={styles.popupButton}
+            onClick={() => {
+              deleteElement();
+            }}
+          >
+            Remove
+          </button>
         </>
       ) : isImageType ? (
         <>
+          {element && <ElementCompositingControls element={element} />}
           <button className={styles.popupButton} onClick={handleVisualEffects}>
             Visual effects
           </button>
@@ -127,6 +183,7 @@ const PopupPanel = ({
         </>
       ) : (
         <>
+          {element && <ElementCompositingControls element={element} />}
           <button className={styles.popupButton} onClick={handleVisualEffects}>
             Visual effects
           </button>
@@ -38,6 +38,15 @@ function DraggableElementView(props) {
     return data.initialValue + deltaValue;
   }
 
+  // Snap the edge being trimmed to nearby snap targets
+  function snapResizeEdge(time, widthPx) {
+    return store.snapTimeFrame(
+      { [props.resizeType]: time },
+      props.element,
+      widthPx
+    )[props.resizeType];
+  }
+
   const handleMouseDown = event => {
     if (!data.div) return;
 
@@ -164,7 +173,13 @@ function DraggableElementView(props) {
         const adjustedMousePosition = mouseRelativeToTimeline - initialClickOffset;
         const newTimeValue = Math.max(
           0,
-          Math.min(store.maxTime, (adjustedMousePosition / effectiveWidth) * store.maxTime)
+          Math.min(
+            store.maxTime,
+            snapResizeEdge(
+              (adjustedMousePosition / effectiveWidth) * store.maxTime,
+              effectiveWidth
+            )
+          )
         );
 
         if (props.resizeType === 'start') {
@@ -230,7 +245,13 @@ function DraggableElementView(props) {
         const adjustedMousePosition = mouseRelativeToTimeline - initialClickOffset;
         newTimeValue = Math.max(
           0,
-          Math.min(store.maxTime, (adjustedMousePosition / effectiveWidth) * store.maxTime)
+          Math.min(
+            store.maxTime,
+            snapResizeEdge(
+              (adjustedMousePosition / effectiveWidth) * store.maxTime,
+              effectiveWidth
+            )
+          )
         );
       } else {
         newTimeValue = calculateNewValue(event.clientX);
@@ -242,7 +263,10 @@ function DraggableElementView(props) {
       } else if (props.resizeType === 'end') {
         finalEnd = Math.max(element.timeFrame.start + 100, Math.min(newTimeValue, store.maxTime));
       }
+      const previousTimeFrame = { ...element.timeFrame };
+      store.clearSnapGuides();
       store.finishResizeGhost(finalStart, finalEnd);
+      store.rippleTrim(element.id, previousTimeFrame);
     }
 
     // Reset stored values
@@ -1,11 +1,29 @@
 import React, { useState } from 'react';
 import { useSelector } from 'react-redux';
 import { ButtonWithIcon } from 'components/reusableComponents/ButtonWithIcon';
-import { GenerateAIModeComponent } from 'components/GenerateWithAiSection/GenerateAIModeComponent';
 import { LocalRenderIcon, CloudRenderIcon } from 'components/Icons';
+import { ExportSettings } from 'components/ExportSettings/ExportSettings';
 import { user } from '../../redux/auth/selectors';
 import styles from './RenderOptionModal.module.scss';
 
+const QualityTabs = ({ activeTab, onTabClick, tabs }) => (
+  <div className={styles.qualityTabs}>
+    {tabs.map(tab => (
+      <ButtonWithIcon
+        key={tab.label}
+        text={tab.label}
+        marginLeft="0"
+        disabled={!tab.active}
+        onClick={() => onTabClick(tab.label)}
+        classNameButton={`${styles.qualityTab} ${
+          activeTab === tab.label ? styles.active : ''
+        }`}
+      />
+    ))}
+  </div>
+);
+
+// The cloud option is only shown when a cloud render handler is given
 const RenderOptionModal = ({
   isOpen,
   onClose,
@@ -86,12 +104,10 @@ const RenderOptionModal = ({
                       onClick={e => e.stopPropagation()}
                     >
                       <div className={styles.qualityLabel}>Quality</div>
-                      <GenerateAIModeComponent
+                      <QualityTabs
                         activeTab={localQuality}
-                        handleTabClick={setLocalQuality}
+                        onTabClick={setLocalQuality}
                         tabs={localTabs}
-                        containerStyle={{}}
-                        tabsStyle={{ gap: '4px' }}
                       />
                     </div>
                   </div>
@@ -105,47 +121,47 @@ const RenderOptionModal = ({
                   </div>
 
                   <ul className={styles.optionFeatures}>
-                    <li>Medium: Browser-based rendering</li>
-                    <li>High: FFmpeg local rendering</li>
+                    <li>Frame-accurate FFmpeg rendering</li>
+                    <li>Medium or high encoding quality</li>
                     <li>Offline rendering</li>
                   </ul>
                 </div>
 
-                <div className={styles.option} onClick={handleCloudRender}>
-                  <div className={styles.optionHeader}>
-                    <div className={styles.optionIcon}>
-                      <CloudRenderIcon size={64} />
+                {onCloudRender && (
+                  <div className={styles.option} onClick={handleCloudRender}>
+                    <div className={styles.optionHeader}>
+                      <div className={styles.optionIcon}>
+                        <CloudRenderIcon size={64} />
+                      </div>
+
+                      <div
+                        className={styles.qualitySection}
+                        onClick={e => e.stopPropagation()}
+                      >
+                        <div className={styles.qualityLabel}>Quality</div>
+                        <QualityTabs
+                          activeTab={cloudQuality}
+                          onTabClick={setCloudQuality}
+                          tabs={cloudTabs}
+                        />
+                      </div>
                     </div>
 
-                    <div
-                      className={styles.qualitySection}
-                      onClick={e => e.stopPropagation()}
-                    >
-                      <div className={styles.qualityLabel}>Quality</div>
-                      <GenerateAIModeComponent
-                        activeTab={cloudQuality}
-                        handleTabClick={setCloudQuality}
-                        tabs={cloudTabs}
-                        containerStyle={{}}
-                        tabsStyle={{ gap: '4px' }}
-                      />
+                    <div className={styles.optionContent}>
+                      <h4 className={styles.optionTitle}>Cloud Render</h4>
+                      <p className={styles.optionDescription}>
+                        Render on our high-performance servers. Ideal for final
+                        exports and sharing.
+                      </p>
                     </div>
-                  </div>
 
-                  <div className={styles.optionContent}>
-                    <h4 className={styles.optionTitle}>Cloud Render</h4>
-                    <p className={styles.optionDescription}>
-                      Render on our high-performance servers. Ideal for final
-                      exports and sharing.
-                    </p>
+                    <ul className={styles.optionFeatures}>
+                      <li>Only high quality available</li>
+                      <li>Faster processing</li>
+                      <li>Best if your computer is slow</li>
+                    </ul>
                   </div>
-
-                  <ul className={styles.optionFeatures}>
-                    <li>Only high quality available</li>
-                    <li>Faster processing</li>
-                    <li>Best if your computer is slow</li>
-                  </ul>
-                </div>
+                )}
               </>
             ) : (
               <>
@@ -161,12 +177,10 @@ const RenderOptionModal = ({
                       onClick={e => e.stopPropagation()}
                     >
                       <div className={styles.qualityLabel}>Quality</div>
-                      <GenerateAIModeComponent
+                      <QualityTabs
                         activeTab={sandboxQuality}
-                        handleTabClick={setSandboxQuality}
+                        onTabClick={setSandboxQuality}
                         tabs={sandboxTabs}
-                        containerStyle={{}}
-                        tabsStyle={{ gap: '4px' }}
                       />
                     </div>
                   </div>
@@ -187,6 +201,10 @@ const RenderOptionModal = ({
               </>
             )}
           </div>
+          <div className={styles.settingsSection}>
+            <div className={styles.qualityLabel}>Export Settings</div>
+            <ExportSettings showQuality={false} />
+          </div>
         </div>
       </div>
     </div>
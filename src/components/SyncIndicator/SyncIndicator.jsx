@@ -1,6 +1,10 @@
 import React, { useRef } from 'react';
 import { useSelector } from 'react-redux';
-import { IoCloudDoneOutline, IoCloudOutline } from "react-icons/io5";
+import {
+  IoCloudDoneOutline,
+  IoCloudOutline,
+  IoGitMergeOutline,
+} from "react-icons/io5";
 import { Tooltip } from 'react-tooltip';
 import {
   selectSyncStatus,
@@ -44,6 +48,12 @@ const SyncIndicator = () => {
           tooltipText: errorMessage || 'Sync failed',
           className: styles.error,
         };
+      case 'conflict':
+        return {
+          icon: IoGitMergeOutline,
+          tooltipText: 'Someone else changed this story. Choose what to keep.',
+          className: styles.conflict,
+        };
       default:
         return {
           icon: IoCloudOutline,
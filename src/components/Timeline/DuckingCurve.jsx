@@ -0,0 +1,42 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import styles from './Timeline.module.scss';
+import { StoreContext } from '../../mobx';
+import { getDuckingCurve } from '../../utils/ducking';
+
+const CURVE_POINTS = 200;
+
+/**
+ * Gain the ducking applies over a music element, drawn over its waveform:
+ * full volume along the top, dipping while the voiceover speaks.
+ */
+const DuckingCurve = observer(({ element }) => {
+  const store = React.useContext(StoreContext);
+  const { start, end } = element.timeFrame;
+  const curve = getDuckingCurve(
+    store.speechIntervals,
+    element.properties.ducking,
+    start,
+    end,
+    (end - start) / CURVE_POINTS
+  );
+  if (!curve) return null;
+
+  const points = Array.from(curve, (gain, index) => {
+    const x = (index / (curve.length - 1)) * 100;
+    const y = 4 + (1 - gain) * 92;
+    return `${x.toFixed(2)},${y.toFixed(2)}`;
+  }).join(' ');
+
+  return (
+    <svg
+      className={styles.duckingCurve}
+      viewBox="0 0 100 100"
+      preserveAspectRatio="none"
+    >
+      <polyline points={points} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+});
+
+export default DuckingCurve;
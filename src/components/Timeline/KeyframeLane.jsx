@@ -0,0 +1,179 @@
+import React, { useCallback, useRef, useState } from 'react';
+import { observer } from 'mobx-react';
+import styles from './Timeline.module.scss';
+import { StoreContext } from '../../mobx';
+import {
+  KEYFRAME_EASINGS,
+  getKeyframeTimes,
+  hasKeyframes,
+  isSameKeyframeTime,
+} from '../../utils/keyframes';
+
+// Pointer travel (px) before a click on a keyframe turns into a drag
+const DRAG_THRESHOLD_PX = 3;
+
+const getEasingAtTime = (element, time) => {
+  for (const track of Object.values(element.keyframes || {})) {
+    const keyframe = track.find(kf => isSameKeyframeTime(kf.time, time));
+    if (keyframe) return keyframe.easing || 'linear';
+  }
+  return 'linear';
+};
+
+/**
+ * Keyframe lane shown under a TimelineRow. Each diamond stands for every
+ * property keyed at that time; diamonds can be dragged, eased and deleted.
+ */
+const KeyframeLane = observer(({ overlays }) => {
+  const store = React.useContext(StoreContext);
+  const laneRef = useRef(null);
+  const [selected, setSelected] = useState(null); // { elementId, time }
+  const [dragPreview, setDragPreview] = useState(null); // { elementId, from, to }
+
+  const elements = overlays.filter(
+    overlay =>
+      overlay.type !== 'animation' &&
+      (hasKeyframes(overlay) || overlay.id === store.selectedElement?.id)
+  );
+
+  const toPercent = time => `${(time / store.maxTime) * 100}%`;
+
+  const handlePointerDown = useCallback(
+    (event, element, time) => {
+      event.stopPropagation();
+      const lane = laneRef.current;
+      if (!lane) return;
+
+      const startX = event.clientX;
+      const msPerPx = store.maxTime / lane.getBoundingClientRect().width;
+      let isDragging = false;
+      let targetTime = time;
+
+      const handleMove = moveEvent => {
+        const deltaPx = moveEvent.clientX - startX;
+        if (!isDragging && Math.abs(deltaPx) < DRAG_THRESHOLD_PX) return;
+        isDragging = true;
+
+        const duration = element.timeFrame.end - element.timeFrame.start;
+        targetTime = Math.max(
+          0,
+          Math.min(duration, Math.round(time + deltaPx * msPerPx))
+        );
+        setDragPreview({ elementId: element.id, from: time, to: targetTime });
+      };
+
+      const handleUp = () => {
+        window.removeEventListener('pointermove', handleMove);
+        window.removeEventListener('pointerup', handleUp);
+        setDragPreview(null);
+
+        if (isDragging) {
+          store.moveKeyframesAtTime(element.id, time, targetTime);
+        }
+        setSelected({ elementId: element.id, time: targetTime });
+        store.handleSeek(element.timeFrame.start + targetTime);
+      };
+
+      window.addEventListener('pointermove', handleMove);
+      window.addEventListener('pointerup', handleUp);
+    },
+    [store]
+  );
+
+  if (elements.length === 0) return null;
+
+  const selectedElement = selected
+    ? elements.find(element => element.id === selected.elementId)
+    : null;
+  const playheadElement = elements.find(
+    element =>
+      element.id === store.selectedElement?.id &&
+      store.currentTimeInMs >= element.timeFrame.start &&
+      store.currentTimeInMs <= element.timeFrame.end
+  );
+
+  return (
+    <div className={styles.keyframeLane} ref={laneRef}>
+      {elements.map(element => (
+        <div
+          key={element.id}
+          className={styles.keyframeLaneSegment}
+          style={{
+            left: toPercent(element.timeFrame.start),
+            width: toPercent(element.timeFrame.end - element.timeFrame.start),
+          }}
+        >
+          {getKeyframeTimes(element).map(time => {
+            const isDragged =
+              dragPreview?.elementId === element.id &&
+              isSameKeyframeTime(dragPreview.from, time);
+            const displayTime = isDragged ? dragPreview.to : time;
+            const duration = element.timeFrame.end - element.timeFrame.start;
+            const isSelected =
+              selected?.elementId === element.id &&
+              isSameKeyframeTime(selected.time, time);
+
+            return (
+              <div
+                key={time}
+                className={`${styles.keyframeDiamond} ${
+                  isSelected ? styles.keyframeDiamondSelected : ''
+                }`}
+                style={{ left: `${(displayTime / duration) * 100}%` }}
+                title={`${(displayTime / 1000).toFixed(2)}s`}
+                onPointerDown={event => handlePointerDown(event, element, time)}
+              />
+            );
+          })}
+        </div>
+      ))}
+
+      <div className={styles.keyframeToolbar}>
+        {playheadElement && (
+          <button
+            type="button"
+            className={styles.keyframeButton}
+            title="Add keyframe at playhead"
+            onClick={() => store.addKeyframesAtCurrentTime(playheadElement.id)}
+          >
+            ◆+
+          </button>
+        )}
+        {selectedElement && (
+          <>
+            <select
+              className={styles.keyframeEasingSelect}
+              value={getEasingAtTime(selectedElement, selected.time)}
+              onChange={e =>
+                store.setKeyframeEasingAtTime(
+                  selectedElement.id,
+                  selected.time,
+                  e.target.value
+                )
+              }
+            >
+              {Object.keys(KEYFRAME_EASINGS).map(easing => (
+                <option key={easing} value={easing}>
+                  {easing}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className={styles.keyframeButton}
+              title="Delete keyframe"
+              onClick={() => {
+                store.removeKeyframesAtTime(selectedElement.id, selected.time);
+                setSelected(null);
+              }}
+            >
+              ✕
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+});
+
+export default KeyframeLane;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import { useSelector } from 'react-redux';
+import { StoreContext } from '../../mobx';
+import { selectCollaborationPeers } from '../../redux/collaboration/collaborationSlice';
+import styles from './Timeline.module.scss';
+
+// Where each collaborator's pointer is on the timeline
+const RemoteCursors = observer(() => {
+  const store = React.useContext(StoreContext);
+  const peers = useSelector(selectCollaborationPeers);
+
+  return Object.values(peers)
+    .filter(peer => typeof peer.cursor?.time === 'number')
+    .map(peer => (
+      <div
+        key={peer.clientId}
+        className={styles.remoteCursor}
+        style={{
+          left: `${(peer.cursor.time / store.maxTime) * 100}%`,
+          '--peer-color': peer.color,
+        }}
+      >
+        <span className={styles.remoteCursorLabel}>{peer.name}</span>
+      </div>
+    ));
+});
+
+export default RemoteCursors;
@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { observer } from 'mobx-react';
+import styles from './Timeline.module.scss';
+import { StoreContext } from '../../mobx';
+
+const AUDIBLE_TYPES = ['audio', 'video'];
+
+const TOGGLES = [
+  { key: 'locked', label: 'L', title: 'Lock row' },
+  { key: 'hidden', label: 'H', title: 'Hide row' },
+  { key: 'muted', label: 'M', title: 'Mute row', audibleOnly: true },
+  { key: 'solo', label: 'S', title: 'Solo row', audibleOnly: true },
+];
+
+/**
+ * Track header controls for one timeline row: rename, lock, hide, and
+ * mute/solo for rows that carry sound. Active states stay visible as small
+ * badges while the popover is closed.
+ */
+const RowControls = observer(({ rowIndex, overlays }) => {
+  const store = React.useContext(StoreContext);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  const settings = store.getRowSettings(rowIndex);
+  const hasAudio = overlays.some(overlay =>
+    AUDIBLE_TYPES.includes(overlay.type)
+  );
+  const toggles = TOGGLES.filter(toggle => hasAudio || !toggle.audibleOnly);
+  const activeToggles = toggles.filter(toggle => settings[toggle.key]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = event => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const finishRename = value => {
+    const name = value.trim();
+    if (name !== settings.name) {
+      store.renameRow(rowIndex, name);
+    }
+  };
+
+  return (
+    <div
+      className={styles.rowControls}
+      ref={containerRef}
+      onMouseDown={event => event.stopPropagation()}
+    >
+      <button
+        type="button"
+        className={`${styles.rowControlsButton} ${
+          activeToggles.length ? styles.rowControlsButtonActive : ''
+        }`}
+        title={settings.name || 'Row settings'}
+        onClick={() => setIsOpen(open => !open)}
+      >
+        {activeToggles.length
+          ? activeToggles.map(toggle => toggle.label).join('')
+          : '⋯'}
+      </button>
+
+      {isOpen && (
+        <div className={styles.rowControlsPopover}>
+          <input
+            className={styles.rowControlsNameInput}
+            defaultValue={settings.name}
+            placeholder={`Row ${rowIndex + 1}`}
+            onBlur={e => finishRename(e.target.value)}
+            onKeyDown={e => {
+              if (e.key === 'Enter') e.target.blur();
+              if (e.key === 'Escape') setIsOpen(false);
+            }}
+          />
+          <div className={styles.rowControlsToggles}>
+            {toggles.map(toggle => (
+              <button
+                key={toggle.key}
+                type="button"
+                className={`${styles.rowControlsToggle} ${
+                  settings[toggle.key] ? styles.rowControlsToggleActive : ''
+                }`}
+                title={toggle.title}
+                onClick={() => store.toggleRowSetting(rowIndex, toggle.key)}
+              >
+                {toggle.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default RowControls;
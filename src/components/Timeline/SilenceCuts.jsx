@@ -0,0 +1,50 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import styles from './Timeline.module.scss';
+import { StoreContext } from '../../mobx';
+import { getTimelineCuts } from '../../utils/silenceDetection';
+
+/**
+ * Silences detected in an audio element, shaded over its waveform for
+ * review. Click a silence to keep it or cut it again; the cuts are applied
+ * from the Remove Silence menu.
+ */
+const SilenceCuts = observer(({ element }) => {
+  const store = React.useContext(StoreContext);
+  const cuts = getTimelineCuts(element, store.silenceCuts);
+  if (cuts.length === 0) return null;
+
+  const { start, end } = element.timeFrame;
+  const toPercent = time => ((time - start) / (end - start)) * 100;
+  const isLocked = store.isRowLocked(element.row);
+
+  return (
+    <div className={styles.silenceCuts}>
+      {cuts.map(cut => (
+        <div
+          key={cut.id}
+          className={`${styles.silenceCut} ${
+            cut.enabled ? styles.silenceCutEnabled : ''
+          }`}
+          style={{
+            left: `${toPercent(cut.start)}%`,
+            width: `${toPercent(cut.end) - toPercent(cut.start)}%`,
+          }}
+          title={`${((cut.end - cut.start) / 1000).toFixed(2)}s silence, ${
+            cut.enabled ? 'click to keep' : 'click to cut'
+          }`}
+          onMouseDown={event => {
+            event.stopPropagation();
+            event.preventDefault();
+          }}
+          onClick={event => {
+            event.stopPropagation();
+            if (!isLocked) store.toggleSilenceCut(cut.id);
+          }}
+        />
+      ))}
+    </div>
+  );
+});
+
+export default SilenceCuts;
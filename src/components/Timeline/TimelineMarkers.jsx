@@ -0,0 +1,164 @@
+import React, { useCallback, useRef, useState } from 'react';
+import { observer } from 'mobx-react';
+import styles from './Timeline.module.scss';
+import { StoreContext } from '../../mobx';
+import { MARKER_COLORS, formatChapterTimestamp } from '../../utils/markers';
+
+// Pointer travel (px) before a click on a marker turns into a drag
+const DRAG_THRESHOLD_PX = 3;
+
+/**
+ * Marker ruler above the timeline rows. Click a flag to seek to it, drag to
+ * move it, double-click to rename; the selected marker can be recolored or
+ * deleted from the toolbar.
+ */
+const TimelineMarkers = observer(() => {
+  const store = React.useContext(StoreContext);
+  const rulerRef = useRef(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [dragPreview, setDragPreview] = useState(null); // { id, time }
+
+  const handlePointerDown = useCallback(
+    (event, marker) => {
+      event.stopPropagation();
+      const ruler = rulerRef.current;
+      if (!ruler || event.button !== 0) return;
+
+      const startX = event.clientX;
+      const msPerPx = store.maxTime / ruler.getBoundingClientRect().width;
+      let isDragging = false;
+      let targetTime = marker.time;
+
+      const handleMove = moveEvent => {
+        const deltaPx = moveEvent.clientX - startX;
+        if (!isDragging && Math.abs(deltaPx) < DRAG_THRESHOLD_PX) return;
+        isDragging = true;
+
+        targetTime = Math.max(
+          0,
+          Math.min(store.maxTime, Math.round(marker.time + deltaPx * msPerPx))
+        );
+        setDragPreview({ id: marker.id, time: targetTime });
+      };
+
+      const handleUp = () => {
+        window.removeEventListener('pointermove', handleMove);
+        window.removeEventListener('pointerup', handleUp);
+        setDragPreview(null);
+
+        if (isDragging) {
+          store.updateMarker(marker.id, { time: targetTime });
+        }
+        setSelectedId(marker.id);
+        store.handleSeek(targetTime);
+      };
+
+      window.addEventListener('pointermove', handleMove);
+      window.addEventListener('pointerup', handleUp);
+    },
+    [store]
+  );
+
+  const finishEditing = (marker, value) => {
+    setEditingId(null);
+    const label = value.trim();
+    if (label && label !== marker.label) {
+      store.updateMarker(marker.id, { label });
+    }
+  };
+
+  // Double-clicking empty ruler space drops a marker there
+  const handleRulerDoubleClick = event => {
+    const rect = rulerRef.current.getBoundingClientRect();
+    const time = ((event.clientX - rect.left) / rect.width) * store.maxTime;
+    setSelectedId(store.addMarker({ time }).id);
+  };
+
+  const selectedMarker = store.markers.find(marker => marker.id === selectedId);
+
+  return (
+    <div
+      className={styles.markerRuler}
+      ref={rulerRef}
+      data-timeline-markers
+      onDoubleClick={handleRulerDoubleClick}
+    >
+      {store.markers.map(marker => {
+        const time =
+          dragPreview?.id === marker.id ? dragPreview.time : marker.time;
+        const isSelected = marker.id === selectedId;
+
+        return (
+          <div
+            key={marker.id}
+            className={`${styles.marker} ${
+              isSelected ? styles.markerSelected : ''
+            }`}
+            style={{
+              left: `${(time / store.maxTime) * 100}%`,
+              '--marker-color': marker.color,
+            }}
+            title={`${formatChapterTimestamp(time)} ${marker.label}`}
+            onPointerDown={event => handlePointerDown(event, marker)}
+            onDoubleClick={event => {
+              event.stopPropagation();
+              setEditingId(marker.id);
+            }}
+          >
+            {editingId === marker.id ? (
+              <input
+                className={styles.markerLabelInput}
+                defaultValue={marker.label}
+                autoFocus
+                onPointerDown={event => event.stopPropagation()}
+                onBlur={e => finishEditing(marker, e.target.value)}
+                onKeyDown={e => {
+                  if (e.key === 'Enter') e.target.blur();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+              />
+            ) : (
+              <span className={styles.markerLabel}>{marker.label}</span>
+            )}
+          </div>
+        );
+      })}
+
+      {selectedMarker && (
+        <div
+          className={styles.markerToolbar}
+          onDoubleClick={event => event.stopPropagation()}
+        >
+          {MARKER_COLORS.map(color => (
+            <button
+              key={color}
+              type="button"
+              className={`${styles.markerColorSwatch} ${
+                selectedMarker.color === color
+                  ? styles.markerColorSwatchActive
+                  : ''
+              }`}
+              style={{ backgroundColor: color }}
+              title="Marker color"
+              onClick={() => store.updateMarker(selectedMarker.id, { color })}
+            />
+          ))}
+          <button
+            type="button"
+            className={styles.keyframeButton}
+            title="Delete marker"
+            onClick={() => {
+              store.removeMarker(selectedMarker.id);
+              setSelectedId(null);
+            }}
+          >
+            ✕
+          </button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default TimelineMarkers;
@@ -10,6 +10,8 @@ import AnimationItem from './AnimationItem';
 import TransitionVisualizer from './TransitionVisualizer';
 import EffectVisualizer from './EffectVisualizer';
 import GapIndicator from './GapIndicator';
+import KeyframeLane from './KeyframeLane';
+import RowControls from './RowControls';
 import { StoreContext } from '../../mobx';
 import { observer } from 'mobx-react';
 import styles from './Timeline.module.scss';
@@ -139,6 +141,8 @@ const TimelineRow = observer(
 
     const handleHover = useCallback(
       (draggedItem, monitor) => {
+        if (store.isRowLocked(rowIndex)) return;
+
         const hoverBoundingRect = dropRef.current?.getBoundingClientRect();
         const clientOffset = monitor.getClientOffset();
         const initialClientOffset = monitor.getInitialClientOffset();
@@ -471,11 +475,24 @@ const TimelineRow = observer(
 
           const deltaX = clientOffset.x - store.ghostState.initialClientX;
           const deltaTime = (deltaX / hoverBoundingRect.width) * store.maxTime;
+          const draggedStart = store.ghostState.initialElementStart + deltaTime;
+
+          // Snap either edge of the dragged clip to nearby snap targets
           const newPosition = Math.max(
             0,
             Math.min(
               store.maxTime,
-              store.ghostState.initialElementStart + deltaTime
+              store.snapTimeFrame(
+                {
+                  start: draggedStart,
+                  end:
+                    draggedStart +
+                    draggedElement.timeFrame.end -
+                    draggedElement.timeFrame.start,
+                },
+                draggedElement,
+                hoverBoundingRect.width
+              ).start
             )
           );
 
@@ -589,13 +606,26 @@ const TimelineRow = observer(
                 const deltaX = clientOffset.x - store.ghostState.initialClientX;
                 const deltaTime =
                   (deltaX / hoverBoundingRect.width) * store.maxTime;
+                const draggedStart =
+                  store.ghostState.initialElementStart + deltaTime;
                 const finalPosition = Math.max(
                   0,
                   Math.min(
                     store.maxTime,
-                    store.ghostState.initialElementStart + deltaTime
+                    store.snapTimeFrame(
+                      {
+                        start: draggedStart,
+                        end:
+                          draggedStart +
+                          draggedElement.timeFrame.end -
+                          draggedElement.timeFrame.start,
+                      },
+                      draggedElement,
+                      hoverBoundingRect.width
+                    ).start
                   )
                 );
+                store.clearSnapGuides();
 
                 // Use appropriate finish method based on element type
                 if (store.ghostState.isAnimationDrag) {
@@ -1282,6 +1312,8 @@ const TimelineRow = observer(
         if (!monitor.getItem()) return;
       },
       canDrop: item => {
+        if (store.isRowLocked(rowIndex)) return false;
+
         if (item.type === 'gallery-image' || item.type === 'scene-image') {
           const canDropImage =
             !overlays.length ||
@@ -2019,6 +2051,8 @@ const TimelineRow = observer(
                 (!rowType || areTypesCompatible(rowType, overlays[0]?.type)))
                 ? styles.rowHover
                 : ''
+            } ${store.isRowLocked(rowIndex) ? styles.rowLocked : ''} ${
+              store.isRowHidden(rowIndex) ? styles.rowHidden : ''
             }`}
             data-testid="timeline-row"
             data-timeline-row={rowId}
@@ -2094,12 +2128,18 @@ const TimelineRow = observer(
               }}
             >
               {renderRowDragHandle()}
+              <RowControls rowIndex={rowIndex} overlays={overlays} />
             </div>
             <div
               className={styles.overlaysContainer}
               data-testid="overlays-container"
               style={{ position: 'relative' }}
             >
+              {store.getRowSettings(rowIndex).name && (
+                <span className={styles.rowNameLabel}>
+                  {store.getRowSettings(rowIndex).name}
+                </span>
+              )}
               {overlays.map(overlay => {
                 // Render AnimationItem for animation elements
                 if (overlay.type === 'animation') {
@@ -2207,6 +2247,7 @@ const TimelineRow = observer(
             </div>
           </div>
         </Resizable>
+        <KeyframeLane overlays={overlays} />
         {/* Bottom drop zone removed - now handled in timeline-grid.jsx */}
         <div
           ref={node => {
@@ -0,0 +1,219 @@
+import React, { useCallback, useRef, useState } from 'react';
+import { observer } from 'mobx-react';
+import styles from './Timeline.module.scss';
+import { StoreContext } from '../../mobx';
+import { getUid } from 'utils';
+import {
+  getFades,
+  hasVolumeAutomation,
+  normalizeEnvelope,
+} from '../../utils/volumeEnvelope';
+
+// Vertical margin (in % of the clip's height) so points at 0 and 1 stay visible
+const MARGIN = 8;
+
+const gainToY = gain => MARGIN + (1 - gain) * (100 - MARGIN * 2);
+const yToGain = y => 1 - (y - MARGIN) / (100 - MARGIN * 2);
+
+/**
+ * Volume envelope and fade handles drawn over an audio or video clip. Shown
+ * when the clip has automation or is selected; only the selected clip can be
+ * edited. Double-click the line to add a point, drag points to move them and
+ * double-click a point to remove it. The corner handles drag the fades.
+ */
+const VolumeEnvelope = observer(({ element, isSelected }) => {
+  const store = React.useContext(StoreContext);
+  const containerRef = useRef(null);
+  // Envelope and fades while a drag is in progress, committed on release
+  const [draft, setDraft] = useState(null);
+
+  const durationMs = element.timeFrame.end - element.timeFrame.start;
+  const points =
+    draft?.points ||
+    normalizeEnvelope(element.properties?.volumeEnvelope, durationMs);
+  const fades = draft?.fades || getFades(element.properties, durationMs);
+  const isEditable = isSelected && !store.isRowLocked(element.row);
+
+  // Time (ms into the clip) and gain under the mouse
+  const getPosition = useCallback(
+    event => {
+      const rect = containerRef.current.getBoundingClientRect();
+      const x = Math.min(
+        1,
+        Math.max(0, (event.clientX - rect.left) / rect.width)
+      );
+      const y = ((event.clientY - rect.top) / rect.height) * 100;
+      return {
+        time: Math.round(x * durationMs),
+        gain: Math.min(1, Math.max(0, yToGain(y))),
+      };
+    },
+    [durationMs]
+  );
+
+  const startDrag = (event, onMove, onDone) => {
+    event.stopPropagation();
+    event.preventDefault();
+
+    let latest = null;
+    const handleMove = moveEvent => {
+      latest = onMove(getPosition(moveEvent));
+      setDraft(latest);
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      if (latest) onDone(latest);
+      setDraft(null);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const handlePointMouseDown = (event, pointId) =>
+    startDrag(
+      event,
+      ({ time, gain }) => ({
+        points: normalizeEnvelope(
+          points.map(point =>
+            point.id === pointId ? { ...point, time, gain } : point
+          ),
+          durationMs
+        ),
+        fades,
+      }),
+      latest => store.setVolumeEnvelope(element.id, latest.points)
+    );
+
+  const handleFadeMouseDown = (event, key) =>
+    startDrag(
+      event,
+      ({ time }) => ({
+        points,
+        // Fades can meet but not overlap
+        fades:
+          key === 'fadeInMs'
+            ? {
+                ...fades,
+                fadeInMs: Math.min(time, durationMs - fades.fadeOutMs),
+              }
+            : {
+                ...fades,
+                fadeOutMs: Math.min(
+                  durationMs - time,
+                  durationMs - fades.fadeInMs
+                ),
+              },
+      }),
+      latest =>
+        store.setElementFades(element.id, {
+          fadeInDuration: latest.fades.fadeInMs,
+          fadeOutDuration: latest.fades.fadeOutMs,
+        })
+    );
+
+  const handleAddPoint = event => {
+    event.stopPropagation();
+    const { time, gain } = getPosition(event);
+    store.setVolumeEnvelope(element.id, [
+      ...points,
+      { id: getUid(), time, gain },
+    ]);
+  };
+
+  const handleRemovePoint = (event, pointId) => {
+    event.stopPropagation();
+    store.setVolumeEnvelope(
+      element.id,
+      points.filter(point => point.id !== pointId)
+    );
+  };
+
+  if (!isSelected && !draft && !hasVolumeAutomation(element.properties)) {
+    return null;
+  }
+
+  const toX = time => (time / durationMs) * 100;
+  const linePoints = (
+    points.length
+      ? [
+          { time: 0, gain: points[0].gain },
+          ...points,
+          { time: durationMs, gain: points[points.length - 1].gain },
+        ]
+      : [
+          { time: 0, gain: 1 },
+          { time: durationMs, gain: 1 },
+        ]
+  )
+    .map(({ time, gain }) => `${toX(time)},${gainToY(gain)}`)
+    .join(' ');
+  const fadeOutStart = toX(durationMs - fades.fadeOutMs);
+
+  return (
+    <div ref={containerRef} className={styles.volumeEnvelope}>
+      <svg viewBox="0 0 100 100" preserveAspectRatio="none">
+        {fades.fadeInMs > 0 && (
+          <polygon
+            className={styles.volumeEnvelopeFade}
+            points={`0,0 ${toX(fades.fadeInMs)},0 0,100`}
+          />
+        )}
+        {fades.fadeOutMs > 0 && (
+          <polygon
+            className={styles.volumeEnvelopeFade}
+            points={`${fadeOutStart},0 100,0 100,100`}
+          />
+        )}
+        <polyline
+          className={styles.volumeEnvelopeLine}
+          points={linePoints}
+          vectorEffect="non-scaling-stroke"
+        />
+        {isEditable && (
+          <polyline
+            className={styles.volumeEnvelopeHitArea}
+            points={linePoints}
+            vectorEffect="non-scaling-stroke"
+            onMouseDown={event => event.stopPropagation()}
+            onDoubleClick={handleAddPoint}
+          />
+        )}
+      </svg>
+
+      {isEditable &&
+        points.map(point => (
+          <div
+            key={point.id}
+            className={styles.volumeEnvelopePoint}
+            style={{
+              left: `${toX(point.time)}%`,
+              top: `${gainToY(point.gain)}%`,
+            }}
+            title={`${Math.round(point.gain * 100)}%`}
+            onMouseDown={event => handlePointMouseDown(event, point.id)}
+            onDoubleClick={event => handleRemovePoint(event, point.id)}
+          />
+        ))}
+
+      {isEditable && (
+        <>
+          <div
+            className={styles.volumeFadeHandle}
+            style={{ left: `${toX(fades.fadeInMs)}%` }}
+            title="Fade in"
+            onMouseDown={event => handleFadeMouseDown(event, 'fadeInMs')}
+          />
+          <div
+            className={styles.volumeFadeHandle}
+            style={{ left: `${fadeOutStart}%` }}
+            title="Fade out"
+            onMouseDown={event => handleFadeMouseDown(event, 'fadeOutMs')}
+          />
+        </>
+      )}
+    </div>
+  );
+});
+
+export default VolumeEnvelope;
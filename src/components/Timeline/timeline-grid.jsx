@@ -8,6 +8,8 @@ import TimelineGhostElement from './TimelineGhostElement';
 import AlignmentLines from './AlignmentLines';
 import GhostMarker from './GhostMarker';
 import InterRowDropZone from './InterRowDropZone';
+import TimelineMarkers from './TimelineMarkers';
+import RemoteCursors from './RemoteCursors';
 
 const TimelineGrid = observer(
   ({
@@ -138,6 +140,26 @@ const TimelineGrid = observer(
       };
     }, [store, storyData]);
 
+    // Holding Alt turns magnetic snapping off for the current drag or trim
+    useEffect(() => {
+      const handleKeyChange = e => {
+        if (e.key === 'Alt') {
+          store.setSnapSuspended(e.type === 'keydown');
+        }
+      };
+      const handleBlur = () => store.setSnapSuspended(false);
+
+      window.addEventListener('keydown', handleKeyChange);
+      window.addEventListener('keyup', handleKeyChange);
+      window.addEventListener('blur', handleBlur);
+
+      return () => {
+        window.removeEventListener('keydown', handleKeyChange);
+        window.removeEventListener('keyup', handleKeyChange);
+        window.removeEventListener('blur', handleBlur);
+      };
+    }, [store]);
+
     // Global mouse tracking for all ghost types
     useEffect(() => {
       const handleGlobalMouseMove = e => {
@@ -309,7 +331,10 @@ const TimelineGrid = observer(
         className={styles.timelineRowContainer}
         style={{ width: `${99.95 * scale}%` }}
         ref={gridRef}
+        data-collab-timeline
       >
+        <TimelineMarkers />
+
         {rows.map((_, rowIndex) => {
           const rowOverlays = overlays.filter(
             overlay => overlay.row === rowIndex
@@ -425,6 +450,8 @@ const TimelineGrid = observer(
 
         {/* Ghost Marker for hover preview */}
         <GhostMarker position={store.ghostState.ghostMarkerPosition} />
+
+        <RemoteCursors />
       </div>
     );
   }
@@ -5,10 +5,19 @@ import styles from './Timeline.module.scss';
 import DraggableElementView from 'components/PlayerComponent/timeline-related/DraggableElementView';
 import { useDrag, useDrop } from 'react-dnd';
 import PopupPanel from '../PlayerComponent/panels/PopupPanel';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import { setActiveScene } from '../../redux/scene/sceneSlice';
+import {
+  selectIsElementLocked,
+  selectPeerSelecting,
+} from '../../redux/collaboration/collaborationSlice';
 import { getUid } from 'utils';
 import { uploadImage } from '../../utils/uploadImage';
+import { getSpeedLabel, isRetimed } from '../../utils/retime';
+import { isDuckingEnabled } from '../../utils/ducking';
+import DuckingCurve from './DuckingCurve';
+import VolumeEnvelope from './VolumeEnvelope';
+import SilenceCuts from './SilenceCuts';
 import { InIcon, AnimationIcon, OutIcon } from 'components/Icons';
 import { Tooltip } from 'react-tooltip';
 import { createPortal } from 'react-dom';
@@ -233,6 +242,10 @@ const DraggableElement = ({
 }) => {
   const [isDragging, setIsDragging] = useState(false);
   const store = React.useContext(StoreContext);
+  // A collaborator is dragging it
+  const isLockedByPeer = useSelector(state =>
+    selectIsElementLocked(state, element.id)
+  );
 
   const [{ isDragging: dragMonitorState }, dragRef, preview] = useDrag({
     type: 'timeline-item',
@@ -271,12 +284,13 @@ const DraggableElement = ({
       
       return dragItem;
     },
-    canDrag: () => true,
+    canDrag: () => !store.isRowLocked(element.row) && !isLockedByPeer,
     collect: monitor => ({
       isDragging: monitor.isDragging(),
     }),
     end: (item, monitor) => {
       // Reset ghost state when drag ends
+      store.clearSnapGuides();
       store.resetGhostState();
     },
   });
@@ -647,6 +661,10 @@ const TimelineItem = observer(
 
     const store = React.useContext(StoreContext);
     const dispatch = useDispatch();
+    // Collaborator with this item selected, outlined in their color
+    const remotePeer = useSelector(state =>
+      selectPeerSelecting(state, item.id)
+    );
 
     const [tooltipContent, setTooltipContent] = useState('');
     const [showTooltip, setShowTooltip] = useState(false);
@@ -750,6 +768,8 @@ const TimelineItem = observer(
           return;
         }
 
+        if (store.isRowLocked(item.row)) return;
+
         if (
           e.key === 'Delete' ||
           e.key === 'Del' ||
@@ -1083,6 +1103,8 @@ const TimelineItem = observer(
                 className={styles.waveform}
                 data-timeline-item
               ></div>
+              {isDuckingEnabled(item) && <DuckingCurve element={item} />}
+              <SilenceCuts element={item} />
               {item.isLoading && (
                 <div className={styles.loadingOverlay}>
                   <div className={styles.loadingSpinner}></div>
@@ -1140,6 +1162,11 @@ const TimelineItem = observer(
                   <span>Video</span>
                 </div>
               )}
+              {isRetimed(item.properties) && (
+                <span className={styles.speedBadge}>
+                  {getSpeedLabel(item.properties)}
+                </span>
+              )}
             </div>
           );
 
@@ -1443,7 +1470,7 @@ const TimelineItem = observer(
       if (event.key === 'Backspace') {
         const cursorPosition = inputRef?.current?.selectionStart;
 
-        if (cursorPosition === 0) {
+        if (cursorPosition === 0 && !store.isRowLocked(item.row)) {
           const previousElement = store.editorElements.find(
             el =>
               el.row === item.row &&
@@ -1865,6 +1892,7 @@ const TimelineItem = observer(
           isSelected={isSelected}
           element={item}
           resizeType="start"
+          disabled={store.isRowLocked(item.row)}
           onMouseUp={() => {
             // Apply full subtitle adjustment if we were dragging a subtitle
             if (
@@ -1917,6 +1945,10 @@ const TimelineItem = observer(
         <div
           className={`${styles.dragableView} ${bgColorOnSelected}`}
           style={{
+            ...(remotePeer && {
+              outline: `2px solid ${remotePeer.color}`,
+              outlineOffset: '1px',
+            }),
             width: `${
               ((item.timeFrame.end - item.timeFrame.start) / store.maxTime) *
               100
@@ -1951,6 +1983,9 @@ const TimelineItem = observer(
             }}
           >
             {item.type && getItemContent(item.type, item.id)}
+            {(item.type === 'audio' || item.type === 'video') && (
+              <VolumeEnvelope element={item} isSelected={isSelected} />
+            )}
 
             {isPopupVisible && (
               <PopupPanel
@@ -1963,12 +1998,18 @@ const TimelineItem = observer(
                 isImageType={item.type === 'imageUrl' || item.type === 'image'}
                 isVideoType={item.type === 'video'}
                 deleteElement={() => {
+                  if (store.isRowLocked(item.row)) return;
                   store.removeEditorElement(item.id);
                 }}
                 splitPoint={popupPosition.splitPoint}
                 onSplitAudio={handleSplitAudio}
                 onSplitImage={handleSplitImage}
                 onSplitVideo={handleSplitVideo}
+                onFreezeFrame={() => store.freezeFrameAtPlayhead(item.id)}
+                canFreezeFrame={
+                  store.currentTimeInMs >= item.timeFrame.start &&
+                  store.currentTimeInMs < item.timeFrame.end
+                }
                 element={item}
               />
             )}
@@ -1981,6 +2022,7 @@ const TimelineItem = observer(
           isSelected={isSelected}
           element={item}
           resizeType="end"
+          disabled={store.isRowLocked(item.row)}
           onMouseUp={() => {
             // Apply full subtitle adjustment if we were dragging a subtitle
             if (
@@ -57,7 +57,9 @@ const Timeline = ({
           e.target.closest('[data-effect-type]') ||
           // row drag handles
           e.target.hasAttribute('data-row-drag-handle') ||
-          e.target.closest('[data-row-drag-handle]')
+          e.target.closest('[data-row-drag-handle]') ||
+          // marker ruler
+          e.target.closest('[data-timeline-markers]')
         ) {
           return;
         }
@@ -204,7 +206,11 @@ const Timeline = ({
       ) {
         e.preventDefault();
         const elements = Object.values(store.selectedElements).filter(
-          val => val && typeof val === 'object' && val.id
+          val =>
+            val &&
+            typeof val === 'object' &&
+            val.id &&
+            !store.isRowLocked(val.row)
         );
         store.removeEditorElements(elements.map(el => el.id));
         store.setSelectedElements(null);
@@ -0,0 +1,33 @@
+export const EXPORT_FRAME_RATES = [24, 25, 30, 60];
+
+// Output heights offered in the export settings. Width follows the canvas
+// aspect ratio; 'canvas' keeps the on-screen canvas size.
+export const EXPORT_RESOLUTIONS = [
+  { value: 'canvas', label: 'Canvas size', height: null },
+  { value: '480p', label: '480p', height: 480 },
+  { value: '720p', label: '720p', height: 720 },
+  { value: '1080p', label: '1080p', height: 1080 },
+  { value: '1440p', label: '1440p', height: 1440 },
+  { value: '2160p', label: '4K', height: 2160 },
+];
+
+export const EXPORT_QUALITIES = ['medium', 'high'];
+
+// 'quality' encodes with a constant rate factor, 'bitrate' targets videoBitrate
+export const EXPORT_RATE_CONTROLS = ['quality', 'bitrate'];
+
+export const EXPORT_CONTAINERS = {
+  mp4: { label: 'MP4', codecs: ['h264'] },
+  webm: { label: 'WebM', codecs: ['vp9', 'vp8'] },
+};
+
+export const DEFAULT_EXPORT_SETTINGS = {
+  resolution: 'canvas',
+  fps: 30,
+  quality: 'medium',
+  rateControl: 'quality',
+  videoBitrate: 8000, // kbps
+  range: { start: 0, end: null }, // ms; null end exports to the last element
+  container: 'mp4',
+  codec: 'h264',
+};
@@ -7,7 +7,10 @@ import React, {
 } from 'react';
 import { io } from 'socket.io-client';
 
-const SOCKET_URL = process.env.REACT_APP_BACKEND_URL;
+// REACT_APP_SOCKET_URL points the socket elsewhere, e.g. at the local
+// collaboration server in scripts/collabServer.js
+const SOCKET_URL =
+  process.env.REACT_APP_SOCKET_URL || process.env.REACT_APP_BACKEND_URL;
 
 const SocketContext = createContext();
 
@@ -0,0 +1,293 @@
+import { useContext, useEffect, useRef } from 'react';
+import { useDispatch, useSelector, useStore } from 'react-redux';
+import { reaction } from 'mobx';
+import { throttle } from 'throttle-debounce';
+import { useSocket } from 'contexts/SocketContext';
+import { StoreContext } from '../mobx';
+import { getUid } from '../utils';
+import { getPresenceColor } from '../utils/collaboration';
+import { connectCollaboration } from '../redux/middleware/collaborationMiddleware';
+import {
+  elementLocked,
+  elementUnlocked,
+  peerLeft,
+  peerUpdated,
+  remoteOperationsReceived,
+  selectElementLocks,
+  sessionEnded,
+  sessionStarted,
+} from '../redux/collaboration/collaborationSlice';
+
+const PRESENCE_THROTTLE_MS = 50;
+
+// Marks the element the timeline cursor position is measured against
+const TIMELINE_SELECTOR = '[data-collab-timeline]';
+
+const PRESENCE_FIELDS = ['clientId', 'name', 'color', 'cursor', 'selection'];
+
+const pickPresence = data =>
+  PRESENCE_FIELDS.reduce((presence, field) => {
+    if (data[field] !== undefined) presence[field] = data[field];
+    return presence;
+  }, {});
+
+const getSelectedIds = store =>
+  store.selectedElements
+    ? Object.values(store.selectedElements)
+        .filter(element => element?.id)
+        .map(element => element.id)
+    : store.selectedElement?.id
+    ? [store.selectedElement.id]
+    : [];
+
+// Collaborators' locks on top of our own canvas objects. Locked rows keep
+// their own flag, see refreshElements.
+const applyCanvasLocks = (store, locks) => {
+  store.editorElements.forEach(element => {
+    const object = element.fabricObject;
+    if (!object) return;
+    const isLocked = !!locks[element.id];
+    if (isLocked === !!object._lockedByPeer) return;
+
+    object.set({
+      lockMovementX: isLocked,
+      lockMovementY: isLocked,
+      lockScalingX: isLocked,
+      lockScalingY: isLocked,
+      lockRotation: isLocked,
+      hasControls: !isLocked,
+    });
+    if (isLocked) {
+      object._lockedByPeer = true;
+    } else {
+      delete object._lockedByPeer;
+    }
+  });
+  store.canvas?.requestRenderAll();
+};
+
+/**
+ * Live editing of a story with everyone else who has it open: element
+ * operations, cursors and selections go out over the shared socket, and
+ * elements a collaborator is dragging are locked here until they let go.
+ *
+ * Events, all scoped by storyId and sent to the other members of the story:
+ *   collab:join / collab:leave      { clientId, name, color }
+ *   collab:presence                 { clientId, name, color, cursor, selection }
+ *   collab:operations               { clientId, operations }
+ *   collab:lock / collab:unlock     { clientId, elementId }
+ */
+export const useCollaboration = ({ storyId, enabled = true }) => {
+  const { socket, isConnected, subscribe } = useSocket();
+  const store = useContext(StoreContext);
+  const reduxStore = useStore();
+  const dispatch = useDispatch();
+  const user = useSelector(state => state.auth.user);
+  const locks = useSelector(selectElementLocks);
+  const clientIdRef = useRef(getUid());
+
+  const userName = user?.name || user?.username || 'Guest';
+
+  useEffect(() => {
+    if (!socket || !isConnected || !storyId || !enabled) return;
+
+    const clientId = clientIdRef.current;
+    const self = {
+      clientId,
+      name: userName,
+      color: getPresenceColor(clientId),
+    };
+    const send = (event, data = {}) =>
+      socket.emit(event, { storyId, clientId, ...data });
+
+    dispatch(sessionStarted({ storyId, clientId }));
+    const disconnect = connectCollaboration(reduxStore, {
+      storyId,
+      clientId,
+      emit: (event, data) => socket.emit(event, data),
+    });
+
+    let presence = { ...self, cursor: null, selection: getSelectedIds(store) };
+    const sendPresence = throttle(PRESENCE_THROTTLE_MS, () =>
+      send('collab:presence', presence)
+    );
+    const updatePresence = changes => {
+      presence = { ...presence, ...changes };
+      sendPresence();
+    };
+
+    const isOurs = data =>
+      data?.storyId === storyId && data.clientId !== clientId;
+    const knownPeers = new Set();
+
+    // Newcomers learn about us from our reply to their join
+    const handlePeer = data => {
+      if (!isOurs(data)) return;
+      dispatch(peerUpdated(pickPresence(data)));
+      if (!knownPeers.has(data.clientId)) {
+        knownPeers.add(data.clientId);
+        send('collab:presence', presence);
+      }
+    };
+
+    const unsubscribers = [
+      subscribe('collab:join', handlePeer, `collab:join_${storyId}`),
+      subscribe('collab:presence', handlePeer, `collab:presence_${storyId}`),
+      subscribe(
+        'collab:leave',
+        data => {
+          if (!isOurs(data)) return;
+          knownPeers.delete(data.clientId);
+          dispatch(peerLeft(data.clientId));
+        },
+        `collab:leave_${storyId}`
+      ),
+      subscribe(
+        'collab:operations',
+        data => {
+          if (isOurs(data)) {
+            dispatch(remoteOperationsReceived(data.operations));
+          }
+        },
+        `collab:operations_${storyId}`
+      ),
+      subscribe(
+        'collab:lock',
+        data => {
+          if (isOurs(data)) dispatch(elementLocked(data));
+        },
+        `collab:lock_${storyId}`
+      ),
+      subscribe(
+        'collab:unlock',
+        data => {
+          if (isOurs(data)) dispatch(elementUnlocked(data));
+        },
+        `collab:unlock_${storyId}`
+      ),
+    ];
+
+    send('collab:join', self);
+
+    // Cursor over the timeline (as a time) or the canvas (in canvas units)
+    const handleMouseMove = event => {
+      const timelineElement = event.target.closest?.(TIMELINE_SELECTOR);
+      if (timelineElement) {
+        const rect = timelineElement.getBoundingClientRect();
+        const time = ((event.clientX - rect.left) / rect.width) * store.maxTime;
+        updatePresence({ cursor: { time: Math.max(0, Math.round(time)) } });
+        return;
+      }
+
+      const canvas = store.canvas;
+      if (canvas && event.target === canvas.upperCanvasEl) {
+        const { x, y } = canvas.getPointer(event);
+        updatePresence({ cursor: { canvas: { x, y } } });
+        return;
+      }
+
+      if (presence.cursor) updatePresence({ cursor: null });
+    };
+    document.addEventListener('mousemove', handleMouseMove);
+
+    const disposeSelection = reaction(
+      () => getSelectedIds(store).join(','),
+      () => updatePresence({ selection: getSelectedIds(store) })
+    );
+
+    // Elements we are dragging are locked for everyone else
+    const heldLocks = new Set();
+    const setHeld = elementIds => {
+      heldLocks.forEach(elementId => {
+        if (!elementIds.includes(elementId)) {
+          heldLocks.delete(elementId);
+          send('collab:unlock', { elementId });
+        }
+      });
+      elementIds.forEach(elementId => {
+        if (!heldLocks.has(elementId)) {
+          heldLocks.add(elementId);
+          send('collab:lock', { elementId });
+        }
+      });
+    };
+
+    const disposeTimelineDrag = reaction(
+      () => {
+        const { ghostState } = store;
+        if (ghostState.isMultiDragging) {
+          return ghostState.selectedElements.map(element => element.id);
+        }
+        if (ghostState.isDragging && ghostState.draggedElement) {
+          return [ghostState.draggedElement.id];
+        }
+        return [];
+      },
+      setHeld,
+      { equals: (a, b) => a.join(',') === b.join(',') }
+    );
+
+    const handleCanvasTransform = ({ target }) => {
+      const objects = target?._objects || (target ? [target] : []);
+      const elementIds = store.editorElements
+        .filter(element => objects.includes(element.fabricObject))
+        .map(element => element.id);
+      if (elementIds.length > 0) setHeld(elementIds);
+    };
+    const handleCanvasMouseUp = () => setHeld([]);
+
+    let attachedCanvas = null;
+    const detachCanvas = () => {
+      if (!attachedCanvas) return;
+      ['object:moving', 'object:scaling', 'object:rotating'].forEach(event =>
+        attachedCanvas.off(event, handleCanvasTransform)
+      );
+      attachedCanvas.off('mouse:up', handleCanvasMouseUp);
+      attachedCanvas = null;
+    };
+    const disposeCanvas = reaction(
+      () => store.canvas,
+      canvas => {
+        detachCanvas();
+        if (!canvas) return;
+        ['object:moving', 'object:scaling', 'object:rotating'].forEach(event =>
+          canvas.on(event, handleCanvasTransform)
+        );
+        canvas.on('mouse:up', handleCanvasMouseUp);
+        attachedCanvas = canvas;
+      },
+      { fireImmediately: true }
+    );
+
+    return () => {
+      sendPresence.cancel();
+      setHeld([]);
+      send('collab:leave', self);
+      document.removeEventListener('mousemove', handleMouseMove);
+      disposeSelection();
+      disposeTimelineDrag();
+      disposeCanvas();
+      detachCanvas();
+      unsubscribers.forEach(unsubscribe => unsubscribe?.());
+      disconnect();
+      dispatch(sessionEnded());
+    };
+  }, [
+    socket,
+    isConnected,
+    storyId,
+    enabled,
+    userName,
+    store,
+    reduxStore,
+    dispatch,
+    subscribe,
+  ]);
+
+  useEffect(() => {
+    if (!store) return;
+    applyCanvasLocks(store, locks);
+  }, [store, locks]);
+};
+
+export default useCollaboration;
@@ -0,0 +1,140 @@
+import { useCallback, useContext, useState } from 'react';
+import { useDispatch, useStore } from 'react-redux';
+import { saveAs } from 'file-saver';
+import { StoreContext } from '../mobx';
+import { buildEditorParams } from '../utils/story/buildEditorParams';
+import {
+  uploadAudioToAWS,
+  uploadImageToAWS,
+  uploadLutToAWS,
+  uploadVideoToAWS,
+} from '../utils/awsUpload';
+import { detectCategory, detectCategoryFromUrl } from '../utils/fileValidation';
+import {
+  createProjectBundle,
+  createProjectSnapshot,
+  readProjectBundle,
+  replaceMediaUrls,
+} from '../utils/projectFile';
+import loadStoryIntoEditor from '../utils/loadStoryIntoEditor';
+import {
+  handleCatchError,
+  showGlobalInfo,
+  showGlobalSuccess,
+} from '../utils/errorHandler';
+
+const LUT_FILE_PATTERN = /\.cube$/i;
+
+// Bundled files often lose their MIME type, so the upload is picked by the
+// file's extension and then by the URL it was saved from
+const uploadMedia = (file, originalUrl) => {
+  const originalPath = originalUrl.split('?')[0];
+  if (LUT_FILE_PATTERN.test(file.name) || LUT_FILE_PATTERN.test(originalPath)) {
+    return uploadLutToAWS(file);
+  }
+  const category = detectCategory(file) || detectCategoryFromUrl(originalUrl);
+  if (category === 'Video') return uploadVideoToAWS(file);
+  if (category === 'Audio') return uploadAudioToAWS(file);
+  return uploadImageToAWS(file);
+};
+
+/**
+ * Save the open project as a .zip with its media, and replace the open
+ * project with one loaded from such a file.
+ *
+ * const { exportProject, importProject, isBusy, progress } = useProjectFile();
+ */
+export const useProjectFile = () => {
+  const dispatch = useDispatch();
+  const reduxStore = useStore();
+  const store = useContext(StoreContext);
+  const [isBusy, setIsBusy] = useState(false);
+  const [progress, setProgress] = useState(0);
+
+  const exportProject = useCallback(async () => {
+    const state = reduxStore.getState();
+    const story = state.stories.currentStory;
+
+    setIsBusy(true);
+    setProgress(0);
+    try {
+      const snapshot = createProjectSnapshot({
+        story,
+        scenes: state.scene.scenes,
+        editorParams: buildEditorParams(state.timeline, story),
+      });
+      const { bundle, missingMedia } = await createProjectBundle(snapshot, {
+        onProgress: setProgress,
+      });
+
+      const name = (story?.name || 'project').replace(/[^\w-]+/g, '_');
+      saveAs(bundle, `${name}.zip`);
+
+      if (missingMedia.length > 0) {
+        showGlobalInfo(
+          'Project saved without some media',
+          `${missingMedia.length} file(s) could not be downloaded and are linked instead`
+        );
+      }
+      return true;
+    } catch (error) {
+      handleCatchError(error, 'Failed to save project file');
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  }, [reduxStore]);
+
+  const importProject = useCallback(
+    async file => {
+      setIsBusy(true);
+      setProgress(0);
+      try {
+        const { snapshot, mediaFiles } = await readProjectBundle(file);
+
+        // Media is uploaded again so the project doesn't depend on the
+        // account or storage it was saved from
+        const uploadedUrls = new Map();
+        const entries = [...mediaFiles.entries()];
+        for (let i = 0; i < entries.length; i++) {
+          const [originalUrl, mediaFile] = entries[i];
+          try {
+            const { url } = await uploadMedia(mediaFile, originalUrl);
+            uploadedUrls.set(originalUrl, url);
+          } catch (error) {
+            console.warn(`Keeping original URL for ${originalUrl}:`, error);
+          }
+          setProgress(Math.round(((i + 1) / (entries.length + 1)) * 100));
+        }
+
+        const { story, scenes, editorParams } = replaceMediaUrls(
+          snapshot,
+          url => uploadedUrls.get(url)
+        );
+        const currentStory = reduxStore.getState().stories.currentStory;
+        const importedStory = {
+          ...currentStory,
+          ...story,
+          scenes,
+          editorParams,
+        };
+
+        await loadStoryIntoEditor(importedStory, store, dispatch);
+
+        setProgress(100);
+        showGlobalSuccess('Project opened', file.name);
+        return true;
+      } catch (error) {
+        handleCatchError(error, 'Failed to open project file');
+        return false;
+      } finally {
+        setIsBusy(false);
+      }
+    },
+    [dispatch, reduxStore, store]
+  );
+
+  return { exportProject, importProject, isBusy, progress };
+};
+
+export default useProjectFile;
@@ -0,0 +1,65 @@
+import {
+  KEYFRAME_PROPERTIES,
+  evaluateKeyframes,
+  getFilterParamName,
+  hasKeyframes,
+  isFilterKeyframeProperty,
+} from '../../utils/keyframes';
+import { updateGlitchFilter, updatePixiFilter } from '../../utils/pixi-filters';
+
+// Re-apply a PIXI filter only when a keyframed parameter actually changed;
+// filters are re-rendered from scratch on every update
+const applyFilterKeyframes = (fabricObject, filterValues) => {
+  const signature = JSON.stringify(filterValues);
+  if (fabricObject._keyframedFilterSignature === signature) return;
+  fabricObject._keyframedFilterSignature = signature;
+
+  if (fabricObject._glitchOptions) {
+    updateGlitchFilter(fabricObject, filterValues);
+  } else if (fabricObject._pixiFilterType) {
+    updatePixiFilter(fabricObject, filterValues);
+  }
+};
+
+/**
+ * Drive fabric objects from their element keyframes at the given time.
+ * Runs after preset animations so keyframed properties take precedence.
+ */
+export const applyKeyframesUtil = ({ store, time }) => {
+  let needsRender = false;
+
+  store.editorElements.forEach(element => {
+    const fabricObject = element.fabricObject;
+    if (!fabricObject || !hasKeyframes(element)) return;
+
+    const isInside =
+      element.timeFrame.start <= time && time <= element.timeFrame.end;
+    if (!isInside) return;
+
+    const values = evaluateKeyframes(element, time);
+    const fabricValues = {};
+    const filterValues = {};
+
+    Object.entries(values).forEach(([property, value]) => {
+      if (isFilterKeyframeProperty(property)) {
+        filterValues[getFilterParamName(property)] = value;
+      } else if (KEYFRAME_PROPERTIES[property]) {
+        fabricValues[KEYFRAME_PROPERTIES[property].fabricKey] = value;
+      }
+    });
+
+    if (Object.keys(fabricValues).length > 0) {
+      fabricObject.set(fabricValues);
+      fabricObject.setCoords();
+      needsRender = true;
+    }
+
+    if (Object.keys(filterValues).length > 0) {
+      applyFilterKeyframes(fabricObject, filterValues);
+    }
+  });
+
+  if (needsRender && store.canvas) {
+    store.canvas.requestRenderAll();
+  }
+};
@@ -0,0 +1,37 @@
+import { runInAction } from 'mobx';
+import { isVoiceElement, loadSpeechIntervals } from '../../utils/ducking';
+
+// What the speech intervals depend on, to tell when they need redoing
+const getVoiceSignature = voices =>
+  JSON.stringify(
+    voices.map(({ properties, timeFrame }) => [
+      properties.src,
+      timeFrame.start,
+      timeFrame.end,
+      properties.audioOffset || 0,
+      properties.volume ?? 1,
+      properties.playbackRate || 1,
+      properties.speedCurve || null,
+    ])
+  );
+
+/**
+ * Keep store.speechIntervals in step with the voice clips heard on the
+ * timeline. Cheap when nothing changed; otherwise the voices are analyzed
+ * in the background and a newer change wins over an older one.
+ */
+export const refreshSpeechIntervalsUtil = ({ store }) => {
+  const voices = store.editorElements.filter(
+    element => isVoiceElement(element) && store.isRowAudible(element.row)
+  );
+  const signature = getVoiceSignature(voices);
+  if (signature === store.speechSignature) return;
+  store.speechSignature = signature;
+
+  loadSpeechIntervals(voices).then(intervals => {
+    if (store.speechSignature !== signature) return;
+    runInAction(() => {
+      store.speechIntervals = intervals;
+    });
+  });
+};
@@ -1,4 +1,13 @@
 export * from './updateTimeTo';
 export * from './refreshAnimations';
 export * from './refreshElements';
-export * from './ghostDragDrop';
\ No newline at end of file
+export * from './ghostDragDrop';
+export * from './renderFrames';
+export * from './applyKeyframes';
+export * from './masks';
+export * from './snapping';
+export * from './ripple';
+export * from './retime';
+export * from './ducking';
+export * from './silenceCuts';
+export * from './loudness';
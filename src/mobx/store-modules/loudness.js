@@ -0,0 +1,125 @@
+import { runInAction } from 'mobx';
+import { GAIN_DB_LIMITS } from '../../utils/volumeEnvelope';
+
+// Key of the full mix's reading in store.loudnessReadings
+export const MIX_LOUDNESS_KEY = 'mix';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// What a reading depends on, to tell when it is out of date
+const getSignature = elements =>
+  JSON.stringify(
+    elements.map(({ id, timeFrame, properties }) => [
+      id,
+      timeFrame.start,
+      timeFrame.end,
+      properties,
+    ])
+  );
+
+const getMeasuredElements = (store, key) =>
+  key === MIX_LOUDNESS_KEY
+    ? store.editorElements.filter(element => store.isRowAudible(element.row))
+    : store.editorElements.filter(element => element.id === key);
+
+/**
+ * Render what `key` sounds like, one element or the mix, and measure it. The
+ * mix is measured as exported, over the export range and through the
+ * limiter. Readings are kept in store.loudnessReadings until it changes.
+ */
+export const measureLoudnessUtil = async ({ store, key }) => {
+  const elements = getMeasuredElements(store, key);
+  if (elements.length === 0) return null;
+  const signature = getSignature(elements);
+
+  const audioMixdown = (await import('../../utils/audioMixdown')).default;
+  const { EXPORT_TRUE_PEAK_DB, measureLoudness } = await import(
+    '../../utils/loudness'
+  );
+  const isMix = key === MIX_LOUDNESS_KEY;
+  const { start, end } = isMix
+    ? store.getResolvedExportSettings().range
+    : elements[0].timeFrame;
+
+  const buffer = await audioMixdown.render(elements, {
+    startMs: start,
+    endMs: end,
+    truePeakDb: isMix ? EXPORT_TRUE_PEAK_DB : null,
+  });
+  const reading = buffer
+    ? measureLoudness(buffer)
+    : { integrated: -Infinity, truePeak: -Infinity };
+
+  runInAction(() => {
+    store.loudnessReadings = {
+      ...store.loudnessReadings,
+      [key]: { ...reading, signature },
+    };
+  });
+  return reading;
+};
+
+// The reading of `key` if nothing it depends on changed since
+export const getLoudnessReadingUtil = ({ store, key }) => {
+  const reading = store.loudnessReadings[key];
+  if (!reading) return null;
+  return reading.signature === getSignature(getMeasuredElements(store, key))
+    ? reading
+    : null;
+};
+
+/**
+ * Set the gain of each element so it measures `targetLufs` on its own.
+ * Elements are measured one at a time to keep memory down; silent ones are
+ * left alone. Returns the ids of the elements that changed.
+ */
+export const normalizeLoudnessUtil = async ({
+  store,
+  elementIds,
+  targetLufs,
+}) => {
+  const changes = new Map(); // id -> gain change in dB
+  for (const id of elementIds) {
+    const reading =
+      getLoudnessReadingUtil({ store, key: id }) ||
+      (await measureLoudnessUtil({ store, key: id }));
+    if (!reading || !Number.isFinite(reading.integrated)) continue;
+    changes.set(id, targetLufs - reading.integrated);
+  }
+  if (changes.size === 0) return [];
+
+  runInAction(() => {
+    const readings = { ...store.loudnessReadings };
+    store.editorElements = store.editorElements.map(element => {
+      if (!changes.has(element.id)) return element;
+      const currentDb = element.properties.gainDb || 0;
+      const gainDb = clamp(
+        currentDb + changes.get(element.id),
+        GAIN_DB_LIMITS.min,
+        GAIN_DB_LIMITS.max
+      );
+      const updated = {
+        ...element,
+        properties: {
+          ...element.properties,
+          gainDb: Math.round(gainDb * 10) / 10,
+        },
+      };
+
+      // A fixed gain moves loudness and peak by the same amount, so the
+      // reading carries over without measuring again
+      const reading = readings[element.id];
+      const appliedDb = updated.properties.gainDb - currentDb;
+      if (reading) {
+        readings[element.id] = {
+          integrated: reading.integrated + appliedDb,
+          truePeak: reading.truePeak + appliedDb,
+          signature: getSignature([updated]),
+        };
+      }
+      return updated;
+    });
+    store.loudnessReadings = readings;
+  });
+  return [...changes.keys()];
+};
@@ -0,0 +1,88 @@
+import {
+  evaluateKeyframes,
+  getMaskParamName,
+  isMaskKeyframeProperty,
+} from '../../utils/keyframes';
+import { MASK_TYPES, normalizeMask } from '../../utils/masks';
+
+// An element's mask at `time`, with its keyframed geometry applied
+export const getMaskAt = (element, time) => {
+  const mask = normalizeMask(element.properties?.mask);
+  if (!mask) return null;
+
+  Object.entries(evaluateKeyframes(element, time)).forEach(
+    ([property, value]) => {
+      if (isMaskKeyframeProperty(property)) {
+        mask[getMaskParamName(property)] = value;
+      }
+    }
+  );
+  return mask;
+};
+
+// Visible element on the row above `element` at `time`, used as its matte
+const findMatteElement = (store, element, time) => {
+  const row = element.row - 1;
+  if (row < 0 || store.isRowHidden(row)) return null;
+
+  return (
+    store.editorElements.find(
+      other =>
+        other.row === row &&
+        other.fabricObject &&
+        other.type !== 'audio' &&
+        other.type !== 'animation' &&
+        other.timeFrame.start <= time &&
+        time <= other.timeFrame.end
+    ) || null
+  );
+};
+
+/**
+ * Hand each fabric object its mask at the given time, and its matte object
+ * for track mattes. Runs after keyframes; objects only re-render when their
+ * mask or matte changed.
+ */
+export const applyMasksUtil = ({ store, time }) => {
+  let needsRender = false;
+  const matteObjects = new Set();
+
+  store.editorElements.forEach(element => {
+    const fabricObject = element.fabricObject;
+    if (!fabricObject) return;
+
+    const mask = getMaskAt(element, time);
+    const matteObject =
+      mask?.type === MASK_TYPES.MATTE
+        ? findMatteElement(store, element, time)?.fabricObject || null
+        : null;
+    if (matteObject) matteObjects.add(matteObject);
+
+    const signature = mask ? JSON.stringify(mask) : null;
+    if (
+      fabricObject._maskSignature === signature &&
+      (fabricObject.matteObject || null) === matteObject
+    ) {
+      return;
+    }
+    fabricObject._maskSignature = signature;
+    fabricObject.maskEffect = mask;
+    fabricObject.matteObject = matteObject;
+    fabricObject.dirty = true;
+    needsRender = true;
+  });
+
+  store.editorElements.forEach(element => {
+    const fabricObject = element.fabricObject;
+    if (!fabricObject) return;
+    const isMatteLayer = matteObjects.has(fabricObject);
+    if (!!fabricObject.isMatteLayer !== isMatteLayer) {
+      fabricObject.isMatteLayer = isMatteLayer;
+      needsRender = true;
+    }
+  });
+
+  if (needsRender && store.canvas) {
+    store.canvas.requestRenderAll();
+  }
+};
@@ -1,5 +1,6 @@
 import { fabric } from 'fabric';
 import { isHtmlVideoElement, isHtmlImageElement } from '../../utils';
+import { getCompositeOperation } from '../../utils/blendModes';
 
 export const refreshElementsUtil = async store => 
       {
@@ -64,6 +65,9 @@ export const refreshElementsUtil = async store =>
           const element = sortedElements[index];
     
           if (!element) continue;
+
+          // Elements on hidden rows are left off the canvas (and the export)
+          if (store.isRowHidden(element.row)) continue;
     
           switch (element.type) {
             case 'video':
@@ -91,6 +95,8 @@ export const refreshElementsUtil = async store =>
                 hasControls: true, // Enable resize controls for video
                 hasBorders: true, // Enable borders for video
                 customFilter: element.properties.effect.type,
+                keyEffect: element.properties.key || null,
+                lutEffect: element.properties.lut || null,
               });
     
               element.fabricObject = videoObject;
@@ -132,6 +138,8 @@ export const refreshElementsUtil = async store =>
                   // Use original dimensions without dividing by scale to prevent shrinking
                   width: originalWidth,
                   height: originalHeight,
+                  keyEffect: element.properties.key || null,
+                  lutEffect: element.properties.lut || null,
                 });
                 store.canvas.add(element.fabricObject);
               } else if (element.type === 'image') {
@@ -149,6 +157,8 @@ export const refreshElementsUtil = async store =>
                   selectable: true,
                   lockUniScaling: true,
                   customFilter: element.properties.effect.type,
+                  keyEffect: element.properties.key || null,
+                  lutEffect: element.properties.lut || null,
                 });
     
                 element.fabricObject = imageObject;
@@ -206,6 +216,8 @@ export const refreshElementsUtil = async store =>
                             : 0,
                         width: element.placement.width / element.placement.scaleX,
                         height: element.placement.height / element.placement.scaleY,
+                        keyEffect: element.properties.key || null,
+                        lutEffect: element.properties.lut || null,
                       });
     
                       element.fabricObject = imageObjectDefault;
@@ -442,6 +454,8 @@ export const refreshElementsUtil = async store =>
                 // If audio element doesn't exist, recreate it
                 const audioElement = document.createElement('audio');
                 audioElement.id = element.properties.elementId;
+                // CORS lets volume envelopes play through Web Audio
+                audioElement.crossOrigin = 'anonymous';
                 audioElement.src = element.properties.src;
                 audioElement.preload = 'metadata';
                 audioElement.volume = store.volume;
@@ -460,6 +474,16 @@ export const refreshElementsUtil = async store =>
               store.setSelectedElement(element);
             });
             store.canvas.moveTo(element.fabricObject, index);
+
+            // Locked rows can't be selected or transformed on the canvas.
+            // Reused objects keep the flag, so undo it once unlocked.
+            if (store.isRowLocked(element.row)) {
+              element.fabricObject.set({ selectable: false, evented: false });
+              element.fabricObject._lockedByRow = true;
+            } else if (element.fabricObject._lockedByRow) {
+              element.fabricObject.set({ selectable: true, evented: true });
+              delete element.fabricObject._lockedByRow;
+            }
           }
         }
     
@@ -467,6 +491,22 @@ export const refreshElementsUtil = async store =>
         if (imagePromises.length > 0) {
           await Promise.all(imagePromises);
         }
+
+        // Blend mode and base opacity are kept on the element; animations
+        // and keyframes applied below take the opacity from there
+        store.editorElements.forEach(element => {
+          const fabricObject = element.fabricObject;
+          if (!fabricObject) return;
+          fabricObject.globalCompositeOperation = getCompositeOperation(
+            element.properties?.blendMode
+          );
+          if (typeof element.placement?.opacity === 'number') {
+            fabricObject.set('opacity', element.placement.opacity);
+            if (element.initialState) {
+              element.initialState.opacity = element.placement.opacity;
+            }
+          }
+        });
     
         // Set selected element if exists
         const selectedEditorElement = store.selectedElement;
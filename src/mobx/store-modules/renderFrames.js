@@ -0,0 +1,159 @@
+import { isHtmlVideoElement } from '../../utils';
+import { waitForLuts } from '../../utils/lut';
+import { waitForPixiFilters } from '../../utils/pixi-filters';
+import { getSourceTimeMs } from '../../utils/retime';
+
+// Upper bound for a single video seek; a stalled decoder should not hang the
+// export
+const VIDEO_SEEK_TIMEOUT_MS = 3000;
+
+const nextAnimationFrame = () =>
+  new Promise(resolve => requestAnimationFrame(() => resolve()));
+
+const seekVideo = (video, time) =>
+  new Promise(resolve => {
+    if (Math.abs(video.currentTime - time) < 0.001 && video.readyState >= 2) {
+      resolve();
+      return;
+    }
+
+    let timeoutId = null;
+    const done = () => {
+      clearTimeout(timeoutId);
+      video.removeEventListener('seeked', done);
+      resolve();
+    };
+
+    timeoutId = setTimeout(() => {
+      console.warn(`Video seek to ${time}s timed out`);
+      done();
+    }, VIDEO_SEEK_TIMEOUT_MS);
+
+    video.addEventListener('seeked', done);
+    video.currentTime = time;
+  });
+
+// Seek every visible video to the exact media time for the given timeline time
+const syncVideosToTime = async ({ store, time }) => {
+  const videoElements = store.editorElements.filter(
+    element =>
+      element.type === 'video' &&
+      time >= element.timeFrame.start &&
+      time <= element.timeFrame.end
+  );
+
+  await Promise.all(
+    videoElements.map(element => {
+      const video = document.getElementById(element.properties?.elementId);
+      if (!isHtmlVideoElement(video)) return Promise.resolve();
+
+      if (!video.paused) {
+        video.pause();
+      }
+
+      const mediaTime = getSourceTimeMs(element, time) / 1000;
+      const target = Math.min(
+        Math.max(0, mediaTime),
+        Number.isFinite(video.duration) ? video.duration : mediaTime
+      );
+
+      return seekVideo(video, target);
+    })
+  );
+};
+
+// Render every active GL transition for this time and wait for the result
+const settleGLTransitions = async ({ store, time }) => {
+  const activeTransitions = store.animations.filter(
+    animation =>
+      animation.type === 'glTransition' &&
+      time >= animation.startTime &&
+      time <= animation.endTime
+  );
+
+  for (const animation of activeTransitions) {
+    const transitionElement = store.glTransitionElements.get(animation.id);
+
+    if (!transitionElement?.renderer) {
+      const fromElement = store.editorElements.find(
+        el => el.id === animation.fromElementId
+      );
+      const toElement = store.editorElements.find(
+        el => el.id === animation.toElementId
+      );
+      if (!fromElement || !toElement) continue;
+
+      await store.setupGLTransitionRenderer(
+        animation.id,
+        fromElement,
+        toElement,
+        animation.transitionType
+      );
+    }
+
+    const duration = animation.endTime - animation.startTime;
+    const progress =
+      duration > 0
+        ? Math.max(0, Math.min(1, (time - animation.startTime) / duration))
+        : 1;
+
+    await store.updateGLTransition(animation.id, progress);
+  }
+};
+
+/**
+ * Move the timeline to an exact time and resolve once the canvas shows that
+ * frame: videos have finished seeking, GL transitions and pixi filters have
+ * rendered and color grading LUTs are loaded. Used by the offline renderer
+ * instead of wall-clock playback.
+ */
+export const seekToFrameUtil = async ({ store, time }) => {
+  store.updateTimeTo(time);
+
+  await syncVideosToTime({ store, time });
+  await settleGLTransitions({ store, time });
+  await waitForPixiFilters();
+  await waitForLuts(store.editorElements);
+
+  // Give fabric a chance to pick up new video textures before the final paint
+  await nextAnimationFrame();
+  store.canvas.renderAll();
+};
+
+/**
+ * Step through [startTime, endTime) at a fixed frame rate and hand each
+ * settled frame to onFrame. Output is independent of machine speed: a slow
+ * frame only makes the export take longer, it never drops or repeats frames.
+ */
+export const renderFramesUtil = async ({
+  store,
+  fps,
+  startTime = 0,
+  endTime = store.lastElementEnd,
+  onFrame,
+  onProgress,
+  shouldCancel = () => false,
+}) => {
+  const totalFrames = Math.max(
+    1,
+    Math.ceil(((endTime - startTime) / 1000) * fps)
+  );
+
+  store.setPlaying(false);
+
+  for (let frame = 0; frame < totalFrames; frame++) {
+    if (shouldCancel()) {
+      throw new Error('Render cancelled');
+    }
+
+    const time = startTime + (frame * 1000) / fps;
+    await seekToFrameUtil({ store, time });
+    await onFrame({ frame, time, totalFrames });
+
+    if (onProgress) {
+      onProgress({ frame, totalFrames });
+    }
+  }
+
+  return totalFrames;
+};
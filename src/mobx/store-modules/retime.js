@@ -0,0 +1,219 @@
+// Per-clip speed, reverse and freeze frames for video clips. The timing math
+// lives in utils/retime; these apply it to the timeline.
+import { runInAction } from 'mobx';
+import { getUid, isHtmlVideoElement } from '../../utils';
+import {
+  clampSpeed,
+  getRetimedDurationMs,
+  getSourceSpanMs,
+  getSourceTimeMs,
+  splitRetimedProperties,
+} from '../../utils/retime';
+
+// Upper bound for seeking to the frame to freeze
+const FRAME_SEEK_TIMEOUT_MS = 3000;
+
+// Freezing closer than this to a clip's edge doesn't cut it
+const MIN_CUT_MS = 40;
+
+// Earliest start of the other clips on the element's row from `time` on
+const getNextStart = (store, element, time) =>
+  Math.min(
+    ...store.editorElements
+      .filter(
+        other =>
+          other.id !== element.id &&
+          other.row === element.row &&
+          other.type !== 'animation' &&
+          other.timeFrame.start >= time - 1
+      )
+      .map(other => other.timeFrame.start)
+  );
+
+/**
+ * Change a video clip's speed or direction. It keeps showing the same
+ * footage, so its end moves: later clips follow in ripple mode and are only
+ * pushed out of the way otherwise. A `speedCurve` replaces a constant
+ * `playbackRate` and the other way round; null clears the curve.
+ */
+export const setClipSpeedUtil = ({
+  store,
+  elementId,
+  playbackRate,
+  speedCurve,
+  reversed,
+}) => {
+  const element = store.editorElements.find(el => el.id === elementId);
+  if (!element || element.type !== 'video' || store.isRowLocked(element.row)) {
+    return false;
+  }
+
+  const properties = { ...element.properties };
+  if (playbackRate !== undefined) {
+    properties.playbackRate = clampSpeed(playbackRate);
+    delete properties.speedCurve;
+  }
+  if (speedCurve !== undefined) {
+    if (speedCurve?.length >= 2) {
+      properties.speedCurve = speedCurve;
+      delete properties.playbackRate;
+    } else {
+      delete properties.speedCurve;
+    }
+  }
+  if (reversed !== undefined) {
+    if (reversed) {
+      properties.reversed = true;
+    } else {
+      delete properties.reversed;
+    }
+  }
+
+  const { start, end } = element.timeFrame;
+  const newEnd =
+    start +
+    Math.max(
+      1,
+      Math.round(getRetimedDurationMs(getSourceSpanMs(element), properties))
+    );
+  const delta = newEnd - end;
+  const shift = store.rippleMode
+    ? delta
+    : Math.max(0, newEnd - getNextStart(store, element, end));
+
+  runInAction(() => {
+    store.editorElements = store.editorElements.map(el =>
+      el.id === elementId
+        ? { ...el, timeFrame: { start, end: newEnd }, properties }
+        : el
+    );
+  });
+  if (shift) {
+    store.rippleShift([element.row], end, shift, [elementId]);
+  }
+  if (store.lastElementEnd > store.maxTime) {
+    store.setMaxTime(store.lastElementEnd);
+  }
+
+  store.updateVideoElements();
+  store.refreshElements();
+  if (window.dispatchSaveTimelineState && !store.isUndoRedoOperation) {
+    window.dispatchSaveTimelineState(store);
+  }
+  return true;
+};
+
+const seekTo = (video, time) =>
+  new Promise(resolve => {
+    if (Math.abs(video.currentTime - time) < 0.001 && !video.seeking) {
+      resolve();
+      return;
+    }
+
+    let timeoutId = null;
+    const done = () => {
+      clearTimeout(timeoutId);
+      video.removeEventListener('seeked', done);
+      resolve();
+    };
+
+    timeoutId = setTimeout(done, FRAME_SEEK_TIMEOUT_MS);
+    video.addEventListener('seeked', done);
+    video.currentTime = time;
+  });
+
+const captureFrame = async (video, time) => {
+  await seekTo(video, time);
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0);
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      blob =>
+        blob
+          ? resolve(blob)
+          : reject(new Error('Could not capture the video frame')),
+      'image/jpeg',
+      0.92
+    )
+  );
+};
+
+/**
+ * Cut the video clip under the playhead and insert a still of the frame
+ * there for `durationMs`. The rest of the clip and everything after it on
+ * the row moves back by that much.
+ */
+export const freezeFrameUtil = async ({ store, elementId, durationMs }) => {
+  const time = store.currentTimeInMs;
+  const element = store.editorElements.find(el => el.id === elementId);
+  if (
+    !element ||
+    element.type !== 'video' ||
+    time < element.timeFrame.start ||
+    time >= element.timeFrame.end ||
+    store.isRowLocked(element.row)
+  ) {
+    return false;
+  }
+
+  const video = document.getElementById(element.properties.elementId);
+  if (!isHtmlVideoElement(video)) return false;
+
+  if (store.playing) store.setPlaying(false);
+  const blob = await captureFrame(video, getSourceTimeMs(element, time) / 1000);
+  const { uploadImageToAWS } = await import('../../utils/awsUpload');
+  const { url } = await uploadImageToAWS(
+    new File([blob], `freeze-frame-${getUid()}.jpg`, { type: 'image/jpeg' })
+  );
+
+  // The clip may have changed while the frame was uploading
+  const current = store.editorElements.find(el => el.id === elementId);
+  if (!current) return false;
+  const { start, end } = current.timeFrame;
+  // Right at either edge of the clip the still goes before or after it
+  const stillStart =
+    time - start < MIN_CUT_MS ? start : end - time < MIN_CUT_MS ? end : time;
+
+  if (stillStart > start && stillStart < end) {
+    const [firstProperties, secondProperties] = splitRetimedProperties(
+      current,
+      stillStart
+    );
+    runInAction(() => {
+      const index = store.editorElements.findIndex(el => el.id === elementId);
+      store.editorElements.splice(
+        index,
+        1,
+        {
+          ...current,
+          timeFrame: { start, end: stillStart },
+          properties: firstProperties,
+        },
+        {
+          ...current,
+          id: getUid(),
+          timeFrame: { start: stillStart, end },
+          properties: secondProperties,
+        }
+      );
+    });
+  }
+
+  // In ripple mode adding the still makes room for it by itself
+  if (!store.rippleMode) {
+    store.rippleShift([current.row], stillStart, durationMs);
+  }
+  await store.addImageLocal({
+    url,
+    minUrl: url,
+    startTime: stillStart,
+    endTime: stillStart + durationMs,
+    row: current.row,
+  });
+  if (store.lastElementEnd > store.maxTime) {
+    store.setMaxTime(store.lastElementEnd);
+  }
+  return true;
+};
@@ -0,0 +1,223 @@
+// Ripple editing: deleting, trimming or inserting a clip shifts every later
+// clip on its row, or on every unlocked row when sync-lock is on. Linked
+// animations, GL transitions and subtitles move together with their targets.
+
+const isSubtitle = element =>
+  element.type === 'text' && element.subType === 'subtitles';
+
+const getSceneId = element => element.pointId?.split('_split_')[0];
+
+const shiftTimeFrame = (timeFrame, delta) => ({
+  start: timeFrame.start + delta,
+  end: timeFrame.end + delta,
+});
+
+const shiftElement = (element, delta) => {
+  const shifted = {
+    ...element,
+    timeFrame: shiftTimeFrame(element.timeFrame, delta),
+  };
+
+  if (element.type === 'animation') {
+    if (element.absoluteStart !== undefined) {
+      shifted.absoluteStart = element.absoluteStart + delta;
+    }
+    if (element.absoluteEnd !== undefined) {
+      shifted.absoluteEnd = element.absoluteEnd + delta;
+    }
+  }
+
+  // Subtitle word timings are absolute, so they travel with the cue
+  if (isSubtitle(element) && element.properties?.words?.length) {
+    shifted.properties = {
+      ...element.properties,
+      words: element.properties.words.map(word => ({
+        ...word,
+        start: word.start + delta,
+        end: word.end + delta,
+      })),
+    };
+  }
+
+  return shifted;
+};
+
+// GL transitions keep absolute times, unlike regular animations which are
+// stored relative to their target
+const shiftGLTransition = (animation, delta) => {
+  const properties = { ...(animation.properties || {}) };
+  ['startTime', 'endTime', 'absoluteStart', 'absoluteEnd'].forEach(key => {
+    if (typeof properties[key] === 'number') {
+      properties[key] += delta;
+    }
+  });
+  return {
+    ...animation,
+    startTime: animation.startTime + delta,
+    endTime: animation.endTime + delta,
+    properties,
+  };
+};
+
+// Rows a ripple on `rows` applies to, honouring sync-lock and row locks
+const getRippleRows = (store, rows) => {
+  const rippleRows = store.rippleSyncLock
+    ? store.editorElements.map(element => element.row)
+    : rows;
+  return new Set(rippleRows.filter(row => !store.isRowLocked(row)));
+};
+
+/**
+ * Shift every element starting at or after `fromTime` on the ripple rows by
+ * `delta` ms, along with whatever is linked to them. A negative delta is
+ * clamped so nothing moves before 0. Returns the ids of shifted elements.
+ */
+export const rippleShiftUtil = ({
+  store,
+  rows,
+  fromTime,
+  delta,
+  excludeIds = [],
+}) => {
+  if (!delta) return [];
+
+  const excluded = new Set(excludeIds);
+  const rippleRows = getRippleRows(store, rows);
+  const candidates = store.editorElements.filter(
+    element =>
+      !excluded.has(element.id) &&
+      rippleRows.has(element.row) &&
+      element.timeFrame &&
+      element.timeFrame.start >= fromTime - 1
+  );
+  if (candidates.length === 0) return [];
+
+  const shiftedIds = new Set(candidates.map(element => element.id));
+
+  // Pulling clips left stops at 0 and at the clip that stays behind them on
+  // each row, so a sync-locked row never ends up with overlapping clips
+  let appliedDelta = delta;
+  if (delta < 0) {
+    rippleRows.forEach(row => {
+      const rowElements = store.editorElements.filter(
+        element => element.row === row && element.type !== 'animation'
+      );
+      const moving = rowElements.filter(element => shiftedIds.has(element.id));
+      if (moving.length === 0) return;
+
+      const firstStart = Math.min(
+        ...moving.map(element => element.timeFrame.start)
+      );
+      const previousEnd = Math.max(
+        0,
+        ...rowElements
+          .filter(
+            element =>
+              !shiftedIds.has(element.id) &&
+              !excluded.has(element.id) &&
+              element.timeFrame.start < firstStart
+          )
+          .map(element => element.timeFrame.end)
+      );
+      appliedDelta = Math.max(appliedDelta, previousEnd - firstStart);
+    });
+  }
+  if (appliedDelta >= 0 && delta < 0) return [];
+
+  // Animations and transitions follow the clips they target
+  store.editorElements.forEach(element => {
+    if (element.type !== 'animation' || shiftedIds.has(element.id)) return;
+    const targetIds = element.targetIds?.length
+      ? element.targetIds
+      : [element.targetId];
+    const anchorId =
+      element.properties?.animationType === 'glTransition'
+        ? element.toElementId
+        : targetIds[0];
+    if (anchorId && shiftedIds.has(anchorId)) {
+      shiftedIds.add(element.id);
+    }
+  });
+
+  // Subtitles generated for a shifted scene move with it
+  const shiftedScenes = new Set(
+    store.editorElements
+      .filter(element => shiftedIds.has(element.id) && !isSubtitle(element))
+      .map(getSceneId)
+      .filter(Boolean)
+  );
+  store.editorElements.forEach(element => {
+    if (
+      isSubtitle(element) &&
+      !excluded.has(element.id) &&
+      !store.isRowLocked(element.row) &&
+      shiftedScenes.has(getSceneId(element))
+    ) {
+      shiftedIds.add(element.id);
+    }
+  });
+
+  store.editorElements = store.editorElements.map(element =>
+    shiftedIds.has(element.id) ? shiftElement(element, appliedDelta) : element
+  );
+
+  const shiftedAnimationIds = new Set(
+    store.editorElements
+      .filter(element => shiftedIds.has(element.id) && element.animationId)
+      .map(element => element.animationId)
+  );
+  store.animations = store.animations.map(animation =>
+    animation.type === 'glTransition' && shiftedAnimationIds.has(animation.id)
+      ? shiftGLTransition(animation, appliedDelta)
+      : animation
+  );
+
+  return [...shiftedIds];
+};
+
+// Merge overlapping [start, end] ranges, sorted by start
+const mergeRanges = ranges =>
+  [...ranges]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+
+/**
+ * Close the gaps left by removed elements. Ranges are processed right to
+ * left so closing one gap never moves another one that is still pending.
+ */
+export const rippleDeleteUtil = ({ store, elements }) => {
+  const removed = elements.filter(
+    element => element.type !== 'animation' && element.timeFrame
+  );
+  if (removed.length === 0) return;
+
+  const excludeIds = removed.map(element => element.id);
+  const groups = store.rippleSyncLock
+    ? [{ rows: [], elements: removed }]
+    : [...new Set(removed.map(element => element.row))].map(row => ({
+        rows: [row],
+        elements: removed.filter(element => element.row === row),
+      }));
+
+  groups.forEach(group => {
+    mergeRanges(group.elements.map(element => element.timeFrame))
+      .reverse()
+      .forEach(range => {
+        rippleShiftUtil({
+          store,
+          rows: group.rows,
+          fromTime: range.end,
+          delta: range.start - range.end,
+          excludeIds,
+        });
+      });
+  });
+};
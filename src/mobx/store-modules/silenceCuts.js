@@ -0,0 +1,161 @@
+import { getUid } from '../../utils';
+import { getTimelineCuts } from '../../utils/silenceDetection';
+import { splitVolumeProperties } from '../../utils/volumeEnvelope';
+import { rippleShiftUtil } from './ripple';
+
+const MIN_DURATION_MS = 100;
+
+const isMedia = element => element.type === 'audio' || element.type === 'video';
+
+// Where `time` lands once `cut` is taken out of the timeline
+const collapseTime = (time, cut) => {
+  if (time <= cut.start) return time;
+  if (time >= cut.end) return time - (cut.end - cut.start);
+  return cut.start;
+};
+
+// Envelope and fades of the part of a clip from `fromMs` to `toMs` into it
+const sliceVolumeProperties = (properties, durationMs, fromMs, toMs) => {
+  let sliced = properties;
+  let slicedDuration = durationMs;
+  let patch = {};
+  if (fromMs > 0) {
+    [, patch] = splitVolumeProperties(sliced, slicedDuration, fromMs);
+    sliced = { ...sliced, ...patch };
+    slicedDuration -= fromMs;
+  }
+  if (toMs - fromMs < slicedDuration) {
+    [patch] = splitVolumeProperties(sliced, slicedDuration, toMs - fromMs);
+  }
+  return patch;
+};
+
+// Rows that follow the voice: its own, plus every row without other media
+// on it when syncing, so images, subtitles and overlays keep their timing
+// while other music and video tracks play on
+const getCutRows = (store, element, syncImages) => {
+  if (!syncImages) return [element.row];
+  const mediaRows = new Set(
+    store.editorElements
+      .filter(el => el.id !== element.id && isMedia(el))
+      .map(el => el.row)
+  );
+  return [...new Set(store.editorElements.map(el => el.row))].filter(
+    row => row === element.row || !mediaRows.has(row)
+  );
+};
+
+// Shorten the elements that run across `cut`, the ones after it are left
+// to the ripple
+const trimAcrossCut = (store, rows, cut, excludeIds) => {
+  const trimRows = new Set(rows.filter(row => !store.isRowLocked(row)));
+  store.editorElements = store.editorElements.map(element => {
+    if (
+      excludeIds.includes(element.id) ||
+      !trimRows.has(element.row) ||
+      element.type === 'animation' ||
+      isMedia(element) ||
+      !element.timeFrame
+    ) {
+      return element;
+    }
+    const { start, end } = element.timeFrame;
+    if (end <= cut.start || start >= cut.end - 1) return element;
+
+    const trimmed = {
+      ...element,
+      timeFrame: {
+        start: collapseTime(start, cut),
+        end: Math.max(
+          collapseTime(start, cut) + MIN_DURATION_MS,
+          collapseTime(end, cut)
+        ),
+      },
+    };
+    if (element.properties?.words?.length) {
+      trimmed.properties = {
+        ...element.properties,
+        words: element.properties.words.map(word => ({
+          ...word,
+          start: collapseTime(word.start, cut),
+          end: collapseTime(word.end, cut),
+        })),
+      };
+    }
+    return trimmed;
+  });
+};
+
+/**
+ * Apply the enabled silence cuts of an audio element as jump cuts. The clip
+ * is replaced by the pieces between the cuts, butted together with their
+ * source offsets, and everything after each cut on the following rows is
+ * rippled left. Returns the pieces, or null when there was nothing to cut.
+ */
+export const applySilenceCutsUtil = ({ store, elementId, syncImages }) => {
+  const element = store.editorElements.find(el => el.id === elementId);
+  if (!element || store.isRowLocked(element.row)) return null;
+
+  const cuts = getTimelineCuts(element, store.silenceCuts).filter(
+    cut => cut.enabled
+  );
+  if (cuts.length === 0) return null;
+
+  const { start, end } = element.timeFrame;
+  const kept = [];
+  let keptStart = start;
+  cuts.forEach(cut => {
+    if (cut.start > keptStart) kept.push({ start: keptStart, end: cut.start });
+    keptStart = Math.max(keptStart, cut.end);
+  });
+  if (end > keptStart) kept.push({ start: keptStart, end });
+  if (kept.length === 0) return null;
+
+  // The first piece keeps the clip's id and audio element, so whatever is
+  // linked to the clip stays linked
+  const durationMs = end - start;
+  const originalOffset = element.properties.audioOffset || 0;
+  const pieces = kept.map((range, index) => {
+    const removedBefore = cuts
+      .filter(cut => cut.end <= range.start)
+      .reduce((sum, cut) => sum + cut.end - cut.start, 0);
+    const fromMs = range.start - start;
+    return {
+      ...element,
+      id: index === 0 ? element.id : getUid(),
+      timeFrame: {
+        start: range.start - removedBefore,
+        end: range.end - removedBefore,
+      },
+      properties: {
+        ...element.properties,
+        ...sliceVolumeProperties(
+          element.properties,
+          durationMs,
+          fromMs,
+          range.end - start
+        ),
+        audioOffset: originalOffset + fromMs,
+        ...(index > 0 && { elementId: `audio-${getUid()}` }),
+      },
+    };
+  });
+
+  // Right to left, so closing one cut never moves one still to be closed
+  const rows = getCutRows(store, element, syncImages);
+  const excludeIds = [element.id];
+  [...cuts].reverse().forEach(cut => {
+    trimAcrossCut(store, rows, cut, excludeIds);
+    rippleShiftUtil({
+      store,
+      rows,
+      fromTime: cut.end,
+      delta: cut.start - cut.end,
+      excludeIds,
+    });
+  });
+
+  const index = store.editorElements.findIndex(el => el.id === element.id);
+  store.editorElements.splice(index, 1, ...pieces);
+  return pieces;
+};
@@ -0,0 +1,137 @@
+// Magnetic snapping for timeline drags and trims. Moving edges snap to the
+// playhead, markers, clip edges on any row, scene boundaries and subtitle
+// word boundaries when they come within a pixel threshold of one.
+
+// Preferred target when two are equally close
+const SNAP_TARGET_PRIORITY = ['playhead', 'marker', 'clip', 'scene', 'word'];
+
+const getTimelineWidthPx = () =>
+  document.querySelector('[data-testid="overlays-container"]')?.clientWidth ||
+  document.querySelector('[data-timeline]')?.clientWidth ||
+  0;
+
+// The threshold is configured in pixels so it feels the same at every zoom
+const getThresholdMs = (store, widthPx) => {
+  const width = widthPx || getTimelineWidthPx();
+  if (!width) return 0;
+  return (store.ghostState.snapThreshold * store.maxTime) / width;
+};
+
+const isSubtitle = element =>
+  element.type === 'text' && element.subType === 'subtitles';
+
+/**
+ * Every time an edge can snap to, except those of the excluded elements.
+ * Word boundaries are only collected inside the visible threshold window
+ * around `nearTimes` to keep long subtitle tracks cheap.
+ */
+export const getSnapTargetsUtil = ({
+  store,
+  excludeIds = [],
+  nearTimes = [],
+  thresholdMs = Infinity,
+}) => {
+  const excluded = new Set(excludeIds);
+  const targets = [{ time: store.currentTimeInMs, type: 'playhead' }];
+
+  store.markers.forEach(marker => {
+    targets.push({ time: marker.time, type: 'marker' });
+  });
+
+  const scenes = new Map();
+  store.editorElements.forEach(element => {
+    if (excluded.has(element.id) || !element.timeFrame) return;
+    const { start, end } = element.timeFrame;
+
+    if (element.type !== 'animation' && element.type !== 'transition') {
+      targets.push({ time: start, type: 'clip' });
+      targets.push({ time: end, type: 'clip' });
+    }
+
+    // Elements generated for the same scene share its pointId
+    if (element.pointId) {
+      const sceneId = element.pointId.split('_split_')[0];
+      const scene = scenes.get(sceneId) || { start, end };
+      scenes.set(sceneId, {
+        start: Math.min(scene.start, start),
+        end: Math.max(scene.end, end),
+      });
+    }
+
+    if (isSubtitle(element) && element.properties?.words?.length) {
+      element.properties.words.forEach(word => {
+        [word.start, word.end].forEach(time => {
+          if (nearTimes.some(near => Math.abs(near - time) <= thresholdMs)) {
+            targets.push({ time, type: 'word' });
+          }
+        });
+      });
+    }
+  });
+
+  scenes.forEach(({ start, end }) => {
+    targets.push({ time: start, type: 'scene' });
+    targets.push({ time: end, type: 'scene' });
+  });
+
+  return targets;
+};
+
+/**
+ * Find the smallest shift that puts one of the moving edges on a snap
+ * target. Returns { delta, guides } where delta is 0 when nothing is in
+ * range, and guides are alignment lines for AlignmentLines.jsx.
+ */
+export const findSnapUtil = ({ store, edges, excludeIds, widthPx }) => {
+  const noSnap = { delta: 0, guides: [] };
+  if (store.ghostState.isSnapSuspended) return noSnap;
+
+  const thresholdMs = getThresholdMs(store, widthPx);
+  if (!thresholdMs || store.maxTime <= 0) return noSnap;
+
+  const targets = getSnapTargetsUtil({
+    store,
+    excludeIds,
+    nearTimes: edges,
+    thresholdMs,
+  });
+
+  let best = null;
+  edges.forEach(edge => {
+    targets.forEach(target => {
+      const delta = target.time - edge;
+      const distance = Math.abs(delta);
+      if (distance > thresholdMs) return;
+
+      const isCloser = !best || distance < best.distance - 0.5;
+      const isPreferred =
+        best &&
+        Math.abs(distance - best.distance) <= 0.5 &&
+        SNAP_TARGET_PRIORITY.indexOf(target.type) <
+          SNAP_TARGET_PRIORITY.indexOf(best.target.type);
+      if (isCloser || isPreferred) {
+        best = { delta, distance, target };
+      }
+    });
+  });
+
+  if (!best) return noSnap;
+
+  // Show a guide for every target that lines up with the snapped edges
+  const snappedEdges = edges.map(edge => edge + best.delta);
+  const guides = [];
+  targets.forEach(target => {
+    const isAligned = snappedEdges.some(
+      edge => Math.abs(edge - target.time) < 0.5
+    );
+    if (isAligned && !guides.some(guide => guide.time === target.time)) {
+      guides.push({
+        time: target.time,
+        position: (target.time / store.maxTime) * 100,
+        type: `${target.type}Snap`,
+      });
+    }
+  });
+
+  return { delta: best.delta, guides };
+};
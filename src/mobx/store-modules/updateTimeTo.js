@@ -1,4 +1,7 @@
+import { getCompositeOperation } from '../../utils/blendModes';
 import { captureFabricObjectState } from '../../utils/fabric-utils';
+import { applyKeyframesUtil } from './applyKeyframes';
+import { applyMasksUtil } from './masks';
 
 export const updateTimeToUtil = ({ newTime, store }) => {
   if (newTime >= store.lastElementEnd) {
@@ -236,6 +239,11 @@ export const updateTimeToUtil = ({ newTime, store }) => {
         el => el.id === animation.toElementId
       );
 
+      // The transition frame blends like whichever clip dominates it
+      const dominantElement = clampedProgress < 0.5 ? fromElement : toElement;
+      transitionElement.fabricObject.globalCompositeOperation =
+        getCompositeOperation(dominantElement?.properties?.blendMode);
+
       if (fromElement && fromElement.fabricObject) {
         fromElement.fabricObject.set('visible', false);
       }
@@ -757,6 +765,10 @@ export const updateTimeToUtil = ({ newTime, store }) => {
     }
   });
 
+  // Keyframes override preset animations for the properties they drive
+  applyKeyframesUtil({ store, time: newTime });
+  applyMasksUtil({ store, time: newTime });
+
   store.updateVideoElements();
   store.updateAudioElements();
 };
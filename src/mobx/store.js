@@ -4,13 +4,85 @@ import { action, makeAutoObservable, observable, runInAction } from 'mobx';
 import MP4Box from 'mp4box';
 import { v4 as uuidv4 } from 'uuid';
 import { convertCurveToEasing } from '../components/PlayerComponent/entity/AnimationResource';
+import {
+  DEFAULT_EXPORT_SETTINGS,
+  EXPORT_CONTAINERS,
+  EXPORT_RESOLUTIONS,
+} from '../constants/export';
 import { getUid, isHtmlAudioElement, isHtmlVideoElement } from '../utils';
-import { handleCatchError } from '../utils/errorHandler';
+import audioEditor from '../utils/audioEditor';
+import { handleCatchError, showGlobalInfo } from '../utils/errorHandler';
 import { captureFabricObjectState } from '../utils/fabric-utils';
+import {
+  KEYFRAME_PROPERTIES,
+  TRANSFORM_KEYFRAME_PROPERTIES,
+  getKeyframeBaseValue,
+  isMaskKeyframeProperty,
+  isSameKeyframeTime,
+  mapKeyframes,
+  readKeyframeValue,
+  upsertKeyframe,
+} from '../utils/keyframes';
+import {
+  MARKER_COLORS,
+  findAdjacentMarker,
+  findMarkerAtTime,
+  formatChapters,
+  sortMarkers,
+} from '../utils/markers';
+import {
+  getRowSettings,
+  isRowAudible,
+  remapRowSettings,
+  updateRowSettings,
+} from '../utils/rowSettings';
 import { GLTransitionRenderer } from '../utils/gl-transitions';
+import { normalizeKey } from '../utils/chromaKey';
+import { cacheLut, normalizeLut, parseCubeLut } from '../utils/lut';
+import { MASK_TYPES, normalizeMask, toMaskStroke } from '../utils/masks';
+import {
+  DEFAULT_BLEND_MODE,
+  getCompositeOperation,
+  isBlendMode,
+} from '../utils/blendModes';
+import {
+  getAverageSpeed,
+  getSourceTimeMs,
+  getSpeedAt,
+  splitRetimedProperties,
+} from '../utils/retime';
 import {
+  getDuckingGain,
+  isDuckableElement,
+  isDuckingEnabled,
+  normalizeDucking,
+} from '../utils/ducking';
+import {
+  GAIN_DB_LIMITS,
+  getClipGain,
+  normalizeEnvelope,
+  splitVolumeProperties,
+} from '../utils/volumeEnvelope';
+import audioGraph from '../utils/audioGraph';
+import audioProcessor from '../utils/audioProcessor';
+import { getPresetEffects, normalizeEffects } from '../utils/audioEffects';
+import {
+    MIX_LOUDNESS_KEY,
+    applyMasksUtil,
+    applySilenceCutsUtil,
+    findSnapUtil,
+    freezeFrameUtil,
+    getLoudnessReadingUtil,
+    measureLoudnessUtil,
+    normalizeLoudnessUtil,
     refreshAnimationsUtil,
     refreshElementsUtil,
+    refreshSpeechIntervalsUtil,
+    renderFramesUtil,
+    rippleDeleteUtil,
+    rippleShiftUtil,
+    seekToFrameUtil,
+    setClipSpeedUtil,
     updateTimeToUtil,
 } from './store-modules';
 
@@ -19,6 +91,25 @@ export class Store {
     // Add drawnPaths array to store drawn paths
     this.drawnPaths = [];
 
+    // Element whose drawn mask is being painted, and the canvas listener
+    // that adds the strokes to it
+    this.maskDrawingElementId = null;
+    this.maskDrawingHandler = null;
+
+    // .cube LUTs imported during this session; ones already applied to
+    // elements are listed from the elements themselves
+    this.importedLuts = [];
+
+    // Speech on the timeline that ducks music, and what it was worked out from
+    this.speechIntervals = [];
+    this.speechSignature = null;
+
+    // Silences found in voice clips, reviewed on the waveform before cutting
+    this.silenceCuts = [];
+
+    // Loudness of elements and of the mix, keyed by element id or 'mix'
+    this.loudnessReadings = {};
+
     // Add flag to prevent recursive saves
     this._isSaving = false;
 
@@ -63,6 +154,14 @@ export class Store {
     this.selectedMenuOption = 'Export';
     this.selectedVideoFormat = 'mp4';
     this.possibleVideoFormats = ['mp4', 'webm'];
+    this.exportSettings = {
+      ...DEFAULT_EXPORT_SETTINGS,
+      range: { ...DEFAULT_EXPORT_SETTINGS.range },
+    };
+    this.markers = [];
+    this.rowSettings = {}; // Track name/lock/hide/mute/solo keyed by row
+    this.rippleMode = false; // Deletes, trims and inserts shift later clips
+    this.rippleSyncLock = false; // Ripple every unlocked row, not just one
     this.playbackRate = 1;
     // Initialize setPlaybackRate action
     this.setPlaybackRate = action(rate => {
@@ -118,6 +217,9 @@ export class Store {
     this.history = [];
     this.currentHistoryIndex = -1;
     this.isUndoRedoOperation = false;
+    // True while elements restored by updateFromRedux are rebuilt on the
+    // canvas; saves made meanwhile only echo the restored state
+    this.isApplyingReduxState = false;
 
     this.isInitializing = false;
 
@@ -703,7 +805,8 @@ export class Store {
       ghostMarkerPosition: null,
       draggedElement: null,
       alignmentLines: [],
-      snapThreshold: 20, // increased threshold to reduce excessive snapping
+      snapThreshold: 8, // px, converted to ms at the current zoom level
+      isSnapSuspended: false, // true while the snap-off modifier (Alt) is held
       lastAlignmentUpdate: 0, // for throttling alignment updates
       lastHoverCheck: 0, // for throttling hover checks
       isIncompatibleRow: false, // indicates if current row is incompatible
@@ -747,6 +850,8 @@ export class Store {
       isSplitting: true,
       lastElementEnd: true,
       isResizing: true,
+      maskDrawingHandler: false,
+      speechSignature: false,
     });
 
     // Add methods for custom origin point selection
@@ -1125,8 +1230,12 @@ export class Store {
       // Update the actual audio element in DOM
       const audio = document.getElementById(element.properties.elementId);
       if (audio) {
-        // Calculate final volume as element volume * global volume
-        const finalVolume = element.properties.volume * this.volume;
+        // Calculate final volume as element volume * global volume, ducked
+        // under voiceover
+        const finalVolume =
+          element.properties.volume *
+          this.volume *
+          this.getDuckingGain(element, this.currentTimeInMs);
         audio.volume = Math.max(0, Math.min(1, finalVolume));
       }
 
@@ -1156,6 +1265,224 @@ export class Store {
     });
   }
 
+  // Ducking of a music element under voiceover, merged into its settings
+  setElementDucking(elementId, updates) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element || !isDuckableElement(element)) return;
+
+    const ducking = normalizeDucking({
+      ...element.properties?.ducking,
+      ...updates,
+    });
+    runInAction(() => {
+      this.editorElements = this.editorElements.map(el =>
+        el.id === elementId
+          ? { ...el, properties: { ...el.properties, ducking } }
+          : el
+      );
+    });
+    this.updateAudioElements();
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  // Volume automation points of an audio or video clip
+  setVolumeEnvelope(elementId, points) {
+    this.updateClipGain(elementId, element => ({
+      volumeEnvelope: normalizeEnvelope(
+        points,
+        element.timeFrame.end - element.timeFrame.start
+      ),
+    }));
+  }
+
+  // Fade in/out lengths of an audio or video clip, in ms
+  setElementFades(elementId, fades) {
+    this.updateClipGain(elementId, element => {
+      const durationMs = element.timeFrame.end - element.timeFrame.start;
+      const clampFade = value => Math.max(0, Math.min(durationMs, value || 0));
+      return Object.fromEntries(
+        ['fadeInDuration', 'fadeOutDuration']
+          .filter(key => key in fades)
+          .map(key => [key, Math.round(clampFade(fades[key]))])
+      );
+    });
+  }
+
+  // Effects chain of an audio or video clip, in order
+  setElementAudioEffects(elementId, effects) {
+    this.updateClipGain(elementId, () => ({
+      audioEffects: normalizeEffects(effects),
+    }));
+  }
+
+  // Replace a clip's effects with a preset's
+  applyAudioEffectsPreset(elementId, presetId) {
+    this.setElementAudioEffects(elementId, getPresetEffects(presetId));
+  }
+
+  // Fixed gain of an audio or video clip in dB, on top of its volume
+  setElementGain(elementId, gainDb) {
+    this.updateClipGain(elementId, () => ({
+      gainDb: Math.max(
+        GAIN_DB_LIMITS.min,
+        Math.min(GAIN_DB_LIMITS.max, Number(gainDb) || 0)
+      ),
+    }));
+  }
+
+  // Merge audio properties into an audio or video clip and hear them
+  updateClipGain(elementId, getChanges) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element || (element.type !== 'audio' && element.type !== 'video')) {
+      return;
+    }
+
+    const properties = { ...element.properties, ...getChanges(element) };
+    runInAction(() => {
+      this.editorElements = this.editorElements.map(el =>
+        el.id === elementId ? { ...el, properties } : el
+      );
+    });
+    this.updateVideoElements();
+    this.updateAudioElements();
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  // Re-analyze the voiceover when the voice clips changed
+  refreshSpeechIntervals() {
+    refreshSpeechIntervalsUtil({ store: this });
+  }
+
+  // Gain the ducking applies to `element` at timeline time `time`
+  getDuckingGain(element, time) {
+    if (!isDuckingEnabled(element)) return 1;
+    return getDuckingGain(
+      this.speechIntervals,
+      element.properties.ducking,
+      time
+    );
+  }
+
+  // Elements that can be normalized: audio and video clips that are heard
+  get loudnessElementIds() {
+    return this.editorElements
+      .filter(
+        element =>
+          (element.type === 'audio' || element.type === 'video') &&
+          element.properties?.src &&
+          !element.properties.muted &&
+          this.isRowAudible(element.row)
+      )
+      .map(element => element.id);
+  }
+
+  // Integrated loudness and true peak of an element, or of the mix
+  async measureLoudness(elementId = MIX_LOUDNESS_KEY) {
+    try {
+      return await measureLoudnessUtil({ store: this, key: elementId });
+    } catch (error) {
+      handleCatchError(error, 'Failed to measure loudness');
+      return null;
+    }
+  }
+
+  // Last reading of an element or of the mix, null once it changed
+  getLoudnessReading(elementId = MIX_LOUDNESS_KEY) {
+    return getLoudnessReadingUtil({ store: this, key: elementId });
+  }
+
+  // Give each element the gain that brings it to `targetLufs`
+  async normalizeLoudness(targetLufs, elementIds = this.loudnessElementIds) {
+    try {
+      const changedIds = await normalizeLoudnessUtil({
+        store: this,
+        elementIds,
+        targetLufs,
+      });
+      if (changedIds.length === 0) {
+        showGlobalInfo('Nothing to normalize', 'The audio is silent');
+        return [];
+      }
+
+      this.updateVideoElements();
+      this.updateAudioElements();
+      if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+        window.dispatchSaveTimelineState(this);
+      }
+      return changedIds;
+    } catch (error) {
+      handleCatchError(error, 'Failed to normalize loudness');
+      return [];
+    }
+  }
+
+  // Find the silences in an audio clip; they replace its previous cuts
+  async detectSilence(elementId, settings) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element || element.type !== 'audio' || !element.properties?.src) {
+      return [];
+    }
+
+    try {
+      const { detectSilenceCuts } = await import('../utils/silenceDetection');
+      const cuts = await detectSilenceCuts(element, settings);
+      runInAction(() => {
+        this.silenceCuts = [
+          ...this.silenceCuts.filter(cut => cut.elementId !== elementId),
+          ...cuts,
+        ];
+      });
+      return cuts;
+    } catch (error) {
+      handleCatchError(error, 'Failed to analyze silence');
+      return [];
+    }
+  }
+
+  // Keep or cut one detected silence
+  toggleSilenceCut(cutId) {
+    this.silenceCuts = this.silenceCuts.map(cut =>
+      cut.id === cutId ? { ...cut, enabled: !cut.enabled } : cut
+    );
+  }
+
+  clearSilenceCuts(elementId) {
+    this.silenceCuts = elementId
+      ? this.silenceCuts.filter(cut => cut.elementId !== elementId)
+      : [];
+  }
+
+  /**
+   * Cut the enabled silences out of an audio clip as jump cuts, rippling
+   * what follows. With `syncImages` the rows without other media follow the
+   * voice too. Recorded as one undo step.
+   */
+  applySilenceCuts(elementId, { syncImages = true } = {}) {
+    const pieces = applySilenceCutsUtil({
+      store: this,
+      elementId,
+      syncImages,
+    });
+    if (!pieces) return false;
+
+    this.clearSilenceCuts(elementId);
+    this.updateVideoElements();
+    this.updateAudioElements();
+    this.refreshElements();
+    this.scheduleAnimationRefresh();
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+    return true;
+  }
+
   // Add computed property
   get lastElementEnd() {
     const lastElement = this.editorElements
@@ -1180,9 +1507,6 @@ export class Store {
         video.element.playbackRate = value;
       }
     });
-    // Import audio processor dynamically to avoid circular dependencies
-    const audioProcessor = (await import('../utils/audioProcessor')).default;
-
     // Update audio elements with pitch preservation if supported
     if (audioProcessor.isSupported()) {
       try {
@@ -3021,6 +3345,448 @@ export class Store {
     this.refreshElements();
   }
 
+  // Chroma or luma key of a video or image element; null removes it
+  setElementKey(elementId, key) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (
+      !element ||
+      !(isEditorVideoElement(element) || isEditorImageElement(element))
+    ) {
+      return;
+    }
+
+    const keyEffect = normalizeKey(key);
+    const properties = { ...element.properties, key: keyEffect };
+    if (!keyEffect) delete properties.key;
+    runInAction(() => {
+      this.editorElements = this.editorElements.map(el =>
+        el.id === elementId ? { ...el, properties } : el
+      );
+    });
+
+    const object = element.fabricObject;
+    if (object) {
+      object.keyEffect = keyEffect;
+      delete object._keyError;
+      object.dirty = true;
+      this.canvas?.requestRenderAll();
+    }
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  // Color grading LUT of a video or image element; null removes it
+  setElementLut(elementId, lut) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (
+      !element ||
+      !(isEditorVideoElement(element) || isEditorImageElement(element))
+    ) {
+      return;
+    }
+
+    const lutEffect = normalizeLut(lut);
+    const properties = { ...element.properties, lut: lutEffect };
+    if (!lutEffect) delete properties.lut;
+    runInAction(() => {
+      this.editorElements = this.editorElements.map(el =>
+        el.id === elementId ? { ...el, properties } : el
+      );
+    });
+
+    const object = element.fabricObject;
+    if (object) {
+      object.lutEffect = lutEffect;
+      delete object._lutError;
+      delete object._lutSignature;
+      object.dirty = true;
+      this.canvas?.requestRenderAll();
+    }
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  // Imported LUTs available in the project, whether applied or just imported
+  get projectLuts() {
+    const luts = new Map();
+    [
+      ...this.importedLuts,
+      ...this.editorElements.map(element => element.properties?.lut),
+    ].forEach(lut => {
+      if (lut?.url && !luts.has(lut.url)) {
+        luts.set(lut.url, { id: lut.id, name: lut.name, url: lut.url });
+      }
+    });
+    return [...luts.values()];
+  }
+
+  // Parse and upload a .cube file; resolves to its LUT settings, or null
+  async importLutFile(file) {
+    try {
+      if (!/\.cube$/i.test(file.name)) {
+        throw new Error('Only .cube LUT files are supported');
+      }
+      const parsed = parseCubeLut(await file.text());
+      const { uploadLutToAWS } = await import('../utils/awsUpload');
+      const { url } = await uploadLutToAWS(file);
+
+      const lut = {
+        id: getUid(),
+        name: parsed.title || file.name.replace(/\.cube$/i, ''),
+        url,
+      };
+      cacheLut(lut, parsed);
+      runInAction(() => {
+        this.importedLuts = [...this.importedLuts, lut];
+      });
+      return lut;
+    } catch (error) {
+      handleCatchError(error, 'Failed to import LUT');
+      return null;
+    }
+  }
+
+  // Shape, drawn or track matte mask of a canvas element; null removes it.
+  // Keyframes of the removed mask's geometry go with it.
+  setElementMask(elementId, mask) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element || element.type === 'audio' || element.type === 'animation') {
+      return;
+    }
+
+    const maskEffect = normalizeMask(mask);
+    const properties = { ...element.properties, mask: maskEffect };
+    if (!maskEffect) delete properties.mask;
+    const keyframes = maskEffect
+      ? element.keyframes
+      : mapKeyframes(
+          element.keyframes,
+          (keyframe, property) => isMaskKeyframeProperty(property),
+          () => null
+        );
+    runInAction(() => {
+      this.editorElements = this.editorElements.map(el =>
+        el.id === elementId ? { ...el, properties, keyframes } : el
+      );
+    });
+    if (!maskEffect && this.maskDrawingElementId === elementId) {
+      this.stopMaskDrawing();
+    }
+
+    applyMasksUtil({ store: this, time: this.currentTimeInMs });
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  // How a canvas element blends with what is under it
+  setElementBlendMode(elementId, blendMode) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element || !isBlendMode(blendMode)) return;
+
+    const properties = { ...element.properties, blendMode };
+    if (blendMode === DEFAULT_BLEND_MODE) delete properties.blendMode;
+    runInAction(() => {
+      this.editorElements = this.editorElements.map(el =>
+        el.id === elementId ? { ...el, properties } : el
+      );
+    });
+
+    if (element.fabricObject) {
+      element.fabricObject.globalCompositeOperation =
+        getCompositeOperation(blendMode);
+      this.canvas?.requestRenderAll();
+    }
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  // Opacity of a canvas element. Once opacity is keyframed, changes are
+  // keyed at the playhead; until then they set the element's base opacity.
+  setElementOpacity(elementId, opacity) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element) return;
+
+    const value = Math.max(0, Math.min(1, Number(opacity) || 0));
+    if (element.keyframes?.opacity?.length) {
+      this.addKeyframe(elementId, 'opacity', { value });
+      return;
+    }
+
+    runInAction(() => {
+      this.editorElements = this.editorElements.map(el =>
+        el.id === elementId
+          ? { ...el, placement: { ...el.placement, opacity: value } }
+          : el
+      );
+    });
+    if (element.initialState) element.initialState.opacity = value;
+
+    if (element.fabricObject) {
+      element.fabricObject.set('opacity', value);
+      this.canvas?.requestRenderAll();
+    }
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  // Brush used while the canvas is in drawing mode
+  updateBrushSettings({ color, width, type = 'PencilBrush', opacity = 1 }) {
+    if (!this.canvas) return;
+
+    const Brush = fabric[type] || fabric.PencilBrush;
+    if (!(this.canvas.freeDrawingBrush instanceof Brush)) {
+      this.canvas.freeDrawingBrush = new Brush(this.canvas);
+    }
+    const brush = this.canvas.freeDrawingBrush;
+    brush.width = width;
+    brush.opacity = opacity;
+    // Brushes draw in a flat color, so opacity goes into the color
+    brush.color = new fabric.Color(color).setAlpha(opacity).toRgba();
+    this.canvas.isDrawingMode = true;
+  }
+
+  disableDrawingMode() {
+    if (!this.canvas) return;
+    this.canvas.isDrawingMode = false;
+    if (this.canvas.contextTop) {
+      this.canvas.clearContext(this.canvas.contextTop);
+    }
+  }
+
+  // Paint a drawn mask on the canvas: every brush stroke is added to the
+  // element's mask instead of staying on the canvas as a path
+  startMaskDrawing(elementId, { width = 30 } = {}) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!this.canvas || !element?.fabricObject) return;
+
+    this.stopMaskDrawing();
+    if (element.properties?.mask?.type !== MASK_TYPES.DRAWN) {
+      this.setElementMask(elementId, { type: MASK_TYPES.DRAWN });
+    }
+
+    const handlePathCreated = ({ path }) => {
+      if (!path) return;
+      this.canvas.remove(path);
+      this.addMaskStroke(elementId, path);
+    };
+    this.canvas.on('path:created', handlePathCreated);
+    this.canvas.discardActiveObject();
+    this.updateBrushSettings({
+      color: '#ffffff',
+      width,
+      type: 'PencilBrush',
+      opacity: 0.6,
+    });
+    this.maskDrawingHandler = handlePathCreated;
+    this.maskDrawingElementId = elementId;
+  }
+
+  stopMaskDrawing() {
+    if (!this.maskDrawingHandler) return;
+    this.canvas?.off('path:created', this.maskDrawingHandler);
+    this.disableDrawingMode();
+    this.maskDrawingHandler = null;
+    this.maskDrawingElementId = null;
+  }
+
+  addMaskStroke(elementId, path) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    const fabricObject = element?.fabricObject;
+    const mask = normalizeMask(element?.properties?.mask);
+    if (!fabricObject || mask?.type !== MASK_TYPES.DRAWN) return;
+
+    const toLocal = fabric.util.invertTransform(
+      fabricObject.calcTransformMatrix()
+    );
+    const stroke = toMaskStroke(
+      path,
+      fabricObject,
+      fabricObject.maskEffect || mask,
+      (x, y) => fabric.util.transformPoint(new fabric.Point(x, y), toLocal)
+    );
+    if (stroke.points.length === 0) return;
+
+    this.setElementMask(elementId, {
+      ...mask,
+      strokes: [...mask.strokes, stroke],
+    });
+  }
+
+  // Replace an element's keyframes, re-evaluate the current frame and save.
+  // Properties that lost their last keyframe go back to their base value.
+  setElementKeyframes(elementId, keyframes) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element) return;
+
+    const previous = element.keyframes || {};
+    runInAction(() => {
+      this.editorElements = this.editorElements.map(el =>
+        el.id === elementId ? { ...el, keyframes } : el
+      );
+    });
+
+    if (element.fabricObject) {
+      Object.keys(previous)
+        .filter(property => !keyframes[property] && KEYFRAME_PROPERTIES[property])
+        .forEach(property => {
+          const baseValue = getKeyframeBaseValue(element, property);
+          if (baseValue !== undefined) {
+            element.fabricObject.set(
+              KEYFRAME_PROPERTIES[property].fabricKey,
+              baseValue
+            );
+          }
+        });
+    }
+
+    this.updateTimeTo(this.currentTimeInMs);
+    this.canvas?.requestRenderAll();
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  // Keyframe times are relative to the element start so they move with it
+  getElementLocalTime(element, time = this.currentTimeInMs) {
+    const duration = element.timeFrame.end - element.timeFrame.start;
+    return Math.max(0, Math.min(duration, time - element.timeFrame.start));
+  }
+
+  // Add (or overwrite) a keyframe. Time and value default to the playhead
+  // position and the property's current on-canvas value.
+  addKeyframe(elementId, property, { time, value, easing } = {}) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element) return;
+
+    const keyframeTime = time ?? this.getElementLocalTime(element);
+    const keyframeValue = value ?? readKeyframeValue(element, property);
+    if (typeof keyframeValue !== 'number') return;
+
+    this.setElementKeyframes(
+      elementId,
+      upsertKeyframe(element.keyframes, property, {
+        time: keyframeTime,
+        value: keyframeValue,
+        easing,
+      })
+    );
+  }
+
+  // Key every transform property at the playhead with its current value
+  addKeyframesAtCurrentTime(
+    elementId,
+    properties = TRANSFORM_KEYFRAME_PROPERTIES
+  ) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element) return;
+
+    const time = this.getElementLocalTime(element);
+    let keyframes = element.keyframes || {};
+    properties.forEach(property => {
+      const value = readKeyframeValue(element, property);
+      if (typeof value === 'number') {
+        keyframes = upsertKeyframe(keyframes, property, { time, value });
+      }
+    });
+
+    this.setElementKeyframes(elementId, keyframes);
+  }
+
+  updateKeyframe(elementId, property, keyframeId, updates) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element) return;
+
+    this.setElementKeyframes(
+      elementId,
+      mapKeyframes(
+        element.keyframes,
+        (keyframe, key) => key === property && keyframe.id === keyframeId,
+        keyframe => ({ ...keyframe, ...updates })
+      )
+    );
+  }
+
+  removeKeyframe(elementId, property, keyframeId) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element) return;
+
+    this.setElementKeyframes(
+      elementId,
+      mapKeyframes(
+        element.keyframes,
+        (keyframe, key) => key === property && keyframe.id === keyframeId,
+        () => null
+      )
+    );
+  }
+
+  // Lane operations act on every property keyed at the same time
+  moveKeyframesAtTime(elementId, fromTime, toTime) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element) return;
+
+    const duration = element.timeFrame.end - element.timeFrame.start;
+    const clampedTime = Math.max(0, Math.min(duration, toTime));
+    const moved = mapKeyframes(
+      element.keyframes,
+      keyframe => isSameKeyframeTime(keyframe.time, fromTime),
+      () => null
+    );
+
+    let keyframes = moved;
+    Object.entries(element.keyframes || {}).forEach(([property, track]) => {
+      track
+        .filter(keyframe => isSameKeyframeTime(keyframe.time, fromTime))
+        .forEach(keyframe => {
+          keyframes = upsertKeyframe(keyframes, property, {
+            ...keyframe,
+            time: clampedTime,
+          });
+        });
+    });
+
+    this.setElementKeyframes(elementId, keyframes);
+  }
+
+  removeKeyframesAtTime(elementId, time) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element) return;
+
+    this.setElementKeyframes(
+      elementId,
+      mapKeyframes(
+        element.keyframes,
+        keyframe => isSameKeyframeTime(keyframe.time, time),
+        () => null
+      )
+    );
+  }
+
+  setKeyframeEasingAtTime(elementId, time, easing) {
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element) return;
+
+    this.setElementKeyframes(
+      elementId,
+      mapKeyframes(
+        element.keyframes,
+        keyframe => isSameKeyframeTime(keyframe.time, time),
+        keyframe => ({ ...keyframe, easing })
+      )
+    );
+  }
+
   setVideos(videos) {
     this.videos = videos;
   }
@@ -5271,6 +6037,7 @@ export class Store {
                 if (!this.isInitializing) {
                 }
               });
+              this.rippleInsert(newElement);
 
               // Sync with Redux timeline state
               if (
@@ -6265,7 +7032,12 @@ export class Store {
     });
   }
 
-  async addSubtitles(segments, punctuation, row) {
+  async addSubtitles(
+    segments,
+    punctuation,
+    row,
+    { extendLastSegment = true } = {}
+  ) {
     // First, add all text elements without animations
 
     const hasElementsInFirstRow = this.editorElements.some(
@@ -6285,9 +7057,10 @@ export class Store {
       const isLastSegment = index === segments.length - 1;
 
       // For the last segment, ensure it stays visible until the end of the story
-      const segmentEnd = isLastSegment
-        ? this.lastElementEnd
-        : end * 1000 + segmentDuration;
+      const segmentEnd =
+        isLastSegment && extendLastSegment
+          ? this.lastElementEnd
+          : end * 1000 + segmentDuration;
 
       return {
         id,
@@ -7730,6 +8503,7 @@ export class Store {
         element.row = newRow;
       }
     }
+    this.remapRowSettings(row => rowMapping.get(row));
 
     // Update maxRows with minimum of 3 rows for UI consistency
     this.maxRows = Math.max(3, newRowNum);
@@ -7801,6 +8575,9 @@ export class Store {
         maxRowUpdated = Math.max(maxRowUpdated, element.row);
       }
     }
+    this.remapRowSettings(row =>
+      row >= startFromRow ? row + numberOfRows : row
+    );
 
     // Update maxRows if needed
     this.maxRows = Math.max(1, maxRowUpdated + 1);
@@ -8156,6 +8933,24 @@ export class Store {
     timeFrameDelta,
     isImmediate = false
   ) {
+    // Elements on locked rows stay where they are
+    selectedElements = selectedElements.filter(
+      element => !this.isRowLocked(element.row)
+    );
+    if (selectedElements.length === 0) return;
+
+    // The moved group snaps by its outer edges, like a single clip
+    const range = {
+      start:
+        Math.min(...selectedElements.map(el => el.timeFrame.start)) +
+        timeFrameDelta,
+      end:
+        Math.max(...selectedElements.map(el => el.timeFrame.end)) +
+        timeFrameDelta,
+    };
+    timeFrameDelta +=
+      this.snapTimeFrame(range, selectedElements).start - range.start;
+
     // Store the pending update
     this._pendingGroupUpdate = { selectedElements, timeFrameDelta };
 
@@ -8354,6 +9149,7 @@ export class Store {
       clearTimeout(this._groupDragThrottle);
       this._groupDragThrottle = null;
     }
+    this.clearSnapGuides();
 
     // Force final visual update
     requestAnimationFrame(() => {
@@ -8416,6 +9212,7 @@ export class Store {
   endMove() {
     // End group drag if it was active
     this.endGroupDrag();
+    this.clearSnapGuides();
 
     if (this.moveState.isMoving) {
       this.moveState.isMoving = false;
@@ -8434,6 +9231,48 @@ export class Store {
     }
   }
 
+  setSnapSuspended(value) {
+    this.ghostState.isSnapSuspended = value;
+    if (value) {
+      this.clearSnapGuides();
+    }
+  }
+
+  clearSnapGuides() {
+    if (this.ghostState.alignmentLines.length > 0) {
+      this.ghostState.alignmentLines = [];
+    }
+  }
+
+  /**
+   * Snap the edges present in a dragged time frame: both for a move, one for
+   * a trim. Returns a time frame with the same keys and shows snap guides.
+   * `elements` is the dragged element or group, which is not snapped to.
+   * `widthPx` is the rendered timeline width, measured when omitted.
+   */
+  snapTimeFrame(timeFrame, elements, widthPx) {
+    const keys = ['start', 'end'].filter(key => timeFrame[key] !== undefined);
+    const { delta, guides } = findSnapUtil({
+      store: this,
+      edges: keys.map(key => timeFrame[key]),
+      excludeIds: [].concat(elements).map(element => element.id),
+      widthPx,
+    });
+
+    if (guides.length > 0) {
+      this.ghostState.alignmentLines = guides;
+    } else {
+      this.clearSnapGuides();
+    }
+    if (!delta) return timeFrame;
+
+    const snapped = { ...timeFrame };
+    keys.forEach(key => {
+      snapped[key] = timeFrame[key] + delta;
+    });
+    return snapped;
+  }
+
   processDragUpdate() {
     const now = performance.now();
     const timeSinceLastUpdate = now - this.dragState.lastUpdateTime;
@@ -8451,10 +9290,13 @@ export class Store {
     const processedElements = new Set();
 
     // Process accumulated updates
-    for (const [id, { element, timeFrame }] of this.dragState
-      .accumulatedUpdates) {
+    for (const [id, { element, timeFrame: draggedTimeFrame }] of this
+      .dragState.accumulatedUpdates) {
       if (processedElements.has(id)) continue;
       processedElements.add(id);
+      if (this.isRowLocked(element.row)) continue;
+
+      const timeFrame = this.snapTimeFrame(draggedTimeFrame, element);
 
       if (timeFrame.start !== undefined) {
         if (!this.shouldUpdatePosition(timeFrame.start)) {
@@ -8559,6 +9401,8 @@ export class Store {
   }
 
   endDrag() {
+    this.clearSnapGuides();
+
     if (this.dragState.isDragging) {
       this.dragState.isDragging = false;
       if (this.dragState.rafId) {
@@ -8617,10 +9461,11 @@ export class Store {
             audioElement.remove();
           }
         }
-        // Shift elements after removal - for each element
-        this.shiftElementsAfterRemoval(elementToRemove);
       }
 
+      // Close the gaps in ripple mode
+      this.shiftElementsAfterRemoval(elementsToRemove);
+
       // FIRST: Remove animations that reference any of the removed element ids (BEFORE removing elements)
       try {
         const idsSet = new Set(idsToRemove);
@@ -8951,6 +9796,18 @@ export class Store {
       // Calculate new trim positions
       const splitTimeInVideo = originalTrimStart + ((splitPoint - element.timeFrame.start) / 1000);
 
+      // Both halves keep showing the footage they showed before the cut,
+      // including on retimed clips
+      const [firstProperties, secondProperties] = splitRetimedProperties(
+        element,
+        splitPoint
+      );
+      const [firstVolume, secondVolume] = splitVolumeProperties(
+        element.properties,
+        element.timeFrame.end - element.timeFrame.start,
+        splitPoint - element.timeFrame.start
+      );
+
       const firstPart = {
         ...element,
         id: getUid(),
@@ -8959,7 +9816,8 @@ export class Store {
           end: splitPoint,
         },
         properties: {
-          ...element.properties,
+          ...firstProperties,
+          ...firstVolume,
           trimStart: originalTrimStart,
           trimEnd: splitTimeInVideo,
         },
@@ -8973,7 +9831,8 @@ export class Store {
           end: element.timeFrame.end,
         },
         properties: {
-          ...element.properties,
+          ...secondProperties,
+          ...secondVolume,
           trimStart: splitTimeInVideo,
           trimEnd: originalTrimEnd,
         },
@@ -8993,6 +9852,26 @@ export class Store {
     });
   }
 
+  // Speed and direction of a video clip, see setClipSpeedUtil
+  setClipSpeed(elementId, { playbackRate, speedCurve, reversed } = {}) {
+    return setClipSpeedUtil({
+      store: this,
+      elementId,
+      playbackRate,
+      speedCurve,
+      reversed,
+    });
+  }
+
+  async freezeFrameAtPlayhead(elementId, durationMs = 2000) {
+    try {
+      return await freezeFrameUtil({ store: this, elementId, durationMs });
+    } catch (error) {
+      handleCatchError(error, 'Failed to create freeze frame');
+      return false;
+    }
+  }
+
   splitAudioElement(element, splitPoint) {
     runInAction(() => {
       // Validate split point
@@ -9017,6 +9896,11 @@ export class Store {
       // Calculate audio offset for second part
       const originalOffset = element.properties.audioOffset || 0;
       const splitOffsetMs = splitPoint - element.timeFrame.start;
+      const [firstVolume, secondVolume] = splitVolumeProperties(
+        element.properties,
+        element.timeFrame.end - element.timeFrame.start,
+        splitOffsetMs
+      );
 
       const firstPart = {
         ...element,
@@ -9027,6 +9911,7 @@ export class Store {
         },
         properties: {
           ...element.properties,
+          ...firstVolume,
           audioOffset: originalOffset,
         },
       };
@@ -9040,6 +9925,7 @@ export class Store {
         },
         properties: {
           ...element.properties,
+          ...secondVolume,
           audioOffset: originalOffset + splitOffsetMs,
           elementId: `audio-${getUid()}`, // New audio element ID
         },
@@ -9139,6 +10025,8 @@ export class Store {
       // Create new audio element
       const audioElement = document.createElement('audio');
       audioElement.id = editorElement.properties.elementId;
+      // CORS lets volume envelopes play through Web Audio
+      audioElement.crossOrigin = 'anonymous';
       audioElement.src = editorElement.properties.src;
 
       // Set initial playback rate and volume
@@ -9162,6 +10050,7 @@ export class Store {
       return;
     }
 
+    this.rippleInsert(editorElement);
     this.refreshElements();
 
     if (!this.isInitializing) {
@@ -9212,6 +10101,66 @@ export class Store {
     }
   }
 
+  // Replace the subtitle rows with cues from an .srt/.vtt file. Cues without
+  // word timings get them estimated from word length.
+  async importSubtitleFile(file) {
+    const { parseSubtitleFile, estimateWordTimings } = await import(
+      '../utils/subtitleFiles'
+    );
+
+    try {
+      const cues = parseSubtitleFile(await file.text(), file.name);
+      const segments = cues.map(cue => ({
+        text: cue.text,
+        start: cue.start / 1000,
+        end: cue.end / 1000,
+        words: (cue.words || estimateWordTimings(cue)).map(word => ({
+          word: word.word,
+          start: word.start / 1000,
+          end: word.end / 1000,
+        })),
+      }));
+
+      this.removeAllSubtitles();
+      await this.addSubtitles(segments, true, 0, { extendLastSegment: false });
+      this.setMaxTime(this.maxTime);
+      return segments.length;
+    } catch (error) {
+      handleCatchError(error, 'Failed to import subtitles');
+      return 0;
+    }
+  }
+
+  // Subtitle segments on the timeline as cues in milliseconds
+  getSubtitleCues() {
+    return this.editorElements
+      .filter(
+        element => element.type === 'text' && element.subType === 'subtitles'
+      )
+      .map(element => ({
+        start: element.timeFrame.start,
+        end: element.timeFrame.end,
+        text: (element.properties.text || '').replace(/\s+/g, ' ').trim(),
+      }))
+      .filter(cue => cue.text)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  // Download the subtitle segments as 'srt', 'vtt' or a 'txt' transcript
+  async exportSubtitles(format = 'srt') {
+    const { SUBTITLE_EXPORT_FORMATS } = await import('../utils/subtitleFiles');
+    const exporter = SUBTITLE_EXPORT_FORMATS[format];
+    const cues = this.getSubtitleCues();
+    if (!exporter || cues.length === 0) return false;
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.downloadBlob(
+      new Blob([exporter.format(cues)], { type: exporter.mimeType }),
+      `subtitles-${timestamp}.${format}`
+    );
+    return true;
+  }
+
   removeAllSubtitles() {
     // Filter out all subtitle elements in a single pass
     const filteredElements = this.editorElements.filter(
@@ -9244,6 +10193,93 @@ export class Store {
     }
   }
 
+  setMarkers(markers) {
+    this.markers = sortMarkers(markers);
+  }
+
+  // Drop a marker at the given time (the playhead by default). Returns the
+  // existing marker when one is already there.
+  addMarker({ time = this.currentTimeInMs, label, color } = {}) {
+    const markerTime = Math.max(0, Math.round(time));
+    const existing = findMarkerAtTime(this.markers, markerTime);
+    if (existing) return existing;
+
+    const marker = {
+      id: getUid(),
+      time: markerTime,
+      label: label || `Marker ${this.markers.length + 1}`,
+      color: color || MARKER_COLORS[this.markers.length % MARKER_COLORS.length],
+    };
+    this.setMarkers([...this.markers, marker]);
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+    return marker;
+  }
+
+  updateMarker(markerId, updates) {
+    if (!this.markers.some(marker => marker.id === markerId)) return;
+
+    this.setMarkers(
+      this.markers.map(marker =>
+        marker.id === markerId
+          ? {
+              ...marker,
+              ...updates,
+              time: Math.max(0, Math.round(updates.time ?? marker.time)),
+            }
+          : marker
+      )
+    );
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  removeMarker(markerId) {
+    const filteredMarkers = this.markers.filter(
+      marker => marker.id !== markerId
+    );
+    if (filteredMarkers.length === this.markers.length) return;
+
+    this.setMarkers(filteredMarkers);
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  // Move the playhead to the next (direction 1) or previous (-1) marker
+  jumpToMarker(direction) {
+    const marker = findAdjacentMarker(
+      this.markers,
+      this.currentTimeInMs,
+      direction
+    );
+    if (!marker) return null;
+
+    this.handleSeek(marker.time);
+    return marker;
+  }
+
+  // Markers as YouTube-style chapter text ("0:00 Intro" per line)
+  getChapterText() {
+    return formatChapters(this.markers);
+  }
+
+  exportChapters() {
+    if (this.markers.length === 0) return false;
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.downloadBlob(
+      new Blob([this.getChapterText()], { type: 'text/plain' }),
+      `chapters-${timestamp}.txt`
+    );
+    return true;
+  }
+
   setMaxTime(maxTime) {
     // Calculate dynamic max time based on content
     const lastElement = this.editorElements
@@ -9357,6 +10393,14 @@ export class Store {
     updateTimeToUtil({ newTime, store: this });
   }
 
+  seekToFrame(time) {
+    return seekToFrameUtil({ time, store: this });
+  }
+
+  renderFrames(options) {
+    return renderFramesUtil({ ...options, store: this });
+  }
+
   handleSeek(seek) {
     if (this.playing) {
       this.setPlaying(false);
@@ -9383,14 +10427,44 @@ export class Store {
       const video = document.getElementById(element.properties.elementId);
       if (!isHtmlVideoElement(video)) return;
 
-      // Ensure video has correct playback rate
-      if (video.playbackRate !== this.playbackRate) {
-        video.playbackRate = this.playbackRate;
+      // Preview speed times the clip's own speed at the playhead
+      const playbackRate = Math.min(
+        16,
+        this.playbackRate * getSpeedAt(element, this.currentTimeInMs)
+      );
+      if (Math.abs(video.playbackRate - playbackRate) > 0.01) {
+        video.playbackRate = playbackRate;
+      }
+
+      // Same effects, clip gain and master volume as audio elements
+      audioProcessor.setEffects(video, element.properties.audioEffects, {
+        canConnect: this.playing,
+      });
+      const clipGain = getClipGain(
+        element,
+        this.currentTimeInMs - element.timeFrame.start
+      );
+      const isGainApplied = audioGraph.setGain(video, clipGain, {
+        canConnect: this.playing,
+      });
+      const videoVolume = Math.max(
+        0,
+        Math.min(
+          1,
+          (element.properties.volume ?? 1) *
+            this.volume *
+            (isGainApplied ? 1 : clipGain)
+        )
+      );
+      if (Math.abs(video.volume - videoVolume) > 0.001) {
+        video.volume = videoVolume;
       }
 
-      // Calculate the video's current time based on the timeline
-      const elementTime = this.currentTimeInMs - element.timeFrame.start;
-      const videoTime = Math.max(0, elementTime / 1000);
+      // Row mute/solo silences the clip without touching its volume
+      const isMuted = !this.isRowAudible(element.row);
+      if (video.muted !== isMuted) {
+        video.muted = isMuted;
+      }
 
       // Check if the video is within its timeframe
       const isInTimeframe =
@@ -9398,18 +10472,21 @@ export class Store {
         this.currentTimeInMs <= element.timeFrame.end;
 
       if (isInTimeframe) {
-        // Apply video offset if present (for trimmed videos)
-        const videoOffset = (element.properties.videoOffset || 0) / 1000;
-        const adjustedVideoTime = videoTime + videoOffset;
+        // Media time follows the clip's offset, speed and direction
+        const adjustedVideoTime =
+          getSourceTimeMs(element, this.currentTimeInMs) / 1000;
 
-        // Only update time if it's significantly different
+        // Only update time if it's significantly different. Video can't play
+        // backwards, so reversed clips stay paused and seek every frame.
         const timeDiff = Math.abs(video.currentTime - adjustedVideoTime);
-        if (timeDiff > 0.1) {
+        const reversed = !!element.properties.reversed;
+        if (reversed ? timeDiff > 0.04 && !video.seeking : timeDiff > 0.1) {
           video.currentTime = Math.min(adjustedVideoTime, video.duration || 0);
         }
 
-        // Handle play/pause state
-        if (this.playing) {
+        if (reversed) {
+          if (!video.paused) video.pause();
+        } else if (this.playing) {
           if (video.paused) {
             // Ensure video is ready before playing
             if (video.readyState >= 2) {
@@ -9464,6 +10541,7 @@ export class Store {
   updateAudioElements() {
     // Get all audio elements
     const audioElements = this.editorElements.filter(el => el.type === 'audio');
+    this.refreshSpeechIntervals();
 
     // Audio updates are processed for all playback rates
 
@@ -9479,13 +10557,40 @@ export class Store {
       // Set volume based on both global and element-specific volume
       const elementVolume =
         typeof el.properties.volume === 'number' ? el.properties.volume : 1;
-      const finalVolume = Math.max(0, Math.min(1, elementVolume * this.volume));
+      // Effects and the envelope and fades go on the element's nodes; the
+      // gain goes into its volume when it can't play through Web Audio
+      audioProcessor.setEffects(audioElement, el.properties.audioEffects, {
+        canConnect: this.playing,
+      });
+      const clipGain = getClipGain(
+        el,
+        this.currentTimeInMs - el.timeFrame.start
+      );
+      const isGainApplied = audioGraph.setGain(audioElement, clipGain, {
+        canConnect: this.playing,
+      });
+      const finalVolume = Math.max(
+        0,
+        Math.min(
+          1,
+          elementVolume *
+            this.volume *
+            this.getDuckingGain(el, this.currentTimeInMs) *
+            (isGainApplied ? 1 : clipGain)
+        )
+      );
 
       // Only update if volume actually changed
       if (audioElement.volume !== finalVolume) {
         audioElement.volume = finalVolume;
       }
 
+      // Row mute/solo silences the element without touching its volume
+      const isMuted = !this.isRowAudible(el.row);
+      if (audioElement.muted !== isMuted) {
+        audioElement.muted = isMuted;
+      }
+
       // Only update playback rate if it actually changed
       if (audioElement.playbackRate !== this.playbackRate) {
         audioElement.playbackRate = this.playbackRate;
@@ -9557,10 +10662,75 @@ export class Store {
 
   setVideoFormat(format) {
     this.selectedVideoFormat = format;
+    this.setExportSettings({ container: format });
+  }
+
+  setExportSettings(updates) {
+    const next = {
+      ...this.exportSettings,
+      ...updates,
+      range: { ...this.exportSettings.range, ...(updates.range || {}) },
+    };
+
+    // Keep the codec valid for the chosen container
+    const container = EXPORT_CONTAINERS[next.container]
+      ? next.container
+      : DEFAULT_EXPORT_SETTINGS.container;
+    const codecs = EXPORT_CONTAINERS[container].codecs;
+    next.container = container;
+    next.codec = codecs.includes(next.codec) ? next.codec : codecs[0];
+
+    this.exportSettings = next;
+    this.selectedVideoFormat = container;
+  }
+
+  // Export settings with canvas-relative values filled in, as consumed by
+  // the local and cloud renderers
+  getResolvedExportSettings(overrides = {}) {
+    const settings = { ...this.exportSettings, ...overrides };
+    const canvasWidth = this.canvas?.getWidth() || 1080;
+    const canvasHeight = this.canvas?.getHeight() || 1920;
+
+    const preset = EXPORT_RESOLUTIONS.find(
+      resolution => resolution.value === settings.resolution
+    );
+    const height = preset?.height || canvasHeight;
+    // Encoders need even dimensions for yuv420p
+    const toEven = value => Math.max(2, Math.round(value / 2) * 2);
+
+    const timelineEnd = this.lastElementEnd;
+    const start = Math.min(
+      Math.max(0, settings.range?.start || 0),
+      timelineEnd
+    );
+    const end = Math.min(
+      settings.range?.end == null ? timelineEnd : settings.range.end,
+      timelineEnd
+    );
+
+    return {
+      ...settings,
+      width: toEven((canvasWidth / canvasHeight) * height),
+      height: toEven(height),
+      range: { start, end: Math.max(start, end) },
+    };
   }
 
-  saveCanvasToVideoWithAudio() {
-    this.saveCanvasToVideoWithAudioWebmMp4();
+  // Local export renders frame by frame through FFmpeg.wasm. Realtime
+  // MediaRecorder capture is only used when the wasm encoder is unavailable.
+  async saveCanvasToVideoWithAudio({ quality } = {}) {
+    const { FFmpegRenderer } = await import('../utils/ffmpegRenderer');
+
+    if (!FFmpegRenderer.isSupported()) {
+      return this.saveCanvasToVideoWithAudioWebmMp4();
+    }
+
+    const rendered = await this.renderWithFFmpeg({ quality });
+    if (rendered === null) {
+      console.warn('FFmpeg unavailable, falling back to realtime capture');
+      this.setPlaying(true);
+      return this.saveCanvasToVideoWithAudioWebmMp4();
+    }
   }
 
   async saveCanvasToVideoWithAudioWebmMp4() {
@@ -9663,7 +10833,7 @@ export class Store {
 
       const durationSeconds = Math.ceil(lastElementEnd / 1000) || 5;
       const durationMs = durationSeconds * 1000;
-      const fps = 60;
+      const { fps, rateControl, videoBitrate } = this.exportSettings;
       const frameInterval = 1000 / fps;
 
       // Pause any currently playing media
@@ -9795,7 +10965,8 @@ export class Store {
 
         const recorderOptions = {
           mimeType,
-          videoBitsPerSecond: 8000000,
+          videoBitsPerSecond:
+            rateControl === 'bitrate' ? videoBitrate * 1000 : 8000000,
           audioBitsPerSecond: 128000,
         };
 
@@ -10036,6 +11207,159 @@ export class Store {
     }
   }
 
+  // Deterministic local render: every frame is seeked and settled before it
+  // is captured, then encoded with FFmpeg.wasm. Resolves to true on success,
+  // false on failure and null when the encoder could not be loaded.
+  async renderWithFFmpeg({ quality } = {}) {
+    if (!this.canvas) return false;
+
+    const ffmpegRenderer = (await import('../utils/ffmpegRenderer')).default;
+
+    const dispatchRenderingState = detail => {
+      window.dispatchEvent(
+        new CustomEvent('renderingStateChange', { detail })
+      );
+    };
+
+    const settings = this.getResolvedExportSettings(
+      quality ? { quality } : {}
+    );
+    const { fps, range } = settings;
+    const fileExtension = settings.container;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `video-${timestamp}.${fileExtension}`;
+    const canvasElement = this.canvas.getElement();
+    // Frames are drawn at the output size rather than scaled up from the
+    // on-screen canvas, so larger resolutions keep their detail
+    const frameMultiplier = settings.height / this.canvas.getHeight();
+
+    this.setPlaying(false);
+    this.isRecording = true;
+
+    dispatchRenderingState({
+      state: 'rendering',
+      progress: 0,
+      message: 'Loading FFmpeg...',
+    });
+
+    try {
+      await ffmpegRenderer.begin({
+        fps,
+        format: settings.container,
+        codec: settings.codec,
+        quality: settings.quality,
+        videoBitrate:
+          settings.rateControl === 'bitrate' ? settings.videoBitrate : null,
+        width: settings.width,
+        height: settings.height,
+      });
+    } catch (error) {
+      handleCatchError(error, 'Failed to load FFmpeg');
+      this.isRecording = false;
+      // The caller falls back to realtime capture, which reports on its own
+      dispatchRenderingState({ state: 'idle', progress: 0 });
+      return null;
+    }
+
+    try {
+      await this.renderFrames({
+        fps,
+        startTime: range.start,
+        endTime: range.end,
+        onFrame: async () => {
+          const frameCanvas =
+            frameMultiplier === 1
+              ? canvasElement
+              : this.canvas.toCanvasElement(frameMultiplier);
+          const frameBlob = await new Promise(resolve =>
+            frameCanvas.toBlob(resolve, 'image/jpeg', 0.92)
+          );
+          await ffmpegRenderer.addFrame(frameBlob);
+        },
+        // Frame capture accounts for the first 90%, muxing for the rest
+        onProgress: ({ frame, totalFrames }) => {
+          if (frame % 10 === 0) {
+            dispatchRenderingState({
+              state: 'rendering',
+              progress: Math.round((frame / totalFrames) * 90),
+              message: `Rendering frame ${frame + 1} of ${totalFrames}`,
+            });
+          }
+        },
+      });
+
+      dispatchRenderingState({
+        state: 'rendering',
+        progress: 90,
+        message: 'Mixing audio...',
+      });
+
+      const mixedAudio = await this.mixTimelineAudio(range.start, range.end);
+      const audioWav = mixedAudio ? audioEditor.bufferToWav(mixedAudio) : null;
+
+      dispatchRenderingState({
+        state: 'rendering',
+        progress: 95,
+        message: 'Encoding video...',
+      });
+
+      const blob = await ffmpegRenderer.finish({ audioWav });
+      this.downloadBlob(blob, filename);
+
+      dispatchRenderingState({ state: 'idle', progress: 100 });
+      return true;
+    } catch (error) {
+      handleCatchError(error, 'FFmpeg render failed');
+      await ffmpegRenderer.cancel();
+
+      dispatchRenderingState({
+        state: 'error',
+        progress: 0,
+        message: 'FFmpeg render failed',
+      });
+      return false;
+    } finally {
+      this.isRecording = false;
+      this.updateTimeTo(0);
+      this.refreshElements();
+    }
+  }
+
+  // Mix the sound of every timeline element between startMs and endMs into a
+  // single buffer for offline export, kept under the true-peak ceiling. The
+  // global preview volume is a monitoring level and is not applied here.
+  async mixTimelineAudio(startMs, endMs) {
+    const audioMixdown = (await import('../utils/audioMixdown')).default;
+    const { EXPORT_TRUE_PEAK_DB } = await import('../utils/loudness');
+    return audioMixdown.render(
+      this.editorElements.filter(element => this.isRowAudible(element.row)),
+      { startMs, endMs, truePeakDb: EXPORT_TRUE_PEAK_DB }
+    );
+  }
+
+  // Render only the soundtrack of the export range and download it as WAV
+  async exportAudioOnly() {
+    const { range } = this.getResolvedExportSettings();
+
+    try {
+      const mixedAudio = await this.mixTimelineAudio(range.start, range.end);
+      if (!mixedAudio) {
+        console.warn('Nothing to export: the timeline has no audio');
+        return false;
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      this.downloadBlob(
+        audioEditor.bufferToWav(mixedAudio),
+        `audio-${timestamp}.wav`
+      );
+      return true;
+    } catch (error) {
+      handleCatchError(error, 'Failed to export audio');
+      return false;
+    }
+  }
+
   async saveWithMediaRecorder(canvas) {
     try {
       window.dispatchEvent(
@@ -10322,7 +11646,7 @@ export class Store {
   }
 
   refreshElements() {
-    refreshElementsUtil(this);
+    return refreshElementsUtil(this);
   }
 
   updateTextStyle(property, value) {
@@ -10559,11 +11883,19 @@ export class Store {
     const MIN_DURATION = 1; // Minimum 1ms duration for video elements
     let videoOffset = editorElement.properties.videoOffset || 0;
     const originalStart = editorElement.timeFrame.start;
+    // Source time per ms of timeline on retimed clips
+    const speed = getAverageSpeed(editorElement.properties);
 
-    // Adjust videoOffset when trimming from the start
-    if (timeFrame.start !== undefined) {
+    // Adjust videoOffset when trimming off the start of the footage, which
+    // is the clip's end when it plays reversed
+    if (editorElement.properties.reversed) {
+      if (timeFrame.end !== undefined) {
+        const shift = editorElement.timeFrame.end - timeFrame.end;
+        videoOffset += shift * speed;
+      }
+    } else if (timeFrame.start !== undefined) {
       const shift = timeFrame.start - editorElement.timeFrame.start;
-      videoOffset += shift;
+      videoOffset += shift * speed;
     }
 
     // Validate and adjust timeFrame
@@ -10587,14 +11919,13 @@ export class Store {
     );
     if (originalVideoElement && originalVideoElement.duration) {
       const currentDuration = validatedTimeFrame.end - validatedTimeFrame.start;
-      if (currentDuration > originalVideoElement.duration) {
+      const availableDuration = originalVideoElement.duration / speed;
+      if (currentDuration > availableDuration) {
         // Adjust end time to match available video duration
         if (timeFrame.start !== undefined) {
-          validatedTimeFrame.end =
-            validatedTimeFrame.start + originalVideoElement.duration;
+          validatedTimeFrame.end = validatedTimeFrame.start + availableDuration;
         } else {
-          validatedTimeFrame.start =
-            validatedTimeFrame.end - originalVideoElement.duration;
+          validatedTimeFrame.start = validatedTimeFrame.end - availableDuration;
         }
       }
     }
@@ -12299,8 +13630,100 @@ export class Store {
     return audioElement;
   }
 
-  shiftElementsAfterRemoval(removedElement) {
-    return;
+  // Ripple editing
+  setRippleMode(value) {
+    this.rippleMode = value;
+  }
+
+  setRippleSyncLock(value) {
+    this.rippleSyncLock = value;
+  }
+
+  /**
+   * Shift clips starting at or after `fromTime` on `rows` by `delta` ms,
+   * together with their linked animations, transitions and subtitles.
+   * Everything happens synchronously so the single save that follows
+   * records the whole ripple as one undo step.
+   */
+  rippleShift(rows, fromTime, delta, excludeIds = []) {
+    const shiftedIds = rippleShiftUtil({
+      store: this,
+      rows,
+      fromTime,
+      delta,
+      excludeIds,
+    });
+    if (shiftedIds.length > 0) {
+      this.updateVideoElements();
+      this.updateAudioElements();
+      this.refreshElements();
+      this.scheduleAnimationRefresh();
+    }
+    return shiftedIds;
+  }
+
+  // Accepts one removed element or several; callers refresh and save
+  shiftElementsAfterRemoval(removedElements) {
+    if (!this.rippleMode) return;
+    rippleDeleteUtil({
+      store: this,
+      elements: [].concat(removedElements).filter(Boolean),
+    });
+  }
+
+  /**
+   * Ripple after a trim has been committed: trimming the end moves later
+   * clips with it, trimming the start keeps the clip where it began and
+   * moves it and everything after it by the trimmed amount.
+   */
+  rippleTrim(elementId, previousTimeFrame) {
+    if (!this.rippleMode) return;
+    const element = this.editorElements.find(el => el.id === elementId);
+    if (!element || this.isRowLocked(element.row)) return;
+
+    const { start, end } = element.timeFrame;
+    let shiftedIds = [];
+    if (start !== previousTimeFrame.start) {
+      shiftedIds = this.rippleShift(
+        [element.row],
+        start,
+        previousTimeFrame.start - start
+      );
+    } else if (end !== previousTimeFrame.end) {
+      shiftedIds = this.rippleShift(
+        [element.row],
+        previousTimeFrame.end,
+        end - previousTimeFrame.end
+      );
+    }
+
+    if (
+      shiftedIds.length > 0 &&
+      window.dispatchSaveTimelineState &&
+      !this.isUndoRedoOperation
+    ) {
+      window.dispatchSaveTimelineState(this);
+    }
+  }
+
+  // Make room for a newly added clip by pushing later clips right
+  rippleInsert(element) {
+    if (
+      !this.rippleMode ||
+      this.isInitializing ||
+      this.isInitializationInProgress ||
+      this.isUndoRedoOperation ||
+      !element?.timeFrame ||
+      element.type === 'animation'
+    ) {
+      return;
+    }
+    this.rippleShift(
+      [element.row],
+      element.timeFrame.start,
+      element.timeFrame.end - element.timeFrame.start,
+      [element.id]
+    );
   }
 
   setAutoAdjustDuration(value) {
@@ -13444,6 +14867,12 @@ export class Store {
 
         // Update other state properties
         this.animations = reduxState.animations || [];
+        if (reduxState.markers) {
+          this.markers = sortMarkers(reduxState.markers);
+        }
+        if (reduxState.rowSettings) {
+          this.rowSettings = reduxState.rowSettings;
+        }
 
         // Use saved maxTime or calculate dynamically based on content
         if (reduxState.maxTime && reduxState.maxTime > 0) {
@@ -13476,9 +14905,14 @@ export class Store {
         this.maxRows = Math.max(1, maxRowFromElements + 1);
 
         // Refresh canvas and elements
-        requestAnimationFrame(() => {
-          this.refreshElements();
-          this.canvas?.requestRenderAll();
+        this.isApplyingReduxState = true;
+        requestAnimationFrame(async () => {
+          try {
+            await this.refreshElements();
+            this.canvas?.requestRenderAll();
+          } finally {
+            this.isApplyingReduxState = false;
+          }
         });
       } finally {
         this.isUndoRedoOperation = false;
@@ -13891,6 +15325,75 @@ export class Store {
     this.optimizedCleanupEmptyRows();
   });
 
+  // Track-level row state
+  getRowSettings(row) {
+    return getRowSettings(this.rowSettings, row);
+  }
+
+  isRowLocked(row) {
+    return !!this.rowSettings[row]?.locked;
+  }
+
+  isRowHidden(row) {
+    return !!this.rowSettings[row]?.hidden;
+  }
+
+  isRowAudible(row) {
+    return isRowAudible(this.rowSettings, row);
+  }
+
+  setRowSettings = action(rowSettings => {
+    this.rowSettings = rowSettings || {};
+  });
+
+  updateRowSettings = action((row, updates) => {
+    const previous = this.getRowSettings(row);
+    this.rowSettings = updateRowSettings(this.rowSettings, row, updates);
+
+    // Hiding or locking a row changes what is on the canvas
+    if (
+      ('hidden' in updates && updates.hidden !== previous.hidden) ||
+      ('locked' in updates && updates.locked !== previous.locked)
+    ) {
+      if (updates.locked) {
+        this.deselectElementsInRow(row);
+      }
+      this.refreshElements();
+    }
+    this.updateAudioElements();
+
+    if (window.dispatchSaveTimelineState && !this.isUndoRedoOperation) {
+      window.dispatchSaveTimelineState(this);
+    }
+  });
+
+  toggleRowSetting = action((row, key) => {
+    this.updateRowSettings(row, { [key]: !this.getRowSettings(row)[key] });
+  });
+
+  renameRow = action((row, name) => {
+    this.updateRowSettings(row, { name: (name || '').trim() });
+  });
+
+  // Keep row state attached to its row when rows are renumbered
+  remapRowSettings = action(mapRow => {
+    if (Object.keys(this.rowSettings).length === 0) return;
+    this.rowSettings = remapRowSettings(this.rowSettings, mapRow);
+  });
+
+  deselectElementsInRow(row) {
+    if (this.selectedElement?.row === row) {
+      this.canvas?.discardActiveObject();
+      this.setSelectedElement(null);
+    }
+    if (this.selectedElements) {
+      const remaining = Object.values(this.selectedElements).filter(
+        element => element?.row !== row
+      );
+      this.setSelectedElements(remaining.length > 0 ? remaining : null);
+    }
+  }
+
   // Row reordering methods
   startRowDrag = action(rowIndex => {
     this.ghostState.isDraggingRow = true;
@@ -13927,31 +15430,20 @@ export class Store {
     // Get all elements and reorder rows properly
     const allElements = [...this.editorElements];
 
-    if (fromRowIndex < targetRowIndex) {
-      // Moving down: shift rows up
-      allElements.forEach(element => {
-        if (element.row === fromRowIndex) {
-          element.row = targetRowIndex;
-        } else if (
-          element.row > fromRowIndex &&
-          element.row <= targetRowIndex
-        ) {
-          element.row -= 1;
-        }
-      });
-    } else {
+    const mapRow = row => {
+      if (row === fromRowIndex) return targetRowIndex;
+      if (fromRowIndex < targetRowIndex) {
+        // Moving down: shift rows up
+        return row > fromRowIndex && row <= targetRowIndex ? row - 1 : row;
+      }
       // Moving up: shift rows down
-      allElements.forEach(element => {
-        if (element.row === fromRowIndex) {
-          element.row = targetRowIndex;
-        } else if (
-          element.row >= targetRowIndex &&
-          element.row < fromRowIndex
-        ) {
-          element.row += 1;
-        }
-      });
-    }
+      return row >= targetRowIndex && row < fromRowIndex ? row + 1 : row;
+    };
+
+    allElements.forEach(element => {
+      element.row = mapRow(element.row);
+    });
+    this.remapRowSettings(mapRow);
 
     // Recalculate maxRows based on actual used rows
     this.recalculateMaxRows();
@@ -13997,6 +15489,10 @@ export class Store {
         el.row -= 1;
       }
     });
+    this.remapRowSettings(row => {
+      if (row === rowIndex) return null;
+      return row > rowIndex ? row - 1 : row;
+    });
 
     // Recalculate maxRows based on actual used rows
     this.recalculateMaxRows();
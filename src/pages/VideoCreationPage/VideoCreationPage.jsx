@@ -1,6 +1,7 @@
 import { ContentSkeleton } from 'components/ContentSkeleton/ContentSkeleton';
 import { TimeLine } from 'components/PlayerComponent/TimeLine';
 import { VideoPanel } from 'components/PlayerComponent/VideoPanel';
+import RenderOptionModal from 'components/RenderOptionModal/RenderOptionModal';
 import { ButtonWithIcon } from 'components/reusableComponents/ButtonWithIcon';
 import { sizes } from 'data/sizes-NEW';
 import { useActiveSceneInitialization } from 'hooks/useActiveSceneInitialization';
@@ -27,23 +28,24 @@ import { useParams } from 'react-router-dom';
 import initializeCanvasImages from 'utils/initializeCanvasImages';
 import { deletePointPrompts, deleteStoryPrompts } from 'utils/prompts';
 import { useSceneImageSync } from '../../hooks/useSceneImageSync';
+import { useCollaboration } from '../../hooks/useCollaboration';
 import { StoreContext } from '../../mobx';
 import { user as selectUser } from '../../redux/auth/selectors';
 import { forceSync } from '../../redux/middleware/syncMiddleware';
 import { useLocalStorage } from 'hooks/useLocalStorage';
 import ScenesSyncWarning from '../../components/ScenesSyncWarning/ScenesSyncWarning';
 import SyncIndicator from '../../components/SyncIndicator/SyncIndicator';
+import OfflineChangesPrompt from '../../components/OfflineChangesPrompt/OfflineChangesPrompt';
+import ConflictDialog from '../../components/ConflictDialog/ConflictDialog';
 import videfyAnime from '../../data/videfyAnime.json';
 import { isLoggedIn } from '../../redux/auth';
+import { redo, undo } from '../../redux/history/historySlice';
 import { setCurrentStory } from '../../redux/stories/storiesSlice';
 import { selectHasUnsavedChanges } from '../../redux/sync/syncSlice';
 import {
   createCleanStateCopy,
-  redo as redoTimeline,
   saveTimelineState,
-  saveToHistory,
   selectEditorElements,
-  undo as undoTimeline,
 } from '../../redux/timeline/timelineSlice';
 import { uploadVideoToAWS } from '../../utils/awsUpload';
 import reinitializeTimeline from '../../utils/reinitializeTimeline';
@@ -125,6 +127,8 @@ function VideoCreationPage() {
 
   const scenes = useSelector(state => state.scene.scenes);
 
+  useCollaboration({ storyId: storyData?._id });
+
   // Animation panels state
   const [activeSidebarPanel, setActiveSidebarPanel] = useState(null);
 
@@ -547,10 +551,7 @@ function VideoCreationPage() {
 
   const [isInitialized, setIsInitialized] = useState(false);
   const isUpdatingFromRedux = useRef(false);
-  const isTimelineHistoryEmpty = useSelector(
-    s => (s.timeline?.history?.length || 0) === 0
-  );
-  const isStoryLoaded = !!storyData?._id;
+  const isTimelineHistoryEmpty = useSelector(s => !s.timeline?.hasSavedState);
 
   // Create global function for store to call saveTimelineState with debouncing
   useEffect(() => {
@@ -580,9 +581,11 @@ function VideoCreationPage() {
           clearTimeout(saveTimeout);
         }
 
+        const isEcho = store.isApplyingReduxState;
+
         // Debounce save operations to prevent too frequent saves
         saveTimeout = setTimeout(() => {
-          dispatch(saveTimelineState(store));
+          dispatch(saveTimelineState(store, { isEcho }));
           // saveTimelineData removed - sync now happens via syncMiddleware
           saveTimeout = null;
         }, 100); // 100ms debounce
@@ -600,24 +603,6 @@ function VideoCreationPage() {
     };
   }, [dispatch, isTimelineHistoryEmpty]);
 
-  // Seed empty init snapshot once after story load if history is empty
-  useEffect(() => {
-    if (
-      !store?.isInitializationInProgress &&
-      isStoryLoaded &&
-      isTimelineHistoryEmpty &&
-      Array.isArray(store?.editorElements) &&
-      store.editorElements.length > 0
-    ) {
-      dispatch(saveToHistory());
-    }
-  }, [
-    dispatch,
-    store?.isInitializationInProgress,
-    isStoryLoaded,
-    isTimelineHistoryEmpty,
-  ]);
-
   useEffect(() => {
     // Don't save during canvas operations (move/drag) - let endMove/endDrag handle it
     if (store?.moveState?.isMoving || store?.dragState?.isDragging) {
@@ -879,6 +864,8 @@ function VideoCreationPage() {
       const {
         editorElements,
         animations,
+        markers,
+        rowSettings,
         maxTime,
         backgroundColor,
         fps,
@@ -899,6 +886,8 @@ function VideoCreationPage() {
           store.updateFromRedux({
             editorElements: editorElements || [],
             animations: animations || [],
+            markers: markers || [],
+            rowSettings: rowSettings || {},
             maxTime: maxTime !== undefined ? maxTime : store.maxTime,
             backgroundColor:
               backgroundColor !== undefined
@@ -933,14 +922,6 @@ function VideoCreationPage() {
     };
   }, [store]);
 
-  // Add event listener for scene undo/redo (Storyboard)
-  useEffect(() => {
-    const handleSceneUndoRedo = () => {};
-    window.addEventListener('sceneUndoRedo', handleSceneUndoRedo);
-    return () =>
-      window.removeEventListener('sceneUndoRedo', handleSceneUndoRedo);
-  }, []);
-
   const onUndo = useCallback(() => {
     if (isUndoRedoInProgress || !store) {
       return;
@@ -949,8 +930,8 @@ function VideoCreationPage() {
     setIsUndoRedoInProgress(true);
 
     try {
-      // Only dispatch timeline undo - this will trigger the timelineStateChanged event
-      dispatch(undoTimeline());
+      // Restored slices notify the editor through timelineStateChanged
+      dispatch(undo());
 
       // Schedule animation refresh after a short delay to ensure state is updated
       setTimeout(() => {
@@ -973,8 +954,8 @@ function VideoCreationPage() {
     setIsUndoRedoInProgress(true);
 
     try {
-      // Only dispatch timeline redo - this will trigger the timelineStateChanged event
-      dispatch(redoTimeline());
+      // Restored slices notify the editor through timelineStateChanged
+      dispatch(redo());
 
       // Schedule animation refresh after a short delay to ensure state is updated
       setTimeout(() => {
@@ -1009,13 +990,7 @@ function VideoCreationPage() {
 
       if ((e.ctrlKey || e.metaKey) && e.code === 'KeyZ') {
         e.preventDefault();
-        // Prefer scene undo/redo when storyboard is open
-        if (isStoryBoardOpen) {
-          if (e.shiftKey) {
-          } else {
-          }
-          return;
-        }
+        // Timeline and storyboard edits share one history
         if (e.shiftKey) {
           onRedo();
         } else {
@@ -1030,7 +1005,7 @@ function VideoCreationPage() {
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [storyId, isCutMode, setIsCutMode, dispatch, isStoryBoardOpen]);
+  }, [storyId, isCutMode, setIsCutMode, onUndo, onRedo]);
 
   const handleClick = name => {
     // Skip closing panels for download button
@@ -2833,43 +2808,29 @@ function VideoCreationPage() {
     setIsRenderOptionModalOpen(true);
   };
 
-  const handleServerRender = async (quality = 'high') => {
-    setIsRenderOptionModalOpen(false);
-
-    try {
-      store.handleSeek(0);
-      store.setSelectedElement(null);
-
-      // Set initial rendering state
-      handleInitializationStateChange({
-        state: 'rendering',
-        progress: 0,
-        message: 'Starting server render process...',
-      });
-
-      // Store rendering status in the store for access in other components
-      store.renderingStatus = {
-        state: 'rendering',
-        progress: 0,
-        message: 'Starting server render process...',
-      };
-    } catch (error) {
-      console.error('Error initiating server render:', error);
-      const errorStatus = {
-        state: 'error',
-        progress: 0,
-        message: 'Error initiating server render',
-      };
-
-      // Update both local state and store
-      handleInitializationStateChange(errorStatus);
-      store.renderingStatus = errorStatus;
+  const handleLocalRender = quality => {
+    if (quality === 'high') {
+      handleFFmpegRender(quality);
+      return;
     }
+
+    setIsRenderOptionModalOpen(false);
+    store.handleSeek(0);
+    store.setSelectedElement(null);
+    handleInitializationStateChange({
+      state: 'rendering',
+      progress: 0,
+    });
+    store.saveCanvasToVideoWithAudio({ quality });
   };
 
   const handleFFmpegRender = async (quality = 'high') => {
     setIsRenderOptionModalOpen(false);
 
+    const updateRenderingStatus = event => {
+      store.renderingStatus = event.detail;
+    };
+
     try {
       store.handleSeek(0);
       store.setSelectedElement(null);
@@ -2878,26 +2839,37 @@ function VideoCreationPage() {
       handleInitializationStateChange({
         state: 'rendering',
         progress: 0,
-        message: 'Starting sandbox render process...',
+        message: 'Starting FFmpeg render process...',
       });
 
       // Store rendering status in the store for access in other components
       store.renderingStatus = {
         state: 'rendering',
         progress: 0,
-        message: 'Starting sandbox render process...',
+        message: 'Starting FFmpeg render process...',
       };
+
+      // Keep the store status in step with progress reported by the renderer
+      window.addEventListener('renderingStateChange', updateRenderingStatus);
+      const rendered = await store.renderWithFFmpeg({ quality });
+      if (rendered === null) {
+        console.warn('FFmpeg unavailable, falling back to realtime capture');
+        store.setPlaying(true);
+        await store.saveCanvasToVideoWithAudioWebmMp4();
+      }
     } catch (error) {
-      console.error('Error initiating sandbox render:', error);
+      console.error('Error during FFmpeg render:', error);
       const errorStatus = {
         state: 'error',
         progress: 0,
-        message: 'Error initiating sandbox render',
+        message: 'Error during FFmpeg render',
       };
 
       // Update both local state and store
       handleInitializationStateChange(errorStatus);
       store.renderingStatus = errorStatus;
+    } finally {
+      window.removeEventListener('renderingStateChange', updateRenderingStatus);
     }
   };
 
@@ -3132,6 +3104,11 @@ function VideoCreationPage() {
             onRegenerateAudio={handleRegenerateAudio}
             onDismiss={handleDismissSyncWarning}
           />
+          <OfflineChangesPrompt
+            storyId={storyData?._id}
+            serverUpdatedAt={storyData?.lastSyncedAt || storyData?.updatedAt}
+          />
+          <ConflictDialog />
           <SyncIndicator />
           {isLogged && (
             <button className="MinimalHeader_header_avatar" disabled>
@@ -3274,6 +3251,12 @@ function VideoCreationPage() {
             </Rnd>
           </div>
         )}
+        <RenderOptionModal
+          isOpen={isRenderOptionModalOpen}
+          onClose={() => setIsRenderOptionModalOpen(false)}
+          onLocalRender={handleLocalRender}
+          onSandboxRender={handleFFmpegRender}
+        />
         {/* <VideoUploadPanel user={user} storyId={storyId} store={store} /> */}
       </section>
     </DndProvider>
@@ -0,0 +1,80 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+const initialState = {
+  storyId: null,
+  clientId: null,
+  // clientId -> { clientId, name, color, cursor, selection }
+  peers: {},
+  // elementId -> clientId of the collaborator dragging it
+  locks: {},
+};
+
+const collaborationSlice = createSlice({
+  name: 'collaboration',
+  initialState,
+  reducers: {
+    sessionStarted: (state, action) => {
+      const { storyId, clientId } = action.payload;
+      return { ...initialState, storyId, clientId };
+    },
+
+    sessionEnded: () => initialState,
+
+    // Presence only carries what changed, e.g. just the cursor
+    peerUpdated: (state, action) => {
+      const { clientId } = action.payload;
+      if (!clientId || clientId === state.clientId) return;
+      state.peers[clientId] = { ...state.peers[clientId], ...action.payload };
+    },
+
+    // Whatever the collaborator held is released with them
+    peerLeft: (state, action) => {
+      const clientId = action.payload;
+      delete state.peers[clientId];
+      Object.keys(state.locks).forEach(elementId => {
+        if (state.locks[elementId] === clientId) {
+          delete state.locks[elementId];
+        }
+      });
+    },
+
+    elementLocked: (state, action) => {
+      const { elementId, clientId } = action.payload;
+      if (clientId === state.clientId) return;
+      state.locks[elementId] = clientId;
+    },
+
+    elementUnlocked: (state, action) => {
+      const { elementId, clientId } = action.payload;
+      if (state.locks[elementId] === clientId) {
+        delete state.locks[elementId];
+      }
+    },
+
+    // Handled by collaborationMiddleware, which owns the element snapshot
+    remoteOperationsReceived: (state, action) => {},
+  },
+});
+
+export const {
+  sessionStarted,
+  sessionEnded,
+  peerUpdated,
+  peerLeft,
+  elementLocked,
+  elementUnlocked,
+  remoteOperationsReceived,
+} = collaborationSlice.actions;
+
+// Selectors
+export const selectCollaborationPeers = state => state.collaboration.peers;
+export const selectElementLocks = state => state.collaboration.locks;
+export const selectIsElementLocked = (state, elementId) =>
+  !!state.collaboration.locks[elementId];
+// First collaborator with the element selected, if any
+export const selectPeerSelecting = (state, elementId) =>
+  Object.values(state.collaboration.peers).find(peer =>
+    peer.selection?.includes(elementId)
+  ) || null;
+
+export default collaborationSlice.reducer;
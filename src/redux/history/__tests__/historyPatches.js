@@ -0,0 +1,253 @@
+import {
+  applyDocumentPatches,
+  describeCommand,
+  diffDocuments,
+  rebaseHistory,
+} from '../historyPatches';
+
+const clip = (id, start, end, extra = {}) => ({
+  id,
+  type: 'video',
+  row: 0,
+  timeFrame: { start, end },
+  properties: { src: `${id}.mp4` },
+  ...extra,
+});
+
+const timeline = editorElements => ({
+  editorElements,
+  markers: [],
+  maxTime: 10000,
+});
+
+const roundTrip = (before, after) => {
+  const { patches, inversePatches } = diffDocuments(before, after);
+  expect(applyDocumentPatches(before, patches)).toEqual(after);
+  expect(applyDocumentPatches(after, inversePatches)).toEqual(before);
+  return { patches, inversePatches };
+};
+
+describe('diffDocuments and applyDocumentPatches', () => {
+  it('records nothing for unchanged documents', () => {
+    const document = timeline([clip('a', 0, 1000)]);
+    expect(diffDocuments(document, document)).toEqual({
+      patches: [],
+      inversePatches: [],
+    });
+  });
+
+  it('addresses changed list items by id', () => {
+    const a = clip('a', 0, 1000);
+    const before = timeline([a, clip('b', 1000, 2000)]);
+    const after = timeline([
+      a,
+      { ...before.editorElements[1], timeFrame: { start: 1500, end: 2500 } },
+    ]);
+
+    const { patches } = roundTrip(before, after);
+    expect(patches).toEqual([
+      {
+        op: 'replace',
+        path: ['editorElements', { id: 'b' }, 'timeFrame', 'start'],
+        value: 1500,
+      },
+      {
+        op: 'replace',
+        path: ['editorElements', { id: 'b' }, 'timeFrame', 'end'],
+        value: 2500,
+      },
+    ]);
+  });
+
+  it('round-trips added, removed and reordered items', () => {
+    const before = timeline([
+      clip('a', 0, 1000),
+      clip('b', 1000, 2000),
+      clip('c', 2000, 3000),
+    ]);
+    const after = timeline([
+      clip('c', 0, 1000),
+      clip('d', 1000, 2000),
+      { ...before.editorElements[0], row: 1 },
+    ]);
+
+    const { patches } = roundTrip(before, after);
+    expect(patches.every(patch => patch.path.length > 1)).toBe(true);
+  });
+
+  it('keys scenes by _id', () => {
+    const before = { scenes: [{ _id: 's1', text: 'one' }, { _id: 's2' }] };
+    const after = { scenes: [{ _id: 's2' }, { _id: 's1', text: 'uno' }] };
+    const { patches } = roundTrip(before, after);
+    expect(patches).toContainEqual({
+      op: 'replace',
+      path: ['scenes', { id: 's1' }, 'text'],
+      value: 'uno',
+    });
+  });
+
+  it('replaces lists without ids and values that change shape', () => {
+    roundTrip({ points: [1, 2, 3], mask: null }, { points: [1, 2], mask: {} });
+    roundTrip(
+      { properties: { words: ['a', 'b'], fontSize: 12 } },
+      { properties: { words: ['a', 'c'], color: 'red' } }
+    );
+  });
+
+  it('keeps patches valid when other items come and go', () => {
+    const a = clip('a', 0, 1000);
+    const b = clip('b', 1000, 2000);
+    const before = timeline([a, b]);
+    const after = timeline([a, { ...b, row: 2 }, clip('c', 2000, 3000)]);
+    const { patches, inversePatches } = diffDocuments(before, after);
+
+    // Someone else added an element at the start and removed `a`
+    const remote = timeline([clip('x', 0, 500), b]);
+    const applied = applyDocumentPatches(remote, patches);
+    expect(applied.editorElements.map(element => element.id)).toEqual([
+      'x',
+      'b',
+      'c',
+    ]);
+    expect(applied.editorElements[1].row).toBe(2);
+
+    const undone = applyDocumentPatches(applied, inversePatches);
+    expect(undone).toEqual(remote);
+  });
+
+  it('does not mutate the patched document', () => {
+    const before = timeline([clip('a', 0, 1000)]);
+    const after = timeline([clip('a', 0, 2000)]);
+    const { patches } = diffDocuments(before, after);
+    const snapshot = JSON.parse(JSON.stringify(before));
+    applyDocumentPatches(before, patches);
+    expect(before).toEqual(snapshot);
+  });
+});
+
+describe('rebaseHistory', () => {
+  const documents = editorElements => ({
+    timeline: timeline(editorElements),
+    scene: { scenes: [] },
+    stories: { currentStory: null },
+  });
+
+  const command = (id, before, after) => ({
+    id,
+    changes: [{ domain: 'timeline', ...diffDocuments(before, after) }],
+  });
+
+  const a = clip('a', 0, 1000);
+  const b = clip('b', 1000, 2000);
+  const start = timeline([a, b]);
+  const movedA = timeline([{ ...a, row: 1 }, b]);
+  const movedB = timeline([
+    { ...a, row: 1 },
+    { ...b, row: 1 },
+  ]);
+  const trimmedA = timeline([
+    { ...a, row: 1, timeFrame: { start: 0, end: 500 } },
+    { ...b, row: 1 },
+  ]);
+  const entries = [
+    command('1', start, movedA),
+    command('2', movedA, movedB),
+    command('3', movedB, trimmedA),
+  ];
+
+  it('keeps the history when no item it touches was removed', () => {
+    const history = { entries, currentIndex: 2 };
+    const rebased = rebaseHistory(
+      history,
+      documents(trimmedA.editorElements),
+      documents([...trimmedA.editorElements, clip('c', 2000, 3000)])
+    );
+    expect(rebased).toEqual({ entries, currentIndex: 2, dropped: 0 });
+    expect(rebased.entries).toBe(entries);
+  });
+
+  it('drops the command on a removed item and everything older', () => {
+    const rebased = rebaseHistory(
+      { entries, currentIndex: 2 },
+      documents(trimmedA.editorElements),
+      documents([trimmedA.editorElements[0]])
+    );
+    expect(rebased.entries.map(entry => entry.id)).toEqual(['3']);
+    expect(rebased.currentIndex).toBe(0);
+    expect(rebased.dropped).toBe(2);
+  });
+
+  it('drops undone commands on a removed item and everything newer', () => {
+    const rebased = rebaseHistory(
+      { entries, currentIndex: 0 },
+      documents(movedA.editorElements),
+      documents([movedA.editorElements[0]])
+    );
+    expect(rebased.entries.map(entry => entry.id)).toEqual(['1']);
+    expect(rebased.currentIndex).toBe(0);
+    expect(rebased.dropped).toBe(2);
+  });
+
+  it('leaves remaining commands applicable to the remote document', () => {
+    const remote = documents([trimmedA.editorElements[0]]).timeline;
+    const { entries: rebasedEntries } = rebaseHistory(
+      { entries, currentIndex: 2 },
+      documents(trimmedA.editorElements),
+      documents(remote.editorElements)
+    );
+    const undone = applyDocumentPatches(
+      remote,
+      rebasedEntries[0].changes[0].inversePatches
+    );
+    expect(undone.editorElements).toEqual([{ ...a, row: 1 }]);
+  });
+});
+
+describe('describeCommand', () => {
+  const labelFor = (before, after) =>
+    describeCommand(
+      { type: 'timeline/saveTimelineStateAction' },
+      [{ domain: 'timeline', ...diffDocuments(before, after) }],
+      { timeline: before },
+      { timeline: after }
+    );
+
+  it('labels moves, trims, additions and deletions', () => {
+    const a = clip('a', 0, 1000);
+    const b = clip('b', 1000, 2000);
+    expect(
+      labelFor(
+        timeline([a, b]),
+        timeline([
+          { ...a, row: 1 },
+          { ...b, row: 1 },
+        ])
+      )
+    ).toBe('Moved 2 clips');
+    expect(
+      labelFor(
+        timeline([a]),
+        timeline([{ ...a, timeFrame: { start: 0, end: 400 } }])
+      )
+    ).toBe('Trimmed clip');
+    expect(labelFor(timeline([a]), timeline([a, b]))).toBe('Added clip');
+    expect(labelFor(timeline([a, b]), timeline([b]))).toBe('Deleted clip');
+    expect(
+      labelFor(
+        timeline([a]),
+        timeline([clip('a1', 0, 500), clip('a2', 500, 1000)])
+      )
+    ).toBe('Split clip');
+  });
+
+  it('prefers an explicit label', () => {
+    expect(
+      describeCommand(
+        { type: 'x', meta: { historyLabel: 'Nudged' } },
+        [],
+        {},
+        {}
+      )
+    ).toBe('Nudged');
+  });
+});
@@ -0,0 +1,471 @@
+import { produce } from 'immer';
+
+// The undoable part of each slice. Everything else (selection, sync state,
+// loading flags) is left alone by undo and redo.
+export const HISTORY_DOMAINS = {
+  timeline: [
+    'editorElements',
+    'animations',
+    'subtitles',
+    'markers',
+    'rowSettings',
+    'maxTime',
+    'backgroundColor',
+    'fps',
+    'synchronise',
+  ],
+  scene: ['scenes'],
+  stories: ['currentStory'],
+};
+
+export const selectDomainDocument = (state, domain) =>
+  HISTORY_DOMAINS[domain].reduce((document, key) => {
+    document[key] = state[domain]?.[key];
+    return document;
+  }, {});
+
+export const hasDomainChanged = (before, after, domain) =>
+  HISTORY_DOMAINS[domain].some(key => before[key] !== after[key]);
+
+const isObject = value => value !== null && typeof value === 'object';
+
+// Scenes are keyed by `_id`, everything else by `id`
+const getKey = item => (isObject(item) ? item.id ?? item._id : undefined);
+
+// Lists whose items all carry a distinct id are diffed per item and their
+// patches address items by id rather than by index
+const isKeyedList = value => {
+  if (!Array.isArray(value)) return false;
+  const keys = value.map(getKey);
+  return (
+    keys.every(key => key !== undefined && key !== null && key !== '') &&
+    new Set(keys).size === keys.length
+  );
+};
+
+const isSameShape = (from, to) =>
+  isObject(from) &&
+  isObject(to) &&
+  Array.isArray(from) === Array.isArray(to) &&
+  (!Array.isArray(from) || from.length === to.length);
+
+/**
+ * Path segments inside keyed lists are objects instead of indexes:
+ * `{ id }` names an existing item and `{ after, index }` the place of an
+ * added one, right behind the item `after` (null for the start) or at
+ * `index` when that item is gone. They are resolved when the patches are
+ * applied, so a command stays valid when other items come and go.
+ */
+const itemSegment = item => ({ id: getKey(item) });
+const placeSegment = (keys, index) => ({
+  after: index > 0 ? keys[index - 1] : null,
+  index,
+});
+
+const diffKeyedList = (path, from, to, emit) => {
+  const fromByKey = new Map(from.map(item => [getKey(item), item]));
+  const toKeys = new Set(to.map(getKey));
+  const keys = from.map(getKey);
+
+  const remove = index => {
+    const item = fromByKey.get(keys[index]);
+    const place = placeSegment(keys, index);
+    keys.splice(index, 1);
+    emit(
+      { op: 'remove', path: [...path, itemSegment(item)] },
+      { op: 'add', path: [...path, place], value: item }
+    );
+  };
+  const add = (index, item) => {
+    emit(
+      { op: 'add', path: [...path, placeSegment(keys, index)], value: item },
+      { op: 'remove', path: [...path, itemSegment(item)] }
+    );
+    keys.splice(index, 0, getKey(item));
+  };
+
+  for (let index = keys.length - 1; index >= 0; index--) {
+    if (!toKeys.has(keys[index])) remove(index);
+  }
+
+  // Added items are inserted and moved ones taken out and put back, still
+  // with their old content; content changes follow per item
+  to.forEach((item, index) => {
+    const key = getKey(item);
+    if (keys[index] === key) return;
+    if (fromByKey.has(key)) {
+      remove(keys.indexOf(key));
+      add(index, fromByKey.get(key));
+    } else {
+      add(index, item);
+    }
+  });
+
+  to.forEach(item => {
+    const previous = fromByKey.get(getKey(item));
+    if (previous) diffValue([...path, itemSegment(item)], previous, item, emit);
+  });
+};
+
+function diffValue(path, from, to, emit) {
+  if (from === to) return;
+
+  if (isKeyedList(from) && isKeyedList(to)) {
+    diffKeyedList(path, from, to, emit);
+    return;
+  }
+
+  if (!isSameShape(from, to)) {
+    emit(
+      { op: 'replace', path, value: to },
+      { op: 'replace', path, value: from }
+    );
+    return;
+  }
+
+  if (!Array.isArray(from)) {
+    Object.keys(from).forEach(key => {
+      if (!(key in to)) {
+        emit(
+          { op: 'remove', path: [...path, key] },
+          { op: 'add', path: [...path, key], value: from[key] }
+        );
+      }
+    });
+  }
+  Object.keys(to).forEach(key => {
+    if (!Array.isArray(to) && !(key in from)) {
+      emit(
+        { op: 'add', path: [...path, key], value: to[key] },
+        { op: 'remove', path: [...path, key] }
+      );
+      return;
+    }
+    diffValue(
+      [...path, Array.isArray(to) ? Number(key) : key],
+      from[key],
+      to[key],
+      emit
+    );
+  });
+}
+
+/**
+ * Patches that turn `before` into `after`, and the inverse patches that
+ * turn it back. Unchanged branches are skipped by reference, so only what
+ * actually changed is recorded.
+ */
+export const diffDocuments = (before, after) => {
+  const patches = [];
+  const inversePatches = [];
+  diffValue([], before, after, (patch, inversePatch) => {
+    patches.push(patch);
+    inversePatches.unshift(inversePatch);
+  });
+  return { patches, inversePatches };
+};
+
+const resolveSegment = (parent, segment) => {
+  if (!isObject(segment)) return segment;
+  if ('id' in segment) {
+    const index = parent.findIndex(item => getKey(item) === segment.id);
+    if (index === -1) throw new Error(`No item ${segment.id} to patch`);
+    return index;
+  }
+  const afterIndex =
+    segment.after === null
+      ? -1
+      : parent.findIndex(item => getKey(item) === segment.after);
+  if (segment.after !== null && afterIndex === -1) {
+    return Math.min(segment.index, parent.length);
+  }
+  return afterIndex + 1;
+};
+
+const applyPatch = (draft, { op, path, value }) => {
+  let parent = draft;
+  for (let i = 0; i < path.length - 1; i++) {
+    parent = parent[resolveSegment(parent, path[i])];
+  }
+  const key = resolveSegment(parent, path[path.length - 1]);
+
+  if (Array.isArray(parent) && op === 'add') {
+    parent.splice(key, 0, value);
+  } else if (Array.isArray(parent) && op === 'remove') {
+    parent.splice(key, 1);
+  } else if (op === 'remove') {
+    delete parent[key];
+  } else {
+    parent[key] = value;
+  }
+};
+
+export const applyDocumentPatches = (document, patches) => {
+  const root = { document };
+  const result = produce(root, draft => {
+    patches.forEach(patch =>
+      applyPatch(draft, { ...patch, path: ['document', ...patch.path] })
+    );
+  });
+  return result.document;
+};
+
+// Ids of keyed list items that are in `from` but not in `to`
+const collectRemovedKeys = (from, to, removed) => {
+  if (from === to || !isObject(from)) return;
+
+  if (isKeyedList(from)) {
+    const toByKey = isKeyedList(to)
+      ? new Map(to.map(item => [getKey(item), item]))
+      : new Map();
+    from.forEach(item => {
+      const key = getKey(item);
+      if (toByKey.has(key)) {
+        collectRemovedKeys(item, toByKey.get(key), removed);
+      } else {
+        removed.add(key);
+        collectRemovedKeys(item, undefined, removed);
+      }
+    });
+    return;
+  }
+
+  Object.keys(from).forEach(key =>
+    collectRemovedKeys(from[key], isObject(to) ? to[key] : undefined, removed)
+  );
+};
+
+const touchesRemovedItem = (entry, removedByDomain) =>
+  entry.changes.some(change => {
+    const removed = removedByDomain[change.domain];
+    return [...change.patches, ...change.inversePatches].some(patch =>
+      patch.path.some(
+        segment =>
+          isObject(segment) && 'id' in segment && removed.has(segment.id)
+      )
+    );
+  });
+
+/**
+ * Keeps the recorded commands valid on documents changed from outside the
+ * history, e.g. by a collaborator or a sync merge. Patches find list items
+ * by id, so only a command touching an item that is gone has to go. It is
+ * dropped together with everything older (or, for undone commands,
+ * everything newer), since commands only apply on top of their neighbours.
+ */
+export const rebaseHistory = ({ entries, currentIndex }, before, after) => {
+  const removedByDomain = {};
+  Object.keys(HISTORY_DOMAINS).forEach(domain => {
+    removedByDomain[domain] = new Set();
+    collectRemovedKeys(before[domain], after[domain], removedByDomain[domain]);
+  });
+
+  let first = currentIndex + 1;
+  while (
+    first > 0 &&
+    !touchesRemovedItem(entries[first - 1], removedByDomain)
+  ) {
+    first--;
+  }
+  let end = currentIndex + 1;
+  while (
+    end < entries.length &&
+    !touchesRemovedItem(entries[end], removedByDomain)
+  ) {
+    end++;
+  }
+
+  const dropped = entries.length - (end - first);
+  if (dropped === 0) return { entries, currentIndex, dropped };
+  return {
+    entries: entries.slice(first, end),
+    currentIndex: currentIndex - first,
+    dropped,
+  };
+};
+
+const FONT_PROPERTIES = [
+  'font',
+  'fontFamily',
+  'fontSize',
+  'fontWeight',
+  'fontStyle',
+];
+
+const SCENE_LABELS = {
+  'scene/updateScene': 'Edited scene',
+  'scene/reorderScene': 'Reordered scenes',
+  'scene/deleteScene': 'Deleted scene',
+  'scene/addScene': 'Added scene',
+  'scene/updateSceneTitle': 'Renamed scene',
+  'scene/addSceneTag': 'Added scene tag',
+  'scene/updateSceneTag': 'Edited scene tag',
+  'scene/deleteSceneTag': 'Deleted scene tag',
+  'scene/updateSceneStyle': 'Changed scene style',
+  'scene/updateSelectedImage': 'Changed scene image',
+  'scene/splitScene': 'Split scene',
+  'scene/mergeSceneUp': 'Merged scenes',
+  'scene/mergeSceneDown': 'Merged scenes',
+  'scene/duplicateScene': 'Duplicated scene',
+  'scene/clearScenePrompts': 'Cleared scene prompts',
+  'scene/removeAllAssignedImages': 'Removed all scene images',
+  'scene/removeAllprompts': 'Removed all prompts',
+  'scene/removeAllNegativePrompts': 'Removed all negative prompts',
+  'stories/updateStoryStyle': 'Changed story style',
+};
+
+const TIMELINE_ACTIONS = [
+  'timeline/saveTimelineStateAction',
+  'timeline/updateFromStore',
+  'timeline/setEditorElements',
+];
+
+// Actions whose changes become history commands
+export const isRecordedAction = type =>
+  TIMELINE_ACTIONS.includes(type) || type in SCENE_LABELS;
+
+const getNoun = elements => {
+  const types = new Set(
+    elements.map(element =>
+      element.type === 'animation'
+        ? 'animation'
+        : element.subType === 'subtitles'
+        ? 'subtitle'
+        : 'clip'
+    )
+  );
+  return types.size === 1 ? [...types][0] : 'clip';
+};
+
+const countLabel = (verb, elements) =>
+  elements.length === 1
+    ? `${verb} ${getNoun(elements)}`
+    : `${verb} ${elements.length} ${getNoun(elements)}s`;
+
+const getElementChangeKind = (patch, before, after) => {
+  const [, , field, property] = patch.path;
+  if (field === 'row') return 'move';
+  if (field === 'timeFrame') {
+    const durationBefore = before.timeFrame.end - before.timeFrame.start;
+    const durationAfter = after.timeFrame.end - after.timeFrame.start;
+    return Math.abs(durationBefore - durationAfter) < 1 ? 'move' : 'trim';
+  }
+  if (field === 'placement') return 'transform';
+  if (field === 'properties') {
+    if (FONT_PROPERTIES.includes(property)) return 'font';
+    if (property === 'text') return 'text';
+    if (property === 'keyframes') return 'keyframes';
+  }
+  return 'edit';
+};
+
+const KIND_LABELS = {
+  move: elements => countLabel('Moved', elements),
+  trim: elements => countLabel('Trimmed', elements),
+  transform: elements => countLabel('Transformed', elements),
+  edit: elements => countLabel('Edited', elements),
+  font: elements =>
+    elements.length === 1
+      ? 'Changed font'
+      : `Changed font on ${elements.length} ${getNoun(elements)}s`,
+  text: () => 'Edited text',
+  keyframes: () => 'Edited keyframes',
+};
+
+const describeTimelineChange = (patches, before, after) => {
+  const elementPatches = patches.filter(
+    patch => patch.path[0] === 'editorElements'
+  );
+
+  // Whole list replaced, or items added, removed or moved
+  const isStructural = patch =>
+    patch.path.length === 1 ||
+    (patch.path.length === 2 && patch.op !== 'replace');
+
+  if (elementPatches.some(isStructural)) {
+    const beforeIds = new Set(before.editorElements.map(element => element.id));
+    const afterIds = new Set(after.editorElements.map(element => element.id));
+    const added = after.editorElements.filter(
+      element => !beforeIds.has(element.id)
+    );
+    const removed = before.editorElements.filter(
+      element => !afterIds.has(element.id)
+    );
+
+    if (removed.length === 1 && added.length === 2) return 'Split clip';
+    if (added.length > 0 && removed.length === 0) {
+      return countLabel('Added', added);
+    }
+    if (removed.length > 0 && added.length === 0) {
+      return countLabel('Deleted', removed);
+    }
+    if (added.length > 0) return 'Replaced clips';
+    return 'Reordered clips';
+  }
+
+  if (elementPatches.length > 0) {
+    const beforeById = new Map(
+      before.editorElements.map(element => [element.id, element])
+    );
+    const afterById = new Map(
+      after.editorElements.map(element => [element.id, element])
+    );
+
+    // Changes per element, keyed by id
+    const kindsById = new Map();
+    elementPatches.forEach(patch => {
+      const { id } = patch.path[1];
+      const kind = getElementChangeKind(
+        patch,
+        beforeById.get(id),
+        afterById.get(id)
+      );
+      if (!kindsById.has(id)) kindsById.set(id, new Set());
+      kindsById.get(id).add(kind);
+    });
+
+    const allKinds = new Set(
+      [...kindsById.values()].flatMap(kinds => [...kinds])
+    );
+    const elementsWith = kind =>
+      [...kindsById.entries()]
+        .filter(([, kinds]) => kinds.has(kind))
+        .map(([id]) => afterById.get(id));
+
+    // A ripple trim moves the clips after it, but it is still a trim
+    if (allKinds.has('trim')) return KIND_LABELS.trim(elementsWith('trim'));
+    if (allKinds.size === 1) {
+      const [kind] = allKinds;
+      return KIND_LABELS[kind](elementsWith(kind));
+    }
+    return KIND_LABELS.edit([...kindsById.keys()].map(id => afterById.get(id)));
+  }
+
+  const changedKeys = new Set(patches.map(patch => patch.path[0]));
+  if (changedKeys.has('markers')) return 'Edited markers';
+  if (changedKeys.has('rowSettings')) return 'Changed track settings';
+  if (changedKeys.has('animations')) return 'Edited animations';
+  if (changedKeys.has('subtitles')) return 'Changed subtitle style';
+  if (changedKeys.has('maxTime')) return 'Changed duration';
+  if (changedKeys.has('backgroundColor')) return 'Changed background';
+  return 'Edited timeline';
+};
+
+/**
+ * Human readable label for a command, e.g. "Moved 3 clips". An explicit
+ * `meta.historyLabel` on the action wins over the derived one.
+ */
+export const describeCommand = (action, changes, before, after) => {
+  if (action.meta?.historyLabel) return action.meta.historyLabel;
+  if (SCENE_LABELS[action.type]) return SCENE_LABELS[action.type];
+
+  const timelineChange = changes.find(change => change.domain === 'timeline');
+  if (timelineChange) {
+    return describeTimelineChange(
+      timelineChange.patches,
+      before.timeline,
+      after.timeline
+    );
+  }
+  return 'Edited project';
+};
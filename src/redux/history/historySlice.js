@@ -0,0 +1,62 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+// Same depth as the old snapshot stacks until memory use of the patch
+// history has been measured
+const MAX_HISTORY_LENGTH = 50;
+
+const initialState = {
+  // { id, label, timestamp, changes: [{ domain, patches, inversePatches }] }
+  entries: [],
+  // Index of the last applied entry, -1 when everything is undone
+  currentIndex: -1,
+};
+
+const historySlice = createSlice({
+  name: 'history',
+  initialState,
+  reducers: {
+    recordCommand: (state, action) => {
+      // A new command drops everything that was undone
+      state.entries = state.entries.slice(0, state.currentIndex + 1);
+      state.entries.push(action.payload);
+
+      if (state.entries.length > MAX_HISTORY_LENGTH) {
+        state.entries = state.entries.slice(-MAX_HISTORY_LENGTH);
+      }
+      state.currentIndex = state.entries.length - 1;
+    },
+    setCurrentIndex: (state, action) => {
+      state.currentIndex = action.payload;
+    },
+    clearHistory: () => initialState,
+    // Entries rewritten after remote changes, see rebaseHistory
+    replaceHistory: (state, action) => {
+      state.entries = action.payload.entries;
+      state.currentIndex = action.payload.currentIndex;
+    },
+
+    // Handled by historyMiddleware, which applies the patches and then
+    // moves currentIndex
+    undo: () => {},
+    redo: () => {},
+    jumpTo: () => {},
+  },
+});
+
+export const {
+  recordCommand,
+  setCurrentIndex,
+  clearHistory,
+  replaceHistory,
+  undo,
+  redo,
+  jumpTo,
+} = historySlice.actions;
+
+export const selectHistoryEntries = state => state.history.entries;
+export const selectHistoryIndex = state => state.history.currentIndex;
+export const selectCanUndo = state => state.history.currentIndex >= 0;
+export const selectCanRedo = state =>
+  state.history.currentIndex < state.history.entries.length - 1;
+
+export default historySlice.reducer;
@@ -0,0 +1,143 @@
+import { applyRemoteOperations } from '../timeline/timelineSlice';
+import { remoteOperationsReceived } from '../collaboration/collaborationSlice';
+import {
+  applyOperations,
+  createSnapshot,
+  diffTimeline,
+  updateSnapshot,
+} from '../../utils/collaboration';
+
+// Timeline writes that may carry local element edits
+const LOCAL_EDIT_ACTIONS = [
+  'timeline/saveTimelineStateAction',
+  'timeline/updateFromStore',
+  'timeline/setEditorElements',
+  'timeline/restoreFromHistory',
+  'timeline/applyRemoteChanges',
+];
+
+// Edits made within this window go out as one message
+const BROADCAST_DELAY_MS = 80;
+
+const TIMELINE_FIELDS = [
+  'editorElements',
+  'animations',
+  'markers',
+  'rowSettings',
+  'maxTime',
+  'backgroundColor',
+  'fps',
+  'synchronise',
+];
+
+// Factory function to create middleware with isolated state
+export const createCollaborationMiddleware = () => {
+  // { storyId, clientId, emit } while connected to a session
+  let session = null;
+  // What collaborators know of our elements; null until the timeline of the
+  // story is loaded
+  let snapshot = null;
+  let broadcastTimer = null;
+
+  const broadcast = store => {
+    broadcastTimer = null;
+    if (!session) return;
+
+    const timeline = store.getState().timeline;
+    if (!snapshot) {
+      snapshot = createSnapshot(timeline);
+      return;
+    }
+
+    const operations = diffTimeline(snapshot, timeline);
+    if (operations.length === 0) return;
+
+    session.emit('collab:operations', {
+      storyId: session.storyId,
+      clientId: session.clientId,
+      operations,
+    });
+    updateSnapshot(snapshot, operations);
+  };
+
+  const applyReceived = (store, operations) => {
+    const timeline = store.getState().timeline;
+    const changed = applyOperations(timeline, operations);
+    // Whatever we were sent is known to the sender, even if we had it already
+    if (snapshot) updateSnapshot(snapshot, operations);
+    if (Object.keys(changed).length === 0) return;
+
+    store.dispatch(
+      applyRemoteOperations(
+        TIMELINE_FIELDS.reduce(
+          (document, field) => {
+            if (document[field] === undefined) {
+              document[field] = timeline[field];
+            }
+            return document;
+          },
+          { ...changed }
+        )
+      )
+    );
+  };
+
+  const middlewareFunction = store => next => action => {
+    // Flush our pending edits first so a received upsert of the same
+    // element doesn't swallow them
+    if (action.type === remoteOperationsReceived.type) {
+      const result = next(action);
+      if (broadcastTimer) {
+        clearTimeout(broadcastTimer);
+        broadcast(store);
+      }
+      applyReceived(store, action.payload || []);
+      return result;
+    }
+
+    const result = next(action);
+
+    // Loading a project empties the timeline; that is not a deletion to share
+    if (action.type === 'timeline/resetState') {
+      snapshot = null;
+      return result;
+    }
+
+    if (session && LOCAL_EDIT_ACTIONS.includes(action.type)) {
+      if (broadcastTimer) clearTimeout(broadcastTimer);
+      broadcastTimer = setTimeout(() => broadcast(store), BROADCAST_DELAY_MS);
+    }
+
+    return result;
+  };
+
+  /**
+   * Start sharing element operations for a story. `emit(event, data)` sends
+   * to the collaborators; returns a function that ends the session.
+   */
+  const connect = (store, { storyId, clientId, emit }) => {
+    session = { storyId, clientId, emit };
+    const timeline = store.getState().timeline;
+    snapshot = timeline.editorElements?.length
+      ? createSnapshot(timeline)
+      : null;
+
+    return () => {
+      if (session?.clientId !== clientId) return;
+      if (broadcastTimer) {
+        clearTimeout(broadcastTimer);
+        broadcastTimer = null;
+      }
+      session = null;
+      snapshot = null;
+    };
+  };
+
+  // Attach connect to middleware for external access
+  middlewareFunction.connect = connect;
+  return middlewareFunction;
+};
+
+export const collaborationMiddleware = createCollaborationMiddleware();
+
+export const connectCollaboration = collaborationMiddleware.connect;
@@ -6,7 +6,6 @@ const debouncedActionsMiddleware = () => {
     // List of actions to debounce
     const debouncedActions = [
       'timeline/setEditorElements', 
-      'timeline/saveToHistory',
       'timeline/saveTimelineState'
     ];
     
@@ -0,0 +1,191 @@
+import toast from 'react-hot-toast';
+import { getUid } from '../../utils';
+import {
+  clearHistory,
+  jumpTo,
+  recordCommand,
+  redo,
+  replaceHistory,
+  setCurrentIndex,
+  undo,
+} from '../history/historySlice';
+import {
+  HISTORY_DOMAINS,
+  applyDocumentPatches,
+  describeCommand,
+  diffDocuments,
+  hasDomainChanged,
+  isRecordedAction,
+  rebaseHistory,
+  selectDomainDocument,
+} from '../history/historyPatches';
+
+const DOMAINS = Object.keys(HISTORY_DOMAINS);
+
+// Changes that come from outside this editor: merged sync conflicts, a
+// collaborator's live edits and the scenes written alongside a merge
+const REMOTE_ACTIONS = [
+  'timeline/applyRemoteChanges',
+  'timeline/applyRemoteOperations',
+  'scene/setScenes',
+];
+
+const selectDocuments = state =>
+  DOMAINS.reduce((documents, domain) => {
+    documents[domain] = selectDomainDocument(state, domain);
+    return documents;
+  }, {});
+
+/**
+ * Records undoable actions as labeled commands made of Immer patches, and
+ * performs undo, redo and jumps by applying those patches across the
+ * timeline, scene and stories slices.
+ */
+export const createHistoryMiddleware = () => {
+  // The first timeline write after a reset loads the project; it is the
+  // baseline, not something to undo
+  let isTimelineSeeded = false;
+  let isRestoring = false;
+
+  const travelTo = (store, targetIndex) => {
+    const { entries, currentIndex } = store.getState().history;
+    if (
+      targetIndex === currentIndex ||
+      targetIndex < -1 ||
+      targetIndex >= entries.length
+    ) {
+      return;
+    }
+
+    const documents = selectDocuments(store.getState());
+    const touched = new Set();
+    const applyChanges = (changes, patchKey) => {
+      changes.forEach(change => {
+        documents[change.domain] = applyDocumentPatches(
+          documents[change.domain],
+          change[patchKey]
+        );
+        touched.add(change.domain);
+      });
+    };
+
+    try {
+      if (targetIndex < currentIndex) {
+        for (let i = currentIndex; i > targetIndex; i--) {
+          applyChanges([...entries[i].changes].reverse(), 'inversePatches');
+        }
+      } else {
+        for (let i = currentIndex + 1; i <= targetIndex; i++) {
+          applyChanges(entries[i].changes, 'patches');
+        }
+      }
+    } catch (error) {
+      console.error('Error applying history patches:', error);
+      return;
+    }
+
+    isRestoring = true;
+    try {
+      touched.forEach(domain => {
+        store.dispatch({
+          type: `${domain}/restoreFromHistory`,
+          payload: documents[domain],
+        });
+      });
+      store.dispatch(setCurrentIndex(targetIndex));
+    } finally {
+      isRestoring = false;
+    }
+  };
+
+  return store => next => action => {
+    if (action.type === undo.type) {
+      travelTo(store, store.getState().history.currentIndex - 1);
+      return;
+    }
+    if (action.type === redo.type) {
+      travelTo(store, store.getState().history.currentIndex + 1);
+      return;
+    }
+    if (action.type === jumpTo.type) {
+      travelTo(store, action.payload);
+      return;
+    }
+
+    // Loading another project starts a fresh history
+    if (action.type === 'timeline/resetState') {
+      const result = next(action);
+      isTimelineSeeded = false;
+      store.dispatch(clearHistory());
+      return result;
+    }
+
+    // Remote edits are not ours to undo. Our own commands are moved onto
+    // the new document; only those that can't be are dropped.
+    if (REMOTE_ACTIONS.includes(action.type)) {
+      const before = selectDocuments(store.getState());
+      const result = next(action);
+      const after = selectDocuments(store.getState());
+
+      const { history } = store.getState();
+      const rebased = rebaseHistory(history, before, after);
+      if (rebased.entries !== history.entries) {
+        store.dispatch(replaceHistory(rebased));
+      }
+      if (rebased.dropped > 0) {
+        toast(
+          `Changes from another editor removed ${rebased.dropped} undo ${
+            rebased.dropped === 1 ? 'step' : 'steps'
+          }`
+        );
+      }
+      return result;
+    }
+
+    if (isRestoring || !isRecordedAction(action.type)) {
+      return next(action);
+    }
+
+    const before = selectDocuments(store.getState());
+    const result = next(action);
+    const after = selectDocuments(store.getState());
+
+    const changes = [];
+    DOMAINS.forEach(domain => {
+      if (!hasDomainChanged(before[domain], after[domain], domain)) return;
+
+      // After undo, redo or a merge the editor writes the restored timeline
+      // back; that echo is not a new edit and must not cut off redo
+      if (domain === 'timeline') {
+        const isEcho = !!action.meta?.isHistoryEcho;
+        if (!isTimelineSeeded || isEcho) {
+          isTimelineSeeded = true;
+          return;
+        }
+      }
+
+      const { patches, inversePatches } = diffDocuments(
+        before[domain],
+        after[domain]
+      );
+      if (patches.length > 0) {
+        changes.push({ domain, patches, inversePatches });
+      }
+    });
+
+    if (changes.length > 0) {
+      store.dispatch(
+        recordCommand({
+          id: getUid(),
+          label: describeCommand(action, changes, before, after),
+          timestamp: Date.now(),
+          changes,
+        })
+      );
+    }
+
+    return result;
+  };
+};
+
+export const historyMiddleware = createHistoryMiddleware();
@@ -1,9 +1,29 @@
 import {
+  conflictResolved,
   markChangesPending,
+  resolveConflict,
   startSync,
+  syncConflict,
   syncSuccess,
   syncError,
 } from '../sync/syncSlice';
+import {
+  setScenes,
+  updateLastSyncTimestamp as updateSceneSyncTimestamp,
+} from '../scene/sceneSlice';
+import {
+  applyRemoteChanges,
+  updateLastSyncTimestamp as updateTimelineSyncTimestamp,
+} from '../timeline/timelineSlice';
+import {
+  getConflictingStory,
+  isConflictError,
+  isNetworkError,
+  updateStory,
+} from '../../services/storySyncApi';
+import offlineQueue, { isStaleEntry } from '../../utils/offlineQueue';
+import { buildEditorParams } from '../../utils/story/buildEditorParams';
+import { mergeStoryDocuments, summarizeConflict } from '../../utils/storyMerge';
 
 // Skip actions that don't need immediate sync
 const SKIP_SYNC_ACTIONS = [
@@ -12,7 +32,6 @@ const SKIP_SYNC_ACTIONS = [
   'scene/setSelectedElement',
   'scene/setGeneratingPromptType',
   'scene/resetActiveScene',
-  'scene/saveToHistory',
   'scene/setScenes',
   'storyApi/executeQuery/addScenes',
   'storyApi/executeMutation/addScenes',
@@ -35,14 +54,134 @@ const SKIP_SYNC_ROUTES = ['/createProject/create', '/createProject'];
 // Actions that should trigger sync
 const SYNC_TRIGGER_ACTIONS = [
   'timeline/saveTimelineStateAction', // This is the actual action dispatched by saveTimelineState thunk
-  'timeline/undo',
-  'timeline/redo',
+  'timeline/restoreFromHistory', // undo, redo and history jumps
+  'stories/restoreFromHistory',
   'timeline/setEditorElements', // mirror image selection when TL changes
 ];
 
 const SYNC_DELAY_MS = 3000; // 3 seconds delay like Figma/Notion
 const IMAGE_UPDATE_BATCH_MS = 500; // Batch image updates for 500ms
 
+/**
+ * The story as the merge sees it: editorParams with subtitle segments turned
+ * back into elements, plus the scenes.
+ */
+const toStoryDocument = (editorParams = {}, scenes = []) => {
+  const { properties: subtitleProperties, segments = [] } =
+    editorParams.subtitles || {};
+  return {
+    editorElements: [
+      ...(editorParams.editorElements || []),
+      ...segments.map(segment => ({
+        ...segment,
+        properties: { ...subtitleProperties, ...segment.properties },
+      })),
+    ],
+    animations: editorParams.animations || [],
+    markers: editorParams.markers || [],
+    rowSettings: editorParams.rowSettings || {},
+    scenes: (scenes || []).map(({ editorElements, ...scene }) => scene),
+    maxTime: editorParams.maxTime,
+    backgroundColor: editorParams.backgroundColor,
+    fps: editorParams.fps,
+  };
+};
+
+// Local state goes through buildEditorParams like anything sent or received,
+// so the merge only sees real differences
+const selectLocalDocument = state =>
+  toStoryDocument(
+    buildEditorParams(state.timeline, state.stories.currentStory),
+    state.scene.scenes
+  );
+
+// The merge works on the reduced elements and animations that are synced;
+// whatever came out unchanged from our side keeps its full local version
+const restoreLocalItems = (mergedItems, reducedLocalItems, localItems) => {
+  const reducedById = new Map(reducedLocalItems.map(item => [item.id, item]));
+  const localById = new Map((localItems || []).map(item => [item.id, item]));
+  return mergedItems.map(item => {
+    const reduced = reducedById.get(item.id);
+    const isUnchanged =
+      reduced && JSON.stringify(reduced) === JSON.stringify(item);
+    return isUnchanged && localById.has(item.id)
+      ? localById.get(item.id)
+      : item;
+  });
+};
+
+const applyMergedDocument = (store, merged) => {
+  const state = store.getState();
+  const local = selectLocalDocument(state);
+
+  store.dispatch(
+    applyRemoteChanges({
+      editorElements: restoreLocalItems(
+        merged.editorElements,
+        local.editorElements,
+        state.timeline.editorElements
+      ),
+      animations: restoreLocalItems(
+        merged.animations,
+        local.animations,
+        state.timeline.animations
+      ),
+      markers: merged.markers,
+      rowSettings: merged.rowSettings,
+      ...(merged.maxTime ? { maxTime: merged.maxTime } : {}),
+      backgroundColor: merged.backgroundColor,
+      fps: merged.fps,
+    })
+  );
+  store.dispatch(setScenes(merged.scenes));
+};
+
+const OFFLINE_MESSAGE =
+  'Offline: changes are saved on this device and will sync when you reconnect';
+
+const CONFLICT_WITHOUT_STORY_MESSAGE =
+  'The story changed on the server; changes are kept on this device until it can be merged';
+
+/**
+ * Send the latest change queued for a story. Payloads are full snapshots, so
+ * the older ones are superseded and only removed. The queue is cleared only
+ * once the server accepted the change, so a failure leaves it in place for
+ * the next attempt.
+ *
+ * `getVersion` supplies the story version each change is based on and
+ * `onSaved(payload, response)` sees every accepted change.
+ */
+export const replayOfflineChanges = async (
+  store,
+  storyId,
+  { getVersion = () => undefined, onSaved = () => {} } = {}
+) => {
+  const serverSyncTimestamp = store.getState().scene?.lastSyncTimestamp;
+  const pending = await offlineQueue.getPending(storyId);
+  const latest = pending[pending.length - 1];
+  if (!latest) return;
+
+  if (isStaleEntry(latest, serverSyncTimestamp)) {
+    console.warn('Dropping offline change older than the last sync', latest);
+    await offlineQueue.clear(storyId);
+    return;
+  }
+
+  const payload = {
+    ...latest.payload,
+    version: getVersion() ?? latest.payload.version,
+  };
+  const response = await updateStory(storyId, payload);
+  onSaved(payload, response);
+  // Only a server time may become the base of later staleness checks
+  const syncedAt = response?.lastSyncedAt;
+  if (syncedAt) {
+    store.dispatch(updateSceneSyncTimestamp(syncedAt));
+    store.dispatch(updateTimelineSyncTimestamp(syncedAt));
+  }
+  await Promise.all(pending.map(entry => offlineQueue.remove(entry.seq)));
+};
+
 // Factory function to create middleware with isolated state
 export const createFullSyncMiddleware = () => {
   // Isolated state per middleware instance
@@ -50,13 +189,103 @@ export const createFullSyncMiddleware = () => {
   let syncTimeout = null;
   let imageUpdateQueue = [];
   let imageUpdateTimer = null;
+  let isOnlineListenerAttached = false;
+
+  // Optimistic versioning: every save names the version it was made on top
+  // of, and the document of that version is kept to merge against when the
+  // server has moved on
+  let baseStoryId = null;
+  let baseVersion;
+  let baseDocument = null;
+  // { storyId, base, remote } while the user resolves conflicts
+  let pendingConflict = null;
+
+  const setBase = (storyId, story) => {
+    baseStoryId = storyId;
+    baseVersion = story?.version;
+    baseDocument = toStoryDocument(story?.editorParams, story?.scenes);
+  };
+
+  const handleConflict = (store, storyId, remoteStory) => {
+    const base = baseDocument;
+    const remote = toStoryDocument(
+      remoteStory.editorParams,
+      remoteStory.scenes
+    );
+    const { conflicts, resolve } = mergeStoryDocuments(
+      base,
+      selectLocalDocument(store.getState()),
+      remote
+    );
+
+    // From here on we build on top of what the server has
+    setBase(storyId, remoteStory);
+
+    if (conflicts.length === 0) {
+      applyMergedDocument(store, resolve());
+      store.dispatch(conflictResolved());
+      scheduleDelayedSync(store, storyId);
+      return;
+    }
+
+    pendingConflict = { storyId, base, remote };
+    store.dispatch(
+      syncConflict({
+        remoteVersion: remoteStory.version,
+        conflicts: conflicts.map(summarizeConflict),
+      })
+    );
+  };
+
+  // Merged again against the current state, so edits made while the dialog
+  // was open are kept
+  const handleResolveConflict = (store, choices) => {
+    if (!pendingConflict) return;
+    const { storyId, base, remote } = pendingConflict;
+    pendingConflict = null;
+
+    const { resolve } = mergeStoryDocuments(
+      base,
+      selectLocalDocument(store.getState()),
+      remote
+    );
+    applyMergedDocument(store, resolve(choices));
+    store.dispatch(conflictResolved());
+    scheduleDelayedSync(store, storyId);
+  };
+
+  // Retry as soon as the connection comes back instead of waiting for the
+  // next edit
+  const attachOnlineListener = store => {
+    if (isOnlineListenerAttached || typeof window === 'undefined') return;
+    isOnlineListenerAttached = true;
+    window.addEventListener('online', () => {
+      const state = store.getState();
+      const storyId = state.stories?.currentStory?._id;
+      if (storyId && state.sync.status === 'error') {
+        performFullSync(store, storyId);
+      }
+    });
+  };
 
   const middlewareFunction = store => next => action => {
+    attachOnlineListener(store);
     const result = next(action);
     const state = store.getState();
     const storyId = state.stories?.currentStory?._id;
     const scenesStoryId = state.scene?.currentStoryId;
 
+    // The story as loaded from the server is the first merge base
+    if (action.type === 'stories/setCurrentStory' && storyId !== baseStoryId) {
+      pendingConflict = null;
+      setBase(storyId, action.payload);
+    }
+
+    if (action.type === resolveConflict.type) {
+      handleResolveConflict(store, action.payload || {});
+      return result;
+    }
+
     // Debug logging for sync actions
     if (action.type.startsWith('sync/')) {
     }
@@ -97,8 +326,7 @@ export const createFullSyncMiddleware = () => {
     // Mirror scene.selectedImage from timeline changes (single source of truth = timeline)
     if (
       (action.type === 'timeline/setEditorElements' ||
-        action.type === 'timeline/undo' ||
-        action.type === 'timeline/redo') &&
+        action.type === 'timeline/restoreFromHistory') &&
       storyId
     ) {
       try {
@@ -235,7 +463,8 @@ export const createFullSyncMiddleware = () => {
     const state = store.getState();
     const scenesStoryId = state.scene?.currentStoryId;
 
-    if (syncInProgress) {
+    // Nothing is saved until the user decided how to merge
+    if (syncInProgress || pendingConflict) {
       return;
     }
 
@@ -248,209 +477,7 @@ export const createFullSyncMiddleware = () => {
       const currentStory = state.stories.currentStory;
       const timelineState = state.timeline;
 
-      // Prepare timeline data (editorParams)
-      const filteredAnimations = (timelineState.animations || [])
-        .filter(anim => {
-          // Skip text word animations
-          if (
-            [
-              'textWordAnimation',
-              'textWordFalling',
-              'textWordHighlight',
-              'textWordMotion',
-              'textWordStatic',
-            ].includes(anim.type)
-          ) {
-            return false;
-          }
-
-          // Handle GL transitions (they have fromElementId/toElementId or targetIds)
-          if (anim.type === 'glTransition') {
-            // For dynamic GL transitions, check targetIds
-            if (anim.targetIds && anim.targetIds.length > 0) {
-              return anim.targetIds.some(targetId =>
-                timelineState.editorElements.some(el => el.id === targetId)
-              );
-            }
-
-            // For legacy GL transitions, check fromElementId/toElementId
-            return (
-              anim.fromElementId &&
-              anim.toElementId &&
-              timelineState.editorElements.some(
-                el => el.id === anim.fromElementId
-              ) &&
-              timelineState.editorElements.some(
-                el => el.id === anim.toElementId
-              )
-            );
-          }
-
-          // Handle regular animations (they have targetIds or legacy targetId)
-          const targetIds =
-            anim.targetIds || (anim.targetId ? [anim.targetId] : []);
-          return (
-            targetIds.length > 0 &&
-            targetIds.some(targetId =>
-              timelineState.editorElements.some(el => el.id === targetId)
-            )
-          );
-        })
-        .map(anim => {
-          // Base properties for all animations
-          const baseProps = {
-            duration: anim.duration,
-            id: anim.id,
-            properties: anim.properties,
-            type: anim.type,
-            effect: anim.effect,
-          };
-
-          // Add GL transition specific properties
-          if (anim.type === 'glTransition') {
-            const glTransitionProps = {
-              ...baseProps,
-              transitionType: anim.transitionType,
-              startTime: anim.startTime,
-              endTime: anim.endTime,
-              manuallyAdjusted: anim.manuallyAdjusted,
-              row: anim.row, // Include row for GL transitions
-            };
-
-            // Always include targetIds for GL transitions (even if empty)
-            glTransitionProps.targetIds = anim.targetIds || [];
-
-            // Always include fromElementId/toElementId for backward compatibility
-            glTransitionProps.fromElementId = anim.fromElementId || null;
-            glTransitionProps.toElementId = anim.toElementId || null;
-
-            return glTransitionProps;
-          }
-
-          // Regular animations - send both targetIds and legacy targetId for backward compatibility
-          const targetIds =
-            anim.targetIds || (anim.targetId ? [anim.targetId] : []);
-          return {
-            ...baseProps,
-            targetIds: targetIds,
-            targetId: targetIds[0] || anim.targetId, // Keep legacy field for backward compatibility
-            row: anim.row, // Include row for regular animations
-          };
-        });
-
-      const commonKeys = [
-        'backgroundColor',
-        'color',
-        'opacity',
-        'font',
-        'fontSize',
-        'fontWeight',
-        'stroke',
-        'strokeColor',
-        'strokeOpacity',
-        'textAlign',
-        'verticalAlign',
-        'synchronize',
-        'shadow',
-        'backgroundRadius',
-        'shadowColor',
-        'shadowBlur',
-        'shadowOffsetX',
-        'shadowOffsetY',
-        'shadowOpacity',
-        'styleId',
-        'highlightColor',
-        'motionColor',
-      ];
-
-      const { editorElements, segments } = (
-        timelineState.editorElements || []
-      ).reduce(
-        (acc, el) => {
-          const { fabricObject, ...rest } = el;
-          if (el.subType === 'subtitles') {
-            const { properties, ...segmentData } = rest;
-            const uniqueProperties = Object.keys(properties || {}).reduce(
-              (obj, key) => {
-                if (!commonKeys.includes(key)) {
-                  obj[key] = properties[key];
-                }
-                return obj;
-              },
-              {}
-            );
-
-            acc.segments.push({
-              ...segmentData,
-              properties: uniqueProperties,
-            });
-          } else if (el.subType !== 'subtitles') {
-            if (el.type === 'text') {
-              acc.editorElements.push({
-                ...rest,
-                timeFrame: el.timeFrame,
-                placement: el.placement,
-                row: el.row,
-                properties: {
-                  ...el.properties,
-                  opacity: el.properties?.opacity || 1,
-                  strokeOpacity: el.properties?.strokeOpacity || 1,
-                },
-              });
-            } else {
-              acc.editorElements.push(rest);
-            }
-          }
-          return acc;
-        },
-        { editorElements: [], segments: [] }
-      );
-
-      const subtitlesElement = (timelineState.editorElements || []).find(
-        el => el.subType === 'subtitles'
-      );
-      const commonProperties = commonKeys.reduce((acc, key) => {
-        if (subtitlesElement?.properties?.[key] !== undefined) {
-          acc[key] = subtitlesElement.properties[key];
-        }
-        return acc;
-      }, {});
-
-      const subtitles = {
-        properties: commonProperties,
-        segments,
-      };
-
-      // Calculate actual timeline duration from elements
-      const calculateTimelineDuration = elements => {
-        if (!elements || elements.length === 0) return 6000; // Default for empty timeline
-
-        const lastElement = elements
-          .slice()
-          .sort((a, b) => (b.timeFrame?.end || 0) - (a.timeFrame?.end || 0))[0];
-
-        const lastElementEnd = lastElement?.timeFrame?.end || 0;
-
-        // Add buffer like in store.lastElementEnd usage
-        if (lastElementEnd > 0) {
-          const buffer = Math.max(30000, lastElementEnd * 0.2);
-          return lastElementEnd + buffer;
-        }
-
-        return 6000; // Fallback for invalid data
-      };
-
-      const calculatedMaxTime = calculateTimelineDuration(editorElements);
-
-      const editorParams = {
-        backgroundColor: timelineState.backgroundColor || '',
-        fps: timelineState.fps || 0,
-        maxTime: calculatedMaxTime,
-        editorElements: JSON.parse(JSON.stringify(editorElements)),
-        subtitles: JSON.parse(JSON.stringify(subtitles)),
-        animations: JSON.parse(JSON.stringify(filteredAnimations)),
-        savedOrientation: currentStory.orientation || '',
-      };
+      const editorParams = buildEditorParams(timelineState, currentStory);
 
       // Get current story data
 
@@ -547,6 +574,19 @@ export const createFullSyncMiddleware = () => {
         }
       });
 
+      // Persist before sending so the change survives a failed request or a
+      // reload, then send the latest of what is queued
+      await offlineQueue.enqueue(storyId, storyData, {
+        baseSyncTimestamp: state.scene.lastSyncTimestamp,
+      });
+      await replayOfflineChanges(store, storyId, {
+        getVersion: () => baseVersion,
+        onSaved: (payload, response) => {
+          baseVersion = response?.version ?? baseVersion;
+          baseDocument = toStoryDocument(payload.editorParams, payload.scenes);
+        },
+      });
+
       // Mark sync as successful
       store.dispatch(syncSuccess());
 
@@ -557,6 +597,28 @@ export const createFullSyncMiddleware = () => {
         scheduleDelayedSync(store, storyId);
       }
     } catch (error) {
+      if (isConflictError(error)) {
+        const remoteStory = getConflictingStory(error);
+        if (!remoteStory) {
+          // Nothing to merge against; keep the queue for the next attempt
+          store.dispatch(syncError(CONFLICT_WITHOUT_STORY_MESSAGE));
+          return;
+        }
+        try {
+          handleConflict(store, storyId, remoteStory);
+        } catch (mergeError) {
+          console.error('Failed to merge conflicting story:', mergeError);
+          store.dispatch(syncError('Could not merge changes from the server'));
+          return;
+        }
+        // Our queued snapshots are part of the local state that was merged
+        await offlineQueue.clear(storyId);
+        return;
+      }
+      if (isNetworkError(error)) {
+        store.dispatch(syncError(OFFLINE_MESSAGE));
+        return;
+      }
       console.error('Sync failed:', error);
       store.dispatch(syncError(error.message || 'Sync failed'));
     } finally {
@@ -1,8 +1,6 @@
 import { createSlice } from '@reduxjs/toolkit';
 import { setCurrentStory, clearCurrentStory } from '../stories/storiesSlice';
 
-const MAX_HISTORY_LENGTH = 50;
-
 // Helper function to check if a scene has placeholder state (no assigned image)
 const isPlaceholderState = selectedImage => {
   return (
@@ -38,9 +36,6 @@ const initialState = {
   selectedElement: null,
   generatingPromptType: null,
   pendingChanges: [],
-  history: [],
-  currentHistoryIndex: -1,
-  isUndoRedoOperation: false,
   lastSyncTimestamp: null,
 };
 
@@ -75,37 +70,7 @@ const sceneSlice = createSlice({
         }
       }
 
-      // Check if this is initial scene loading and any scenes have assigned images
-      const hasAssignedImages = newScenes.some(
-        scene => !isPlaceholderState(scene.selectedImage)
-      );
-      const isInitialLoad =
-        state.scenes.length === 0 && state.history.length === 0;
-
-      // If this is initial load and some scenes have images, create a baseline placeholder state first
-      if (isInitialLoad && hasAssignedImages) {
-        // Create baseline state with all scenes having placeholder images
-        const placeholderScenes = newScenes.map(scene => ({
-          ...scene,
-          selectedImage: createPlaceholderImage(),
-        }));
-
-        // Temporarily set placeholder state and save to history
-        const tempScenes = state.scenes;
-        state.scenes = placeholderScenes;
-        sceneSlice.caseReducers.saveToHistory(state);
-
-        // Restore and set actual scenes
-        state.scenes = tempScenes;
-      }
-
       state.scenes = newScenes;
-      // Record an initial snapshot once so that the first undo after a user
-      // action (e.g. delete) can restore to the pre-change state. Avoid
-      // pushing subsequent server-driven updates into history.
-      if (!state.isUndoRedoOperation && state.history.length === 0) {
-        sceneSlice.caseReducers.saveToHistory(state);
-      }
     },
 
     updateScene: (state, action) => {
@@ -125,11 +90,6 @@ const sceneSlice = createSlice({
             ...updates,
           };
         }
-
-        // Save state to history
-        if (!state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
 
@@ -150,11 +110,6 @@ const sceneSlice = createSlice({
         });
 
         state.scenes = scenes;
-
-        // Save state to history
-        if (!state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
 
@@ -209,11 +164,6 @@ const sceneSlice = createSlice({
         // If we deleted the active scene, set the first remaining scene as active
         state.activeScene = { ...state.scenes[0] };
       }
-
-      // Save state to history
-      if (!state.isUndoRedoOperation) {
-        sceneSlice.caseReducers.saveToHistory(state);
-      }
     },
 
     addScene: (state, action) => {
@@ -237,11 +187,6 @@ const sceneSlice = createSlice({
       });
 
       state.scenes = scenes;
-
-      // Save state to history
-      if (!state.isUndoRedoOperation) {
-        sceneSlice.caseReducers.saveToHistory(state);
-      }
     },
 
     updateSceneTitle: (state, action) => {
@@ -250,11 +195,6 @@ const sceneSlice = createSlice({
 
       if (sceneIndex !== -1) {
         state.scenes[sceneIndex].title = newTitle;
-
-        // Save state to history
-        if (!state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
 
@@ -311,11 +251,6 @@ const sceneSlice = createSlice({
           state.scenes[sceneIndex].tags = [];
         }
         state.scenes[sceneIndex].tags.push(tag);
-
-        // Save state to history
-        if (!state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
     updateSceneTag: (state, action) => {
@@ -328,11 +263,6 @@ const sceneSlice = createSlice({
         );
         if (tagIndex !== -1) {
           state.scenes[sceneIndex].tags[tagIndex].name = name;
-
-          // Save state to history
-          if (!state.isUndoRedoOperation) {
-            sceneSlice.caseReducers.saveToHistory(state);
-          }
         }
       }
     },
@@ -370,11 +300,6 @@ const sceneSlice = createSlice({
         const isTransitionFromPlaceholder =
           isCurrentPlaceholder && isNewImageAssigned;
 
-        // If transitioning from placeholder to assigned image, save current state first
-        if (isTransitionFromPlaceholder && !state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
-
         // Always use placeholder object instead of null for consistency
         state.scenes[sceneIndex].selectedImage =
           selectedImage || createPlaceholderImage();
@@ -461,11 +386,6 @@ const sceneSlice = createSlice({
               scene.currentNegativePromptVersionIndex;
           }
         }
-
-        // Save state to history
-        if (!state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
 
@@ -483,11 +403,6 @@ const sceneSlice = createSlice({
         const isTransitionFromPlaceholder =
           isCurrentPlaceholder && isNewImageAssigned;
 
-        // If transitioning from placeholder to assigned image, save current state first
-        if (isTransitionFromPlaceholder && !state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
-
         state.scenes[sceneIndex].selectedImage =
           selectedImage || createPlaceholderImage();
 
@@ -495,11 +410,6 @@ const sceneSlice = createSlice({
           state.activeScene.selectedImage =
             selectedImage || createPlaceholderImage();
         }
-
-        // Save state to history to preserve placeholder/image transitions
-        if (!state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
     splitScene: (state, action) => {
@@ -542,11 +452,6 @@ const sceneSlice = createSlice({
         if (state.activeScene && state.activeScene._id === sceneId) {
           state.activeScene.text = newText;
         }
-
-        // Save state to history if not in undo/redo operation
-        if (!state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
 
@@ -579,11 +484,6 @@ const sceneSlice = createSlice({
         for (let i = sceneIndex; i < state.scenes.length; i++) {
           state.scenes[i].order = i;
         }
-
-        // Save state to history
-        if (!state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
 
@@ -613,11 +513,6 @@ const sceneSlice = createSlice({
         for (let i = sceneIndex + 1; i < state.scenes.length; i++) {
           state.scenes[i].order = i;
         }
-
-        // Save state to history
-        if (!state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
 
@@ -666,11 +561,6 @@ const sceneSlice = createSlice({
           duplicatedSceneId: duplicatedScene._id,
           timestamp: new Date().toISOString(),
         });
-
-        // Save state to history
-        if (!state.isUndoRedoOperation) {
-          sceneSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
 
@@ -694,11 +584,6 @@ const sceneSlice = createSlice({
               : scene.selectedImage?.negativePrompt,
         },
       }));
-
-      // Save state to history
-      if (!state.isUndoRedoOperation) {
-        sceneSlice.caseReducers.saveToHistory(state);
-      }
     },
 
     clearPendingChanges: state => {
@@ -709,124 +594,13 @@ const sceneSlice = createSlice({
       state.lastSyncTimestamp = action.payload;
     },
 
-    saveToHistory: state => {
-      if (state.isUndoRedoOperation) {
-        return;
-      }
-
-      // Create a deep copy of the current state
-      const snapshot = {
-        scenes: state.scenes.map(scene => ({
-          ...scene,
-          tags: scene.tags ? [...scene.tags] : [],
-          selectedImage:
-            scene.selectedImage &&
-            scene.selectedImage !== false &&
-            typeof scene.selectedImage === 'object'
-              ? { ...scene.selectedImage }
-              : createPlaceholderImage(),
-        })),
-        activeScene: state.activeScene ? { ...state.activeScene } : null,
-        activeSentence: state.activeSentence
-          ? { ...state.activeSentence }
-          : null,
-        selectedElement: state.selectedElement
-          ? { ...state.selectedElement }
-          : null,
-      };
-
-      // Remove future states if we're in the middle of history
-      if (state.currentHistoryIndex < state.history.length - 1) {
-        state.history = state.history.slice(0, state.currentHistoryIndex + 1);
-      }
-
-      // Add new state
-      state.history.push(snapshot);
-      state.currentHistoryIndex++;
-
-      // Limit history size
-      if (state.history.length > MAX_HISTORY_LENGTH) {
-        const overflow = state.history.length - MAX_HISTORY_LENGTH;
-        state.history = state.history.slice(overflow);
-        state.currentHistoryIndex = Math.max(
-          0,
-          state.currentHistoryIndex - overflow
-        );
-      }
-    },
-
-    undo: state => {
-      if (state.currentHistoryIndex > 0) {
-        state.isUndoRedoOperation = true;
-        state.currentHistoryIndex--;
-        const previousState = state.history[state.currentHistoryIndex];
-
-        // Ensure deep copy of all state properties with false value normalization
-        state.scenes = previousState.scenes.map(scene => ({
-          ...scene,
-          tags: scene.tags ? [...scene.tags] : [],
-          selectedImage:
-            scene.selectedImage &&
-            scene.selectedImage !== false &&
-            typeof scene.selectedImage === 'object'
-              ? { ...scene.selectedImage }
-              : createPlaceholderImage(), // Normalize false/null/undefined to placeholder
-        }));
-        state.activeScene = previousState.activeScene
-          ? { ...previousState.activeScene }
-          : null;
-        state.activeSentence = previousState.activeSentence
-          ? { ...previousState.activeSentence }
-          : null;
-        state.selectedElement = previousState.selectedElement
-          ? { ...previousState.selectedElement }
-          : null;
-
-        state.isUndoRedoOperation = false;
-
-        // Trigger canvas sync by dispatching window event for components to listen
-        if (typeof window !== 'undefined') {
-          window.dispatchEvent(
-            new CustomEvent('sceneUndoRedo', {
-              detail: {
-                type: 'undo',
-                activeScene: state.activeScene,
-                scenes: state.scenes,
-              },
-            })
-          );
-        }
-      }
-    },
-
-    redo: state => {
-      if (state.currentHistoryIndex < state.history.length - 1) {
-        state.isUndoRedoOperation = true;
-        state.currentHistoryIndex++;
-        const nextState = state.history[state.currentHistoryIndex];
-
-        // Ensure deep copy of all state properties with false value normalization
-        state.scenes = nextState.scenes.map(scene => ({
-          ...scene,
-          tags: scene.tags ? [...scene.tags] : [],
-          selectedImage:
-            scene.selectedImage &&
-            scene.selectedImage !== false &&
-            typeof scene.selectedImage === 'object'
-              ? { ...scene.selectedImage }
-              : createPlaceholderImage(), // Normalize false/null/undefined to placeholder
-        }));
-        state.activeScene = nextState.activeScene
-          ? { ...nextState.activeScene }
-          : null;
-        state.activeSentence = nextState.activeSentence
-          ? { ...nextState.activeSentence }
-          : null;
-        state.selectedElement = nextState.selectedElement
-          ? { ...nextState.selectedElement }
-          : null;
-
-        state.isUndoRedoOperation = false;
+    // Applied by historyMiddleware on undo, redo or a jump in the history
+    restoreFromHistory: (state, action) => {
+      state.scenes = action.payload.scenes;
+      if (state.activeScene) {
+        state.activeScene =
+          state.scenes.find(scene => scene._id === state.activeScene._id) ||
+          null;
       }
     },
 
@@ -918,8 +692,6 @@ const sceneSlice = createSlice({
           state.activeScene = null;
           state.activeSentence = null;
           state.selectedElement = null;
-          state.history = [];
-          state.currentHistoryIndex = -1;
         }
         state.currentStoryId = newStoryId;
       })
@@ -929,11 +701,7 @@ const sceneSlice = createSlice({
         state.activeScene = null;
         state.activeSentence = null;
         state.selectedElement = null;
-        state.history = [];
-        state.currentHistoryIndex = -1;
       });
-    // Do not reset scene history on every story refetch; history is
-    // already reset on actual story switches via setCurrentStory
   },
 });
 
@@ -964,9 +732,7 @@ export const {
   duplicateScene,
   clearPendingChanges,
   updateLastSyncTimestamp,
-  saveToHistory,
-  undo,
-  redo,
+  restoreFromHistory,
   resetState,
   removeAllAssignedImages,
   removeAllprompts,
@@ -980,8 +746,5 @@ export const selectActiveSentence = state => state.scene.activeSentence;
 export const selectSelectedElement = state => state.scene.selectedElement;
 export const selectGeneratingPromptType = state =>
   state.scene.generatingPromptType;
-export const selectCanUndo = state => state.scene.currentHistoryIndex > 0;
-export const selectCanRedo = state =>
-  state.scene.currentHistoryIndex < state.scene.history.length - 1;
 
 export default sceneSlice.reducer;
@@ -13,9 +13,13 @@ import storiesReducer from './stories/storiesSlice';
 import sceneReducer from './scene/sceneSlice';
 import timelineReducer from './timeline/timelineSlice';
 import syncReducer from './sync/syncSlice';
+import historyReducer from './history/historySlice';
+import collaborationReducer from './collaboration/collaborationSlice';
 import { setupListeners } from '@reduxjs/toolkit/query';
 import { fullSyncMiddleware } from './middleware/syncMiddleware';
 import debouncedActionsMiddleware from './middleware/debouncedActionsMiddleware';
+import { historyMiddleware } from './middleware/historyMiddleware';
+import { collaborationMiddleware } from './middleware/collaborationMiddleware';
 
 export const store = configureStore({
   reducer: {
@@ -24,6 +28,8 @@ export const store = configureStore({
     stories: storiesReducer,
     timeline: timelineReducer,
     sync: syncReducer,
+    history: historyReducer,
+    collaboration: collaborationReducer,
   },
   middleware: getDefaultMiddleware =>
     getDefaultMiddleware({
@@ -37,6 +43,7 @@ export const store = configureStore({
           PURGE,
           REGISTER,
           'timeline/updateFromStore',
+          'history/recordCommand',
           /^storyApi\/.*\/pending$/,
           /^storyApi\/.*\/fulfilled$/,
           /^storyApi\/.*\/rejected$/,
@@ -53,9 +60,15 @@ export const store = configureStore({
         ignoredPaths: [
           'timeline.editorElements.fabricObject',
           'timeline.editorElements.properties.wordObjects',
+          'history.entries',
         ],
       },
-    }).concat(fullSyncMiddleware, debouncedActionsMiddleware()),
+    }).concat(
+      fullSyncMiddleware,
+      debouncedActionsMiddleware(),
+      historyMiddleware,
+      collaborationMiddleware
+    ),
 });
 
 setupListeners(store.dispatch);
@@ -1,74 +1,25 @@
 import { createSlice } from '@reduxjs/toolkit';
 
-const MAX_HISTORY_LENGTH = 50;
-
 const initialState = {
   currentStory: null,
   loading: false,
   error: null,
-  history: [],
-  currentHistoryIndex: -1,
-  isUndoRedoOperation: false,
   autoGenerateImages: false,
 };
 
-const saveToHistory = state => {
-  if (state.isUndoRedoOperation) return;
-
-  if (state.currentHistoryIndex < state.history.length - 1) {
-    state.history = state.history.slice(0, state.currentHistoryIndex + 1);
-  }
-
-  state.history.push({ ...state.currentStory });
-  state.currentHistoryIndex++;
-
-  if (state.history.length > MAX_HISTORY_LENGTH) {
-    state.history = state.history.slice(-MAX_HISTORY_LENGTH);
-    state.currentHistoryIndex = state.history.length - 1;
-  }
-};
-
 const storiesSlice = createSlice({
   name: 'stories',
   initialState,
   reducers: {
     setCurrentStory: (state, action) => {
-      if (state.isUndoRedoOperation) {
-        state.currentStory = action.payload;
-        return;
-      }
-
-      // Save current state to history before updating
-      if (state.currentStory) {
-        saveToHistory(state);
-      }
-
       state.currentStory = action.payload;
     },
     clearCurrentStory: state => {
       state.currentStory = null;
-      state.history = [];
-      state.currentHistoryIndex = -1;
-    },
-    undo: state => {
-      if (state.currentHistoryIndex > 0 && state.history.length > 0) {
-        state.isUndoRedoOperation = true;
-        state.currentHistoryIndex--;
-        state.currentStory = { ...state.history[state.currentHistoryIndex] };
-        state.isUndoRedoOperation = false;
-      }
-    },
-    redo: state => {
-      if (state.currentHistoryIndex < state.history.length - 1) {
-        state.isUndoRedoOperation = true;
-        state.currentHistoryIndex++;
-        state.currentStory = { ...state.history[state.currentHistoryIndex] };
-        state.isUndoRedoOperation = false;
-      }
     },
-    clearHistory: state => {
-      state.history = [];
-      state.currentHistoryIndex = -1;
+    // Applied by historyMiddleware on undo, redo or a jump in the history
+    restoreFromHistory: (state, action) => {
+      state.currentStory = action.payload.currentStory;
     },
     updateStoryStyle: (state, action) => {
       if (state.currentStory) {
@@ -77,10 +28,6 @@ const storiesSlice = createSlice({
           style: action.payload.style,
         };
       }
-
-      if (!state.isUndoRedoOperation) {
-        saveToHistory(state);
-      }
     },
     deleteImage: (state, action) => {
       if (!state.currentStory || !state.currentStory.images) {
@@ -101,32 +48,8 @@ const storiesSlice = createSlice({
         }
         return generation;
       });
-
-      // Save to history after successful deletion
-      if (!state.isUndoRedoOperation) {
-        saveToHistory(state);
-      }
     },
     toggleImageReaction: (state, action) => {
-      if (state.isUndoRedoOperation) {
-        state.currentStory = action.payload;
-        return;
-      }
-
-      // Save current state to history before updating
-      if (state.currentStory) {
-        if (state.currentHistoryIndex < state.history.length - 1) {
-          state.history = state.history.slice(0, state.currentHistoryIndex + 1);
-        }
-        state.history.push({ ...state.currentStory });
-        state.currentHistoryIndex++;
-
-        if (state.history.length > MAX_HISTORY_LENGTH) {
-          state.history = state.history.slice(-MAX_HISTORY_LENGTH);
-          state.currentHistoryIndex = state.history.length - 1;
-        }
-      }
-
       const { imageId, generationId, username, reactionType } = action.payload;
 
       if (state.currentStory?.images) {
@@ -174,10 +97,6 @@ const storiesSlice = createSlice({
             return generation;
           }
         );
-
-        if (!state.isUndoRedoOperation) {
-          saveToHistory(state);
-        }
       }
     },
     setAutoGenerateImages: (state, action) => {
@@ -189,9 +108,7 @@ const storiesSlice = createSlice({
 export const {
   setCurrentStory,
   clearCurrentStory,
-  undo,
-  redo,
-  clearHistory,
+  restoreFromHistory,
   deleteImage,
   toggleImageReaction,
   updateStoryStyle,
@@ -201,8 +118,5 @@ export const {
 export const selectCurrentStory = state => state.stories.currentStory;
 export const selectStoriesLoading = state => state.stories.loading;
 export const selectStoriesError = state => state.stories.error;
-export const selectCanUndo = state => state.stories.currentHistoryIndex > 0;
-export const selectCanRedo = state =>
-  state.stories.currentHistoryIndex < state.stories.history.length - 1;
 
 export default storiesSlice.reducer;
@@ -1,12 +1,13 @@
 import { createSlice } from '@reduxjs/toolkit';
 
 const initialState = {
-  status: 'synced', // 'synced', 'pending', 'syncing', 'error'
+  status: 'synced', // 'synced', 'pending', 'syncing', 'error', 'conflict'
   lastSyncTime: null,
   hasUnsavedChanges: false,
   pendingChanges: 0,
   errorMessage: null,
   resyncNeeded: false, // Flag to indicate changes occurred during sync
+  conflict: null, // { remoteVersion, conflicts } while waiting for the user
 };
 
 const syncSlice = createSlice({
@@ -54,6 +55,24 @@ const syncSlice = createSlice({
       state.errorMessage = action.payload || 'Sync failed';
     },
 
+    // Someone else saved the story and some of their changes overlap ours
+    syncConflict: (state, action) => {
+      state.status = 'conflict';
+      state.conflict = action.payload;
+      state.errorMessage = null;
+    },
+
+    // Dispatched by the resolution dialog with 'local' or 'remote' per
+    // conflict key; the sync middleware applies the choices
+    resolveConflict: (state, action) => {},
+
+    // The resolved story still has to be saved
+    conflictResolved: (state) => {
+      state.status = 'pending';
+      state.conflict = null;
+      state.hasUnsavedChanges = true;
+    },
+
     // Reset sync state
     resetSyncState: (state) => {
       return {
@@ -79,6 +98,9 @@ export const {
   syncError,
   resetSyncState,
   clearError,
+  syncConflict,
+  resolveConflict,
+  conflictResolved,
 } = syncSlice.actions;
 
 // Selectors
@@ -88,5 +110,6 @@ export const selectLastSyncTime = (state) => state.sync.lastSyncTime;
 export const selectSyncError = (state) => state.sync.errorMessage;
 export const selectPendingChanges = (state) => state.sync.pendingChanges;
 export const selectResyncNeeded = (state) => state.sync.resyncNeeded;
+export const selectSyncConflict = (state) => state.sync.conflict;
 
 export default syncSlice.reducer;
\ No newline at end of file
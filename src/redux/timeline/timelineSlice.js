@@ -1,10 +1,10 @@
 import { createSlice } from '@reduxjs/toolkit';
 
-const MAX_HISTORY_LENGTH = 50;
-
 const initialState = {
   editorElements: [],
   animations: [],
+  markers: [], // Named timeline markers, also exported as chapters
+  rowSettings: {}, // Per-row name, lock, hide, mute and solo keyed by row index
   subtitles: {
     backgroundColor: '',
     backgroundRadius: 0,
@@ -33,10 +33,7 @@ const initialState = {
   backgroundColor: '',
   fps: 0,
   synchronise: false,
-  // History management
-  history: [],
-  currentHistoryIndex: -1,
-  isUndoRedoOperation: false,
+  hasSavedState: false, // Set by the first saveTimelineStateAction
   pendingChanges: [],
   lastSyncTimestamp: null,
 };
@@ -171,91 +168,6 @@ const timelineSlice = createSlice({
     resetState: state => {
       return initialState;
     },
-    // Add history management helper
-    saveToHistory: state => {
-      if (state.isUndoRedoOperation) {
-        return;
-      }
-
-      // Create a clean copy of the current state without MobX mutations
-      const cleanState = createCleanStateCopy(
-        state.editorElements,
-        state.animations || [],
-        state.subtitles
-      );
-
-      const replacer = (k, v) => {
-        // Drop known circular/heavy refs if they slipped through
-        if (
-          k === 'fabricObject' ||
-          k === 'canvas' ||
-          k === 'freeDrawingBrush' ||
-          k === 'ctx' ||
-          k === 'context' ||
-          k === 'renderer' ||
-          k === 'originalAnimation' ||
-          k === 'actualAnimation' ||
-          k === 'targetElement'
-        ) {
-          return undefined;
-        }
-        return v;
-      };
-
-      const snapshot = {
-        editorElements: JSON.parse(JSON.stringify(cleanState.editorElements || [], replacer)),
-        animations: JSON.parse(JSON.stringify(cleanState.animations || [], replacer)),
-        subtitles: JSON.parse(JSON.stringify(cleanState.subtitles || {}, replacer)),
-        maxTime: state.maxTime,
-        backgroundColor: state.backgroundColor,
-        fps: state.fps,
-        synchronise: state.synchronise,
-      };
-
-      // Don't save if this is the same as the last saved state
-      if (state.history.length > 0) {
-        const lastState = state.history[state.history.length - 1];
-        try {
-          // Use safe comparison for history states
-          const lastElements = JSON.stringify(lastState.editorElements || []);
-          const currentElements = JSON.stringify(snapshot.editorElements || []);
-          if (lastElements === currentElements) {
-            return;
-          }
-        } catch (error) {
-          // If comparison fails, save anyway to be safe
-        }
-      }
-
-      // Allow empty state only for the very first snapshot (init)
-      if (!snapshot.editorElements || snapshot.editorElements.length === 0) {
-        if (state.history.length > 0) {
-          return;
-        }
-      }
-
-      // Remove future states if we're in the middle of history
-      if (state.currentHistoryIndex < state.history.length - 1) {
-        state.history = state.history.slice(0, state.currentHistoryIndex + 1);
-      }
-
-      // Add new state
-      state.history.push(snapshot);
-      state.currentHistoryIndex++;
-
-      // (debug logs removed)
-
-      // Limit history size
-      if (state.history.length > MAX_HISTORY_LENGTH) {
-        const overflow = state.history.length - MAX_HISTORY_LENGTH;
-        state.history = state.history.slice(overflow);
-        state.currentHistoryIndex = Math.max(
-          0,
-          state.currentHistoryIndex - overflow
-        );
-      }
-    },
-
     setEditorElements: (state, action) => {
       // Create clean copies without MobX mutations and fabric objects
       const cleanState = createCleanStateCopy(
@@ -288,137 +200,45 @@ const timelineSlice = createSlice({
       if (hasChanges) {
         state.editorElements = cleanState.editorElements;
         state.animations = cleanState.animations;
-
-        if (!state.isUndoRedoOperation) {
-          timelineSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
 
-    syncWithSceneHistory: (state, action) => {
-      const { sceneHistoryIndex, sceneHistoryLength } = action.payload;
+    // Applied by historyMiddleware on undo, redo or a jump in the history
+    // panel; the editor picks the restored state up from the event
+    restoreFromHistory: (state, action) => {
+      const restored = action.payload;
+      Object.assign(state, restored);
 
-      if (state.history.length < sceneHistoryLength) {
-        // Create clean state copy
-        const cleanState = createCleanStateCopy(
-          state.editorElements,
-          state.animations,
-          state.subtitles
-        );
-
-        const currentState = {
-          ...cleanState,
-          maxTime: state.maxTime,
-          backgroundColor: state.backgroundColor,
-          fps: state.fps,
-          synchronise: state.synchronise,
-        };
-
-        while (state.history.length < sceneHistoryLength) {
-          state.history.push(JSON.parse(JSON.stringify(currentState)));
-        }
-      }
-
-      state.currentHistoryIndex = sceneHistoryIndex;
+      window.dispatchEvent(
+        new CustomEvent('timelineStateChanged', {
+          detail: restored,
+        })
+      );
     },
 
-    undo: state => {
-      // Check if we can undo
-      if (state.currentHistoryIndex <= 0) {
-        return;
-      }
-
-      // Get previous state
-      const previousState = state.history[state.currentHistoryIndex - 1];
-      if (!previousState) {
-        return;
-      }
-
-      // Validate previous state
-      if (
-        !previousState.editorElements ||
-        !Array.isArray(previousState.editorElements)
-      ) {
-        // Invalid previous state; skip undo
-        return;
-      }
-
-      // (debug logs removed)
+    // Applied by the sync middleware after merging changes another tab or
+    // user saved to the same story
+    applyRemoteChanges: (state, action) => {
+      const merged = action.payload;
+      Object.assign(state, merged);
 
-      // Restore all state properties with deep cloning
-      state.isUndoRedoOperation = true;
-      state.editorElements = JSON.parse(
-        JSON.stringify(previousState.editorElements)
-      );
-      state.animations = JSON.parse(
-        JSON.stringify(previousState.animations || [])
-      );
-      state.subtitles = JSON.parse(
-        JSON.stringify(previousState.subtitles || {})
-      );
-      state.maxTime = previousState.maxTime || 0;
-      state.backgroundColor = previousState.backgroundColor || '';
-      state.fps = previousState.fps || 0;
-      state.synchronise = previousState.synchronise || false;
-      state.currentHistoryIndex--;
-      state.isUndoRedoOperation = false;
-
-      // Trigger canvas update through custom event
       window.dispatchEvent(
         new CustomEvent('timelineStateChanged', {
-          detail: {
-            editorElements: state.editorElements,
-            animations: state.animations,
-          },
+          detail: merged,
         })
       );
     },
 
-    redo: state => {
-      if (state.currentHistoryIndex < state.history.length - 1) {
-        state.currentHistoryIndex++;
-        const nextState = state.history[state.currentHistoryIndex];
+    // Element operations broadcast by collaborators editing the story live
+    applyRemoteOperations: (state, action) => {
+      const updated = action.payload;
+      Object.assign(state, updated);
 
-        // Validate next state
-        if (
-          !nextState ||
-          !nextState.editorElements ||
-          !Array.isArray(nextState.editorElements)
-        ) {
-          // Invalid next state; skip redo
-          state.currentHistoryIndex--; // Revert index change
-          return;
-        }
-
-        // (debug logs removed)
-
-        state.isUndoRedoOperation = true;
-
-        // Restore all state properties
-        state.editorElements = JSON.parse(
-          JSON.stringify(nextState.editorElements)
-        );
-        state.animations = JSON.parse(
-          JSON.stringify(nextState.animations || [])
-        );
-        state.subtitles = JSON.parse(JSON.stringify(nextState.subtitles || {}));
-        state.maxTime = nextState.maxTime || 0;
-        state.backgroundColor = nextState.backgroundColor || '';
-        state.fps = nextState.fps || 0;
-        state.synchronise = nextState.synchronise || false;
-
-        state.isUndoRedoOperation = false;
-
-        // Trigger canvas update through custom event
-        window.dispatchEvent(
-          new CustomEvent('timelineStateChanged', {
-            detail: {
-              editorElements: state.editorElements,
-              animations: state.animations,
-            },
-          })
-        );
-      }
+      window.dispatchEvent(
+        new CustomEvent('timelineStateChanged', {
+          detail: updated,
+        })
+      );
     },
 
     updateFromStore: (state, action) => {
@@ -426,6 +246,8 @@ const timelineSlice = createSlice({
         editorElements,
         animations,
         subtitles,
+        markers,
+        rowSettings,
         maxTime,
         backgroundColor,
         fps,
@@ -446,14 +268,16 @@ const timelineSlice = createSlice({
         state.editorElements = cleanState.editorElements;
         state.animations = cleanState.animations;
         state.subtitles = cleanState.subtitles;
+        if (markers) {
+          state.markers = markers;
+        }
+        if (rowSettings) {
+          state.rowSettings = rowSettings;
+        }
         state.maxTime = maxTime;
         state.backgroundColor = backgroundColor;
         state.fps = fps;
         state.synchronise = synchronise;
-
-        if (!state.isUndoRedoOperation) {
-          timelineSlice.caseReducers.saveToHistory(state);
-        }
       }
     },
 
@@ -470,7 +294,13 @@ const timelineSlice = createSlice({
     },
 
     saveTimelineStateAction: (state, action) => {
-      const { editorElements, animations, isInitialization } = action.payload;
+      const {
+        editorElements,
+        animations,
+        markers,
+        rowSettings,
+        isInitialization,
+      } = action.payload;
 
       // Don't save during initialization phase
       if (isInitialization) {
@@ -489,21 +319,22 @@ const timelineSlice = createSlice({
         state.subtitles
       );
 
-      // If this is the very first snapshot, always save it (even if empty/no changes)
-      if (state.history.length === 0) {
+      // The very first save is always applied (even if empty/no changes)
+      if (!state.hasSavedState) {
         state.editorElements = cleanState.editorElements;
         state.animations = cleanState.animations;
         state.subtitles = cleanState.subtitles;
-
-        if (!state.isUndoRedoOperation) {
-          timelineSlice.caseReducers.saveToHistory(state);
-        }
+        state.markers = markers || state.markers;
+        state.rowSettings = rowSettings || state.rowSettings;
+        state.hasSavedState = true;
         return;
       }
 
       // Check if this is actually a meaningful change using safe comparison
       let hasElementsChanged = true;
       let hasAnimationsChanged = true;
+      let hasMarkersChanged = true;
+      let hasRowSettingsChanged = true;
 
       try {
         hasElementsChanged =
@@ -512,8 +343,18 @@ const timelineSlice = createSlice({
         hasAnimationsChanged =
           JSON.stringify(state.animations) !==
           JSON.stringify(cleanState.animations);
+        hasMarkersChanged =
+          !!markers && JSON.stringify(state.markers) !== JSON.stringify(markers);
+        hasRowSettingsChanged =
+          !!rowSettings &&
+          JSON.stringify(state.rowSettings) !== JSON.stringify(rowSettings);
 
-        if (!hasElementsChanged && !hasAnimationsChanged) {
+        if (
+          !hasElementsChanged &&
+          !hasAnimationsChanged &&
+          !hasMarkersChanged &&
+          !hasRowSettingsChanged
+        ) {
           return;
         }
       } catch (error) {
@@ -522,10 +363,8 @@ const timelineSlice = createSlice({
 
       state.editorElements = cleanState.editorElements;
       state.animations = cleanState.animations;
-
-      if (!state.isUndoRedoOperation) {
-        timelineSlice.caseReducers.saveToHistory(state);
-      }
+      state.markers = markers || state.markers;
+      state.rowSettings = rowSettings || state.rowSettings;
     },
     saveTimelineData: (state, action) => {
       // This is an empty trigger action that doesn't modify the state
@@ -538,21 +377,22 @@ const timelineSlice = createSlice({
 
 export const {
   setEditorElements,
-  syncWithSceneHistory,
-  undo,
-  redo,
+  restoreFromHistory,
+  applyRemoteChanges,
+  applyRemoteOperations,
   updateFromStore,
   clearTimeline,
   updateLastSyncTimestamp,
   clearPendingChanges,
-  saveToHistory,
   resetState,
   saveTimelineStateAction,
   saveTimelineData,
 } = timelineSlice.actions;
 
 // Add new action creator for safely copying and setting editor elements
-export const saveTimelineState = store => dispatch => {
+// `isEcho` marks a save that only writes back state the editor was just
+// given from Redux (after undo, redo or a remote merge), so history skips it
+export const saveTimelineState = (store, { isEcho = false } = {}) => dispatch => {
   try {
     // Add recursion protection - check if we're already saving
     if (store._isSaving) {
@@ -617,9 +457,12 @@ export const saveTimelineState = store => dispatch => {
           }
           return v;
         })),
+        markers: JSON.parse(JSON.stringify(store.markers || [])),
+        rowSettings: JSON.parse(JSON.stringify(store.rowSettings || {})),
         isInitialization: store.isInitializationInProgress || false,
       };
-      dispatch(saveTimelineStateAction(payload));
+      const action = saveTimelineStateAction(payload);
+      dispatch(isEcho ? { ...action, meta: { isHistoryEcho: true } } : action);
     } finally {
       // Always clear the saving flag
       store._isSaving = false;
@@ -632,8 +475,5 @@ export const saveTimelineState = store => dispatch => {
 };
 
 export const selectEditorElements = state => state.timeline.editorElements;
-export const selectCanUndo = state => state.timeline.currentHistoryIndex > 0;
-export const selectCanRedo = state =>
-  state.timeline.currentHistoryIndex < state.timeline.history.length - 1;
 
 export default timelineSlice.reducer;
@@ -58,4 +58,12 @@ export const uploadImageSecurely = async (file, onProgress) => {
 
 export const uploadAudioSecurely = async (file, onProgress) => {
   return uploadFileWithPresignedUrl(file, onProgress);
+};
+
+// Browsers give .cube files no MIME type, so send them as plain text
+export const uploadLutSecurely = async (file, onProgress) => {
+  const lutFile = file.type
+    ? file
+    : new File([file], file.name, { type: 'text/plain' });
+  return uploadFileWithPresignedUrl(lutFile, onProgress);
 }; 
\ No newline at end of file
@@ -0,0 +1,42 @@
+import axios from 'axios';
+import { store } from '../redux/store';
+
+const BASE_URL = process.env.REACT_APP_BACKEND_URL;
+
+const getAuthHeaders = () => {
+  const state = store.getState();
+  const token = state.auth.token;
+
+  return {
+    Authorization: `Bearer ${token}`,
+  };
+};
+
+// Errors are not reported here: the sync middleware keeps failed changes in
+// the offline queue and decides what to show
+export const updateStory = async (storyId, storyData) => {
+  const response = await axios.put(`${BASE_URL}story/${storyId}`, storyData, {
+    headers: getAuthHeaders(),
+  });
+  return response.data;
+};
+
+// The server rejects a save made on top of an outdated version with 409 and
+// the story as it is now
+export const isConflictError = error => error?.response?.status === 409;
+
+// null when the 409 came without a usable story body
+export const getConflictingStory = error => {
+  const data = error?.response?.data;
+  const story = data?.story || data;
+  return story && typeof story === 'object' && story.editorParams
+    ? story
+    : null;
+};
+
+// True when the request never reached the server
+export const isNetworkError = error =>
+  !error?.response &&
+  (error?.code === 'ERR_NETWORK' ||
+    error?.message === 'Network Error' ||
+    (typeof navigator !== 'undefined' && navigator.onLine === false));
@@ -0,0 +1,130 @@
+import {
+  evaluateKeyframes,
+  getKeyframeTimes,
+  interpolateTrack,
+  mapKeyframes,
+  upsertKeyframe,
+} from '../keyframes';
+
+const track = [
+  { id: 'b', time: 1000, value: 100, easing: 'linear' },
+  { id: 'a', time: 0, value: 0, easing: 'linear' },
+  { id: 'c', time: 2000, value: 50, easing: 'hold' },
+  { id: 'd', time: 3000, value: 0 },
+];
+
+describe('interpolateTrack', () => {
+  it('returns undefined for an empty track', () => {
+    expect(interpolateTrack([], 500)).toBeUndefined();
+    expect(interpolateTrack(undefined, 500)).toBeUndefined();
+  });
+
+  it('holds the first and last values outside the keyframed range', () => {
+    expect(interpolateTrack(track, -200)).toBe(0);
+    expect(interpolateTrack(track, 5000)).toBe(0);
+  });
+
+  it('interpolates linearly between unsorted keyframes', () => {
+    expect(interpolateTrack(track, 250)).toBe(25);
+    expect(interpolateTrack(track, 1500)).toBe(75);
+  });
+
+  it('keeps the value of a hold keyframe until the next one', () => {
+    expect(interpolateTrack(track, 2999)).toBe(50);
+    expect(interpolateTrack(track, 3000)).toBe(0);
+  });
+
+  it('applies the easing of the keyframe that starts the segment', () => {
+    const eased = [
+      { time: 0, value: 0, easing: 'easeIn' },
+      { time: 1000, value: 100 },
+    ];
+    expect(interpolateTrack(eased, 500)).toBeCloseTo(12.5);
+  });
+});
+
+describe('evaluateKeyframes', () => {
+  it('evaluates every track relative to the element start', () => {
+    const element = {
+      timeFrame: { start: 2000, end: 6000 },
+      keyframes: {
+        x: [
+          { time: 0, value: 10 },
+          { time: 1000, value: 20 },
+        ],
+        opacity: [{ time: 0, value: 0.5 }],
+        y: [],
+      },
+    };
+    expect(evaluateKeyframes(element, 2500)).toEqual({ x: 15, opacity: 0.5 });
+  });
+
+  it('returns nothing for elements without keyframes', () => {
+    expect(evaluateKeyframes({ timeFrame: { start: 0, end: 1 } }, 0)).toEqual(
+      {}
+    );
+  });
+});
+
+describe('upsertKeyframe', () => {
+  it('inserts keyframes sorted by time', () => {
+    const keyframes = upsertKeyframe(
+      { x: [{ id: 'a', time: 1000, value: 1, easing: 'linear' }] },
+      'x',
+      { id: 'b', time: 0, value: 0 }
+    );
+    expect(keyframes.x.map(keyframe => keyframe.id)).toEqual(['b', 'a']);
+    expect(keyframes.x[0].easing).toBe('linear');
+  });
+
+  it('replaces a keyframe at the same time, keeping its id and easing', () => {
+    const original = {
+      x: [{ id: 'a', time: 1000, value: 1, easing: 'easeOut' }],
+    };
+    const keyframes = upsertKeyframe(original, 'x', {
+      id: 'new',
+      time: 1000.5,
+      value: 2,
+    });
+    expect(keyframes.x).toEqual([
+      { id: 'a', time: 1000.5, value: 2, easing: 'easeOut' },
+    ]);
+    expect(original.x[0].value).toBe(1);
+  });
+});
+
+describe('mapKeyframes', () => {
+  it('updates matching keyframes and drops emptied tracks', () => {
+    const keyframes = {
+      x: [
+        { id: 'a', time: 0, value: 0 },
+        { id: 'b', time: 500, value: 1 },
+      ],
+      y: [{ id: 'c', time: 500, value: 2 }],
+    };
+    const result = mapKeyframes(
+      keyframes,
+      keyframe => keyframe.time === 500,
+      (keyframe, property) =>
+        property === 'x' ? { ...keyframe, time: -100 } : null
+    );
+    expect(result).toEqual({
+      x: [
+        { id: 'b', time: -100, value: 1 },
+        { id: 'a', time: 0, value: 0 },
+      ],
+    });
+  });
+});
+
+describe('getKeyframeTimes', () => {
+  it('lists distinct times across tracks', () => {
+    const element = {
+      keyframes: {
+        x: [{ time: 1000 }, { time: 0 }],
+        y: [{ time: 1000.4 }, { time: 2000 }],
+      },
+    };
+    expect(getKeyframeTimes(element)).toEqual([0, 1000, 2000]);
+  });
+});
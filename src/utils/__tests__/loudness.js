@@ -0,0 +1,111 @@
+import {
+  dbToGain,
+  gainToDb,
+  limitTruePeak,
+  measureIntegratedLoudness,
+  measureLoudness,
+  measureTruePeak,
+} from '../loudness';
+
+const SAMPLE_RATE = 48000;
+
+// Just the parts of an AudioBuffer the meter reads
+const createBuffer = channels => ({
+  sampleRate: SAMPLE_RATE,
+  numberOfChannels: channels.length,
+  length: channels[0].length,
+  getChannelData: channel => channels[channel],
+});
+
+const sine = ({ frequency = 1000, db = 0, seconds = 3, phase = 0 }) => {
+  const gain = dbToGain(db);
+  return Float32Array.from(
+    { length: Math.round(seconds * SAMPLE_RATE) },
+    (_, i) =>
+      gain * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE + phase)
+  );
+};
+
+describe('measureIntegratedLoudness', () => {
+  it('measures a full-scale 1 kHz sine on one channel at -3.01 LUFS', () => {
+    const loudness = measureIntegratedLoudness(createBuffer([sine({})]));
+    expect(loudness).toBeCloseTo(-3.01, 1);
+  });
+
+  it('measures a stereo 1 kHz sine at -23 dBFS at -23 LUFS', () => {
+    // EBU Tech 3341, test case 1
+    const tone = sine({ db: -23, seconds: 20 });
+    const loudness = measureIntegratedLoudness(createBuffer([tone, tone]));
+    expect(Math.abs(loudness + 23)).toBeLessThanOrEqual(0.1);
+  });
+
+  it('follows the level of the signal', () => {
+    const quiet = measureIntegratedLoudness(createBuffer([sine({ db: -20 })]));
+    const loud = measureIntegratedLoudness(createBuffer([sine({ db: -6 })]));
+    expect(loud - quiet).toBeCloseTo(14, 1);
+  });
+
+  it('gates out silence', () => {
+    // Without the gate, two thirds of silence would pull this down ~4.8 LU.
+    // Blocks straddling the edges still count, hence the tolerance.
+    const tone = sine({ db: -20, seconds: 10 });
+    const withSilence = new Float32Array(tone.length * 3);
+    withSilence.set(tone, tone.length);
+    const gated = measureIntegratedLoudness(createBuffer([withSilence]));
+    const toneOnly = measureIntegratedLoudness(createBuffer([tone]));
+    expect(Math.abs(gated - toneOnly)).toBeLessThan(0.2);
+  });
+
+  it('returns -Infinity for silence and audio shorter than a block', () => {
+    const silence = new Float32Array(SAMPLE_RATE);
+    expect(measureIntegratedLoudness(createBuffer([silence]))).toBe(-Infinity);
+    expect(
+      measureIntegratedLoudness(createBuffer([sine({ seconds: 0.3 })]))
+    ).toBe(-Infinity);
+  });
+});
+
+describe('measureTruePeak', () => {
+  it('finds the peak between samples', () => {
+    // A quarter of the sample rate, sampled 45° off its peaks: every stored
+    // sample is at -3 dB but the waveform reaches 0 dB
+    const tone = sine({
+      frequency: SAMPLE_RATE / 4,
+      seconds: 1,
+      phase: Math.PI / 4,
+    });
+    const samplePeak = gainToDb(Math.max(...tone.map(Math.abs)));
+    expect(samplePeak).toBeCloseTo(-3.01, 1);
+    expect(measureTruePeak(createBuffer([tone]))).toBeGreaterThan(-0.5);
+  });
+
+  it('matches the sample peak of a low tone', () => {
+    const tone = sine({ frequency: 100, db: -6, seconds: 1 });
+    expect(measureTruePeak(createBuffer([tone]))).toBeCloseTo(-6, 1);
+  });
+});
+
+describe('limitTruePeak', () => {
+  it('keeps the true peak under the ceiling', () => {
+    const buffer = createBuffer([sine({ db: 3 }), sine({ db: 0 })]);
+    const limited = limitTruePeak(buffer, -1);
+    expect(measureTruePeak(limited)).toBeLessThanOrEqual(-0.9);
+  });
+
+  it('leaves audio under the ceiling untouched', () => {
+    const tone = sine({ db: -6 });
+    const copy = tone.slice();
+    limitTruePeak(createBuffer([tone]), -1);
+    expect(tone).toEqual(copy);
+  });
+});
+
+describe('measureLoudness', () => {
+  it('reports integrated loudness and true peak together', () => {
+    const { integrated, truePeak } = measureLoudness(
+      createBuffer([sine({ db: -10 })])
+    );
+    expect(integrated).toBeCloseTo(-13.01, 1);
+    expect(truePeak).toBeCloseTo(-10, 1);
+  });
+});
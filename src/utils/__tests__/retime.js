@@ -0,0 +1,160 @@
+import {
+  SPEED_RAMP_PRESETS,
+  getAverageSpeed,
+  getRetimedDurationMs,
+  getSourceSpanMs,
+  getSourceTimeMs,
+  getSpeedAt,
+  getSpeedLabel,
+  getSpeedPoints,
+  isRetimed,
+  sourceAlong,
+  speedAlong,
+  splitRetimedProperties,
+} from '../retime';
+
+const preset = id => SPEED_RAMP_PRESETS.find(ramp => ramp.id === id).curve;
+
+const video = (properties, start = 1000, end = 5000) => ({
+  type: 'video',
+  timeFrame: { start, end },
+  properties,
+});
+
+// Midpoint sum of the speed over the clip, to check the exact integral
+const integrate = (points, timeMs, steps = 10000) => {
+  const step = timeMs / steps;
+  let total = 0;
+  for (let i = 0; i < steps; i++) {
+    total += speedAlong(points, (i + 0.5) * step) * step;
+  }
+  return total;
+};
+
+describe('getSpeedPoints', () => {
+  it('uses the constant playback rate without a curve', () => {
+    expect(getSpeedPoints({ playbackRate: 2 }, 1000)).toEqual([
+      { timeMs: 0, speed: 2 },
+      { timeMs: 1000, speed: 2 },
+    ]);
+    expect(getSpeedPoints({}, 1000)[0].speed).toBe(1);
+  });
+
+  it('sorts, clamps and extends curve points to the whole clip', () => {
+    const points = getSpeedPoints(
+      {
+        speedCurve: [
+          { position: 0.75, speed: 100 },
+          { position: 0.25, speed: 0 },
+        ],
+      },
+      2000
+    );
+    expect(points).toEqual([
+      { timeMs: 0, speed: 1 },
+      { timeMs: 500, speed: 1 },
+      { timeMs: 1500, speed: 16 },
+      { timeMs: 2000, speed: 16 },
+    ]);
+  });
+});
+
+describe('sourceAlong', () => {
+  it('integrates a constant speed', () => {
+    const points = getSpeedPoints({ playbackRate: 0.5 }, 4000);
+    expect(sourceAlong(points, 0)).toBe(0);
+    expect(sourceAlong(points, 1000)).toBe(500);
+    expect(sourceAlong(points, 4000)).toBe(2000);
+  });
+
+  it('integrates a linear ramp exactly', () => {
+    const durationMs = 4000;
+    const points = getSpeedPoints({ speedCurve: preset('rampUp') }, durationMs);
+    // speed(t) = 0.5 + 1.5 t / d, so source(t) = 0.5 t + 0.75 t² / d
+    [0, 1000, 2500, 4000].forEach(t => {
+      expect(sourceAlong(points, t)).toBeCloseTo(
+        0.5 * t + (0.75 * t * t) / durationMs,
+        6
+      );
+    });
+  });
+
+  it('matches a numerical integral of every preset', () => {
+    SPEED_RAMP_PRESETS.forEach(({ curve }) => {
+      const points = getSpeedPoints({ speedCurve: curve }, 3000);
+      [700, 1500, 2222, 3000].forEach(t => {
+        expect(sourceAlong(points, t)).toBeCloseTo(integrate(points, t), 2);
+      });
+    });
+  });
+
+  it('stops at the end of the clip', () => {
+    const points = getSpeedPoints({ playbackRate: 2 }, 1000);
+    expect(sourceAlong(points, 5000)).toBe(2000);
+  });
+});
+
+describe('clip timing', () => {
+  it('averages the speed of a curve', () => {
+    expect(getAverageSpeed({ speedCurve: preset('rampDown') })).toBeCloseTo(
+      1.25
+    );
+    expect(getAverageSpeed({ speedCurve: preset('slowMiddle') })).toBeCloseTo(
+      0.545
+    );
+  });
+
+  it('keeps the footage when the speed changes', () => {
+    const properties = { speedCurve: preset('fastMiddle') };
+    const durationMs = getRetimedDurationMs(6000, properties);
+    expect(getSourceSpanMs(video(properties, 0, durationMs))).toBeCloseTo(6000);
+  });
+
+  it('maps timeline time to source time, forwards and reversed', () => {
+    const properties = { playbackRate: 2, videoOffset: 500 };
+    expect(getSourceTimeMs(video(properties), 2000)).toBe(2500);
+    expect(getSourceTimeMs(video(properties), 0)).toBe(500);
+    expect(
+      getSourceTimeMs(video({ ...properties, reversed: true }), 2000)
+    ).toBe(6500);
+  });
+
+  it('reads the speed at a timeline time', () => {
+    const element = video({ speedCurve: preset('rampUp') });
+    expect(getSpeedAt(element, 1000)).toBe(0.5);
+    expect(getSpeedAt(element, 3000)).toBeCloseTo(1.25);
+    expect(getSpeedAt(element, 9000)).toBe(2);
+  });
+});
+
+describe('splitRetimedProperties', () => {
+  it('splits a ramp so each half shows the footage it showed before', () => {
+    const element = video({ speedCurve: preset('rampUp'), videoOffset: 100 });
+    const [first, second] = splitRetimedProperties(element, 2000);
+
+    const firstSpan = getSourceSpanMs(video(first, 1000, 2000));
+    const secondSpan = getSourceSpanMs(video(second, 2000, 5000));
+    expect(first.videoOffset).toBe(100);
+    expect(second.videoOffset).toBeCloseTo(100 + firstSpan);
+    expect(firstSpan + secondSpan).toBeCloseTo(getSourceSpanMs(element));
+    expect(getSpeedAt(video(second, 2000, 5000), 2000)).toBeCloseTo(0.875);
+  });
+
+  it('gives the first half of a reversed clip the end of the footage', () => {
+    const element = video({ playbackRate: 2, reversed: true });
+    const [first, second] = splitRetimedProperties(element, 2000);
+    expect(first.videoOffset).toBe(6000);
+    expect(second.videoOffset).toBe(0);
+  });
+});
+
+describe('labels', () => {
+  it('describes the retiming of a clip', () => {
+    expect(isRetimed({})).toBe(false);
+    expect(isRetimed({ playbackRate: 1.5 })).toBe(true);
+    expect(getSpeedLabel({ playbackRate: 0.5, reversed: true })).toBe(
+      '0.5x Reverse'
+    );
+    expect(getSpeedLabel({ speedCurve: preset('rampUp') })).toBe('Ramp');
+  });
+});
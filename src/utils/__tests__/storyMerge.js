@@ -0,0 +1,191 @@
+import { mergeStoryDocuments, summarizeConflict } from '../storyMerge';
+
+const text = (id, value, extra = {}) => ({
+  id,
+  type: 'text',
+  row: 0,
+  timeFrame: { start: 0, end: 1000 },
+  properties: { text: value, fontSize: 24 },
+  ...extra,
+});
+
+const story = (editorElements, extra = {}) => ({
+  editorElements,
+  animations: [],
+  markers: [],
+  rowSettings: {},
+  scenes: [],
+  maxTime: 5000,
+  backgroundColor: '#000000',
+  fps: 30,
+  ...extra,
+});
+
+describe('mergeStoryDocuments', () => {
+  it('combines edits to different items without conflicts', () => {
+    const base = story([text('a', 'A'), text('b', 'B')]);
+    const local = story([text('a', 'A local'), text('b', 'B')]);
+    const remote = story([text('a', 'A'), text('b', 'B remote')]);
+
+    const { conflicts, resolve } = mergeStoryDocuments(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(resolve().editorElements).toEqual([
+      text('a', 'A local'),
+      text('b', 'B remote'),
+    ]);
+  });
+
+  it('combines edits to different fields of the same item', () => {
+    const base = story([text('a', 'A')]);
+    const local = story([text('a', 'A local')]);
+    const remote = story([text('a', 'A', { row: 2 })]);
+    remote.editorElements[0].properties.fontSize = 48;
+
+    const { conflicts, resolve } = mergeStoryDocuments(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(resolve().editorElements).toEqual([
+      {
+        ...text('a', 'A local', { row: 2 }),
+        properties: { text: 'A local', fontSize: 48 },
+      },
+    ]);
+  });
+
+  it('reports a field changed differently on both sides', () => {
+    const base = story([text('a', 'A')]);
+    const local = story([text('a', 'A local', { row: 1 })]);
+    const remote = story([text('a', 'A remote', { row: 1 })]);
+
+    const { conflicts, resolve } = mergeStoryDocuments(base, local, remote);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({
+      key: 'editorElements:a',
+      collection: 'editorElements',
+      fields: ['properties.text'],
+    });
+
+    expect(resolve().editorElements[0].properties.text).toBe('A local');
+    const remoteChoice = resolve({ 'editorElements:a': 'remote' });
+    expect(remoteChoice.editorElements[0]).toEqual(
+      text('a', 'A remote', { row: 1 })
+    );
+  });
+
+  it('reports an item edited on one side and deleted on the other', () => {
+    const base = story([text('a', 'A'), text('b', 'B')]);
+    const local = story([text('a', 'A local'), text('b', 'B')]);
+    const remote = story([text('b', 'B')]);
+
+    const { conflicts, resolve } = mergeStoryDocuments(base, local, remote);
+    expect(conflicts).toMatchObject([
+      { key: 'editorElements:a', local: text('a', 'A local'), remote: null },
+    ]);
+    expect(resolve().editorElements.map(element => element.id)).toEqual([
+      'b',
+      'a',
+    ]);
+    expect(
+      resolve({ 'editorElements:a': 'remote' }).editorElements.map(
+        element => element.id
+      )
+    ).toEqual(['b']);
+  });
+
+  it('drops items deleted on one side and untouched on the other', () => {
+    const base = story([text('a', 'A'), text('b', 'B')]);
+    const local = story([text('b', 'B')]);
+    const remote = story([text('a', 'A'), text('b', 'B'), text('c', 'C')]);
+
+    const { conflicts, resolve } = mergeStoryDocuments(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(resolve().editorElements.map(element => element.id)).toEqual([
+      'b',
+      'c',
+    ]);
+  });
+
+  it('merges scenes by _id and row settings by row', () => {
+    const base = story([], {
+      scenes: [{ _id: 's1', title: 'One' }],
+      rowSettings: { 0: { muted: false } },
+    });
+    const local = story([], {
+      scenes: [{ _id: 's1', title: 'One' }, { _id: 's2' }],
+      rowSettings: { 0: { muted: true } },
+    });
+    const remote = story([], {
+      scenes: [{ _id: 's1', title: 'First' }],
+      rowSettings: { 0: { muted: false }, 1: { locked: true } },
+    });
+
+    const { conflicts, resolve } = mergeStoryDocuments(base, local, remote);
+    expect(conflicts).toEqual([]);
+    const merged = resolve();
+    expect(merged.scenes).toEqual([
+      { _id: 's1', title: 'First' },
+      { _id: 's2' },
+    ]);
+    expect(merged.rowSettings).toEqual({
+      0: { muted: true },
+      1: { locked: true },
+    });
+  });
+
+  it('reports conflicting settings and keeps the longest duration', () => {
+    const base = story([]);
+    const local = story([], { fps: 25, maxTime: 8000 });
+    const remote = story([], { fps: 60, backgroundColor: '#ffffff' });
+
+    const { conflicts, resolve } = mergeStoryDocuments(base, local, remote);
+    expect(conflicts).toMatchObject([
+      { key: 'fps', collection: 'settings', local: 25, remote: 60 },
+    ]);
+    expect(resolve()).toMatchObject({
+      fps: 25,
+      backgroundColor: '#ffffff',
+      maxTime: 8000,
+    });
+    expect(resolve({ fps: 'remote' }).fps).toBe(60);
+  });
+});
+
+describe('summarizeConflict', () => {
+  it('describes conflicts for the resolution dialog', () => {
+    const base = story([text('a', 'A')], {
+      markers: [{ id: 'm', label: 'Intro', time: 0 }],
+    });
+    const local = story([text('a', 'A local')], { markers: [], fps: 24 });
+    const remote = story([text('a', 'A remote')], {
+      markers: [{ id: 'm', label: 'Intro', time: 500 }],
+      fps: 60,
+    });
+
+    const { conflicts } = mergeStoryDocuments(base, local, remote);
+    expect(conflicts.map(summarizeConflict)).toEqual([
+      {
+        key: 'editorElements:a',
+        collection: 'editorElements',
+        label: 'Text "A local"',
+        fields: ['properties.text'],
+        localDeleted: false,
+        remoteDeleted: false,
+      },
+      {
+        key: 'markers:m',
+        collection: 'markers',
+        label: 'Marker "Intro"',
+        fields: [],
+        localDeleted: true,
+        remoteDeleted: false,
+      },
+      {
+        key: 'fps',
+        collection: 'settings',
+        label: 'Frame rate',
+        fields: [],
+        localDeleted: false,
+        remoteDeleted: false,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+import {
+  estimateWordTimings,
+  formatSrt,
+  formatTranscript,
+  formatVtt,
+  parseSrt,
+  parseSubtitleFile,
+  parseVtt,
+} from '../subtitleFiles';
+
+const cues = [
+  { start: 0, end: 1500, text: 'Hello there', words: null },
+  { start: 1500, end: 3723, text: 'General Kenobi', words: null },
+  { start: 3661001, end: 3662000, text: 'An hour later', words: null },
+];
+
+describe('SRT', () => {
+  it('formats cues as numbered SubRip blocks', () => {
+    expect(formatSrt(cues.slice(0, 2))).toBe(
+      '1\n00:00:00,000 --> 00:00:01,500\nHello there\n\n' +
+        '2\n00:00:01,500 --> 00:00:03,723\nGeneral Kenobi\n'
+    );
+  });
+
+  it('round-trips through format and parse', () => {
+    expect(parseSrt(formatSrt(cues))).toEqual(cues);
+  });
+
+  it('parses CRLF files with tags, multi-line text and short timestamps', () => {
+    const content =
+      '\uFEFF2\r\n00:00:05,5 --> 00:00:07,250\r\nsecond\r\n\r\n' +
+      '1\r\n00:01,000 --> 00:02,000\r\n<i>first</i>\r\nline &amp; more\r\n';
+    expect(parseSrt(content)).toEqual([
+      { start: 1000, end: 2000, text: 'first line & more', words: null },
+      { start: 5500, end: 7250, text: 'second', words: null },
+    ]);
+  });
+
+  it('skips empty cues and cues that end before they start', () => {
+    const content =
+      '1\n00:00:02,000 --> 00:00:01,000\nbackwards\n\n' +
+      '2\n00:00:03,000 --> 00:00:04,000\n<b></b>\n';
+    expect(parseSrt(content)).toEqual([]);
+  });
+});
+
+describe('WebVTT', () => {
+  it('formats cues after a WEBVTT header', () => {
+    expect(formatVtt(cues.slice(0, 1))).toBe(
+      'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nHello there\n'
+    );
+  });
+
+  it('round-trips through format and parse', () => {
+    expect(parseVtt(formatVtt(cues))).toEqual(cues);
+  });
+
+  it('skips NOTE and STYLE blocks and cue settings', () => {
+    const content =
+      'WEBVTT - title\n\nNOTE a comment\n\nSTYLE\n::cue { color: red }\n\n' +
+      'intro\n00:01.000 --> 00:02.000 align:start\nHi\n';
+    expect(parseVtt(content)).toEqual([
+      { start: 1000, end: 2000, text: 'Hi', words: null },
+    ]);
+  });
+
+  it('reads word timings from inline timestamps', () => {
+    const content =
+      'WEBVTT\n\n00:00:01.000 --> 00:00:03.000\n' +
+      'one <00:00:01.500>two three <00:00:02.500>four\n';
+    const [cue] = parseVtt(content);
+    expect(cue.text).toBe('one two three four');
+    expect(cue.words).toEqual([
+      { word: 'one', start: 1000, end: 1500 },
+      { word: 'two', start: 1500, end: 2000 },
+      { word: 'three', start: 2000, end: 2500 },
+      { word: 'four', start: 2500, end: 3000 },
+    ]);
+  });
+});
+
+describe('parseSubtitleFile', () => {
+  it('picks the parser from the extension or the header', () => {
+    const vtt = formatVtt(cues);
+    expect(parseSubtitleFile(vtt, 'captions.vtt')).toEqual(cues);
+    expect(parseSubtitleFile(vtt)).toEqual(cues);
+    expect(parseSubtitleFile(formatSrt(cues), 'captions.srt')).toEqual(cues);
+  });
+
+  it('throws when the file has no cues', () => {
+    expect(() => parseSubtitleFile('WEBVTT\n', 'empty.vtt')).toThrow(
+      'No subtitle cues found in file'
+    );
+  });
+});
+
+describe('estimateWordTimings', () => {
+  it('spreads the cue over its words by length', () => {
+    const words = estimateWordTimings({ start: 0, end: 900, text: 'a bbbb' });
+    expect(words).toEqual([
+      { word: 'a', start: 0, end: 300 },
+      { word: 'bbbb', start: 300, end: 900 },
+    ]);
+  });
+});
+
+describe('formatTranscript', () => {
+  it('writes one line of text per cue', () => {
+    expect(formatTranscript(cues)).toBe(
+      'Hello there\nGeneral Kenobi\nAn hour later\n'
+    );
+  });
+});
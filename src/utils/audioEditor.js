@@ -1,11 +1,7 @@
-// Audio editing utilities using Web Audio API and WaveSurfer.js
+// Audio editing utilities using Web Audio API and WaveSurfer.js.
+// Edits only return new buffers; callers apply them by updating the element,
+// so they are undone through the editor's history like any other change.
 class AudioEditor {
-  constructor() {
-    this.history = [];
-    this.historyIndex = -1;
-    this.maxHistorySize = 10;
-  }
-
   // Create audio context
   createAudioContext() {
     return new (window.AudioContext || window.webkitAudioContext)();
@@ -19,40 +15,6 @@ class AudioEditor {
     return await audioContext.decodeAudioData(arrayBuffer);
   }
 
-  // Save current state to history
-  saveToHistory(state) {
-    // Remove any states after current index
-    this.history = this.history.slice(0, this.historyIndex + 1);
-    
-    // Add new state
-    this.history.push(state);
-    this.historyIndex++;
-
-    // Limit history size
-    if (this.history.length > this.maxHistorySize) {
-      this.history.shift();
-      this.historyIndex--;
-    }
-  }
-
-  // Undo function
-  undo() {
-    if (this.historyIndex > 0) {
-      this.historyIndex--;
-      return this.history[this.historyIndex];
-    }
-    return null;
-  }
-
-  // Redo function
-  redo() {
-    if (this.historyIndex < this.history.length - 1) {
-      this.historyIndex++;
-      return this.history[this.historyIndex];
-    }
-    return null;
-  }
-
   // Cut audio at specific time
   async cutAudio(audioBuffer, cutTime) {
     const audioContext = this.createAudioContext();
@@ -347,22 +309,6 @@ class AudioEditor {
 
     return newBuffer;
   }
-
-  // Reset audio to original state
-  reset() {
-    this.history = [];
-    this.historyIndex = -1;
-  }
-
-  // Check if undo is available
-  canUndo() {
-    return this.historyIndex > 0;
-  }
-
-  // Check if redo is available
-  canRedo() {
-    return this.historyIndex < this.history.length - 1;
-  }
 }
 
 // Create singleton instance
@@ -0,0 +1,604 @@
+// Per-clip audio effects. A clip carries `properties.audioEffects`, an
+// ordered list of { id, type, enabled, ...params } run before its volume.
+// Every effect is built from native Web Audio nodes only, so the same chain
+// runs in the live AudioContext for preview and in the OfflineAudioContext
+// of the export mix.
+
+import { getUid } from './index';
+
+const BUTTERWORTH_Q_DB = -3.0103;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const dbToGain = db => 10 ** (db / 20);
+
+// Params of each effect: default and range, for normalizing and the sliders
+export const AUDIO_EFFECTS = {
+  eq: {
+    label: 'Parametric EQ',
+    params: {
+      lowCut: {
+        label: 'Low cut',
+        unit: 'Hz',
+        default: 20,
+        min: 20,
+        max: 400,
+        step: 5,
+      },
+      lowGain: {
+        label: 'Low',
+        unit: 'dB',
+        default: 0,
+        min: -18,
+        max: 18,
+        step: 0.5,
+      },
+      midFreq: {
+        label: 'Mid freq',
+        unit: 'Hz',
+        default: 1000,
+        min: 200,
+        max: 8000,
+        step: 50,
+      },
+      midGain: {
+        label: 'Mid',
+        unit: 'dB',
+        default: 0,
+        min: -18,
+        max: 18,
+        step: 0.5,
+      },
+      midQ: {
+        label: 'Mid Q',
+        unit: '',
+        default: 1,
+        min: 0.3,
+        max: 8,
+        step: 0.1,
+      },
+      highGain: {
+        label: 'High',
+        unit: 'dB',
+        default: 0,
+        min: -18,
+        max: 18,
+        step: 0.5,
+      },
+    },
+  },
+  compressor: {
+    label: 'Compressor',
+    params: {
+      threshold: {
+        label: 'Threshold',
+        unit: 'dB',
+        default: -24,
+        min: -60,
+        max: 0,
+        step: 1,
+      },
+      ratio: {
+        label: 'Ratio',
+        unit: ':1',
+        default: 4,
+        min: 1,
+        max: 20,
+        step: 0.5,
+      },
+      attack: {
+        label: 'Attack',
+        unit: 'ms',
+        default: 10,
+        min: 0,
+        max: 200,
+        step: 1,
+      },
+      release: {
+        label: 'Release',
+        unit: 'ms',
+        default: 200,
+        min: 10,
+        max: 1000,
+        step: 10,
+      },
+      makeup: {
+        label: 'Makeup',
+        unit: 'dB',
+        default: 0,
+        min: 0,
+        max: 24,
+        step: 0.5,
+      },
+    },
+  },
+  gate: {
+    label: 'Noise gate',
+    params: {
+      threshold: {
+        label: 'Threshold',
+        unit: 'dB',
+        default: -50,
+        min: -80,
+        max: -20,
+        step: 1,
+      },
+      range: {
+        label: 'Range',
+        unit: 'dB',
+        default: 40,
+        min: 0,
+        max: 80,
+        step: 1,
+      },
+      smoothing: {
+        label: 'Smoothing',
+        unit: 'ms',
+        default: 50,
+        min: 10,
+        max: 500,
+        step: 10,
+      },
+    },
+  },
+  deesser: {
+    label: 'De-esser',
+    params: {
+      frequency: {
+        label: 'Frequency',
+        unit: 'Hz',
+        default: 6000,
+        min: 3000,
+        max: 10000,
+        step: 100,
+      },
+      threshold: {
+        label: 'Threshold',
+        unit: 'dB',
+        default: -30,
+        min: -60,
+        max: 0,
+        step: 1,
+      },
+    },
+  },
+  reverb: {
+    label: 'Reverb',
+    params: {
+      size: {
+        label: 'Size',
+        unit: 's',
+        default: 1.5,
+        min: 0.2,
+        max: 6,
+        step: 0.1,
+      },
+      decay: {
+        label: 'Decay',
+        unit: '',
+        default: 3,
+        min: 1,
+        max: 10,
+        step: 0.5,
+      },
+      mix: { label: 'Mix', unit: '%', default: 20, min: 0, max: 100, step: 1 },
+    },
+  },
+  pitch: {
+    label: 'Pitch shift',
+    params: {
+      semitones: {
+        label: 'Semitones',
+        unit: 'st',
+        default: 0,
+        min: -12,
+        max: 12,
+        step: 1,
+      },
+    },
+  },
+};
+
+export const AUDIO_EFFECT_PRESETS = [
+  {
+    id: 'voiceClarity',
+    label: 'Voice clarity',
+    effects: [
+      {
+        type: 'eq',
+        lowCut: 80,
+        lowGain: -2,
+        midFreq: 3000,
+        midGain: 3,
+        highGain: 2,
+      },
+      { type: 'gate', threshold: -55, range: 30, smoothing: 40 },
+      {
+        type: 'compressor',
+        threshold: -20,
+        ratio: 3,
+        attack: 10,
+        release: 150,
+        makeup: 4,
+      },
+      { type: 'deesser', frequency: 6500, threshold: -28 },
+    ],
+  },
+  {
+    id: 'podcast',
+    label: 'Podcast',
+    effects: [
+      {
+        type: 'eq',
+        lowCut: 90,
+        lowGain: 1,
+        midFreq: 250,
+        midGain: -2,
+        midQ: 1.2,
+        highGain: 1.5,
+      },
+      {
+        type: 'compressor',
+        threshold: -24,
+        ratio: 4,
+        attack: 5,
+        release: 200,
+        makeup: 6,
+      },
+      { type: 'deesser', frequency: 6000, threshold: -30 },
+    ],
+  },
+  {
+    id: 'room',
+    label: 'Small room',
+    effects: [{ type: 'reverb', size: 0.8, decay: 3, mix: 15 }],
+  },
+  {
+    id: 'hall',
+    label: 'Concert hall',
+    effects: [{ type: 'reverb', size: 3, decay: 2.5, mix: 30 }],
+  },
+  {
+    id: 'deepVoice',
+    label: 'Deep voice',
+    effects: [
+      { type: 'pitch', semitones: -3 },
+      { type: 'eq', lowGain: 2 },
+    ],
+  },
+];
+
+// An effect with its defaults filled in and params in range
+export const normalizeEffect = effect => {
+  const definition = AUDIO_EFFECTS[effect?.type];
+  if (!definition) return null;
+  const normalized = {
+    id: effect.id || getUid(),
+    type: effect.type,
+    enabled: effect.enabled !== false,
+  };
+  Object.entries(definition.params).forEach(([key, param]) => {
+    const value = Number(effect[key]);
+    normalized[key] = Number.isFinite(value)
+      ? clamp(value, param.min, param.max)
+      : param.default;
+  });
+  return normalized;
+};
+
+export const normalizeEffects = effects =>
+  (effects || []).map(normalizeEffect).filter(Boolean);
+
+export const createEffect = type => normalizeEffect({ type });
+
+export const getPresetEffects = presetId =>
+  normalizeEffects(
+    AUDIO_EFFECT_PRESETS.find(preset => preset.id === presetId)?.effects
+  );
+
+// Effects that change the sound, in chain order
+export const getActiveEffects = effects =>
+  normalizeEffects(effects).filter(effect => effect.enabled);
+
+const createFilter = (context, type, frequency, Q, gain = 0) =>
+  new BiquadFilterNode(context, { type, frequency, Q, gain });
+
+const createEq = context => {
+  const lowCut = createFilter(context, 'highpass', 20, BUTTERWORTH_Q_DB);
+  const low = createFilter(context, 'lowshelf', 150, 1);
+  const mid = createFilter(context, 'peaking', 1000, 1);
+  const high = createFilter(context, 'highshelf', 6000, 1);
+  lowCut.connect(low).connect(mid).connect(high);
+
+  return {
+    input: lowCut,
+    output: high,
+    update: params => {
+      lowCut.frequency.value = params.lowCut;
+      low.gain.value = params.lowGain;
+      mid.frequency.value = params.midFreq;
+      mid.gain.value = params.midGain;
+      mid.Q.value = params.midQ;
+      high.gain.value = params.highGain;
+    },
+  };
+};
+
+const createCompressor = context => {
+  const compressor = new DynamicsCompressorNode(context, { knee: 6 });
+  const makeup = new GainNode(context);
+  compressor.connect(makeup);
+
+  return {
+    input: compressor,
+    output: makeup,
+    update: params => {
+      compressor.threshold.value = params.threshold;
+      compressor.ratio.value = params.ratio;
+      compressor.attack.value = params.attack / 1000;
+      compressor.release.value = params.release / 1000;
+      makeup.gain.value = dbToGain(params.makeup);
+    },
+  };
+};
+
+const GATE_CURVE_LENGTH = 65537;
+const GATE_KNEE_DB = 6;
+
+// |x| over [-1, 1], exact between the curve's points
+const ABS_CURVE = new Float32Array([1, 0, 1]);
+
+// Detector level (mean |x|, from -1 to 1) to gate gain, with a soft knee
+// under the threshold
+const createGateCurve = (thresholdDb, rangeDb) => {
+  const floor = dbToGain(-rangeDb);
+  const curve = new Float32Array(GATE_CURVE_LENGTH);
+  for (let i = 0; i < GATE_CURVE_LENGTH; i++) {
+    const level = (i / (GATE_CURVE_LENGTH - 1)) * 2 - 1;
+    const levelDb = level > 0 ? 20 * Math.log10(level) : -Infinity;
+    const open = clamp(
+      (levelDb - thresholdDb + GATE_KNEE_DB) / GATE_KNEE_DB,
+      0,
+      1
+    );
+    curve[i] = floor + (1 - floor) * open;
+  }
+  return curve;
+};
+
+// The detector's smoothed level drives the gain of the signal path through
+// an AudioParam input, since Web Audio has no gate node
+const createGate = context => {
+  const input = new GainNode(context);
+  const gate = new GainNode(context, { gain: 0 });
+  const rectifier = new WaveShaperNode(context, { curve: ABS_CURVE });
+  const smoothing = createFilter(context, 'lowpass', 10, BUTTERWORTH_Q_DB);
+  const gainCurve = new WaveShaperNode(context);
+  input.connect(gate);
+  input.connect(rectifier).connect(smoothing).connect(gainCurve);
+  gainCurve.connect(gate.gain);
+
+  let curveKey = null;
+  return {
+    input,
+    output: gate,
+    update: params => {
+      smoothing.frequency.value = 1000 / (2 * Math.PI * params.smoothing);
+      const key = `${params.threshold}/${params.range}`;
+      if (key !== curveKey) {
+        gainCurve.curve = createGateCurve(params.threshold, params.range);
+        curveKey = key;
+      }
+    },
+  };
+};
+
+// Split at the sibilance frequency with Linkwitz-Riley filters, which sum
+// back flat, and compress only the top band
+const createDeesser = context => {
+  const input = new GainNode(context);
+  const output = new GainNode(context);
+  const lowFilters = [0, 1].map(() =>
+    createFilter(context, 'lowpass', 6000, BUTTERWORTH_Q_DB)
+  );
+  const highFilters = [0, 1].map(() =>
+    createFilter(context, 'highpass', 6000, BUTTERWORTH_Q_DB)
+  );
+  const compressor = new DynamicsCompressorNode(context, {
+    ratio: 8,
+    knee: 3,
+    attack: 0.001,
+    release: 0.05,
+  });
+  input.connect(lowFilters[0]).connect(lowFilters[1]).connect(output);
+  input
+    .connect(highFilters[0])
+    .connect(highFilters[1])
+    .connect(compressor)
+    .connect(output);
+
+  return {
+    input,
+    output,
+    update: params => {
+      [...lowFilters, ...highFilters].forEach(filter => {
+        filter.frequency.value = params.frequency;
+      });
+      compressor.threshold.value = params.threshold;
+    },
+  };
+};
+
+const impulseResponses = new WeakMap(); // context -> Map(key -> AudioBuffer)
+
+// Stereo noise with an exponential-ish decay, a plain synthetic room
+const getImpulseResponse = (context, size, decay) => {
+  if (!impulseResponses.has(context)) impulseResponses.set(context, new Map());
+  const cache = impulseResponses.get(context);
+  const key = `${size}/${decay}`;
+  if (!cache.has(key)) {
+    const length = Math.max(1, Math.round(context.sampleRate * size));
+    const buffer = new AudioBuffer({
+      length,
+      numberOfChannels: 2,
+      sampleRate: context.sampleRate,
+    });
+    for (let channel = 0; channel < 2; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * (1 - i / length) ** decay;
+      }
+    }
+    cache.set(key, buffer);
+  }
+  return cache.get(key);
+};
+
+const createReverb = context => {
+  const input = new GainNode(context);
+  const output = new GainNode(context);
+  const dry = new GainNode(context);
+  const wet = new GainNode(context);
+  const convolver = new ConvolverNode(context);
+  input.connect(dry).connect(output);
+  input.connect(convolver).connect(wet).connect(output);
+
+  let impulseKey = null;
+  return {
+    input,
+    output,
+    update: params => {
+      const mix = params.mix / 100;
+      dry.gain.value = 1 - mix;
+      wet.gain.value = mix;
+      const key = `${params.size}/${params.decay}`;
+      if (key !== impulseKey) {
+        convolver.buffer = getImpulseResponse(
+          context,
+          params.size,
+          params.decay
+        );
+        impulseKey = key;
+      }
+    },
+  };
+};
+
+const GRAIN_SECONDS = 0.1;
+
+const createLoopBuffer = (context, getValue) => {
+  const length = Math.round(context.sampleRate * GRAIN_SECONDS);
+  const buffer = new AudioBuffer({
+    length,
+    numberOfChannels: 1,
+    sampleRate: context.sampleRate,
+  });
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < length; i++) data[i] = getValue(i / length);
+  return buffer;
+};
+
+// Delay-line pitch shifter: two delay lines swept by a sawtooth, half a
+// grain apart, each faded in and out so their sum stays at unity. A delay
+// that shrinks raises the pitch, one that grows lowers it.
+const createPitchShift = context => {
+  const input = new GainNode(context);
+  const output = new GainNode(context);
+  const ramp = createLoopBuffer(context, phase => phase);
+  const fadeWindow = createLoopBuffer(
+    context,
+    phase => Math.sin(Math.PI * phase) ** 2
+  );
+  const sources = [];
+
+  const lines = [0, GRAIN_SECONDS / 2].map(offset => {
+    const delay = new DelayNode(context, { maxDelayTime: GRAIN_SECONDS * 2 });
+    const depth = new GainNode(context);
+    const fade = new GainNode(context, { gain: 0 });
+    const sweep = new AudioBufferSourceNode(context, {
+      buffer: ramp,
+      loop: true,
+    });
+    const envelope = new AudioBufferSourceNode(context, {
+      buffer: fadeWindow,
+      loop: true,
+    });
+    sweep.connect(depth).connect(delay.delayTime);
+    envelope.connect(fade.gain);
+    input.connect(delay).connect(fade).connect(output);
+    sweep.start(context.currentTime, offset);
+    envelope.start(context.currentTime, offset);
+    sources.push(sweep, envelope);
+    return { delay, depth };
+  });
+
+  return {
+    input,
+    output,
+    update: params => {
+      const ratio = 2 ** (params.semitones / 12);
+      const span = Math.abs(ratio - 1) * GRAIN_SECONDS;
+      lines.forEach(({ delay, depth }) => {
+        delay.delayTime.value = ratio > 1 ? span : 0;
+        depth.gain.value = ratio > 1 ? -span : span;
+      });
+    },
+    stop: () => sources.forEach(source => source.stop()),
+  };
+};
+
+const EFFECT_FACTORIES = {
+  eq: createEq,
+  compressor: createCompressor,
+  gate: createGate,
+  deesser: createDeesser,
+  reverb: createReverb,
+  pitch: createPitchShift,
+};
+
+/**
+ * A clip's effects as a chain of nodes between `input` and `output`. Param
+ * changes are applied in place; adding, removing, reordering or toggling an
+ * effect rebuilds the chain.
+ */
+export class EffectsChain {
+  constructor(context) {
+    this.context = context;
+    this.input = new GainNode(context);
+    this.output = new GainNode(context);
+    this.units = [];
+    this.structure = '';
+    this.effects = null;
+    this.input.connect(this.output);
+  }
+
+  setEffects(effects) {
+    if (effects === this.effects) return;
+    this.effects = effects;
+
+    const active = getActiveEffects(effects);
+    const structure = active.map(effect => effect.type).join(',');
+    if (structure !== this.structure) {
+      this.teardown();
+      let node = this.input;
+      active.forEach(effect => {
+        const unit = EFFECT_FACTORIES[effect.type](this.context);
+        node.connect(unit.input);
+        node = unit.output;
+        this.units.push(unit);
+      });
+      node.connect(this.output);
+      this.structure = structure;
+    }
+    active.forEach((effect, index) => this.units[index].update(effect));
+  }
+
+  teardown() {
+    this.input.disconnect();
+    this.units.forEach(unit => {
+      unit.output.disconnect();
+      unit.stop?.();
+    });
+    this.units = [];
+    this.structure = '';
+  }
+}
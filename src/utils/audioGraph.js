@@ -0,0 +1,124 @@
+// Preview playback of clip gain through Web Audio. Each media element that
+// needs automation gets routed through its own GainNode, so envelopes and
+// fades play back without touching the source or the element's volume.
+//
+// Routing is one-way: a routed element only sounds through the graph. So
+// elements are routed only while playing (an AudioContext starts after a
+// user gesture), and never when Web Audio would silence them because they
+// aren't CORS-enabled. Callers fall back to the element's volume then.
+//
+// Clip effects go in an insert between an element's source and its gain
+// node: source -> insert -> gain -> destination.
+class AudioGraph {
+  constructor() {
+    this.context = null;
+    this.gainNodes = new WeakMap(); // media element -> GainNode, or null
+    this.sources = new WeakMap(); // media element -> MediaElementSourceNode
+    this.inserts = new WeakMap(); // media element -> { input, output }
+  }
+
+  getContext() {
+    if (!this.context) {
+      const AudioContextClass =
+        window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+      this.context = new AudioContextClass();
+    }
+    if (this.context.state === 'suspended') {
+      this.context.resume().catch(() => {});
+    }
+    return this.context;
+  }
+
+  // Web Audio only hears cross-origin media loaded with CORS
+  canRoute(media) {
+    const src = media.currentSrc || media.src;
+    if (!src) return false;
+    if (media.crossOrigin) return true;
+    try {
+      const { origin, protocol } = new URL(src, window.location.href);
+      return (
+        origin === window.location.origin ||
+        protocol === 'blob:' ||
+        protocol === 'data:'
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  route(media) {
+    if (this.gainNodes.has(media)) return this.gainNodes.get(media);
+
+    let gainNode = null;
+    const context = this.canRoute(media) && this.getContext();
+    if (context) {
+      try {
+        const source = context.createMediaElementSource(media);
+        gainNode = context.createGain();
+        source.connect(gainNode);
+        gainNode.connect(context.destination);
+        this.sources.set(media, source);
+      } catch (error) {
+        // Already routed elsewhere, e.g. by a recording session
+        console.warn('Could not route media through Web Audio:', error);
+        gainNode = null;
+      }
+    }
+    this.gainNodes.set(media, gainNode);
+    return gainNode;
+  }
+
+  isRouted(media) {
+    return !!this.gainNodes.get(media);
+  }
+
+  /**
+   * Put `insert` ({ input, output } nodes of the graph's context) between a
+   * routed element's source and its gain node; null takes it out again.
+   */
+  setInsert(media, insert) {
+    const source = this.sources.get(media);
+    const gainNode = this.gainNodes.get(media);
+    if (!source || !gainNode) return false;
+
+    const current = this.inserts.get(media);
+    if (current === insert) return true;
+    source.disconnect();
+    if (current) current.output.disconnect(gainNode);
+    if (insert) {
+      source.connect(insert.input);
+      insert.output.connect(gainNode);
+      this.inserts.set(media, insert);
+    } else {
+      source.connect(gainNode);
+      this.inserts.delete(media);
+    }
+    return true;
+  }
+
+  /**
+   * Put `gain` on the element's gain node, routing it first when `canConnect`.
+   * Returns false when the gain couldn't be applied through Web Audio.
+   */
+  setGain(media, gain, { canConnect = false } = {}) {
+    if (!media) return false;
+    const isRouted = this.gainNodes.has(media);
+    if (!isRouted && (!canConnect || gain === 1)) return gain === 1;
+
+    const gainNode = this.route(media);
+    if (!gainNode) return false;
+
+    // A short time constant follows the per-frame updates without zipper noise
+    const { currentTime } = gainNode.context;
+    gainNode.gain.cancelScheduledValues(currentTime);
+    gainNode.gain.setTargetAtTime(gain, currentTime, 0.015);
+    return true;
+  }
+}
+
+// Create singleton instance
+const audioGraph = new AudioGraph();
+
+export { AudioGraph };
+export default audioGraph;
@@ -0,0 +1,283 @@
+import audioEditor from './audioEditor';
+import { EffectsChain, getActiveEffects } from './audioEffects';
+import {
+  getDuckingCurve,
+  isDuckingEnabled,
+  loadSpeechIntervals,
+} from './ducking';
+import { getSpeedPoints, sourceAlong } from './retime';
+import { limitTruePeak } from './loudness';
+import { stretchBuffer } from './timeStretch';
+import {
+  getEnvelopeGain,
+  getFadeGain,
+  getFades,
+  getGainTrim,
+} from './volumeEnvelope';
+
+const DEFAULT_SAMPLE_RATE = 48000;
+const DEFAULT_CHANNELS = 2;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Element gain at a time (ms from element start), including its gain trim,
+// volume envelope and fade in/out
+const gainAt = (timeMs, params) =>
+  params.volume *
+  params.trim *
+  getEnvelopeGain(params.volumeEnvelope, timeMs) *
+  getFadeGain(params, params.durationMs, timeMs);
+
+// Renders the sound of every timeline element through an OfflineAudioContext.
+// Used by the exporter and by the "Export audio only" action.
+class AudioMixdown {
+  constructor() {
+    // Decoded buffers keyed by source and sample rate; AudioBuffers are not
+    // tied to a context so they can be reused between renders
+    this.bufferCache = new Map();
+    this.reversedBuffers = new WeakMap();
+  }
+
+  // Elements that contribute sound to the mix
+  getAudibleElements(elements) {
+    return elements.filter(
+      element =>
+        (element.type === 'audio' || element.type === 'video') &&
+        element.properties?.src &&
+        !element.properties.muted &&
+        (element.properties.volume ?? 1) > 0
+    );
+  }
+
+  async decode(src, sampleRate) {
+    const key = `${src}@${sampleRate}`;
+    if (!this.bufferCache.has(key)) {
+      const promise = (async () => {
+        const response = await fetch(src);
+        if (!response.ok) {
+          throw new Error(`Failed to fetch audio: ${response.status}`);
+        }
+        const decodeContext = new OfflineAudioContext(1, 1, sampleRate);
+        return decodeContext.decodeAudioData(await response.arrayBuffer());
+      })();
+
+      this.bufferCache.set(key, promise);
+      promise.catch(() => this.bufferCache.delete(key));
+    }
+    return this.bufferCache.get(key);
+  }
+
+  reverse(buffer) {
+    if (!this.reversedBuffers.has(buffer)) {
+      const reversed = new AudioBuffer({
+        length: buffer.length,
+        numberOfChannels: buffer.numberOfChannels,
+        sampleRate: buffer.sampleRate,
+      });
+      for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        reversed.copyToChannel(
+          buffer.getChannelData(channel).slice().reverse(),
+          channel
+        );
+      }
+      this.reversedBuffers.set(buffer, reversed);
+    }
+    return this.reversedBuffers.get(buffer);
+  }
+
+  // Timeline placement and mix parameters for one element, in ms
+  getClipParams(element) {
+    const { properties, timeFrame } = element;
+    const durationMs = timeFrame.end - timeFrame.start;
+    const offsetMs =
+      element.type === 'video'
+        ? properties.videoOffset || 0
+        : properties.audioOffset || 0;
+
+    return {
+      startMs: timeFrame.start,
+      durationMs,
+      offsetMs: Math.max(0, offsetMs),
+      // Speed along the element, constant unless it has a speed curve
+      speedPoints: getSpeedPoints(properties, durationMs),
+      reversed: element.type === 'video' && !!properties.reversed,
+      volume: clamp(properties.volume ?? 1, 0, 1),
+      trim: getGainTrim(properties),
+      volumeEnvelope: properties.volumeEnvelope || [],
+      ...getFades(properties, durationMs),
+      ducking: isDuckingEnabled(element) ? properties.ducking : null,
+      effects: getActiveEffects(properties.audioEffects),
+    };
+  }
+
+  scheduleClip(context, buffer, params, rangeStartMs, rangeEndMs, speech) {
+    const clipStart = Math.max(params.startMs, rangeStartMs);
+    const clipEnd = Math.min(params.startMs + params.durationMs, rangeEndMs);
+    if (clipEnd <= clipStart) return;
+
+    // Position inside the element where the export range begins
+    const skippedMs = clipStart - params.startMs;
+    const { speedPoints } = params;
+    const consumedMs = sourceAlong(speedPoints, skippedMs);
+
+    // Reversed clips play the reversed buffer forwards, starting from the
+    // end of the footage they cover
+    let sourceOffset = (params.offsetMs + consumedMs) / 1000;
+    if (params.reversed) {
+      const spanMs = sourceAlong(speedPoints, params.durationMs);
+      sourceOffset =
+        buffer.duration - (params.offsetMs + spanMs - consumedMs) / 1000;
+    }
+    if (sourceOffset < 0 || sourceOffset >= buffer.duration) return;
+
+    const source = context.createBufferSource();
+    const sourceBuffer = params.reversed ? this.reverse(buffer) : buffer;
+
+    const when = (clipStart - rangeStartMs) / 1000;
+    const stopAt = (clipEnd - rangeStartMs) / 1000;
+
+    // Retimed clips are stretched with their pitch kept, as preview plays
+    // them, instead of being resampled through playbackRate
+    if (speedPoints.every(point => point.speed === 1)) {
+      source.buffer = sourceBuffer;
+    } else {
+      source.buffer = stretchBuffer(
+        sourceBuffer,
+        seconds =>
+          sourceOffset +
+          (sourceAlong(speedPoints, skippedMs + seconds * 1000) - consumedMs) /
+            1000,
+        Math.ceil((stopAt - when) * sourceBuffer.sampleRate)
+      );
+      sourceOffset = 0;
+    }
+
+    const gainNode = context.createGain();
+
+    // Fades and volume automation are linear ramps between the element's
+    // envelope points
+    const envelope = [
+      skippedMs,
+      clipEnd - params.startMs,
+      ...params.volumeEnvelope.map(point => point.time),
+    ];
+    if (params.fadeInMs > skippedMs) envelope.push(params.fadeInMs);
+    const fadeOutStart = params.durationMs - params.fadeOutMs;
+    if (params.fadeOutMs > 0 && fadeOutStart > skippedMs) {
+      envelope.push(fadeOutStart);
+    }
+    envelope
+      .filter(t => t >= skippedMs && t <= clipEnd - params.startMs)
+      .sort((a, b) => a - b)
+      .forEach((t, index) => {
+        const time = (params.startMs + t - rangeStartMs) / 1000;
+        const value = gainAt(t, params);
+        if (index === 0) {
+          gainNode.gain.setValueAtTime(value, time);
+        } else {
+          gainNode.gain.linearRampToValueAtTime(value, time);
+        }
+      });
+
+    // Clip effects run before the volume, as in preview
+    if (params.effects.length) {
+      const chain = new EffectsChain(context);
+      chain.setEffects(params.effects);
+      source.connect(chain.input);
+      chain.output.connect(gainNode);
+    } else {
+      source.connect(gainNode);
+    }
+
+    // Ducking under voiceover follows the same curve as in preview
+    const duckingCurve =
+      params.ducking &&
+      getDuckingCurve(speech, params.ducking, clipStart, clipEnd);
+    if (duckingCurve) {
+      const duckingNode = context.createGain();
+      duckingNode.gain.setValueCurveAtTime(duckingCurve, when, stopAt - when);
+      gainNode.connect(duckingNode);
+      duckingNode.connect(context.destination);
+    } else {
+      gainNode.connect(context.destination);
+    }
+    source.start(when, sourceOffset);
+    source.stop(stopAt);
+  }
+
+  /**
+   * Mix all audible elements between startMs and endMs into one AudioBuffer.
+   * With `truePeakDb` the mix goes through a true-peak limiter with that
+   * ceiling. Resolves to null when nothing in the range makes a sound.
+   */
+  async render(
+    elements,
+    {
+      startMs = 0,
+      endMs,
+      sampleRate = DEFAULT_SAMPLE_RATE,
+      channels = DEFAULT_CHANNELS,
+      truePeakDb = null,
+    } = {}
+  ) {
+    const durationMs = endMs - startMs;
+    const clips = this.getAudibleElements(elements).filter(
+      element =>
+        element.timeFrame.end > startMs && element.timeFrame.start < endMs
+    );
+
+    if (clips.length === 0 || !(durationMs > 0)) {
+      return null;
+    }
+
+    // Speech from every voice clip, including those just outside the range
+    // whose attack or release reaches into it
+    const speech = clips.some(isDuckingEnabled)
+      ? await loadSpeechIntervals(elements)
+      : [];
+
+    const context = new OfflineAudioContext(
+      channels,
+      Math.ceil((durationMs / 1000) * sampleRate),
+      sampleRate
+    );
+
+    await Promise.all(
+      clips.map(async element => {
+        try {
+          const buffer = await this.decode(element.properties.src, sampleRate);
+          this.scheduleClip(
+            context,
+            buffer,
+            this.getClipParams(element),
+            startMs,
+            endMs,
+            speech
+          );
+        } catch (error) {
+          // Videos without an audio track fail to decode; skip them
+          console.warn(`Skipping audio for element ${element.id}:`, error);
+        }
+      })
+    );
+
+    const mix = await context.startRendering();
+    return truePeakDb === null ? mix : limitTruePeak(mix, truePeakDb);
+  }
+
+  async renderToWav(elements, options) {
+    const buffer = await this.render(elements, options);
+    return buffer ? audioEditor.bufferToWav(buffer) : null;
+  }
+
+  clearCache() {
+    this.bufferCache.clear();
+    this.reversedBuffers = new WeakMap();
+  }
+}
+
+// Create singleton instance
+const audioMixdown = new AudioMixdown();
+
+export { AudioMixdown };
+export default audioMixdown;
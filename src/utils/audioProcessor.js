@@ -1,23 +1,32 @@
-// Simple audio processor for maintaining pitch while changing playback speed
+import audioGraph from './audioGraph';
+import { EffectsChain } from './audioEffects';
+
+// Real-time processing of timeline media: playback rate with pitch
+// preservation, and the effects chain each element plays through in preview.
+// Elements are routed through audioGraph, which owns the one
+// MediaElementSource an element can ever have.
 class AudioProcessor {
   constructor() {
     this.audioContext = null;
-    this.audioSources = new Map();
+    this.effectChains = new WeakMap(); // media element -> EffectsChain
     this.isInitialized = false;
   }
 
-  // Initialize Web Audio API context
+  // Initialize Web Audio API context, shared with the audio graph
   async initialize() {
     if (this.isInitialized) return;
 
     try {
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      
+      this.audioContext = audioGraph.getContext();
+      if (!this.audioContext) {
+        throw new Error('Web Audio API not supported');
+      }
+
       // Resume context if suspended (required by modern browsers)
       if (this.audioContext.state === 'suspended') {
         await this.audioContext.resume();
       }
-      
+
       this.isInitialized = true;
     } catch (error) {
       console.error('Failed to initialize AudioProcessor:', error);
@@ -29,61 +38,43 @@ class AudioProcessor {
   async updateAudioPlaybackRate(audioElement, newRate) {
     if (!audioElement || !audioElement.src) return;
 
-    try {
-      // Initialize if needed
-      if (!this.isInitialized) {
-        await this.initialize();
-      }
-
-      const elementId = audioElement.id || audioElement.src;
-      
-      // Check if we already have a source for this element
-      let audioData = this.audioSources.get(elementId);
-      
-      if (!audioData) {
-        // Create new audio source only if it doesn't exist
-        const source = this.audioContext.createMediaElementSource(audioElement);
-        const gainNode = this.audioContext.createGain();
-        
-        // Connect the nodes
-        source.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        // Store reference
-        audioData = { source, gainNode, audioElement };
-        this.audioSources.set(elementId, audioData);
-      }
-      
-      // Update playback rate (this preserves pitch better than HTML5 audio)
-      audioData.source.playbackRate.value = newRate;
-      
-    } catch (error) {
-      console.error('Error updating audio playback rate:', error);
-      // Fallback to standard HTML5 audio
-      audioElement.playbackRate = newRate;
-    }
+    // The element time-stretches by itself; it must not get a source node
+    // of its own here, that would take it away from the audio graph
+    audioElement.preservesPitch = true;
+    audioElement.playbackRate = newRate;
   }
 
-  // Stop audio playback
-  stopAudio(elementId) {
-    const audioData = this.audioSources.get(elementId);
-    if (audioData) {
-      try {
-        audioData.source.disconnect();
-        audioData.gainNode.disconnect();
-      } catch (error) {
-        console.warn('Error stopping audio source:', error);
-      }
-      this.audioSources.delete(elementId);
+  /**
+   * Play `media` through a clip's effects in preview. The element is routed
+   * first when `canConnect`. Returns false when the effects can't be heard,
+   * e.g. for media loaded without CORS.
+   */
+  setEffects(media, effects, { canConnect = false } = {}) {
+    if (!media) return false;
+
+    let chain = this.effectChains.get(media);
+    if (!chain) {
+      if (!effects?.some(effect => effect.enabled !== false)) return true;
+      if (!audioGraph.isRouted(media) && !canConnect) return false;
+
+      const gainNode = audioGraph.route(media);
+      if (!gainNode) return false;
+      chain = new EffectsChain(gainNode.context);
+      audioGraph.setInsert(media, chain);
+      this.effectChains.set(media, chain);
     }
+
+    chain.setEffects(effects);
+    return true;
   }
 
-  // Update volume for existing audio
-  updateVolume(elementId, newVolume) {
-    const audioData = this.audioSources.get(elementId);
-    if (audioData && audioData.gainNode) {
-      audioData.gainNode.gain.value = newVolume;
-    }
+  // Take an element's effects out of its signal path
+  removeEffects(media) {
+    const chain = this.effectChains.get(media);
+    if (!chain) return;
+    audioGraph.setInsert(media, null);
+    chain.teardown();
+    this.effectChains.delete(media);
   }
 
   // Check if Web Audio API is supported
@@ -96,21 +87,13 @@ class AudioProcessor {
     }
   }
 
-  // Clean up resources
-  cleanup() {
-    this.audioSources.forEach((audioData, elementId) => {
-      this.stopAudio(elementId);
-    });
-    
-    if (this.audioContext && this.audioContext.state !== 'closed') {
-      this.audioContext.close();
-    }
-    
-    this.isInitialized = false;
+  isSupported() {
+    return AudioProcessor.isSupported();
   }
 }
 
 // Create singleton instance
 const audioProcessor = new AudioProcessor();
 
-export default audioProcessor; 
\ No newline at end of file
+export { AudioProcessor };
+export default audioProcessor;
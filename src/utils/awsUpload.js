@@ -1,4 +1,4 @@
-import { uploadVideoSecurely, uploadImageSecurely, uploadAudioSecurely } from '../services/secureUpload';
+import { uploadVideoSecurely, uploadImageSecurely, uploadAudioSecurely, uploadLutSecurely } from '../services/secureUpload';
 import { uploadToS3 } from '../services/awsConfig';
 
 // Function to upload video to AWS S3
@@ -33,4 +33,15 @@ export const uploadAudioToAWS = async (file, onProgress) => {
     console.error('Error uploading audio:', error);
     throw error;
   }
+};
+
+// Function to upload a .cube LUT to AWS S3
+export const uploadLutToAWS = async (file, onProgress) => {
+  try {
+    const result = await uploadLutSecurely(file, onProgress);
+    return result;
+  } catch (error) {
+    console.error('Error uploading LUT:', error);
+    throw error;
+  }
 };
\ No newline at end of file
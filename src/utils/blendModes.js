@@ -0,0 +1,30 @@
+// Blend modes of canvas elements, kept in `properties.blendMode` and drawn
+// with the matching canvas composite operation
+export const BLEND_MODES = [
+  { value: 'normal', label: 'Normal', operation: 'source-over' },
+  { value: 'multiply', label: 'Multiply', operation: 'multiply' },
+  { value: 'screen', label: 'Screen', operation: 'screen' },
+  { value: 'overlay', label: 'Overlay', operation: 'overlay' },
+  { value: 'add', label: 'Add', operation: 'lighter' },
+  { value: 'darken', label: 'Darken', operation: 'darken' },
+  { value: 'lighten', label: 'Lighten', operation: 'lighten' },
+  { value: 'colorDodge', label: 'Color dodge', operation: 'color-dodge' },
+  { value: 'colorBurn', label: 'Color burn', operation: 'color-burn' },
+  { value: 'hardLight', label: 'Hard light', operation: 'hard-light' },
+  { value: 'softLight', label: 'Soft light', operation: 'soft-light' },
+  { value: 'difference', label: 'Difference', operation: 'difference' },
+  { value: 'exclusion', label: 'Exclusion', operation: 'exclusion' },
+  { value: 'hue', label: 'Hue', operation: 'hue' },
+  { value: 'saturation', label: 'Saturation', operation: 'saturation' },
+  { value: 'color', label: 'Color', operation: 'color' },
+  { value: 'luminosity', label: 'Luminosity', operation: 'luminosity' },
+];
+
+export const DEFAULT_BLEND_MODE = 'normal';
+
+export const isBlendMode = value =>
+  BLEND_MODES.some(mode => mode.value === value);
+
+export const getCompositeOperation = blendMode =>
+  (BLEND_MODES.find(mode => mode.value === blendMode) || BLEND_MODES[0])
+    .operation;
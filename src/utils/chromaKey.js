@@ -0,0 +1,321 @@
+// Chroma and luma keying of images and video frames. Keyed elements carry
+// their settings in `properties.key`; the fabric objects drawing them ask for
+// a keyed copy of their source on every render, which is redone only when
+// the settings or the video frame change. Keying runs in a shared WebGL
+// canvas, or pixel by pixel when WebGL isn't available.
+
+export const KEY_TYPES = {
+  CHROMA: 'chromaKey',
+  LUMA: 'lumaKey',
+};
+
+export const DEFAULT_KEY_SETTINGS = {
+  [KEY_TYPES.CHROMA]: {
+    color: '#00ff00',
+    tolerance: 0.3,
+    softness: 0.1,
+    spill: 0.5,
+  },
+  [KEY_TYPES.LUMA]: {
+    threshold: 0.1,
+    softness: 0.1,
+    invert: false,
+  },
+};
+
+// Settings with defaults filled in, or null for anything that isn't a key
+export const normalizeKey = key =>
+  key && DEFAULT_KEY_SETTINGS[key.type]
+    ? { ...DEFAULT_KEY_SETTINGS[key.type], ...key }
+    : null;
+
+const hexToRgb = hex => {
+  const value = parseInt((hex || '#00ff00').replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(
+    channel => channel / 255
+  );
+};
+
+// Uniform values shared by the shader and the pixel fallback. Tolerance and
+// softness are 0..1 in the UI and distances in the CbCr plane here.
+const getKeyParams = key => ({
+  mode: key.type === KEY_TYPES.LUMA ? 1 : 0,
+  keyColor: hexToRgb(key.color),
+  tolerance: key.tolerance * 0.4,
+  softness: key.softness * 0.3 + 0.001,
+  spill: key.spill,
+  threshold: key.threshold,
+  invert: key.invert ? 1 : 0,
+});
+
+const VERTEX_SHADER = `
+attribute vec2 aPosition;
+varying vec2 vUv;
+void main() {
+  vUv = aPosition * 0.5 + 0.5;
+  gl_Position = vec4(aPosition, 0.0, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+varying vec2 vUv;
+uniform sampler2D uImage;
+uniform int uMode;
+uniform vec3 uKeyColor;
+uniform float uTolerance;
+uniform float uSoftness;
+uniform float uSpill;
+uniform float uThreshold;
+uniform float uInvert;
+
+vec2 toCbCr(vec3 c) {
+  return vec2(
+    -0.168736 * c.r - 0.331264 * c.g + 0.5 * c.b,
+    0.5 * c.r - 0.418688 * c.g - 0.081312 * c.b
+  );
+}
+
+float toLuma(vec3 c) {
+  return dot(c, vec3(0.299, 0.587, 0.114));
+}
+
+void main() {
+  vec4 color = texture2D(uImage, vUv);
+  float alpha;
+  if (uMode == 0) {
+    float dist = distance(toCbCr(color.rgb), toCbCr(uKeyColor));
+    alpha = smoothstep(uTolerance, uTolerance + uSoftness, dist);
+    // Desaturate the key color reflected on the edges of what stays
+    float spill = uSpill *
+      (1.0 - smoothstep(uTolerance, uTolerance + uSoftness + 0.2, dist));
+    color.rgb = mix(color.rgb, vec3(toLuma(color.rgb)), spill);
+  } else {
+    alpha = smoothstep(
+      uThreshold - uSoftness * 0.5,
+      uThreshold + uSoftness * 0.5 + 0.001,
+      toLuma(color.rgb)
+    );
+    if (uInvert > 0.5) alpha = 1.0 - alpha;
+  }
+  gl_FragColor = vec4(color.rgb, color.a * alpha);
+}
+`;
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+const toCbCr = (r, g, b) => [
+  -0.168736 * r - 0.331264 * g + 0.5 * b,
+  0.5 * r - 0.418688 * g - 0.081312 * b,
+];
+
+const toLuma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+// Same math as the shader, for when WebGL isn't there
+const keyPixels = (imageData, params) => {
+  const { data } = imageData;
+  const [keyCb, keyCr] = toCbCr(...params.keyColor);
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i] / 255;
+    let g = data[i + 1] / 255;
+    let b = data[i + 2] / 255;
+    let alpha;
+    if (params.mode === 0) {
+      const [cb, cr] = toCbCr(r, g, b);
+      const dist = Math.hypot(cb - keyCb, cr - keyCr);
+      alpha = smoothstep(
+        params.tolerance,
+        params.tolerance + params.softness,
+        dist
+      );
+      const spill =
+        params.spill *
+        (1 -
+          smoothstep(
+            params.tolerance,
+            params.tolerance + params.softness + 0.2,
+            dist
+          ));
+      const luma = toLuma(r, g, b);
+      r += (luma - r) * spill;
+      g += (luma - g) * spill;
+      b += (luma - b) * spill;
+    } else {
+      alpha = smoothstep(
+        params.threshold - params.softness * 0.5,
+        params.threshold + params.softness * 0.5 + 0.001,
+        toLuma(r, g, b)
+      );
+      if (params.invert) alpha = 1 - alpha;
+    }
+    data[i] = r * 255;
+    data[i + 1] = g * 255;
+    data[i + 2] = b * 255;
+    data[i + 3] *= alpha;
+  }
+  return imageData;
+};
+
+class KeyRenderer {
+  constructor() {
+    this.gl = null;
+    this.isUnavailable = false;
+  }
+
+  init() {
+    if (this.gl || this.isUnavailable) return this.gl;
+
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl', {
+      premultipliedAlpha: false,
+      preserveDrawingBuffer: true,
+    });
+    if (!gl) {
+      this.isUnavailable = true;
+      return null;
+    }
+
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+      }
+      return shader;
+    };
+
+    try {
+      const program = gl.createProgram();
+      gl.attachShader(program, compile(gl.VERTEX_SHADER, VERTEX_SHADER));
+      gl.attachShader(program, compile(gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+      gl.linkProgram(program);
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(gl.getProgramInfoLog(program));
+      }
+      gl.useProgram(program);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+      gl.bufferData(
+        gl.ARRAY_BUFFER,
+        new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]),
+        gl.STATIC_DRAW
+      );
+      const position = gl.getAttribLocation(program, 'aPosition');
+      gl.enableVertexAttribArray(position);
+      gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+      gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+
+      this.program = program;
+      this.gl = gl;
+    } catch (error) {
+      console.warn('WebGL keying unavailable, keying on the CPU:', error);
+      this.isUnavailable = true;
+    }
+    return this.gl;
+  }
+
+  renderWebGL(gl, source, params, width, height) {
+    const { program } = this;
+    gl.canvas.width = width;
+    gl.canvas.height = height;
+    gl.viewport(0, 0, width, height);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+    const uniform = name => gl.getUniformLocation(program, name);
+    gl.uniform1i(uniform('uMode'), params.mode);
+    gl.uniform3fv(uniform('uKeyColor'), params.keyColor);
+    gl.uniform1f(uniform('uTolerance'), params.tolerance);
+    gl.uniform1f(uniform('uSoftness'), params.softness);
+    gl.uniform1f(uniform('uSpill'), params.spill);
+    gl.uniform1f(uniform('uThreshold'), params.threshold);
+    gl.uniform1f(uniform('uInvert'), params.invert);
+
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    return gl.canvas;
+  }
+
+  /**
+   * Draw `source` keyed with `key` into `target`, resized to the source.
+   */
+  render(source, key, target, width, height) {
+    if (target.width !== width) target.width = width;
+    if (target.height !== height) target.height = height;
+    const context = target.getContext('2d');
+    const params = getKeyParams(key);
+
+    const gl = this.init();
+    context.clearRect(0, 0, width, height);
+    if (gl) {
+      context.drawImage(
+        this.renderWebGL(gl, source, params, width, height),
+        0,
+        0
+      );
+      return;
+    }
+
+    context.drawImage(source, 0, 0, width, height);
+    context.putImageData(
+      keyPixels(context.getImageData(0, 0, width, height), params),
+      0,
+      0
+    );
+  }
+}
+
+const keyRenderer = new KeyRenderer();
+
+const getSourceSize = source => ({
+  width: source.videoWidth || source.naturalWidth || source.width,
+  height: source.videoHeight || source.naturalHeight || source.height,
+});
+
+/**
+ * Keyed copy of what `fabricObject` draws, sized like its source, or null
+ * when the object has no key or its source can't be keyed. The copy is kept
+ * on the object and redrawn only for a new video frame or new settings.
+ */
+export const getKeyedFrame = (fabricObject, source) => {
+  const key = normalizeKey(fabricObject.keyEffect);
+  if (!key || !source || fabricObject._keyError) return null;
+
+  const isVideo = source instanceof HTMLVideoElement;
+  if (isVideo && source.readyState < 2) return null;
+  const { width, height } = getSourceSize(source);
+  if (!width || !height) return null;
+
+  const signature = [
+    JSON.stringify(key),
+    isVideo ? source.currentTime : source.src,
+    width,
+    height,
+  ].join('|');
+  if (fabricObject._keyCanvas && fabricObject._keySignature === signature) {
+    return fabricObject._keyCanvas;
+  }
+
+  try {
+    fabricObject._keyCanvas =
+      fabricObject._keyCanvas || document.createElement('canvas');
+    keyRenderer.render(source, key, fabricObject._keyCanvas, width, height);
+    fabricObject._keySignature = signature;
+    return fabricObject._keyCanvas;
+  } catch (error) {
+    // Typically a cross-origin source; draw it unkeyed from now on
+    console.warn('Could not key element, drawing it without the key:', error);
+    fabricObject._keyError = true;
+    return null;
+  }
+};
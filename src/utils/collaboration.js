@@ -0,0 +1,106 @@
+// Live collaboration exchanges element-level operations instead of whole
+// timelines: an upsert carries the full element and where it sits, a remove
+// only its id. Each side keeps a snapshot of what it last sent or received,
+// serialized per element, to tell its own edits from ones it was sent.
+
+export const COLLABORATIVE_COLLECTIONS = ['editorElements', 'animations'];
+
+const serialize = item => JSON.stringify(item);
+
+export const createSnapshot = timelineState =>
+  COLLABORATIVE_COLLECTIONS.reduce((snapshot, collection) => {
+    snapshot[collection] = new Map(
+      (timelineState[collection] || []).map(item => [item.id, serialize(item)])
+    );
+    return snapshot;
+  }, {});
+
+/**
+ * Operations that turn the snapshot into the current timeline state.
+ */
+export const diffTimeline = (snapshot, timelineState) => {
+  const operations = [];
+  COLLABORATIVE_COLLECTIONS.forEach(collection => {
+    const known = snapshot[collection];
+    const items = timelineState[collection] || [];
+    const currentIds = new Set();
+
+    items.forEach((item, index) => {
+      currentIds.add(item.id);
+      if (known.get(item.id) !== serialize(item)) {
+        operations.push({ type: 'upsert', collection, item, index });
+      }
+    });
+    known.forEach((_, id) => {
+      if (!currentIds.has(id)) {
+        operations.push({ type: 'remove', collection, id });
+      }
+    });
+  });
+  return operations;
+};
+
+export const updateSnapshot = (snapshot, operations) => {
+  operations.forEach(operation => {
+    const known = snapshot[operation.collection];
+    if (!known) return;
+    if (operation.type === 'upsert') {
+      known.set(operation.item.id, serialize(operation.item));
+    } else {
+      known.delete(operation.id);
+    }
+  });
+};
+
+/**
+ * Apply operations to the timeline collections. Returns only the collections
+ * that actually changed, so receiving our own state back is a no-op.
+ */
+export const applyOperations = (timelineState, operations) => {
+  const changed = {};
+  operations.forEach(operation => {
+    const { collection } = operation;
+    if (!COLLABORATIVE_COLLECTIONS.includes(collection)) return;
+
+    const items = changed[collection] || timelineState[collection] || [];
+    if (operation.type === 'remove') {
+      if (items.some(item => item.id === operation.id)) {
+        changed[collection] = items.filter(item => item.id !== operation.id);
+      }
+      return;
+    }
+
+    const { item, index } = operation;
+    const existingIndex = items.findIndex(current => current.id === item.id);
+    if (existingIndex === -1) {
+      const next = [...items];
+      next.splice(Math.min(index ?? next.length, next.length), 0, item);
+      changed[collection] = next;
+    } else if (serialize(items[existingIndex]) !== serialize(item)) {
+      const next = [...items];
+      next[existingIndex] = item;
+      changed[collection] = next;
+    }
+  });
+  return changed;
+};
+
+const PRESENCE_COLORS = [
+  '#f97316',
+  '#22c55e',
+  '#3b82f6',
+  '#ec4899',
+  '#a855f7',
+  '#14b8a6',
+  '#eab308',
+  '#ef4444',
+];
+
+// The same collaborator gets the same color in every tab
+export const getPresenceColor = clientId => {
+  const hash = [...(clientId || '')].reduce(
+    (sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0,
+    7
+  );
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+};
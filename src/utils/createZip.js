@@ -1,9 +1,15 @@
 import JSZip from 'jszip';
 
-export const createZip = async imageBlobs => {
+// Entries are either blobs, saved as image0.jpg, image1.jpg and so on, or
+// { name, data } with the path inside the zip
+export const createZip = async entries => {
   const zip = new JSZip();
-  imageBlobs.forEach((blob, index) => {
-    zip.file(`image${index}.jpg`, blob);
+  entries.forEach((entry, index) => {
+    if (entry instanceof Blob) {
+      zip.file(`image${index}.jpg`, entry);
+    } else {
+      zip.file(entry.name, entry.data);
+    }
   });
   const zipFile = await zip.generateAsync({ type: 'blob' });
   return zipFile;
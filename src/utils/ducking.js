@@ -0,0 +1,232 @@
+// Automatic ducking of music under voiceover. Voice clips are analyzed into
+// loudness envelopes, speech on the timeline becomes a list of intervals,
+// and music clips with `properties.ducking` turned on are lowered over those
+// intervals. Preview and export both read the gain from getDuckingGain, so
+// the music ducks the same way in both.
+
+import { getSpeedPoints, sourceAlong } from './retime';
+
+export const VOICE_AUDIO_TYPES = ['voice', 'voiceover'];
+export const DUCKED_AUDIO_TYPES = ['music'];
+
+// Depth in dB, attack and release in ms
+export const DEFAULT_DUCKING_SETTINGS = {
+  enabled: false,
+  depth: 12,
+  attack: 150,
+  release: 400,
+};
+
+export const DUCKING_LIMITS = {
+  depth: { min: 0, max: 40 },
+  attack: { min: 0, max: 2000 },
+  release: { min: 0, max: 4000 },
+};
+
+export const ENVELOPE_STEP_MS = 20;
+const ANALYSIS_SAMPLE_RATE = 16000;
+// Voice louder than this counts as speech
+const SPEECH_THRESHOLD_DB = -40;
+// Pauses shorter than this keep the music down
+const MIN_PAUSE_MS = 300;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Settings with defaults filled in and values in range
+export const normalizeDucking = ducking => {
+  const settings = { ...DEFAULT_DUCKING_SETTINGS, ...(ducking || {}) };
+  Object.entries(DUCKING_LIMITS).forEach(([key, { min, max }]) => {
+    const value = Number(settings[key]);
+    settings[key] = Number.isFinite(value)
+      ? clamp(value, min, max)
+      : DEFAULT_DUCKING_SETTINGS[key];
+  });
+  settings.enabled = !!settings.enabled;
+  return settings;
+};
+
+const isAudible = element =>
+  !!element.properties?.src &&
+  !element.properties.muted &&
+  (element.properties.volume ?? 1) > 0;
+
+export const isVoiceElement = element =>
+  element.type === 'audio' &&
+  VOICE_AUDIO_TYPES.includes(element.properties?.audioType) &&
+  isAudible(element);
+
+export const isDuckableElement = element =>
+  element.type === 'audio' &&
+  DUCKED_AUDIO_TYPES.includes(element.properties?.audioType);
+
+export const isDuckingEnabled = element =>
+  isDuckableElement(element) && !!element.properties?.ducking?.enabled;
+
+const envelopeCache = new Map(); // src -> Promise<Float32Array>
+
+/**
+ * Loudness of an audio file in dBFS, one value per ENVELOPE_STEP_MS of
+ * source time. Envelopes are small, so they stay cached for the session.
+ */
+export const loadLoudnessEnvelope = src => {
+  if (!envelopeCache.has(src)) {
+    const promise = (async () => {
+      const response = await fetch(src);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch audio: ${response.status}`);
+      }
+      const decodeContext = new OfflineAudioContext(1, 1, ANALYSIS_SAMPLE_RATE);
+      const buffer = await decodeContext.decodeAudioData(
+        await response.arrayBuffer()
+      );
+
+      const samplesPerStep = Math.round(
+        (buffer.sampleRate * ENVELOPE_STEP_MS) / 1000
+      );
+      const steps = Math.ceil(buffer.length / samplesPerStep);
+      const envelope = new Float32Array(steps);
+      const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) =>
+        buffer.getChannelData(i)
+      );
+
+      for (let step = 0; step < steps; step++) {
+        const start = step * samplesPerStep;
+        const end = Math.min(start + samplesPerStep, buffer.length);
+        let sumSq = 0;
+        channels.forEach(data => {
+          for (let i = start; i < end; i++) sumSq += data[i] * data[i];
+        });
+        const rms = Math.sqrt(sumSq / ((end - start) * channels.length || 1));
+        envelope[step] = 20 * Math.log10(rms + 1e-9);
+      }
+      return envelope;
+    })();
+
+    envelopeCache.set(src, promise);
+    promise.catch(() => envelopeCache.delete(src));
+  }
+  return envelopeCache.get(src);
+};
+
+// Speech in one voice clip, as [{ start, end }] in timeline ms
+const getClipSpeech = (element, envelope) => {
+  const { properties, timeFrame } = element;
+  const durationMs = timeFrame.end - timeFrame.start;
+  const offsetMs = Math.max(0, properties.audioOffset || 0);
+  const speedPoints = getSpeedPoints(properties, durationMs);
+  const gainDb = 20 * Math.log10(clamp(properties.volume ?? 1, 0, 1) || 1e-9);
+
+  const intervals = [];
+  let current = null;
+  for (let t = 0; t < durationMs; t += ENVELOPE_STEP_MS) {
+    const step = Math.floor(
+      (offsetMs + sourceAlong(speedPoints, t)) / ENVELOPE_STEP_MS
+    );
+    const isSpeech =
+      step < envelope.length && envelope[step] + gainDb > SPEECH_THRESHOLD_DB;
+    const time = timeFrame.start + t;
+    if (!isSpeech) {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { start: time, end: time };
+      intervals.push(current);
+    }
+    current.end = Math.min(time + ENVELOPE_STEP_MS, timeFrame.end);
+  }
+  return intervals;
+};
+
+// Sorted intervals, with overlaps and short pauses merged
+const mergeIntervals = intervals =>
+  [...intervals]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start - last.end < MIN_PAUSE_MS) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
+      }
+      return merged;
+    }, []);
+
+/**
+ * Speech on the timeline from the voice clips among `elements`, as sorted
+ * [{ start, end }] in ms. Clips that fail to load don't duck anything.
+ */
+export const loadSpeechIntervals = async elements => {
+  const voices = elements.filter(isVoiceElement);
+  const envelopes = new Map(
+    await Promise.all(
+      [...new Set(voices.map(element => element.properties.src))].map(
+        async src => [
+          src,
+          await loadLoudnessEnvelope(src).catch(error => {
+            console.warn('Could not analyze voice for ducking:', error);
+            return null;
+          }),
+        ]
+      )
+    )
+  );
+
+  return mergeIntervals(
+    voices.flatMap(element => {
+      const envelope = envelopes.get(element.properties.src);
+      return envelope ? getClipSpeech(element, envelope) : [];
+    })
+  );
+};
+
+/**
+ * Gain (0..1) ducking applies at timeline time `timeMs`. The music starts
+ * going down `attack` ms before speech so it is already low when the voice
+ * comes in, and comes back up over `release` ms after it.
+ */
+export const getDuckingGain = (intervals, ducking, timeMs) => {
+  const settings = normalizeDucking(ducking);
+  if (!settings.enabled || !intervals?.length || !settings.depth) return 1;
+
+  const attack = Math.max(1, settings.attack);
+  const release = Math.max(1, settings.release);
+  let amount = 0;
+  for (const { start, end } of intervals) {
+    if (timeMs < start - attack) break;
+    if (timeMs > end + release) continue;
+    const shape =
+      timeMs < start
+        ? (timeMs - (start - attack)) / attack
+        : timeMs <= end
+        ? 1
+        : 1 - (timeMs - end) / release;
+    amount = Math.max(amount, shape);
+    if (amount >= 1) break;
+  }
+  return 10 ** ((-settings.depth * amount) / 20);
+};
+
+/**
+ * Ducking gain at evenly spaced times from startMs to endMs inclusive, about
+ * `stepMs` apart, as setValueCurveAtTime expects it. Null when the music
+ * isn't ducked anywhere in that range.
+ */
+export const getDuckingCurve = (
+  intervals,
+  ducking,
+  startMs,
+  endMs,
+  stepMs = 10
+) => {
+  const length = Math.max(2, Math.ceil((endMs - startMs) / stepMs) + 1);
+  const curve = new Float32Array(length);
+  const spacing = (endMs - startMs) / (length - 1);
+  let isDucked = false;
+  for (let i = 0; i < length; i++) {
+    const time = startMs + i * spacing;
+    curve[i] = getDuckingGain(intervals, ducking, time);
+    if (curve[i] < 1) isDucked = true;
+  }
+  return isDucked ? curve : null;
+};
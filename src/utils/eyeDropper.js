@@ -0,0 +1,19 @@
+export const isEyeDropperSupported = () => 'EyeDropper' in window;
+
+/**
+ * Let the user pick a color anywhere on screen. Resolves to the picked hex
+ * color, or null when the browser has no EyeDropper or the pick was
+ * cancelled.
+ */
+export const pickScreenColor = async () => {
+  if (!isEyeDropperSupported()) {
+    console.warn('EyeDropper API is not supported in this browser');
+    return null;
+  }
+  try {
+    const result = await new window.EyeDropper().open();
+    return result?.sRGBHex || null;
+  } catch (error) {
+    return null;
+  }
+};
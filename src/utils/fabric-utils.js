@@ -1,4 +1,7 @@
 import { fabric } from 'fabric';
+import { getKeyedFrame } from './chromaKey';
+import { getGradedFrame } from './lut';
+import { renderMasked } from './masks';
 
 // Make sure all brush types are available
 if (!fabric.PencilBrush) {
@@ -169,6 +172,53 @@ if (!fabric.SprayBrush) {
   });
 }
 
+// What an image or video object draws: its element, keyed when the object
+// has a chroma or luma key and then graded when it has a LUT
+const getRenderSource = object => {
+  const element = object._element;
+  const keyed =
+    (object.keyEffect && getKeyedFrame(object, element)) || element;
+  if (!object.lutEffect) return keyed;
+
+  const frameSignature =
+    keyed !== element
+      ? object._keySignature
+      : element instanceof HTMLVideoElement
+      ? element.currentTime
+      : element?.src;
+  return getGradedFrame(object, keyed, frameSignature) || keyed;
+};
+
+// Plain images (imageUrl elements) draw through _renderFill
+const renderImageFill = fabric.Image.prototype._renderFill;
+fabric.Image.prototype._renderFill = function (ctx) {
+  const element = this._element;
+  const source = getRenderSource(this);
+  if (source === element) {
+    renderImageFill.call(this, ctx);
+    return;
+  }
+  this._element = source;
+  try {
+    renderImageFill.call(this, ctx);
+  } finally {
+    this._element = element;
+  }
+};
+
+// Masked objects are drawn through their mask; objects serving as a track
+// matte are only drawn through the objects they matte
+const renderObject = fabric.Object.prototype.render;
+const renderUnmasked = (object, ctx) => renderObject.call(object, ctx);
+fabric.Object.prototype.render = function (ctx) {
+  if (this.isMatteLayer) return;
+  if (!this.maskEffect) {
+    renderObject.call(this, ctx);
+    return;
+  }
+  renderMasked(this, ctx, renderUnmasked);
+};
+
 export const CoverImage = fabric.util.createClass(fabric.Image, {
   type: 'coverImage',
 
@@ -233,7 +283,7 @@ export const CoverImage = fabric.util.createClass(fabric.Image, {
       }
 
       ctx.drawImage(
-        this._element,
+        getRenderSource(this),
         Math.max(this.cropX, 0),
         Math.max(this.cropY, 0),
         Math.max(1, this.width),
@@ -266,7 +316,7 @@ export const CoverImage = fabric.util.createClass(fabric.Image, {
     const customFilter = this.customFilter;
     ctx.filter = getFilterFromEffectType(customFilter);
     ctx.drawImage(
-      this._element,
+      getRenderSource(this),
       Math.max(cropX, 0),
       Math.max(cropY, 0),
       Math.max(1, cropWidth),
@@ -348,7 +398,7 @@ export const CoverVideo = fabric.util.createClass(fabric.Image, {
     const customFilter = this.customFilter;
     ctx.filter = getFilterFromEffectType(customFilter);
     ctx.drawImage(
-      this._element,
+      getRenderSource(this),
       Math.max(cropX, 0) / videoScaledX,
       Math.max(cropY, 0) / videoScaledY,
       Math.max(1, cropWidth) / videoScaledX,
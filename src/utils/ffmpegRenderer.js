@@ -0,0 +1,305 @@
+import { FFmpeg } from '@ffmpeg/ffmpeg';
+import { toBlobURL } from '@ffmpeg/util';
+
+// Core is fetched once and turned into blob URLs so the worker can load it
+// under our CSP. It is served from public/ffmpeg (copied from @ffmpeg/core
+// by scripts/copyFFmpegCore.js) unless a CDN copy is configured.
+const FFMPEG_CORE_URL =
+  process.env.REACT_APP_FFMPEG_CORE_URL ||
+  `${process.env.PUBLIC_URL || ''}/ffmpeg`;
+
+// Frames are encoded in segments so the in-memory filesystem never has to
+// hold every frame of a long story at once
+const SEGMENT_FRAMES = 120;
+
+const QUALITY_PRESETS = {
+  medium: { crf: 26, preset: 'veryfast', audioBitrate: '128k' },
+  high: { crf: 18, preset: 'medium', audioBitrate: '192k' },
+};
+
+// Rate control is either a constant rate factor or, when videoBitrate (kbps)
+// is set, a target bitrate
+const CODECS = {
+  h264: ({ crf, preset, videoBitrate }) => [
+    '-c:v',
+    'libx264',
+    '-preset',
+    preset,
+    ...(videoBitrate
+      ? [
+          '-b:v',
+          `${videoBitrate}k`,
+          '-maxrate',
+          `${videoBitrate}k`,
+          '-bufsize',
+          `${videoBitrate * 2}k`,
+        ]
+      : ['-crf', String(crf)]),
+  ],
+  vp9: ({ crf, videoBitrate }) => [
+    '-c:v',
+    'libvpx-vp9',
+    ...(videoBitrate
+      ? ['-b:v', `${videoBitrate}k`]
+      : ['-crf', String(crf + 12), '-b:v', '0']),
+    '-deadline',
+    'realtime',
+  ],
+  vp8: ({ crf, videoBitrate }) => [
+    '-c:v',
+    'libvpx',
+    ...(videoBitrate
+      ? ['-b:v', `${videoBitrate}k`]
+      : ['-crf', String(Math.max(4, crf - 8)), '-b:v', '0']),
+    '-deadline',
+    'realtime',
+  ],
+};
+
+const FORMATS = {
+  mp4: {
+    mimeType: 'video/mp4',
+    codecs: ['h264'],
+    audioArgs: ({ audioBitrate }) => ['-c:a', 'aac', '-b:a', audioBitrate],
+    extraArgs: ['-movflags', '+faststart'],
+  },
+  webm: {
+    mimeType: 'video/webm',
+    codecs: ['vp9', 'vp8'],
+    audioArgs: ({ audioBitrate }) => ['-c:a', 'libopus', '-b:a', audioBitrate],
+    extraArgs: [],
+  },
+};
+
+// Fit frames into the output size, letterboxing when the aspect ratio differs
+const scaleFilter = ({ width, height }) =>
+  `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+  `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+
+const padFrameIndex = index => index.toString().padStart(5, '0');
+
+// In-browser FFmpeg.wasm encoder used by the "High" local render option
+class FFmpegRenderer {
+  constructor() {
+    this.ffmpeg = null;
+    this.loadPromise = null;
+    this.session = null;
+  }
+
+  // Lazily load the wasm core; concurrent callers share the same promise
+  async load() {
+    if (this.ffmpeg?.loaded) return this.ffmpeg;
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        const ffmpeg = new FFmpeg();
+        await ffmpeg.load({
+          coreURL: await toBlobURL(
+            `${FFMPEG_CORE_URL}/ffmpeg-core.js`,
+            'text/javascript'
+          ),
+          wasmURL: await toBlobURL(
+            `${FFMPEG_CORE_URL}/ffmpeg-core.wasm`,
+            'application/wasm'
+          ),
+        });
+        this.ffmpeg = ffmpeg;
+        return ffmpeg;
+      })().catch(error => {
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+
+    return this.loadPromise;
+  }
+
+  static isSupported() {
+    return typeof WebAssembly === 'object' && typeof Worker === 'function';
+  }
+
+  // Start a new encoding session. Frames are pushed with addFrame() and the
+  // final file is produced by finish(). width/height are optional; frames are
+  // encoded at their captured size when omitted.
+  async begin({
+    fps,
+    format = 'mp4',
+    codec,
+    quality = 'high',
+    videoBitrate = null,
+    width = null,
+    height = null,
+  }) {
+    if (this.session) {
+      throw new Error('An FFmpeg render is already in progress');
+    }
+
+    await this.load();
+
+    const sessionFormat = FORMATS[format] ? format : 'mp4';
+    const { codecs } = FORMATS[sessionFormat];
+
+    this.session = {
+      fps,
+      format: sessionFormat,
+      codec: codecs.includes(codec) ? codec : codecs[0],
+      quality: {
+        ...(QUALITY_PRESETS[quality] || QUALITY_PRESETS.high),
+        videoBitrate,
+      },
+      size: width && height ? { width, height } : null,
+      pendingFrames: [],
+      segments: [],
+      frameCount: 0,
+    };
+  }
+
+  // Add one encoded image (JPEG/PNG blob) as the next frame
+  async addFrame(blob) {
+    const session = this.requireSession();
+    const name = `frame_${padFrameIndex(session.pendingFrames.length)}.jpg`;
+
+    await this.ffmpeg.writeFile(name, new Uint8Array(await blob.arrayBuffer()));
+    session.pendingFrames.push(name);
+    session.frameCount++;
+
+    if (session.pendingFrames.length >= SEGMENT_FRAMES) {
+      await this.flushSegment();
+    }
+  }
+
+  // Encode buffered frames into an intermediate segment and free them
+  async flushSegment() {
+    const session = this.requireSession();
+    if (session.pendingFrames.length === 0) return;
+
+    const segmentName = `segment_${session.segments.length}.${session.format}`;
+
+    const exitCode = await this.ffmpeg.exec([
+      '-framerate',
+      String(session.fps),
+      '-i',
+      'frame_%05d.jpg',
+      ...(session.size ? ['-vf', scaleFilter(session.size)] : []),
+      ...CODECS[session.codec](session.quality),
+      '-pix_fmt',
+      'yuv420p',
+      '-r',
+      String(session.fps),
+      '-an',
+      segmentName,
+    ]);
+
+    await Promise.all(
+      session.pendingFrames.map(name => this.ffmpeg.deleteFile(name))
+    );
+    session.pendingFrames = [];
+
+    if (exitCode !== 0) {
+      throw new Error(`FFmpeg failed to encode ${segmentName}`);
+    }
+
+    session.segments.push(segmentName);
+  }
+
+  // Concatenate segments, mux the optional WAV soundtrack and return a Blob
+  async finish({ audioWav = null } = {}) {
+    const session = this.requireSession();
+
+    try {
+      await this.flushSegment();
+
+      if (session.segments.length === 0) {
+        throw new Error('No frames were rendered');
+      }
+
+      const format = FORMATS[session.format];
+      const outputName = `output.${session.format}`;
+
+      await this.ffmpeg.writeFile(
+        'segments.txt',
+        session.segments.map(name => `file '${name}'`).join('\n')
+      );
+
+      const args = ['-f', 'concat', '-safe', '0', '-i', 'segments.txt'];
+
+      if (audioWav) {
+        await this.ffmpeg.writeFile(
+          'audio.wav',
+          new Uint8Array(await audioWav.arrayBuffer())
+        );
+        args.push(
+          '-i',
+          'audio.wav',
+          '-map',
+          '0:v:0',
+          '-map',
+          '1:a:0',
+          '-c:v',
+          'copy',
+          ...format.audioArgs(session.quality),
+          '-shortest'
+        );
+      } else {
+        args.push('-c:v', 'copy');
+      }
+
+      args.push(...format.extraArgs, outputName);
+
+      const exitCode = await this.ffmpeg.exec(args);
+      if (exitCode !== 0) {
+        throw new Error('FFmpeg failed to mux the final video');
+      }
+
+      const data = await this.ffmpeg.readFile(outputName);
+      return new Blob([data.buffer], { type: format.mimeType });
+    } finally {
+      await this.cleanup();
+    }
+  }
+
+  // Abort the current session and drop every temporary file
+  async cancel() {
+    if (!this.session) return;
+    await this.cleanup();
+  }
+
+  requireSession() {
+    if (!this.session) {
+      throw new Error('FFmpeg render session has not been started');
+    }
+    return this.session;
+  }
+
+  async cleanup() {
+    if (!this.ffmpeg) {
+      this.session = null;
+      return;
+    }
+
+    try {
+      const files = await this.ffmpeg.listDir('.');
+      await Promise.all(
+        files
+          .filter(
+            file =>
+              !file.isDir &&
+              /^(frame_|segment_|segments\.txt|audio\.wav|output\.)/.test(
+                file.name
+              )
+          )
+          .map(file => this.ffmpeg.deleteFile(file.name).catch(() => {}))
+      );
+    } catch (error) {
+      console.warn('Failed to clean FFmpeg filesystem:', error);
+    }
+
+    this.session = null;
+  }
+}
+
+// Create singleton instance
+const ffmpegRenderer = new FFmpegRenderer();
+
+export { FFmpegRenderer };
+export default ffmpegRenderer;
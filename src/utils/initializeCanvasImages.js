@@ -28,6 +28,8 @@ const initializeCanvasImages = async (data, store, dispatch) => {
 
   // Clear any existing timeline history when initializing new story
   dispatch({ type: 'timeline/resetState' });
+  store.setMarkers(data.editorParams?.markers || []);
+  store.setRowSettings(data.editorParams?.rowSettings || {});
 
   let defaultTime = 60000;
 
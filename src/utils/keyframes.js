@@ -0,0 +1,191 @@
+import { getUid } from './index';
+
+// Element properties that can be keyframed and the fabric property they drive
+export const KEYFRAME_PROPERTIES = {
+  x: { label: 'Position X', fabricKey: 'left', placementKey: 'x' },
+  y: { label: 'Position Y', fabricKey: 'top', placementKey: 'y' },
+  scaleX: { label: 'Scale X', fabricKey: 'scaleX', placementKey: 'scaleX' },
+  scaleY: { label: 'Scale Y', fabricKey: 'scaleY', placementKey: 'scaleY' },
+  rotation: { label: 'Rotation', fabricKey: 'angle', placementKey: 'rotation' },
+  opacity: {
+    label: 'Opacity',
+    fabricKey: 'opacity',
+    placementKey: 'opacity',
+    defaultValue: 1,
+  },
+};
+
+export const TRANSFORM_KEYFRAME_PROPERTIES = Object.keys(KEYFRAME_PROPERTIES);
+
+// Filter parameters are keyframed as `filter.<param>`, e.g. `filter.blur`
+export const FILTER_KEYFRAME_PREFIX = 'filter.';
+
+// Mask geometry is keyframed as `mask.<param>`, e.g. `mask.width`
+export const MASK_KEYFRAME_PREFIX = 'mask.';
+
+// Keyframes closer than this are treated as the same keyframe
+const KEYFRAME_TIME_EPSILON = 1;
+
+// Easing of a keyframe applies to the segment that starts at that keyframe
+export const KEYFRAME_EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - Math.pow(1 - t, 3),
+  easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  hold: () => 0,
+};
+
+export const isFilterKeyframeProperty = property =>
+  property.startsWith(FILTER_KEYFRAME_PREFIX);
+
+export const getFilterParamName = property =>
+  property.slice(FILTER_KEYFRAME_PREFIX.length);
+
+export const isMaskKeyframeProperty = property =>
+  property.startsWith(MASK_KEYFRAME_PREFIX);
+
+export const getMaskParamName = property =>
+  property.slice(MASK_KEYFRAME_PREFIX.length);
+
+export const hasKeyframes = element =>
+  !!element?.keyframes &&
+  Object.values(element.keyframes).some(track => track?.length > 0);
+
+const sortTrack = track => [...track].sort((a, b) => a.time - b.time);
+
+/**
+ * Value of a single keyframe track at a time relative to the element start.
+ * Holds the first/last value outside the keyframed range.
+ */
+export const interpolateTrack = (track, localTime) => {
+  if (!track || track.length === 0) return undefined;
+
+  const sorted = sortTrack(track);
+  if (localTime <= sorted[0].time) return sorted[0].value;
+
+  const last = sorted[sorted.length - 1];
+  if (localTime >= last.time) return last.value;
+
+  const index = sorted.findIndex(
+    (keyframe, i) =>
+      localTime >= keyframe.time && localTime < sorted[i + 1].time
+  );
+  const from = sorted[index];
+  const to = sorted[index + 1];
+  const ease = KEYFRAME_EASINGS[from.easing] || KEYFRAME_EASINGS.linear;
+  const progress = ease((localTime - from.time) / (to.time - from.time));
+
+  return from.value + (to.value - from.value) * progress;
+};
+
+// All keyframed values of an element at an absolute timeline time
+export const evaluateKeyframes = (element, timeMs) => {
+  const values = {};
+  if (!hasKeyframes(element)) return values;
+
+  const localTime = timeMs - element.timeFrame.start;
+  Object.entries(element.keyframes).forEach(([property, track]) => {
+    const value = interpolateTrack(track, localTime);
+    if (value !== undefined) {
+      values[property] = value;
+    }
+  });
+  return values;
+};
+
+// Un-keyframed value of a property, used when its last keyframe is removed
+export const getKeyframeBaseValue = (element, property) => {
+  const config = KEYFRAME_PROPERTIES[property];
+  if (!config) return undefined;
+  return element.placement?.[config.placementKey] ?? config.defaultValue;
+};
+
+// Current on-canvas value of a property, used as the default for new keyframes
+export const readKeyframeValue = (element, property) => {
+  const fabricObject = element.fabricObject;
+  if (isFilterKeyframeProperty(property)) {
+    const options =
+      fabricObject?._pixiFilterOptions || fabricObject?._glitchOptions || {};
+    return options[getFilterParamName(property)];
+  }
+  if (isMaskKeyframeProperty(property)) {
+    const mask = fabricObject?.maskEffect || element.properties?.mask;
+    return mask?.[getMaskParamName(property)];
+  }
+
+  const config = KEYFRAME_PROPERTIES[property];
+  if (!config) return undefined;
+  return fabricObject
+    ? fabricObject[config.fabricKey]
+    : getKeyframeBaseValue(element, property);
+};
+
+/**
+ * Insert a keyframe into a property track, replacing one at the same time.
+ * Returns a new keyframes object so MobX and Redux see the change.
+ */
+export const upsertKeyframe = (
+  keyframes,
+  property,
+  { id, time, value, easing }
+) => {
+  const track = (keyframes?.[property] || []).filter(
+    keyframe => Math.abs(keyframe.time - time) >= KEYFRAME_TIME_EPSILON
+  );
+  const existing = (keyframes?.[property] || []).find(
+    keyframe => Math.abs(keyframe.time - time) < KEYFRAME_TIME_EPSILON
+  );
+
+  return {
+    ...keyframes,
+    [property]: sortTrack([
+      ...track,
+      {
+        id: existing?.id || id || getUid(),
+        time,
+        value,
+        easing: easing || existing?.easing || 'linear',
+      },
+    ]),
+  };
+};
+
+// Apply updates to keyframes matching the predicate, dropping empty tracks
+export const mapKeyframes = (keyframes, predicate, update) => {
+  const next = {};
+  Object.entries(keyframes || {}).forEach(([property, track]) => {
+    const mapped = [];
+    track.forEach(keyframe => {
+      if (!predicate(keyframe, property)) {
+        mapped.push(keyframe);
+        return;
+      }
+      const result = update(keyframe, property);
+      if (result) mapped.push(result);
+    });
+    if (mapped.length > 0) {
+      next[property] = sortTrack(mapped);
+    }
+  });
+  return next;
+};
+
+// Distinct keyframe times across every track, for the timeline lane
+export const getKeyframeTimes = element => {
+  const times = [];
+  Object.values(element?.keyframes || {}).forEach(track => {
+    track.forEach(keyframe => {
+      if (
+        !times.some(
+          time => Math.abs(time - keyframe.time) < KEYFRAME_TIME_EPSILON
+        )
+      ) {
+        times.push(keyframe.time);
+      }
+    });
+  });
+  return times.sort((a, b) => a - b);
+};
+
+export const isSameKeyframeTime = (a, b) =>
+  Math.abs(a - b) < KEYFRAME_TIME_EPSILON;
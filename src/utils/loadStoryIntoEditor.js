@@ -0,0 +1,24 @@
+import { runInAction } from 'mobx';
+import { setScenes } from '../redux/scene/sceneSlice';
+import { setCurrentStory } from '../redux/stories/storiesSlice';
+import initializeCanvasImages from './initializeCanvasImages';
+
+/**
+ * Replace whatever is open in the editor with `storyData` (a story with its
+ * scenes and editorParams), rebuilding the timeline the same way a story
+ * loaded from the server is.
+ */
+const loadStoryIntoEditor = async (storyData, store, dispatch) => {
+  dispatch(setCurrentStory(storyData));
+  dispatch(setScenes(storyData.scenes || []));
+
+  runInAction(() => {
+    store.editorElements = [];
+    store.animations = [];
+    store.glTransitionElements.clear();
+    store.setSelectedElement(null);
+  });
+  await initializeCanvasImages(storyData, store, dispatch);
+};
+
+export default loadStoryIntoEditor;
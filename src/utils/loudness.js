@@ -0,0 +1,244 @@
+// Loudness measurement after EBU R128 / ITU-R BS.1770: integrated loudness in
+// LUFS and true peak in dBTP of an AudioBuffer, plus the true-peak limiter
+// the export mix goes through. Everything runs on rendered buffers, so clips
+// are measured the way they sound on the timeline.
+
+export const LOUDNESS_TARGETS = [
+  { id: 'youtube', label: 'YouTube', lufs: -14 },
+  { id: 'podcast', label: 'Podcast', lufs: -16 },
+  { id: 'broadcast', label: 'Broadcast', lufs: -23 },
+];
+
+// Ceiling of the export limiter
+export const EXPORT_TRUE_PEAK_DB = -1;
+
+const BLOCK_MS = 400;
+const STEP_MS = 100;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+// True peak is looked for at 4x the sample rate
+const OVERSAMPLING = 4;
+const INTERPOLATION_TAPS = 16;
+
+export const gainToDb = gain => 20 * Math.log10(gain);
+export const dbToGain = db => 10 ** (db / 20);
+
+// Coefficients of the two K-weighting stages for a sample rate: a high shelf
+// for the head, then the RLB high-pass. Same constants as libebur128.
+const getKWeightingFilters = sampleRate => {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  const Q = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [
+      (Vh + (Vb * K) / Q + K * K) / a0,
+      (2 * (K * K - Vh)) / a0,
+      (Vh - (Vb * K) / Q + K * K) / a0,
+    ],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  const highPassQ = 0.5003270373238773;
+  a0 = 1 + K / highPassQ + K * K;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / highPassQ + K * K) / a0],
+  };
+  return [shelf, highPass];
+};
+
+// Run `data` through the K-weighting and return the squared output
+const getWeightedPower = (data, filters) => {
+  const power = new Float32Array(data.length);
+  const state = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+  for (let i = 0; i < data.length; i++) {
+    let sample = data[i];
+    for (let f = 0; f < filters.length; f++) {
+      const { b, a } = filters[f];
+      const s = state[f];
+      const out =
+        b[0] * sample + b[1] * s.x1 + b[2] * s.x2 - a[0] * s.y1 - a[1] * s.y2;
+      s.x2 = s.x1;
+      s.x1 = sample;
+      s.y2 = s.y1;
+      s.y1 = out;
+      sample = out;
+    }
+    power[i] = sample * sample;
+  }
+  return power;
+};
+
+const blockLoudness = meanSquare => -0.691 + 10 * Math.log10(meanSquare);
+
+/**
+ * Integrated loudness of `buffer` in LUFS, gated as BS.1770 says: 400 ms
+ * blocks overlapping by 75%, an absolute gate at -70 LUFS and a relative one
+ * 10 LU under the ungated level. -Infinity for silence or very short audio.
+ */
+export const measureIntegratedLoudness = buffer => {
+  const { sampleRate, numberOfChannels, length } = buffer;
+  const stepSamples = Math.round((sampleRate * STEP_MS) / 1000);
+  const stepsPerBlock = BLOCK_MS / STEP_MS;
+  const stepCount = Math.floor(length / stepSamples);
+  if (stepCount < stepsPerBlock) return -Infinity;
+
+  // Power per 100 ms step, summed over channels (all weighted 1, as for
+  // mono and stereo)
+  const filters = getKWeightingFilters(sampleRate);
+  const stepPower = new Float64Array(stepCount);
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const power = getWeightedPower(buffer.getChannelData(channel), filters);
+    for (let step = 0; step < stepCount; step++) {
+      let sum = 0;
+      const start = step * stepSamples;
+      for (let i = start; i < start + stepSamples; i++) sum += power[i];
+      stepPower[step] += sum;
+    }
+  }
+
+  const blockSamples = stepSamples * stepsPerBlock;
+  const blocks = [];
+  for (let step = 0; step + stepsPerBlock <= stepCount; step++) {
+    let sum = 0;
+    for (let i = step; i < step + stepsPerBlock; i++) sum += stepPower[i];
+    const meanSquare = sum / blockSamples;
+    if (blockLoudness(meanSquare) > ABSOLUTE_GATE_LUFS) blocks.push(meanSquare);
+  }
+  if (blocks.length === 0) return -Infinity;
+
+  const mean = values =>
+    values.reduce((sum, value) => sum + value, 0) / values.length;
+  const relativeGate = blockLoudness(mean(blocks)) + RELATIVE_GATE_LU;
+  const gated = blocks.filter(
+    meanSquare => blockLoudness(meanSquare) > relativeGate
+  );
+  return gated.length ? blockLoudness(mean(gated)) : -Infinity;
+};
+
+// Windowed-sinc taps that interpolate 1/4, 2/4 and 3/4 of the way between
+// two samples
+const interpolationPhases = Array.from(
+  { length: OVERSAMPLING - 1 },
+  (_, phase) => {
+    const fraction = (phase + 1) / OVERSAMPLING;
+    const half = INTERPOLATION_TAPS / 2;
+    return Array.from({ length: INTERPOLATION_TAPS }, (_, tap) => {
+      const x = tap - half + 1 - fraction;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const window = 0.5 * (1 + Math.cos((Math.PI * x) / half));
+      return sinc * window;
+    });
+  }
+);
+
+/**
+ * Peak of each sample and the inter-sample peaks after it, over all
+ * channels, as linear gain. What a DAC would reconstruct, not just the
+ * stored samples.
+ */
+const getTruePeaks = buffer => {
+  const peaks = new Float32Array(buffer.length);
+  const half = INTERPOLATION_TAPS / 2;
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      let peak = Math.abs(data[i]);
+      for (const taps of interpolationPhases) {
+        let value = 0;
+        for (let tap = 0; tap < INTERPOLATION_TAPS; tap++) {
+          const index = i + tap - half + 1;
+          if (index >= 0 && index < data.length) {
+            value += data[index] * taps[tap];
+          }
+        }
+        peak = Math.max(peak, Math.abs(value));
+      }
+      if (peak > peaks[i]) peaks[i] = peak;
+    }
+  }
+  return peaks;
+};
+
+// True peak of `buffer` in dBTP
+export const measureTruePeak = buffer => {
+  const peaks = getTruePeaks(buffer);
+  let max = 0;
+  for (let i = 0; i < peaks.length; i++) if (peaks[i] > max) max = peaks[i];
+  return gainToDb(max);
+};
+
+export const measureLoudness = buffer => ({
+  integrated: measureIntegratedLoudness(buffer),
+  truePeak: measureTruePeak(buffer),
+});
+
+/**
+ * Keep the true peak of `buffer` under `ceilingDb`, in place. The buffer is
+ * rendered already, so the limiter simply looks ahead: gain goes down in a
+ * ramp that ends as the peak arrives and recovers over `releaseMs`.
+ */
+export const limitTruePeak = (
+  buffer,
+  ceilingDb = EXPORT_TRUE_PEAK_DB,
+  { lookaheadMs = 5, releaseMs = 80 } = {}
+) => {
+  const ceiling = dbToGain(ceilingDb);
+  const peaks = getTruePeaks(buffer);
+  const { length, sampleRate } = buffer;
+
+  let isOver = false;
+  for (let i = 0; i < length; i++) {
+    if (peaks[i] > ceiling) {
+      isOver = true;
+      break;
+    }
+  }
+  if (!isOver) return buffer;
+
+  const lookahead = Math.max(1, Math.round((sampleRate * lookaheadMs) / 1000));
+  const release = 1 - Math.exp(-1 / ((sampleRate * releaseMs) / 1000));
+
+  // Lowest gain needed anywhere in the next `lookahead` samples, via a
+  // monotonic queue of candidate indices
+  const needed = index => (peaks[index] > ceiling ? ceiling / peaks[index] : 1);
+  const gain = new Float32Array(length);
+  const queue = new Int32Array(length);
+  let head = 0;
+  let tail = 0;
+  let next = 0;
+  let recovering = 1;
+  for (let i = 0; i < length; i++) {
+    for (; next <= Math.min(length - 1, i + lookahead); next++) {
+      while (tail > head && needed(queue[tail - 1]) >= needed(next)) tail--;
+      queue[tail++] = next;
+    }
+    while (queue[head] < i) head++;
+    // Release never rises above what is needed, so the ramp still ends
+    // low enough
+    recovering = Math.min(
+      needed(queue[head]),
+      recovering + (1 - recovering) * release
+    );
+    gain[i] = recovering;
+  }
+
+  // Averaging over the lookahead turns each drop into a ramp
+  let sum = 0;
+  const smoothed = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    sum += gain[i];
+    if (i > lookahead) sum -= gain[i - lookahead - 1];
+    smoothed[i] = sum / Math.min(i + 1, lookahead + 1);
+  }
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) data[i] *= smoothed[i];
+  }
+  return buffer;
+};
@@ -0,0 +1,523 @@
+// Color grading with 3D LUTs. A graded element carries `properties.lut`:
+// { id, name, intensity } for one of the built-in looks, plus `url` for a
+// .cube file imported into the project. Parsed LUTs are cached by id/url,
+// and every fabric object keeps its last graded frame, so scrubbing over an
+// image or a paused video doesn't grade the same frame twice.
+
+const BUILT_IN_SIZE = 33;
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+const mix = (a, b, t) => a + (b - a) * t;
+const sCurve = x => x * x * (3 - 2 * x);
+
+const saturate = ([r, g, b], amount) => {
+  const l = luma(r, g, b);
+  return [mix(l, r, amount), mix(l, g, amount), mix(l, b, amount)];
+};
+
+// Built-in looks as functions of a color in 0..1, sampled into LUTs on use
+const LOOKS = {
+  warm: ([r, g, b]) => [r * 1.08 + 0.02, g * 1.02, b * 0.88],
+  cool: ([r, g, b]) => [r * 0.9, g * 1.01 + 0.01, b * 1.08 + 0.03],
+  tealOrange: ([r, g, b]) => {
+    const shift = luma(r, g, b) - 0.5;
+    return saturate(
+      [r + shift * 0.16, g - Math.abs(shift) * 0.02, b - shift * 0.16],
+      1.1
+    );
+  },
+  bleachBypass: color => {
+    const [r, g, b] = saturate(color, 0.5);
+    return [r, g, b].map(x => (x - 0.5) * 1.25 + 0.5);
+  },
+  vintage: color => {
+    const [r, g, b] = saturate(color, 0.75);
+    return [r * 0.82 + 0.12, g * 0.8 + 0.09, b * 0.72 + 0.08];
+  },
+  filmic: ([r, g, b]) => [r, g, b].map(x => mix(x, sCurve(clamp01(x)), 0.6)),
+  noir: ([r, g, b]) => {
+    const l = sCurve(clamp01((luma(r, g, b) - 0.5) * 1.3 + 0.5));
+    return [l, l, l];
+  },
+};
+
+export const BUILT_IN_LUTS = [
+  { id: 'warm', name: 'Warm' },
+  { id: 'cool', name: 'Cool' },
+  { id: 'tealOrange', name: 'Teal & Orange' },
+  { id: 'bleachBypass', name: 'Bleach Bypass' },
+  { id: 'vintage', name: 'Vintage' },
+  { id: 'filmic', name: 'Filmic Contrast' },
+  { id: 'noir', name: 'Noir' },
+];
+
+export const isBuiltInLut = lut => !lut?.url && !!LOOKS[lut?.id];
+
+// Settings with a valid intensity, or null for anything that isn't a LUT
+export const normalizeLut = lut => {
+  if (!lut || !(lut.url || LOOKS[lut.id])) return null;
+  const intensity = Number(lut.intensity);
+  return {
+    ...lut,
+    intensity: Number.isFinite(intensity) ? clamp01(intensity) : 1,
+  };
+};
+
+const getLutKey = lut => lut.url || lut.id;
+
+// LUT data as an RGBA byte strip for the shader: slices of blue side by
+// side, red along each slice and green down it
+const createLutData = (size, sample) => {
+  const data = new Uint8Array(size * size * size * 4);
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const index = (g * size * size + b * size + r) * 4;
+        const color = sample(r, g, b);
+        data[index] = Math.round(clamp01(color[0]) * 255);
+        data[index + 1] = Math.round(clamp01(color[1]) * 255);
+        data[index + 2] = Math.round(clamp01(color[2]) * 255);
+        data[index + 3] = 255;
+      }
+    }
+  }
+  return data;
+};
+
+const createBuiltInLut = id => {
+  const look = LOOKS[id];
+  const step = 1 / (BUILT_IN_SIZE - 1);
+  return {
+    size: BUILT_IN_SIZE,
+    domainMin: [0, 0, 0],
+    domainMax: [1, 1, 1],
+    data: createLutData(BUILT_IN_SIZE, (r, g, b) =>
+      look([r * step, g * step, b * step])
+    ),
+  };
+};
+
+/**
+ * Parse the text of an Adobe/Resolve .cube file. Only 3D LUTs are
+ * supported; throws with a readable message for anything else.
+ */
+export const parseCubeLut = text => {
+  let size = 0;
+  let title = '';
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  const values = [];
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [keyword, ...rest] = line.split(/\s+/);
+    switch (keyword.toUpperCase()) {
+      case 'TITLE':
+        title = line.slice(keyword.length).trim().replace(/^"|"$/g, '');
+        return;
+      case 'LUT_3D_SIZE':
+        size = parseInt(rest[0], 10);
+        return;
+      case 'LUT_1D_SIZE':
+        throw new Error('1D LUTs are not supported, use a 3D .cube LUT');
+      case 'DOMAIN_MIN':
+        domainMin = rest.map(Number);
+        return;
+      case 'DOMAIN_MAX':
+        domainMax = rest.map(Number);
+        return;
+      default: {
+        const color = [keyword, ...rest].slice(0, 3).map(Number);
+        if (color.length === 3 && color.every(Number.isFinite)) {
+          values.push(color);
+        }
+      }
+    }
+  });
+
+  if (!(size >= 2 && size <= 256)) {
+    throw new Error('The file has no valid LUT_3D_SIZE');
+  }
+  if (values.length !== size * size * size) {
+    throw new Error(
+      `Expected ${size * size * size} LUT entries, found ${values.length}`
+    );
+  }
+
+  // .cube entries run with red fastest, then green, then blue
+  return {
+    title,
+    size,
+    domainMin,
+    domainMax,
+    data: createLutData(
+      size,
+      (r, g, b) => values[r + g * size + b * size * size]
+    ),
+  };
+};
+
+const lutCache = new Map(); // key -> parsed LUT
+const pendingLoads = new Map(); // key -> Promise
+
+/**
+ * Parsed LUT for the given settings, loading an imported one on first use.
+ */
+export const loadLut = lut => {
+  const key = getLutKey(lut);
+  if (lutCache.has(key)) return Promise.resolve(lutCache.get(key));
+  if (pendingLoads.has(key)) return pendingLoads.get(key);
+
+  const load = isBuiltInLut(lut)
+    ? Promise.resolve(createBuiltInLut(lut.id))
+    : fetch(lut.url).then(response => {
+        if (!response.ok) {
+          throw new Error(`Could not load LUT ${lut.name || lut.url}`);
+        }
+        return response.text().then(parseCubeLut);
+      });
+
+  const pending = load
+    .then(parsed => {
+      lutCache.set(key, parsed);
+      return parsed;
+    })
+    .finally(() => pendingLoads.delete(key));
+  pendingLoads.set(key, pending);
+  return pending;
+};
+
+// Make an already parsed LUT available without loading it again
+export const cacheLut = (lut, parsed) => lutCache.set(getLutKey(lut), parsed);
+
+/**
+ * Resolve once every LUT used by `elements` is loaded, so an export never
+ * renders a frame ungraded. LUTs that fail to load are left out.
+ */
+export const waitForLuts = elements =>
+  Promise.all(
+    elements
+      .map(element => normalizeLut(element.properties?.lut))
+      .filter(Boolean)
+      .map(lut =>
+        loadLut(lut).catch(error =>
+          console.warn('Could not load LUT, exporting ungraded:', error)
+        )
+      )
+  );
+
+const VERTEX_SHADER = `
+attribute vec2 aPosition;
+varying vec2 vUv;
+void main() {
+  vUv = aPosition * 0.5 + 0.5;
+  gl_Position = vec4(aPosition, 0.0, 1.0);
+}
+`;
+
+// Large LUTs make for a wide strip, which needs highp to address
+const FRAGMENT_SHADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec2 vUv;
+uniform sampler2D uImage;
+uniform sampler2D uLut;
+uniform float uSize;
+uniform float uIntensity;
+uniform vec3 uDomainMin;
+uniform vec3 uDomainMax;
+
+vec3 lookup(vec3 color) {
+  vec3 c = clamp((color - uDomainMin) / (uDomainMax - uDomainMin), 0.0, 1.0);
+  float blue = c.b * (uSize - 1.0);
+  float b0 = floor(blue);
+  float b1 = min(b0 + 1.0, uSize - 1.0);
+  float x = c.r * (uSize - 1.0) + 0.5;
+  float y = (c.g * (uSize - 1.0) + 0.5) / uSize;
+  vec3 slice0 = texture2D(uLut, vec2((b0 * uSize + x) / (uSize * uSize), y)).rgb;
+  vec3 slice1 = texture2D(uLut, vec2((b1 * uSize + x) / (uSize * uSize), y)).rgb;
+  return mix(slice0, slice1, blue - b0);
+}
+
+void main() {
+  vec4 color = texture2D(uImage, vUv);
+  gl_FragColor = vec4(mix(color.rgb, lookup(color.rgb), uIntensity), color.a);
+}
+`;
+
+// Trilinear lookup on the CPU, the same as the shader
+const lookupPixel = (parsed, r, g, b) => {
+  const { size, data, domainMin, domainMax } = parsed;
+  const scale = size - 1;
+  const coords = [r, g, b].map(
+    (value, i) =>
+      clamp01((value - domainMin[i]) / (domainMax[i] - domainMin[i])) * scale
+  );
+  const lower = coords.map(Math.floor);
+  const upper = lower.map(value => Math.min(value + 1, scale));
+  const t = coords.map((value, i) => value - lower[i]);
+  const at = (ri, gi, bi, channel) =>
+    data[(gi * size * size + bi * size + ri) * 4 + channel];
+
+  return [0, 1, 2].map(channel => {
+    const c00 = mix(
+      at(lower[0], lower[1], lower[2], channel),
+      at(upper[0], lower[1], lower[2], channel),
+      t[0]
+    );
+    const c10 = mix(
+      at(lower[0], upper[1], lower[2], channel),
+      at(upper[0], upper[1], lower[2], channel),
+      t[0]
+    );
+    const c01 = mix(
+      at(lower[0], lower[1], upper[2], channel),
+      at(upper[0], lower[1], upper[2], channel),
+      t[0]
+    );
+    const c11 = mix(
+      at(lower[0], upper[1], upper[2], channel),
+      at(upper[0], upper[1], upper[2], channel),
+      t[0]
+    );
+    return mix(mix(c00, c10, t[1]), mix(c01, c11, t[1]), t[2]);
+  });
+};
+
+const gradePixels = (imageData, parsed, intensity) => {
+  const { data } = imageData;
+  for (let i = 0; i < data.length; i += 4) {
+    const graded = lookupPixel(
+      parsed,
+      data[i] / 255,
+      data[i + 1] / 255,
+      data[i + 2] / 255
+    );
+    data[i] = mix(data[i], graded[0], intensity);
+    data[i + 1] = mix(data[i + 1], graded[1], intensity);
+    data[i + 2] = mix(data[i + 2], graded[2], intensity);
+  }
+  return imageData;
+};
+
+class LutRenderer {
+  constructor() {
+    this.gl = null;
+    this.isUnavailable = false;
+    this.lutTextures = new Map(); // parsed LUT -> texture
+  }
+
+  init() {
+    if (this.gl || this.isUnavailable) return this.gl;
+
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl', {
+      premultipliedAlpha: false,
+      preserveDrawingBuffer: true,
+    });
+    if (!gl) {
+      this.isUnavailable = true;
+      return null;
+    }
+
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+      }
+      return shader;
+    };
+
+    try {
+      const program = gl.createProgram();
+      gl.attachShader(program, compile(gl.VERTEX_SHADER, VERTEX_SHADER));
+      gl.attachShader(program, compile(gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+      gl.linkProgram(program);
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(gl.getProgramInfoLog(program));
+      }
+      gl.useProgram(program);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+      gl.bufferData(
+        gl.ARRAY_BUFFER,
+        new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]),
+        gl.STATIC_DRAW
+      );
+      const position = gl.getAttribLocation(program, 'aPosition');
+      gl.enableVertexAttribArray(position);
+      gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+      this.imageTexture = this.createTexture(gl);
+      gl.uniform1i(gl.getUniformLocation(program, 'uImage'), 0);
+      gl.uniform1i(gl.getUniformLocation(program, 'uLut'), 1);
+
+      this.program = program;
+      this.gl = gl;
+    } catch (error) {
+      console.warn('WebGL grading unavailable, grading on the CPU:', error);
+      this.isUnavailable = true;
+    }
+    return this.gl;
+  }
+
+  createTexture(gl) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    return texture;
+  }
+
+  // LUT strips are uploaded once and reused for every frame
+  getLutTexture(gl, parsed) {
+    if (this.lutTextures.has(parsed)) return this.lutTextures.get(parsed);
+
+    const texture = this.createTexture(gl);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      parsed.size * parsed.size,
+      parsed.size,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      parsed.data
+    );
+    this.lutTextures.set(parsed, texture);
+    return texture;
+  }
+
+  renderWebGL(gl, source, parsed, intensity, width, height) {
+    const { program } = this;
+    gl.canvas.width = width;
+    gl.canvas.height = height;
+    gl.viewport(0, 0, width, height);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.getLutTexture(gl, parsed));
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.imageTexture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+    const uniform = name => gl.getUniformLocation(program, name);
+    gl.uniform1f(uniform('uSize'), parsed.size);
+    gl.uniform1f(uniform('uIntensity'), intensity);
+    gl.uniform3fv(uniform('uDomainMin'), parsed.domainMin);
+    gl.uniform3fv(uniform('uDomainMax'), parsed.domainMax);
+
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    return gl.canvas;
+  }
+
+  /**
+   * Draw `source` graded with `parsed` into `target`, resized to the source.
+   */
+  render(source, parsed, intensity, target, width, height) {
+    if (target.width !== width) target.width = width;
+    if (target.height !== height) target.height = height;
+    const context = target.getContext('2d');
+
+    const gl = this.init();
+    context.clearRect(0, 0, width, height);
+    if (gl) {
+      context.drawImage(
+        this.renderWebGL(gl, source, parsed, intensity, width, height),
+        0,
+        0
+      );
+      return;
+    }
+
+    context.drawImage(source, 0, 0, width, height);
+    context.putImageData(
+      gradePixels(context.getImageData(0, 0, width, height), parsed, intensity),
+      0,
+      0
+    );
+  }
+}
+
+const lutRenderer = new LutRenderer();
+
+const getSourceSize = source => ({
+  width: source.videoWidth || source.naturalWidth || source.width,
+  height: source.videoHeight || source.naturalHeight || source.height,
+});
+
+/**
+ * Graded copy of `source` for `fabricObject`, or null when the object has no
+ * LUT, its LUT is still loading or the source can't be graded.
+ * `frameSignature` identifies the source frame; the graded copy is reused
+ * for as long as it and the LUT settings stay the same. Sources without one,
+ * such as filtered canvases, are graded on every render.
+ */
+export const getGradedFrame = (fabricObject, source, frameSignature) => {
+  const lut = normalizeLut(fabricObject.lutEffect);
+  if (!lut || !source || fabricObject._lutError) return null;
+
+  const parsed = lutCache.get(getLutKey(lut));
+  if (!parsed) {
+    loadLut(lut)
+      .then(() => fabricObject.canvas?.requestRenderAll())
+      .catch(error => {
+        console.warn('Could not load LUT, drawing ungraded:', error);
+        fabricObject._lutError = true;
+      });
+    return null;
+  }
+
+  const { width, height } = getSourceSize(source);
+  if (!width || !height) return null;
+
+  const signature = [
+    getLutKey(lut),
+    lut.intensity,
+    frameSignature,
+    width,
+    height,
+  ].join('|');
+  if (
+    frameSignature != null &&
+    fabricObject._lutCanvas &&
+    fabricObject._lutSignature === signature
+  ) {
+    return fabricObject._lutCanvas;
+  }
+
+  try {
+    fabricObject._lutCanvas =
+      fabricObject._lutCanvas || document.createElement('canvas');
+    lutRenderer.render(
+      source,
+      parsed,
+      lut.intensity,
+      fabricObject._lutCanvas,
+      width,
+      height
+    );
+    fabricObject._lutSignature = signature;
+    return fabricObject._lutCanvas;
+  } catch (error) {
+    // Typically a cross-origin source; draw it ungraded from now on
+    console.warn('Could not grade element, drawing it ungraded:', error);
+    fabricObject._lutError = true;
+    return null;
+  }
+};
@@ -0,0 +1,69 @@
+// Timeline markers: { id, time (ms), label, color }. Markers double as
+// chapter starts when the chapter list is exported.
+
+export const MARKER_COLORS = [
+  '#8B5CF6',
+  '#F59E0B',
+  '#10B981',
+  '#3B82F6',
+  '#EF4444',
+  '#EC4899',
+];
+
+// Markers closer than this are treated as the same marker
+const MARKER_TIME_EPSILON = 1;
+
+export const sortMarkers = markers =>
+  [...(markers || [])].sort((a, b) => a.time - b.time);
+
+export const findMarkerAtTime = (markers, time) =>
+  (markers || []).find(
+    marker => Math.abs(marker.time - time) < MARKER_TIME_EPSILON
+  );
+
+// First marker strictly after (direction 1) or before (-1) the given time
+export const findAdjacentMarker = (markers, time, direction) => {
+  const sorted = sortMarkers(markers);
+  if (direction > 0) {
+    return sorted.find(marker => marker.time > time + MARKER_TIME_EPSILON);
+  }
+  return sorted
+    .reverse()
+    .find(marker => marker.time < time - MARKER_TIME_EPSILON);
+};
+
+// "4:05" or "1:02:05", as YouTube expects in video descriptions
+export const formatChapterTimestamp = ms => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+/**
+ * YouTube-style chapter list, one "0:00 Title" line per marker. YouTube
+ * requires the first chapter at 0:00, so one is added when no marker is
+ * there. Markers that round to the same second keep only the first one.
+ */
+export const formatChapters = (markers, { introLabel = 'Intro' } = {}) => {
+  const lines = [];
+  const seen = new Set();
+
+  const sorted = sortMarkers(markers);
+  if (!sorted.length || Math.floor(sorted[0].time / 1000) > 0) {
+    lines.push(`${formatChapterTimestamp(0)} ${introLabel}`);
+    seen.add(formatChapterTimestamp(0));
+  }
+
+  sorted.forEach(marker => {
+    const timestamp = formatChapterTimestamp(marker.time);
+    if (seen.has(timestamp)) return;
+    seen.add(timestamp);
+    lines.push(`${timestamp} ${marker.label || 'Chapter'}`.trim());
+  });
+
+  return lines.join('\n') + '\n';
+};
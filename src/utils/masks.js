@@ -0,0 +1,263 @@
+// Masks of canvas elements. An element's mask lives in `properties.mask`;
+// shapes and drawn strokes are positioned in fractions of the element's box,
+// so they follow it when it moves or resizes. A track matte takes its alpha
+// or luma from the element on the row above instead, which is then only
+// drawn through the elements it mattes.
+
+export const MASK_TYPES = {
+  RECTANGLE: 'rectangleMask',
+  ELLIPSE: 'ellipseMask',
+  ROUNDED: 'roundedMask',
+  DRAWN: 'drawnMask',
+  MATTE: 'trackMatte',
+};
+
+export const MATTE_MODES = {
+  ALPHA: 'alpha',
+  LUMA: 'luma',
+};
+
+const SHAPE_DEFAULTS = {
+  x: 0.5,
+  y: 0.5,
+  width: 0.8,
+  height: 0.8,
+  rotation: 0,
+  feather: 0,
+  invert: false,
+};
+
+export const DEFAULT_MASK_SETTINGS = {
+  [MASK_TYPES.RECTANGLE]: SHAPE_DEFAULTS,
+  [MASK_TYPES.ELLIPSE]: SHAPE_DEFAULTS,
+  [MASK_TYPES.ROUNDED]: { ...SHAPE_DEFAULTS, radius: 0.3 },
+  // Strokes are drawn over the whole element and moved or scaled as a whole
+  [MASK_TYPES.DRAWN]: {
+    ...SHAPE_DEFAULTS,
+    width: 1,
+    height: 1,
+    strokes: [],
+  },
+  [MASK_TYPES.MATTE]: {
+    matteMode: MATTE_MODES.ALPHA,
+    feather: 0,
+    invert: false,
+  },
+};
+
+// Mask parameters that can be keyframed as `mask.<param>`
+export const MASK_ANIMATABLE_PARAMS = [
+  'x',
+  'y',
+  'width',
+  'height',
+  'rotation',
+  'radius',
+  'feather',
+];
+
+// Settings with defaults filled in, or null for anything that isn't a mask
+export const normalizeMask = mask =>
+  mask && DEFAULT_MASK_SETTINGS[mask.type]
+    ? { ...DEFAULT_MASK_SETTINGS[mask.type], ...mask }
+    : null;
+
+const roundedRectPath = (ctx, x, y, width, height, radius) => {
+  const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + width, y, x + width, y + height, r);
+  ctx.arcTo(x + width, y + height, x, y + height, r);
+  ctx.arcTo(x, y + height, x, y, r);
+  ctx.arcTo(x, y, x + width, y, r);
+  ctx.closePath();
+};
+
+/**
+ * Fill a shape or drawn mask in opaque white on `ctx`, which is set up in
+ * the object's own coordinates: a `width` x `height` box centered on 0, 0.
+ */
+export const drawMaskShape = (ctx, mask, width, height) => {
+  const maskWidth = mask.width * width;
+  const maskHeight = mask.height * height;
+
+  ctx.save();
+  ctx.translate((mask.x - 0.5) * width, (mask.y - 0.5) * height);
+  ctx.rotate(((mask.rotation || 0) * Math.PI) / 180);
+  ctx.fillStyle = '#ffffff';
+  ctx.strokeStyle = '#ffffff';
+  ctx.beginPath();
+
+  switch (mask.type) {
+    case MASK_TYPES.ELLIPSE:
+      ctx.ellipse(0, 0, maskWidth / 2, maskHeight / 2, 0, 0, Math.PI * 2);
+      ctx.fill();
+      break;
+    case MASK_TYPES.ROUNDED:
+      roundedRectPath(
+        ctx,
+        -maskWidth / 2,
+        -maskHeight / 2,
+        maskWidth,
+        maskHeight,
+        (mask.radius * Math.min(maskWidth, maskHeight)) / 2
+      );
+      ctx.fill();
+      break;
+    case MASK_TYPES.DRAWN:
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      (mask.strokes || []).forEach(stroke => {
+        if (!stroke.points?.length) return;
+        ctx.beginPath();
+        ctx.lineWidth = stroke.width * width * ((mask.width + mask.height) / 2);
+        stroke.points.forEach(([x, y], index) => {
+          const px = x * maskWidth;
+          const py = y * maskHeight;
+          if (index === 0) {
+            ctx.moveTo(px, py);
+            // A single click still leaves a dot
+            ctx.lineTo(px + 0.01, py);
+          } else {
+            ctx.lineTo(px, py);
+          }
+        });
+        ctx.stroke();
+      });
+      break;
+    default:
+      ctx.rect(-maskWidth / 2, -maskHeight / 2, maskWidth, maskHeight);
+      ctx.fill();
+  }
+  ctx.restore();
+};
+
+/**
+ * Stroke of a fabric brush path as a drawn mask stroke: points relative to
+ * the mask's box and a width relative to the element, so the stroke stays
+ * where it was drawn when the mask is later moved or scaled.
+ */
+export const toMaskStroke = (path, fabricObject, mask, transformPoint) => {
+  const { width, height } = fabricObject;
+  const angle = (-(mask.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  const points = (path.path || [])
+    .map(command => command.slice(-2))
+    .filter(pair => pair.length === 2 && pair.every(Number.isFinite))
+    .map(([x, y]) => {
+      const local = transformPoint(x, y);
+      const dx = local.x - (mask.x - 0.5) * width;
+      const dy = local.y - (mask.y - 0.5) * height;
+      return [
+        (dx * cos - dy * sin) / (mask.width * width),
+        (dx * sin + dy * cos) / (mask.height * height),
+      ];
+    });
+
+  const scale = Math.abs(fabricObject.scaleX || 1);
+  return {
+    points,
+    width:
+      (path.strokeWidth || 1) /
+      (scale * width * ((mask.width + mask.height) / 2)),
+  };
+};
+
+// Offscreen layers, one pair per nesting level of masked objects
+const layers = [];
+let depth = 0;
+
+const getLayer = (index, width, height) => {
+  if (!layers[index]) layers[index] = document.createElement('canvas');
+  const layer = layers[index];
+  if (layer.width !== width) layer.width = width;
+  if (layer.height !== height) layer.height = height;
+  const context = layer.getContext('2d');
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  context.clearRect(0, 0, width, height);
+  return { layer, context };
+};
+
+// Render into a layer as is; the blend mode applies once the masked result
+// is drawn onto the canvas
+const renderUnblended = (object, context, renderObject) => {
+  const operation = object.globalCompositeOperation;
+  object.globalCompositeOperation = 'source-over';
+  try {
+    renderObject(object, context);
+  } finally {
+    object.globalCompositeOperation = operation;
+  }
+};
+
+// Luma matte: the matte's brightness becomes its alpha
+const lumaToAlpha = context => {
+  const { width, height } = context.canvas;
+  const imageData = context.getImageData(0, 0, width, height);
+  const { data } = imageData;
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    data[i + 3] = (data[i + 3] * luma) / 255;
+  }
+  context.putImageData(imageData, 0, 0);
+};
+
+/**
+ * Draw `object` on `ctx` through its mask. `renderObject(target, ctx)` is
+ * fabric's own render of an object; the object is rendered into a layer, the
+ * mask into another, and the masked result is copied onto `ctx`. Feather is
+ * in the object's units and scales with it.
+ */
+export const renderMasked = (object, ctx, renderObject) => {
+  const mask = object.maskEffect;
+  // Without anything on the row above, a track matte leaves the object be
+  if (mask.type === MASK_TYPES.MATTE && !object.matteObject) {
+    renderObject(object, ctx);
+    return;
+  }
+
+  const { width, height } = ctx.canvas;
+  const transform = ctx.getTransform();
+  const index = depth * 2;
+  depth += 1;
+
+  try {
+    const content = getLayer(index, width, height);
+    content.context.setTransform(transform);
+    renderUnblended(object, content.context, renderObject);
+
+    const matte = getLayer(index + 1, width, height);
+    matte.context.setTransform(transform);
+    if (mask.type === MASK_TYPES.MATTE) {
+      renderUnblended(object.matteObject, matte.context, renderObject);
+      if (mask.matteMode === MATTE_MODES.LUMA) lumaToAlpha(matte.context);
+    } else {
+      const m = object.calcTransformMatrix();
+      matte.context.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
+      drawMaskShape(matte.context, mask, object.width, object.height);
+    }
+
+    const pixelScale =
+      Math.hypot(transform.a, transform.b) *
+      Math.abs(object.getObjectScaling().x || 1);
+    const blur = (mask.feather || 0) * pixelScale;
+    content.context.setTransform(1, 0, 0, 1, 0, 0);
+    content.context.globalCompositeOperation = mask.invert
+      ? 'destination-out'
+      : 'destination-in';
+    if (blur > 0) content.context.filter = `blur(${blur}px)`;
+    content.context.drawImage(matte.layer, 0, 0);
+    content.context.filter = 'none';
+    content.context.globalCompositeOperation = 'source-over';
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation =
+      object.globalCompositeOperation || 'source-over';
+    ctx.drawImage(content.layer, 0, 0);
+    ctx.restore();
+  } finally {
+    depth -= 1;
+  }
+};
@@ -0,0 +1,135 @@
+// Story changes waiting to reach the server, kept in IndexedDB so they
+// survive a reload or a lost connection. Each entry is a full sync payload,
+// so only the latest one of a story is replayed.
+
+const DB_NAME = 'storyOfflineQueue';
+const DB_VERSION = 1;
+const STORE_NAME = 'changes';
+
+// Payloads are full snapshots, so older ones past this limit are superseded
+// by the newer ones anyway
+const MAX_CHANGES_PER_STORY = 50;
+
+// Server timestamps arrive either as ISO strings or as { $date }
+const toTime = value => {
+  const time = new Date(value?.$date || value || 0).getTime();
+  return Number.isNaN(time) ? 0 : time;
+};
+
+/**
+ * A queued change is stale when the server was saved after the sync it was
+ * made on top of. Both timestamps come from the server, so the device clock
+ * doesn't matter. Changes without a base sync are never treated as stale.
+ */
+export const isStaleEntry = (entry, serverSyncTimestamp) =>
+  !!serverSyncTimestamp &&
+  !!entry.baseSyncTimestamp &&
+  toTime(entry.baseSyncTimestamp) < toTime(serverSyncTimestamp);
+
+const requestToPromise = request =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+class OfflineQueue {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, {
+            keyPath: 'seq',
+            autoIncrement: true,
+          });
+          store.createIndex('storyId', 'storyId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async withStore(mode, callback) {
+    const db = await this.open();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await callback(transaction.objectStore(STORE_NAME));
+    await completed;
+    return result;
+  }
+
+  // Queued changes for a story, oldest first
+  async getPending(storyId) {
+    if (!this.isSupported() || !storyId) return [];
+    try {
+      return await this.withStore('readonly', store =>
+        requestToPromise(store.index('storyId').getAll(storyId))
+      );
+    } catch (error) {
+      console.error('Failed to read offline changes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Persist a sync payload. `baseSyncTimestamp` is the last server sync the
+   * change was made on top of; replay uses it to spot stale changes.
+   */
+  async enqueue(storyId, payload, { baseSyncTimestamp = null } = {}) {
+    if (!this.isSupported() || !storyId) return null;
+    try {
+      const seq = await this.withStore('readwrite', store =>
+        requestToPromise(
+          store.add({
+            storyId,
+            payload,
+            baseSyncTimestamp,
+            createdAt: Date.now(),
+          })
+        )
+      );
+
+      const pending = await this.getPending(storyId);
+      const overflow = pending.slice(0, -MAX_CHANGES_PER_STORY);
+      await Promise.all(overflow.map(entry => this.remove(entry.seq)));
+
+      return seq;
+    } catch (error) {
+      console.error('Failed to save change offline:', error);
+      return null;
+    }
+  }
+
+  async remove(seq) {
+    if (!this.isSupported()) return;
+    await this.withStore('readwrite', store =>
+      requestToPromise(store.delete(seq))
+    );
+  }
+
+  async clear(storyId) {
+    const pending = await this.getPending(storyId);
+    await Promise.all(pending.map(entry => this.remove(entry.seq)));
+  }
+}
+
+const offlineQueue = new OfflineQueue();
+
+export default offlineQueue;
@@ -182,10 +182,38 @@ const initializePIXI = async () => {
   }
 };
 
+// Number of filter applications still rendering through PIXI. Offline export
+// waits for this to drop to zero so no frame is captured half-filtered.
+let pendingFilterApplications = 0;
+let filterIdleResolvers = [];
+
+const beginFilterApplication = () => {
+  pendingFilterApplications++;
+};
+
+const endFilterApplication = () => {
+  pendingFilterApplications = Math.max(0, pendingFilterApplications - 1);
+  if (pendingFilterApplications === 0) {
+    filterIdleResolvers.forEach(resolve => resolve());
+    filterIdleResolvers = [];
+  }
+};
+
+/**
+ * Resolve once every in-flight PIXI filter application has finished
+ */
+export const waitForPixiFilters = () => {
+  if (pendingFilterApplications === 0) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => filterIdleResolvers.push(resolve));
+};
+
 /**
  * Apply PIXI GlitchFilter to a fabric object
  */
 export const applyGlitchFilter = async (fabricObject, options = {}) => {
+  beginFilterApplication();
   try {
     const app = await initializePIXI();
     if (!app) throw new Error('PIXI application not available');
@@ -236,6 +264,8 @@ export const applyGlitchFilter = async (fabricObject, options = {}) => {
     ].join(' ');
 
     fabricObject.set('customFilter', glitchFilters);
+  } finally {
+    endFilterApplication();
   }
 };
 
@@ -247,6 +277,7 @@ export const applyPixiFilter = async (
   filterType,
   options = {}
 ) => {
+  beginFilterApplication();
   try {
     const app = await initializePIXI();
     if (!app) throw new Error('PIXI application not available');
@@ -683,6 +714,8 @@ export const applyPixiFilter = async (
     }
     // Fallback to CSS filter
     fabricObject.set('customFilter', getFilterCSSFallback(filterType, options));
+  } finally {
+    endFilterApplication();
   }
 };
 
@@ -0,0 +1,169 @@
+import JSZip from 'jszip';
+import { createZip } from './createZip';
+
+// A project file is a zip with the project JSON at its root and every media
+// file the timeline or the scenes point to under media/. The JSON keeps the
+// original URLs; `media` maps each of them to its path inside the zip.
+
+export const PROJECT_FILE_EXTENSION = '.zip';
+const PROJECT_FILE_FORMAT = 'project-bundle';
+const PROJECT_FILE_VERSION = 1;
+const MANIFEST_NAME = 'project.json';
+const MEDIA_FOLDER = 'media/';
+
+// Story settings that travel with the project. Ownership, collaborators,
+// generation logs and the gallery stay with the original story.
+const STORY_FIELDS = [
+  'name',
+  'text',
+  'width',
+  'height',
+  'orientation',
+  'resolution',
+  'subtitlesActive',
+  'purpose',
+  'mood',
+  'style',
+  'model',
+  'preset',
+  'provider',
+  'generationStyle',
+  'narrationPace',
+  'scenesPace',
+  'skipVoiceover',
+];
+
+// Keys such as src, url, audioUrl or googleCloudUrl hold media references
+const MEDIA_KEY_PATTERN = /(src|url)$/i;
+const MEDIA_URL_PATTERN = /^(https?:|blob:)/;
+
+const isMediaReference = (key, value) =>
+  typeof value === 'string' &&
+  MEDIA_KEY_PATTERN.test(key) &&
+  MEDIA_URL_PATTERN.test(value);
+
+// Visit every media reference in a JSON value
+const walkMedia = (value, visit, key = '') => {
+  if (Array.isArray(value)) {
+    return value.map(item => walkMedia(item, visit, key));
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((result, childKey) => {
+      result[childKey] = walkMedia(value[childKey], visit, childKey);
+      return result;
+    }, {});
+  }
+  return isMediaReference(key, value) ? visit(value) : value;
+};
+
+export const collectMediaUrls = project => {
+  const urls = new Set();
+  walkMedia(project, url => {
+    urls.add(url);
+    return url;
+  });
+  return [...urls];
+};
+
+// Copy of `project` with every media URL passed through `getUrl`
+export const replaceMediaUrls = (project, getUrl) =>
+  walkMedia(project, url => getUrl(url) || url);
+
+const getMediaFileName = (url, index, mimeType) => {
+  const path = url.startsWith('blob:') ? '' : new URL(url).pathname;
+  const baseName = decodeURIComponent(path.split('/').pop() || '')
+    .replace(/[^\w.-]+/g, '_')
+    .slice(-80);
+  const extension = mimeType?.split('/')[1]?.split(/[;+]/)[0];
+  const fileName =
+    baseName && baseName.includes('.')
+      ? baseName
+      : `file.${extension || 'bin'}`;
+  return `${MEDIA_FOLDER}${index}-${fileName}`;
+};
+
+/**
+ * Snapshot of everything needed to rebuild a project, in plain JSON.
+ */
+export const createProjectSnapshot = ({ story, scenes, editorParams }) => ({
+  format: PROJECT_FILE_FORMAT,
+  version: PROJECT_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  story: STORY_FIELDS.reduce((fields, key) => {
+    if (story?.[key] !== undefined) fields[key] = story[key];
+    return fields;
+  }, {}),
+  scenes: scenes || [],
+  editorParams,
+});
+
+/**
+ * Zip a project snapshot together with the media it references. Media that
+ * can't be downloaded is left out and keeps pointing at its URL.
+ */
+export const createProjectBundle = async (snapshot, { onProgress } = {}) => {
+  const entries = [];
+  const urls = collectMediaUrls(snapshot);
+  const media = {};
+  const missingMedia = [];
+
+  for (let i = 0; i < urls.length; i++) {
+    const url = urls[i];
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const blob = await response.blob();
+      const path = getMediaFileName(url, i, blob.type);
+      entries.push({ name: path, data: blob });
+      media[url] = { path, type: blob.type };
+    } catch (error) {
+      console.warn(`Could not bundle media ${url}:`, error);
+      missingMedia.push(url);
+    }
+    onProgress?.(Math.round(((i + 1) / (urls.length + 1)) * 100));
+  }
+
+  entries.push({
+    name: MANIFEST_NAME,
+    data: JSON.stringify({ ...snapshot, media, missingMedia }, null, 2),
+  });
+  const bundle = await createZip(entries);
+  onProgress?.(100);
+  return { bundle, missingMedia };
+};
+
+/**
+ * Read a project file. Returns the snapshot and its media as Files keyed by
+ * the URL they had when the project was saved.
+ */
+export const readProjectBundle = async file => {
+  const zip = await JSZip.loadAsync(file);
+  const manifestFile = zip.file(MANIFEST_NAME);
+  if (!manifestFile) {
+    throw new Error('This file is not a project file');
+  }
+
+  const manifest = JSON.parse(await manifestFile.async('string'));
+  if (manifest.format !== PROJECT_FILE_FORMAT) {
+    throw new Error('This file is not a project file');
+  }
+  if (manifest.version > PROJECT_FILE_VERSION) {
+    throw new Error('This project file was saved by a newer version');
+  }
+
+  const { media = {}, missingMedia = [], ...snapshot } = manifest;
+  const mediaFiles = new Map();
+  for (const [url, { path, type }] of Object.entries(media)) {
+    const entry = zip.file(path);
+    if (!entry) continue;
+    const blob = await entry.async('blob');
+    mediaFiles.set(
+      url,
+      new File([blob], path.slice(MEDIA_FOLDER.length), {
+        type: type || blob.type,
+      })
+    );
+  }
+
+  return { snapshot, mediaFiles, missingMedia };
+};
@@ -0,0 +1,234 @@
+// Per-clip retiming of video. A clip plays its footage at a constant
+// `properties.playbackRate`, or along `properties.speedCurve`: points
+// { position, speed } where position runs from 0 at the clip's start to 1 at
+// its end on the timeline, with the speed changing linearly between points.
+// `properties.reversed` plays the same footage backwards.
+//
+// The footage a clip covers starts at `properties.videoOffset` and is as
+// long as the source time its speed consumes over the clip's duration, so
+// changing the speed keeps the footage and changes the duration instead.
+
+export const MIN_SPEED = 0.1;
+export const MAX_SPEED = 16;
+
+export const SPEED_OPTIONS = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4];
+
+export const SPEED_RAMP_PRESETS = [
+  {
+    id: 'rampUp',
+    label: 'Ramp up',
+    curve: [
+      { position: 0, speed: 0.5 },
+      { position: 1, speed: 2 },
+    ],
+  },
+  {
+    id: 'rampDown',
+    label: 'Ramp down',
+    curve: [
+      { position: 0, speed: 2 },
+      { position: 1, speed: 0.5 },
+    ],
+  },
+  {
+    id: 'slowMiddle',
+    label: 'Slow-mo middle',
+    curve: [
+      { position: 0, speed: 1 },
+      { position: 0.35, speed: 0.3 },
+      { position: 0.65, speed: 0.3 },
+      { position: 1, speed: 1 },
+    ],
+  },
+  {
+    id: 'fastMiddle',
+    label: 'Fast middle',
+    curve: [
+      { position: 0, speed: 1 },
+      { position: 0.35, speed: 3 },
+      { position: 0.65, speed: 3 },
+      { position: 1, speed: 1 },
+    ],
+  },
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const clampSpeed = speed =>
+  clamp(Number(speed) > 0 ? Number(speed) : 1, MIN_SPEED, MAX_SPEED);
+
+const getRate = properties =>
+  properties?.playbackRate > 0 ? clampSpeed(properties.playbackRate) : 1;
+
+const getCurve = properties =>
+  properties?.speedCurve?.length >= 2
+    ? [...properties.speedCurve]
+        .map(point => ({
+          position: clamp(point.position, 0, 1),
+          speed: clampSpeed(point.speed),
+        }))
+        .sort((a, b) => a.position - b.position)
+    : null;
+
+export const isRetimed = properties =>
+  !!properties?.reversed || !!getCurve(properties) || getRate(properties) !== 1;
+
+/**
+ * Speed over a clip of `durationMs` as [{ timeMs, speed }], from 0 to
+ * durationMs inclusive.
+ */
+export const getSpeedPoints = (properties, durationMs) => {
+  const curve = getCurve(properties);
+  if (!curve) {
+    const rate = getRate(properties);
+    return [
+      { timeMs: 0, speed: rate },
+      { timeMs: durationMs, speed: rate },
+    ];
+  }
+
+  const points = curve.map(point => ({
+    timeMs: point.position * durationMs,
+    speed: point.speed,
+  }));
+  if (points[0].timeMs > 0) {
+    points.unshift({ timeMs: 0, speed: points[0].speed });
+  }
+  if (points[points.length - 1].timeMs < durationMs) {
+    points.push({ timeMs: durationMs, speed: points[points.length - 1].speed });
+  }
+  return points;
+};
+
+export const speedAlong = (points, timeMs) => {
+  if (timeMs <= points[0].timeMs) return points[0].speed;
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    if (timeMs <= to.timeMs) {
+      const span = to.timeMs - from.timeMs;
+      return span > 0
+        ? from.speed + ((to.speed - from.speed) * (timeMs - from.timeMs)) / span
+        : to.speed;
+    }
+  }
+  return points[points.length - 1].speed;
+};
+
+// Source time consumed between the clip's start and timeMs into it
+export const sourceAlong = (points, timeMs) => {
+  let consumed = 0;
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    if (timeMs <= from.timeMs) break;
+    const to = points[i];
+    const end = Math.min(timeMs, to.timeMs);
+    consumed +=
+      ((from.speed + speedAlong(points, end)) / 2) * (end - from.timeMs);
+  }
+  return consumed;
+};
+
+// Source time per timeline time over the whole clip
+export const getAverageSpeed = properties =>
+  sourceAlong(getSpeedPoints(properties, 1), 1);
+
+const getDuration = element => element.timeFrame.end - element.timeFrame.start;
+
+// Length of the footage the clip shows, in ms
+export const getSourceSpanMs = element =>
+  sourceAlong(
+    getSpeedPoints(element.properties, getDuration(element)),
+    getDuration(element)
+  );
+
+/**
+ * Position in the source video, in ms, shown at `timelineMs`.
+ */
+export const getSourceTimeMs = (element, timelineMs) => {
+  const { properties = {} } = element;
+  const durationMs = getDuration(element);
+  const points = getSpeedPoints(properties, durationMs);
+  const consumed = sourceAlong(
+    points,
+    clamp(timelineMs - element.timeFrame.start, 0, durationMs)
+  );
+  const offset = Math.max(0, properties.videoOffset || 0);
+
+  return properties.reversed
+    ? offset + sourceAlong(points, durationMs) - consumed
+    : offset + consumed;
+};
+
+export const getSpeedAt = (element, timelineMs) => {
+  const durationMs = getDuration(element);
+  return speedAlong(
+    getSpeedPoints(element.properties, durationMs),
+    clamp(timelineMs - element.timeFrame.start, 0, durationMs)
+  );
+};
+
+// Timeline duration that shows `sourceSpanMs` of footage at the given speed
+export const getRetimedDurationMs = (sourceSpanMs, properties) =>
+  sourceSpanMs / getAverageSpeed(properties);
+
+// Curve points between two positions, stretched to span 0..1
+const sliceCurve = (curve, from, to) => {
+  const points = getSpeedPoints({ speedCurve: curve }, 1);
+  return [
+    { position: from, speed: speedAlong(points, from) },
+    ...points
+      .filter(point => point.timeMs > from && point.timeMs < to)
+      .map(point => ({ position: point.timeMs, speed: point.speed })),
+    { position: to, speed: speedAlong(points, to) },
+  ].map(point => ({
+    position: (point.position - from) / (to - from),
+    speed: point.speed,
+  }));
+};
+
+/**
+ * Properties of the two halves of a clip cut at `splitTime`, each showing
+ * the footage it showed before the cut.
+ */
+export const splitRetimedProperties = (element, splitTime) => {
+  const { properties = {} } = element;
+  const durationMs = getDuration(element);
+  const points = getSpeedPoints(properties, durationMs);
+  const splitMs = clamp(splitTime - element.timeFrame.start, 0, durationMs);
+  const consumed = sourceAlong(points, splitMs);
+  const span = sourceAlong(points, durationMs);
+  const offset = Math.max(0, properties.videoOffset || 0);
+  const position = durationMs > 0 ? splitMs / durationMs : 0;
+  const curve = getCurve(properties);
+
+  const first = { ...properties };
+  const second = { ...properties };
+  if (curve) {
+    first.speedCurve = sliceCurve(curve, 0, position);
+    second.speedCurve = sliceCurve(curve, position, 1);
+  }
+
+  // A reversed clip shows the end of its footage first
+  if (properties.reversed) {
+    first.videoOffset = offset + span - consumed;
+    second.videoOffset = offset;
+  } else {
+    first.videoOffset = offset;
+    second.videoOffset = offset + consumed;
+  }
+  return [first, second];
+};
+
+export const formatSpeed = speed => `${Number(speed.toFixed(2)).toString()}x`;
+
+// Short description for the timeline, e.g. "2x", "Ramp" or "0.5x Reverse"
+export const getSpeedLabel = properties =>
+  [
+    getCurve(properties)
+      ? 'Ramp'
+      : getRate(properties) !== 1 && formatSpeed(getRate(properties)),
+    properties?.reversed && 'Reverse',
+  ]
+    .filter(Boolean)
+    .join(' ');
@@ -0,0 +1,56 @@
+// Per-row (track) state keyed by row index:
+// { name, locked, hidden, muted, solo }. Rows without an entry use the
+// defaults, so only rows the user touched are stored and persisted.
+
+export const DEFAULT_ROW_SETTINGS = {
+  name: '',
+  locked: false,
+  hidden: false,
+  muted: false,
+  solo: false,
+};
+
+export const getRowSettings = (rowSettings, row) => ({
+  ...DEFAULT_ROW_SETTINGS,
+  ...(rowSettings?.[row] || {}),
+});
+
+const isDefault = settings =>
+  Object.keys(DEFAULT_ROW_SETTINGS).every(
+    key => settings[key] === DEFAULT_ROW_SETTINGS[key]
+  );
+
+// Merge updates into one row, dropping the entry once it is back to defaults
+export const updateRowSettings = (rowSettings, row, updates) => {
+  const next = { ...rowSettings };
+  const settings = { ...getRowSettings(rowSettings, row), ...updates };
+  if (isDefault(settings)) {
+    delete next[row];
+  } else {
+    next[row] = settings;
+  }
+  return next;
+};
+
+/**
+ * Follow a row renumbering. `mapRow(oldRow)` returns the new index, or
+ * null/undefined when the row was removed.
+ */
+export const remapRowSettings = (rowSettings, mapRow) => {
+  const next = {};
+  Object.entries(rowSettings || {}).forEach(([row, settings]) => {
+    const newRow = mapRow(Number(row));
+    if (newRow !== null && newRow !== undefined) {
+      next[newRow] = settings;
+    }
+  });
+  return next;
+};
+
+// A row is heard unless muted, or unless another row is soloed
+export const isRowAudible = (rowSettings, row) => {
+  const settings = getRowSettings(rowSettings, row);
+  if (settings.muted || settings.hidden) return false;
+  const hasSolo = Object.values(rowSettings || {}).some(s => s.solo);
+  return !hasSolo || settings.solo;
+};
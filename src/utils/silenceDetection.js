@@ -0,0 +1,108 @@
+// Local silence detection for jump cuts. A voice clip's loudness envelope is
+// scanned for quiet stretches, which become cuts the user reviews on the
+// waveform before they are applied. Cuts are kept in source time, ms into
+// the audio file, so they stay on the right words when the clip is moved or
+// trimmed before they are applied.
+
+import { ENVELOPE_STEP_MS, loadLoudnessEnvelope } from './ducking';
+import { getUid } from './index';
+
+// Thresholds in dBFS, durations in seconds like the menu shows them
+export const DEFAULT_SILENCE_SETTINGS = {
+  startThreshold: -45,
+  stopThreshold: -35,
+  stopDuration: 0.3,
+  startDuration: 0.1,
+  syncImages: true,
+};
+
+// Pieces shorter than this aren't worth cutting out
+const MIN_CUT_MS = 100;
+
+/**
+ * Quiet stretches of `envelope` between `fromMs` and `toMs` of source time.
+ * Audio under startThreshold starts a silence and only audio above
+ * stopThreshold ends it, so a breath between the two doesn't split a pause.
+ * Pauses shorter than stopDuration are kept, and startDuration of audio is
+ * left on both sides of a cut so word edges aren't clipped.
+ */
+export const findSilences = (envelope, fromMs, toMs, settings) => {
+  const { startThreshold, stopThreshold, stopDuration, startDuration } = {
+    ...DEFAULT_SILENCE_SETTINGS,
+    ...settings,
+  };
+  const minSilenceMs = stopDuration * 1000;
+  const paddingMs = startDuration * 1000;
+
+  const silences = [];
+  let silenceStart = null;
+  const closeSilence = end => {
+    if (silenceStart !== null && end - silenceStart >= minSilenceMs) {
+      silences.push({ start: silenceStart, end });
+    }
+    silenceStart = null;
+  };
+
+  for (let time = fromMs; time < toMs; time += ENVELOPE_STEP_MS) {
+    const step = Math.floor(time / ENVELOPE_STEP_MS);
+    // Past the end of the file is as quiet as it gets
+    const level = step < envelope.length ? envelope[step] : -Infinity;
+    if (silenceStart === null && level < startThreshold) {
+      silenceStart = time;
+    } else if (silenceStart !== null && level > stopThreshold) {
+      closeSilence(time);
+    }
+  }
+  closeSilence(toMs);
+
+  // Edges of the clip need no padding, there is nothing to protect there
+  return silences
+    .map(({ start, end }) => ({
+      start: start > fromMs ? start + paddingMs : start,
+      end: end < toMs ? end - paddingMs : end,
+    }))
+    .filter(({ start, end }) => end - start >= MIN_CUT_MS);
+};
+
+/**
+ * Analyze an audio element and return its silence cuts as
+ * [{ id, elementId, start, end, enabled }] in source ms, all enabled.
+ */
+export const detectSilenceCuts = async (element, settings) => {
+  const { properties, timeFrame } = element;
+  const envelope = await loadLoudnessEnvelope(properties.src);
+  const offsetMs = Math.max(0, properties.audioOffset || 0);
+
+  return findSilences(
+    envelope,
+    offsetMs,
+    offsetMs + (timeFrame.end - timeFrame.start),
+    settings
+  ).map(({ start, end }) => ({
+    id: getUid(),
+    elementId: element.id,
+    start: Math.round(start),
+    end: Math.round(end),
+    enabled: true,
+  }));
+};
+
+/**
+ * The cuts that fall inside `element` as it is now, in timeline ms and
+ * sorted, clipped to the clip's edges. Cuts of trimmed-off audio are dropped.
+ */
+export const getTimelineCuts = (element, cuts) => {
+  const { timeFrame } = element;
+  const offsetMs = Math.max(0, element.properties?.audioOffset || 0);
+  const toTimeline = sourceMs => timeFrame.start + sourceMs - offsetMs;
+
+  return cuts
+    .filter(cut => cut.elementId === element.id)
+    .map(cut => ({
+      ...cut,
+      start: Math.max(timeFrame.start, toTimeline(cut.start)),
+      end: Math.min(timeFrame.end, toTimeline(cut.end)),
+    }))
+    .filter(cut => cut.end - cut.start >= MIN_CUT_MS)
+    .sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,209 @@
+/**
+ * The editorParams the backend stores for a story: timeline elements,
+ * subtitles split into shared properties and segments, animations, markers
+ * and row settings, as plain JSON.
+ */
+export const buildEditorParams = (timelineState, currentStory) => {
+  const filteredAnimations = (timelineState.animations || [])
+    .filter(anim => {
+      // Skip text word animations
+      if (
+        [
+          'textWordAnimation',
+          'textWordFalling',
+          'textWordHighlight',
+          'textWordMotion',
+          'textWordStatic',
+        ].includes(anim.type)
+      ) {
+        return false;
+      }
+
+      // Handle GL transitions (they have fromElementId/toElementId or targetIds)
+      if (anim.type === 'glTransition') {
+        // For dynamic GL transitions, check targetIds
+        if (anim.targetIds && anim.targetIds.length > 0) {
+          return anim.targetIds.some(targetId =>
+            timelineState.editorElements.some(el => el.id === targetId)
+          );
+        }
+
+        // For legacy GL transitions, check fromElementId/toElementId
+        return (
+          anim.fromElementId &&
+          anim.toElementId &&
+          timelineState.editorElements.some(
+            el => el.id === anim.fromElementId
+          ) &&
+          timelineState.editorElements.some(el => el.id === anim.toElementId)
+        );
+      }
+
+      // Handle regular animations (they have targetIds or legacy targetId)
+      const targetIds =
+        anim.targetIds || (anim.targetId ? [anim.targetId] : []);
+      return (
+        targetIds.length > 0 &&
+        targetIds.some(targetId =>
+          timelineState.editorElements.some(el => el.id === targetId)
+        )
+      );
+    })
+    .map(anim => {
+      // Base properties for all animations
+      const baseProps = {
+        duration: anim.duration,
+        id: anim.id,
+        properties: anim.properties,
+        type: anim.type,
+        effect: anim.effect,
+      };
+
+      // Add GL transition specific properties
+      if (anim.type === 'glTransition') {
+        const glTransitionProps = {
+          ...baseProps,
+          transitionType: anim.transitionType,
+          startTime: anim.startTime,
+          endTime: anim.endTime,
+          manuallyAdjusted: anim.manuallyAdjusted,
+          row: anim.row, // Include row for GL transitions
+        };
+
+        // Always include targetIds for GL transitions (even if empty)
+        glTransitionProps.targetIds = anim.targetIds || [];
+
+        // Always include fromElementId/toElementId for backward compatibility
+        glTransitionProps.fromElementId = anim.fromElementId || null;
+        glTransitionProps.toElementId = anim.toElementId || null;
+
+        return glTransitionProps;
+      }
+
+      // Regular animations - send both targetIds and legacy targetId for backward compatibility
+      const targetIds =
+        anim.targetIds || (anim.targetId ? [anim.targetId] : []);
+      return {
+        ...baseProps,
+        targetIds: targetIds,
+        targetId: targetIds[0] || anim.targetId, // Keep legacy field for backward compatibility
+        row: anim.row, // Include row for regular animations
+      };
+    });
+
+  const commonKeys = [
+    'backgroundColor',
+    'color',
+    'opacity',
+    'font',
+    'fontSize',
+    'fontWeight',
+    'stroke',
+    'strokeColor',
+    'strokeOpacity',
+    'textAlign',
+    'verticalAlign',
+    'synchronize',
+    'shadow',
+    'backgroundRadius',
+    'shadowColor',
+    'shadowBlur',
+    'shadowOffsetX',
+    'shadowOffsetY',
+    'shadowOpacity',
+    'styleId',
+    'highlightColor',
+    'motionColor',
+  ];
+
+  const { editorElements, segments } = (
+    timelineState.editorElements || []
+  ).reduce(
+    (acc, el) => {
+      const { fabricObject, ...rest } = el;
+      if (el.subType === 'subtitles') {
+        const { properties, ...segmentData } = rest;
+        const uniqueProperties = Object.keys(properties || {}).reduce(
+          (obj, key) => {
+            if (!commonKeys.includes(key)) {
+              obj[key] = properties[key];
+            }
+            return obj;
+          },
+          {}
+        );
+
+        acc.segments.push({
+          ...segmentData,
+          properties: uniqueProperties,
+        });
+      } else if (el.subType !== 'subtitles') {
+        if (el.type === 'text') {
+          acc.editorElements.push({
+            ...rest,
+            timeFrame: el.timeFrame,
+            placement: el.placement,
+            row: el.row,
+            properties: {
+              ...el.properties,
+              opacity: el.properties?.opacity || 1,
+              strokeOpacity: el.properties?.strokeOpacity || 1,
+            },
+          });
+        } else {
+          acc.editorElements.push(rest);
+        }
+      }
+      return acc;
+    },
+    { editorElements: [], segments: [] }
+  );
+
+  const subtitlesElement = (timelineState.editorElements || []).find(
+    el => el.subType === 'subtitles'
+  );
+  const commonProperties = commonKeys.reduce((acc, key) => {
+    if (subtitlesElement?.properties?.[key] !== undefined) {
+      acc[key] = subtitlesElement.properties[key];
+    }
+    return acc;
+  }, {});
+
+  const subtitles = {
+    properties: commonProperties,
+    segments,
+  };
+
+  // Calculate actual timeline duration from elements
+  const calculateTimelineDuration = elements => {
+    if (!elements || elements.length === 0) return 6000; // Default for empty timeline
+
+    const lastElement = elements
+      .slice()
+      .sort((a, b) => (b.timeFrame?.end || 0) - (a.timeFrame?.end || 0))[0];
+
+    const lastElementEnd = lastElement?.timeFrame?.end || 0;
+
+    // Add buffer like in store.lastElementEnd usage
+    if (lastElementEnd > 0) {
+      const buffer = Math.max(30000, lastElementEnd * 0.2);
+      return lastElementEnd + buffer;
+    }
+
+    return 6000; // Fallback for invalid data
+  };
+
+  const calculatedMaxTime = calculateTimelineDuration(editorElements);
+
+  return {
+    backgroundColor: timelineState.backgroundColor || '',
+    fps: timelineState.fps || 0,
+    maxTime: calculatedMaxTime,
+    editorElements: JSON.parse(JSON.stringify(editorElements)),
+    subtitles: JSON.parse(JSON.stringify(subtitles)),
+    animations: JSON.parse(JSON.stringify(filteredAnimations)),
+    markers: JSON.parse(JSON.stringify(timelineState.markers || [])),
+    rowSettings: JSON.parse(JSON.stringify(timelineState.rowSettings || {})),
+    savedOrientation: currentStory?.orientation || '',
+  };
+};
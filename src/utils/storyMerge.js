@@ -0,0 +1,266 @@
+// Three-way merge of a story: the version both sides started from (base),
+// ours (local) and the one found on the server (remote). Items are matched by
+// id and merged field by field, so edits to different clips, or to different
+// fields of the same clip, combine without asking. Only a field changed
+// differently on both sides, or an item edited on one side and deleted on
+// the other, is a conflict.
+
+const isSame = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const mergeValue = (base, local, remote) => {
+  if (isSame(local, remote)) return { value: local };
+  if (isSame(base, local)) return { value: remote };
+  if (isSame(base, remote)) return { value: local };
+  return { conflict: true };
+};
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Objects such as properties or placement are merged one level further, so
+// a font change here and a text change there don't collide. Conflicting
+// fields come back as paths, e.g. 'properties.text'.
+const mergeFields = (base = {}, local, remote, depth = 0) => {
+  const merged = {};
+  const fields = [];
+  new Set([
+    ...Object.keys(base),
+    ...Object.keys(local),
+    ...Object.keys(remote),
+  ]).forEach(field => {
+    const values = [base[field], local[field], remote[field]];
+    if (depth === 0 && values.every(isPlainObject)) {
+      const nested = mergeFields(...values, depth + 1);
+      merged[field] = nested.merged;
+      fields.push(...nested.fields.map(path => `${field}.${path}`));
+      return;
+    }
+
+    const result = mergeValue(...values);
+    if (result.conflict) {
+      fields.push(field);
+      merged[field] = local[field];
+    } else if (result.value !== undefined) {
+      merged[field] = result.value;
+    }
+  });
+  return { merged, fields };
+};
+
+const getPath = (item, path) =>
+  path.split('.').reduce((value, key) => value?.[key], item);
+
+const setPath = (item, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    target[key] = { ...target[key] };
+    return target[key];
+  }, item);
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+};
+
+const mergeCollection = ({ collection, base, local, remote, getId }) => {
+  const byId = items => new Map((items || []).map(item => [getId(item), item]));
+  const baseById = byId(base);
+  const localById = byId(local);
+  const remoteById = byId(remote);
+
+  // Remote order first, then whatever only we have
+  const ids = [
+    ...(remote || []).map(getId),
+    ...(local || []).map(getId).filter(id => !remoteById.has(id)),
+  ];
+
+  const entries = [];
+  const conflicts = [];
+  const addConflict = conflict => {
+    const key = `${collection}:${conflict.id}`;
+    conflicts.push({ key, collection, ...conflict });
+    entries.push({ id: conflict.id, conflictKey: key });
+  };
+
+  ids.forEach(id => {
+    const baseItem = baseById.get(id);
+    const localItem = localById.get(id);
+    const remoteItem = remoteById.get(id);
+
+    if (localItem && remoteItem) {
+      const { merged, fields } = mergeFields(baseItem, localItem, remoteItem);
+      if (fields.length > 0) {
+        addConflict({
+          id,
+          fields,
+          local: localItem,
+          remote: remoteItem,
+          merged,
+        });
+      } else {
+        entries.push({ id, value: merged });
+      }
+    } else if (localItem) {
+      if (!baseItem) {
+        entries.push({ id, value: localItem });
+      } else if (!isSame(baseItem, localItem)) {
+        // Edited here, deleted there
+        addConflict({ id, local: localItem, remote: null });
+      }
+    } else if (remoteItem) {
+      if (!baseItem) {
+        entries.push({ id, value: remoteItem });
+      } else if (!isSame(baseItem, remoteItem)) {
+        // Deleted here, edited there
+        addConflict({ id, local: null, remote: remoteItem });
+      }
+    }
+  });
+
+  return { entries, conflicts };
+};
+
+const resolveEntries = (entries, conflictsByKey, choices) =>
+  entries
+    .map(entry => {
+      if (!entry.conflictKey) return entry.value;
+      const conflict = conflictsByKey.get(entry.conflictKey);
+      const side = choices[entry.conflictKey] === 'remote' ? 'remote' : 'local';
+      if (!conflict.fields) return conflict[side];
+      return conflict.fields.reduce(
+        (item, path) => {
+          setPath(item, path, getPath(conflict[side], path));
+          return item;
+        },
+        { ...conflict.merged }
+      );
+    })
+    .filter(Boolean);
+
+const toRowList = rowSettings =>
+  Object.entries(rowSettings || {}).map(([row, settings]) => ({
+    ...settings,
+    row,
+  }));
+
+const fromRowList = rows =>
+  rows.reduce((rowSettings, { row, ...settings }) => {
+    rowSettings[row] = settings;
+    return rowSettings;
+  }, {});
+
+const COLLECTIONS = [
+  { collection: 'editorElements', getId: item => item.id },
+  { collection: 'animations', getId: item => item.id },
+  { collection: 'markers', getId: item => item.id },
+  { collection: 'scenes', getId: item => item._id },
+  {
+    collection: 'rowSettings',
+    getId: item => item.row,
+    toList: toRowList,
+    fromList: fromRowList,
+  },
+];
+
+const SCALARS = ['backgroundColor', 'fps'];
+
+/**
+ * Merge story documents of the shape
+ * { editorElements, animations, markers, rowSettings, scenes, maxTime,
+ *   backgroundColor, fps }.
+ *
+ * Returns the conflicts and `resolve(choices)`, which builds the merged
+ * document given 'local' or 'remote' for each conflict key (default local).
+ */
+export const mergeStoryDocuments = (base, local, remote) => {
+  const conflicts = [];
+  const collections = COLLECTIONS.map(
+    ({ collection, getId, toList = list => list, fromList = list => list }) => {
+      const result = mergeCollection({
+        collection,
+        getId,
+        base: toList(base?.[collection]),
+        local: toList(local[collection]),
+        remote: toList(remote[collection]),
+      });
+      conflicts.push(...result.conflicts);
+      return { collection, fromList, entries: result.entries };
+    }
+  );
+
+  const scalars = {};
+  SCALARS.forEach(key => {
+    const result = mergeValue(base?.[key], local[key], remote[key]);
+    if (result.conflict) {
+      conflicts.push({
+        key,
+        collection: 'settings',
+        id: key,
+        local: local[key],
+        remote: remote[key],
+      });
+    } else {
+      scalars[key] = result.value;
+    }
+  });
+
+  const resolve = (choices = {}) => {
+    const conflictsByKey = new Map(
+      conflicts.map(conflict => [conflict.key, conflict])
+    );
+    const document = {
+      ...scalars,
+      maxTime: Math.max(local.maxTime || 0, remote.maxTime || 0) || undefined,
+    };
+    collections.forEach(({ collection, fromList, entries }) => {
+      document[collection] = fromList(
+        resolveEntries(entries, conflictsByKey, choices)
+      );
+    });
+    SCALARS.forEach(key => {
+      if (conflictsByKey.has(key)) {
+        document[key] = choices[key] === 'remote' ? remote[key] : local[key];
+      }
+    });
+    return document;
+  };
+
+  return { conflicts, resolve };
+};
+
+const describeItem = (collection, item) => {
+  if (!item) return '';
+  if (collection === 'scenes') {
+    return `Scene ${(item.order ?? 0) + 1}${
+      item.title ? `: ${item.title}` : ''
+    }`;
+  }
+  if (collection === 'markers') return `Marker "${item.label || item.id}"`;
+  if (collection === 'rowSettings')
+    return `Row ${Number(item.row) + 1} settings`;
+  if (collection === 'animations') return `Animation ${item.type || ''}`.trim();
+
+  const text = item.properties?.text;
+  if (text) return `Text "${text.slice(0, 30)}"`;
+  return `${item.type || 'Clip'} on row ${(item.row ?? 0) + 1}`;
+};
+
+const SETTING_LABELS = {
+  backgroundColor: 'Background color',
+  fps: 'Frame rate',
+};
+
+// What the resolution dialog shows for a conflict; plain JSON for Redux
+export const summarizeConflict = conflict => ({
+  key: conflict.key,
+  collection: conflict.collection,
+  label:
+    conflict.collection === 'settings'
+      ? SETTING_LABELS[conflict.id]
+      : describeItem(conflict.collection, conflict.local || conflict.remote),
+  fields: conflict.fields || [],
+  localDeleted: conflict.local === null,
+  remoteDeleted: conflict.remote === null,
+});
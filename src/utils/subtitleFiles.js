@@ -0,0 +1,174 @@
+// Reading and writing SubRip (.srt) and WebVTT (.vtt) subtitle files.
+// Cues use milliseconds: { start, end, text, words? } where words are
+// { word, start, end } and may be absent in the source file.
+
+const TIMESTAMP_PATTERN =
+  /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})\s*-->\s*(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/;
+
+// WebVTT inline timestamps, e.g. "<00:00:01.500>word"
+const VTT_INLINE_TIMESTAMP = /<((?:\d+:)?\d{1,2}:\d{2}\.\d{3})>/g;
+
+const toMs = (hours, minutes, seconds, fraction) =>
+  Number(hours || 0) * 3600000 +
+  Number(minutes) * 60000 +
+  Number(seconds) * 1000 +
+  Number(String(fraction).padEnd(3, '0'));
+
+const parseInlineTimestamp = value => {
+  const parts = value.split(':');
+  const [seconds, fraction] = parts.pop().split('.');
+  const minutes = parts.pop();
+  const hours = parts.pop();
+  return toMs(hours, minutes, seconds, fraction);
+};
+
+const stripTags = text =>
+  text
+    .replace(/<[^>]+>/g, '')
+    .replace(/\{\\[^}]+\}/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ');
+
+// Split VTT karaoke-style text into words using its inline timestamps
+const parseInlineWords = (rawText, cueStart, cueEnd) => {
+  if (!VTT_INLINE_TIMESTAMP.test(rawText)) return null;
+  VTT_INLINE_TIMESTAMP.lastIndex = 0;
+
+  const words = [];
+  let currentStart = cueStart;
+  let lastIndex = 0;
+  let match;
+
+  const pushWords = (chunk, start, end) => {
+    const chunkWords = stripTags(chunk).split(/\s+/).filter(Boolean);
+    chunkWords.forEach((word, index) => {
+      const step = (end - start) / chunkWords.length;
+      words.push({
+        word,
+        start: start + step * index,
+        end: start + step * (index + 1),
+      });
+    });
+  };
+
+  while ((match = VTT_INLINE_TIMESTAMP.exec(rawText)) !== null) {
+    const timestamp = parseInlineTimestamp(match[1]);
+    pushWords(rawText.slice(lastIndex, match.index), currentStart, timestamp);
+    currentStart = timestamp;
+    lastIndex = match.index + match[0].length;
+  }
+  pushWords(rawText.slice(lastIndex), currentStart, cueEnd);
+
+  return words.length > 0 ? words : null;
+};
+
+/**
+ * Spread a cue's duration across its words in proportion to their length.
+ * Used when the file carries no word timings.
+ */
+export const estimateWordTimings = ({ start, end, text }) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  // Weight by characters plus a constant so short words still get some time
+  const weights = words.map(word => word.length + 2);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const duration = end - start;
+
+  let cursor = start;
+  return words.map((word, index) => {
+    const wordDuration = (duration * weights[index]) / totalWeight;
+    const wordTiming = { word, start: cursor, end: cursor + wordDuration };
+    cursor += wordDuration;
+    return wordTiming;
+  });
+};
+
+const parseBlocks = (content, { isVtt }) => {
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const cues = [];
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => TIMESTAMP_PATTERN.test(line));
+    if (timingIndex === -1) return; // header, NOTE, STYLE or REGION block
+
+    const match = lines[timingIndex].match(TIMESTAMP_PATTERN);
+    const start = toMs(match[1], match[2], match[3], match[4]);
+    const end = toMs(match[5], match[6], match[7], match[8]);
+    const rawText = lines.slice(timingIndex + 1).join(' ');
+    const text = stripTags(rawText).replace(/\s+/g, ' ').trim();
+    if (!text || end <= start) return;
+
+    const words = isVtt ? parseInlineWords(rawText, start, end) : null;
+    cues.push({ start, end, text, words });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+export const parseSrt = content => parseBlocks(content, { isVtt: false });
+
+export const parseVtt = content => parseBlocks(content, { isVtt: true });
+
+// Pick the parser from the file name, falling back to sniffing the header
+export const parseSubtitleFile = (content, fileName = '') => {
+  const isVtt =
+    /\.vtt$/i.test(fileName) || /^\uFEFF?WEBVTT/.test(content.trimStart());
+  const cues = isVtt ? parseVtt(content) : parseSrt(content);
+  if (cues.length === 0) {
+    throw new Error('No subtitle cues found in file');
+  }
+  return cues;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatTimestamp = (ms, separator) => {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(
+    total % 1000,
+    3
+  )}`;
+};
+
+export const formatSrt = cues =>
+  cues
+    .map(
+      (cue, index) =>
+        `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(
+          cue.end,
+          ','
+        )}\n${cue.text}`
+    )
+    .join('\n\n') + '\n';
+
+export const formatVtt = cues =>
+  'WEBVTT\n\n' +
+  cues
+    .map(
+      cue =>
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(
+          cue.end,
+          '.'
+        )}\n${cue.text}`
+    )
+    .join('\n\n') +
+  '\n';
+
+export const formatTranscript = cues =>
+  cues.map(cue => cue.text).join('\n') + '\n';
+
+export const SUBTITLE_EXPORT_FORMATS = {
+  srt: { format: formatSrt, mimeType: 'application/x-subrip' },
+  vtt: { format: formatVtt, mimeType: 'text/vtt' },
+  txt: { format: formatTranscript, mimeType: 'text/plain' },
+};
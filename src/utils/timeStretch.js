@@ -0,0 +1,86 @@
+// Pitch-preserving time stretch (WSOLA) for the offline mixdown. Preview
+// plays retimed media with `preservesPitch`, so the export stretches the
+// audio instead of resampling it through `playbackRate`.
+
+const FRAME_SECONDS = 0.04;
+const TOLERANCE_SECONDS = 0.01;
+// Similarity search runs on every few samples; plenty to line up waveforms
+const SEARCH_STEP = 4;
+
+const hann = length =>
+  Float32Array.from(
+    { length },
+    (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / length)
+  );
+
+// Offset within ±tolerance of `target` whose samples look most like
+// `reference`, both read from `data`
+const findBestOffset = (data, reference, target, tolerance, length) => {
+  let bestOffset = 0;
+  let bestScore = -Infinity;
+  for (let offset = -tolerance; offset <= tolerance; offset += SEARCH_STEP) {
+    const start = target + offset;
+    if (start < 0 || start + length > data.length) continue;
+    let score = 0;
+    for (let i = 0; i < length; i += SEARCH_STEP) {
+      score += data[start + i] * data[reference + i];
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      bestOffset = offset;
+    }
+  }
+  return bestOffset;
+};
+
+/**
+ * Renders `length` samples of `buffer` where output second `t` plays source
+ * second `sourceAt(t)`, keeping the pitch. `sourceAt` must not decrease.
+ */
+export const stretchBuffer = (buffer, sourceAt, length) => {
+  const { numberOfChannels, sampleRate } = buffer;
+  const output = new AudioBuffer({ length, numberOfChannels, sampleRate });
+
+  const frameLength = Math.round(FRAME_SECONDS * sampleRate) & ~1;
+  const hop = frameLength / 2;
+  const tolerance = Math.round(TOLERANCE_SECONDS * sampleRate);
+  const window = hann(frameLength);
+  const guide = buffer.getChannelData(0);
+  const sources = Array.from({ length: numberOfChannels }, (_, channel) =>
+    buffer.getChannelData(channel)
+  );
+  const targets = Array.from({ length: numberOfChannels }, (_, channel) =>
+    output.getChannelData(channel)
+  );
+
+  let previous = null;
+  for (let position = -hop; position < length; position += hop) {
+    let source = Math.round(
+      sourceAt(Math.max(0, position) / sampleRate) * sampleRate
+    );
+    // Line the frame up with where the previous one would have continued
+    if (previous !== null && previous + hop + frameLength <= guide.length) {
+      source += findBestOffset(
+        guide,
+        previous + hop,
+        source,
+        tolerance,
+        frameLength
+      );
+    }
+    previous = source;
+
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const from = sources[channel];
+      const to = targets[channel];
+      for (let i = 0; i < frameLength; i++) {
+        const out = position + i;
+        const at = source + i;
+        if (out < 0 || out >= length || at < 0 || at >= from.length) continue;
+        to[out] += window[i] * from[at];
+      }
+    }
+  }
+
+  return output;
+};
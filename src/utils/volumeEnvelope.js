@@ -0,0 +1,124 @@
+// Volume automation of audio and video clips. A clip carries
+// `properties.volumeEnvelope`: points { id, time, gain } with time in ms from
+// the clip's start and gain from 0 to 1, linear between points and held
+// before the first and after the last. Fades are `properties.fadeInDuration`
+// and `fadeOutDuration` in ms. `properties.gainDb` is a fixed gain set by
+// loudness normalization. All of them multiply the clip's volume and never
+// change its source.
+
+import { getUid } from './index';
+
+export const MAX_ENVELOPE_GAIN = 1;
+
+export const GAIN_DB_LIMITS = { min: -30, max: 20 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const hasVolumeAutomation = properties =>
+  !!(
+    properties?.volumeEnvelope?.length ||
+    properties?.fadeInDuration > 0 ||
+    properties?.fadeOutDuration > 0
+  );
+
+// Points sorted by time, inside the clip and with gains in range
+export const normalizeEnvelope = (points, durationMs) =>
+  (points || [])
+    .filter(point => Number.isFinite(point?.time))
+    .map(point => ({
+      id: point.id,
+      time: clamp(Math.round(point.time), 0, durationMs),
+      gain: clamp(Number(point.gain) || 0, 0, MAX_ENVELOPE_GAIN),
+    }))
+    .sort((a, b) => a.time - b.time);
+
+// Envelope gain at `timeMs` into the clip
+export const getEnvelopeGain = (points, timeMs) => {
+  if (!points?.length) return 1;
+  if (timeMs <= points[0].time) return points[0].gain;
+
+  for (let i = 1; i < points.length; i++) {
+    const next = points[i];
+    if (timeMs <= next.time) {
+      const previous = points[i - 1];
+      const span = next.time - previous.time;
+      return span > 0
+        ? previous.gain +
+            ((timeMs - previous.time) / span) * (next.gain - previous.gain)
+        : next.gain;
+    }
+  }
+  return points[points.length - 1].gain;
+};
+
+// Fade lengths of a clip, clamped so they fit in it
+export const getFades = (properties, durationMs) => ({
+  fadeInMs: clamp(properties?.fadeInDuration || 0, 0, durationMs),
+  fadeOutMs: clamp(properties?.fadeOutDuration || 0, 0, durationMs),
+});
+
+export const getFadeGain = ({ fadeInMs, fadeOutMs }, durationMs, timeMs) => {
+  let gain = 1;
+  if (fadeInMs > 0 && timeMs < fadeInMs) {
+    gain *= clamp(timeMs / fadeInMs, 0, 1);
+  }
+  if (fadeOutMs > 0 && timeMs > durationMs - fadeOutMs) {
+    gain *= clamp((durationMs - timeMs) / fadeOutMs, 0, 1);
+  }
+  return gain;
+};
+
+// Linear gain of the clip's fixed gain
+export const getGainTrim = properties =>
+  10 **
+  (clamp(properties?.gainDb || 0, GAIN_DB_LIMITS.min, GAIN_DB_LIMITS.max) /
+    20);
+
+/**
+ * Gain trim, envelope and fade gain of `element` at `timeMs` into it,
+ * without its volume. What preview puts on the clip's gain node every frame.
+ */
+export const getClipGain = (element, timeMs) => {
+  const { properties, timeFrame } = element;
+  const trim = getGainTrim(properties);
+  if (!hasVolumeAutomation(properties)) return trim;
+  const durationMs = timeFrame.end - timeFrame.start;
+  return (
+    trim *
+    getEnvelopeGain(properties.volumeEnvelope, timeMs) *
+    getFadeGain(getFades(properties, durationMs), durationMs, timeMs)
+  );
+};
+
+/**
+ * Envelope and fades of the two halves of a clip cut `splitOffsetMs` into
+ * it. Both halves keep the gain they had at the cut.
+ */
+export const splitVolumeProperties = (
+  properties,
+  durationMs,
+  splitOffsetMs
+) => {
+  const points = properties.volumeEnvelope || [];
+  const gainAtCut = getEnvelopeGain(points, splitOffsetMs);
+  const cutPoint = time => ({ id: getUid(), time, gain: gainAtCut });
+
+  const first = points.filter(point => point.time < splitOffsetMs);
+  const second = points
+    .filter(point => point.time > splitOffsetMs)
+    .map(point => ({ ...point, time: point.time - splitOffsetMs }));
+  const { fadeInMs, fadeOutMs } = getFades(properties, durationMs);
+
+  return [
+    {
+      volumeEnvelope: points.length ? [...first, cutPoint(splitOffsetMs)] : [],
+      fadeInDuration: Math.min(fadeInMs, splitOffsetMs),
+      fadeOutDuration: 0,
+    },
+    {
+      volumeEnvelope: points.length ? [cutPoint(0), ...second] : [],
+      fadeInDuration: 0,
+      fadeOutDuration: Math.min(fadeOutMs, durationMs - splitOffsetMs),
+    },
+  ];
+};